@@ -4,12 +4,19 @@ import { MyContents } from './MyContents.js';
 import { MyGuiInterface } from './MyGuiInterface.js';
 import { MyPeriscopeHUD } from './MyPeriscopeHUD.js';
 import Stats from 'three/addons/libs/stats.module.js';
+import { MySimClock } from './MySimClock.js';
+import { MyRecorder } from './MyRecorder.js';
+import { MyScreenshotRenderer } from './MyScreenshotRenderer.js';
+import { MyCameraPath } from './MyCameraPath.js';
+import { MyFollowCamera } from './MyFollowCamera.js';
+import { MyViewportLayout } from './MyViewports.js';
+import { MyQualityManager } from './MyQualityManager.js';
+import { MyLoadingScreen } from './MyLoadingScreen.js';
+import { platform } from './MyPlatform.js';
 
 // Import post-processing libraries
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
-import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
-import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { MyPostProcessing, postPassTypes } from './MyPostProcessing.js';
+import { MyAutoFocus } from './MyAutoFocus.js';
 
 /**
  * MyApp
@@ -94,12 +101,6 @@ class MyApp {
          */
         this.contents = null;
 
-        /**
-         * Depth of field effect instance.
-         * @type {BokehPass|null}
-         */
-        this.depthOfField = null;
-        
         /**
          * Periscope HUD display system.
          * @type {MyPeriscopeHUD|null}
@@ -107,37 +108,82 @@ class MyApp {
         this.periscopeHUD = null;
         
         /**
-         * Toggle states for various visual effects.
-         * @type {Object}
-         * @property {boolean} depthOfField - Depth of field effect enabled state.
-         * @property {boolean} periscopeHUD - Periscope HUD enabled state.
+         * Toggles of the post-processing passes in the primary viewport, by pass name.
+         * @type {Object<string, boolean>}
          */
-        this.effectsEnabled = {
-            depthOfField: false,
-            periscopeHUD: false
-        };
+        this.effectsEnabled = postPassTypes.createToggles();
         
         /**
-         * Post-processing system components.
-         * @type {Object}
-         * @property {EffectComposer|null} composer - Main effect composer.
-         * @property {RenderPass|null} renderPass - Initial render pass.
-         * @property {BokehPass|null} bokehPass - Depth of field pass.
+         * Post-processing stack: pass settings and the cameras each pass runs for.
+         * @type {MyPostProcessing|null}
          */
-        this.postprocessing = {};
-        
+        this.postProcessing = null;
+
+        /**
+         * Auto-focus driving the depth of field focus from the crosshair or the selection.
+         * @type {MyAutoFocus|null}
+         */
+        this.autoFocus = null;
+
+        /**
+         * Simulation clock driving every animated entity (pause, time scale, single-step).
+         * @type {MySimClock}
+         */
+        this.simClock = new MySimClock();
+
+        /**
+         * Real-time clock measuring the duration of each rendered frame.
+         * @type {THREE.Clock}
+         */
+        this.frameClock = new THREE.Clock();
+
+        /**
+         * Recorder capturing the canvas at a fixed simulated frame rate.
+         * @type {MyRecorder|null}
+         */
+        this.recorder = null;
+
+        /**
+         * Tiled renderer producing screenshots larger than the window.
+         * @type {MyScreenshotRenderer|null}
+         */
+        this.screenshotRenderer = null;
+
+        /**
+         * Keyframed flythrough driving the Free-Fly camera.
+         * @type {MyCameraPath|null}
+         */
+        this.cameraPath = null;
+
         /**
-         * Depth of field effect parameters.
-         * @type {Object}
-         * @property {number} focus - Focus distance in world units.
-         * @property {number} aperture - Aperture size (affects blur strength).
-         * @property {number} maxblur - Maximum blur amount.
+         * Chase camera following the selected creature.
+         * @type {MyFollowCamera|null}
          */
-        this.dofParameters = {
-            focus: 50.0,
-            aperture: 5,
-            maxblur: 0.01
-        };
+        this.followCamera = null;
+
+        /**
+         * Viewports the scene is drawn into (single view, picture-in-picture or split screen).
+         * @type {MyViewportLayout|null}
+         */
+        this.viewports = null;
+
+        /**
+         * Governor adapting rendering budgets to the measured frame rate.
+         * @type {MyQualityManager|null}
+         */
+        this.quality = null;
+
+        /**
+         * Overlay showing the asset loading progress and failures.
+         * @type {MyLoadingScreen|null}
+         */
+        this.loadingScreen = null;
+
+        /**
+         * Whether the critical assets are loaded; the simulation does not advance before.
+         * @type {boolean}
+         */
+        this.assetsReady = false;
     }
     
     /**
@@ -145,6 +191,9 @@ class MyApp {
      * Sets up the WebGL context and event listeners.
      */
     init() {
+        // Cover the page until the textures requested while building the scene are in
+        this.loadingScreen = new MyLoadingScreen(platform.assets);
+
         // Create and configure main scene
         this.scene = new THREE.Scene();
         this.scene.background = new THREE.Color(0x101010);
@@ -158,8 +207,8 @@ class MyApp {
         this.initCameras();
         this.setActiveCamera('Free-Fly');
 
-        // Create WebGL renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: true });
+        // Create WebGL renderer (with an alpha channel so screenshots can have a transparent background)
+        this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         this.renderer.setPixelRatio(window.devicePixelRatio);
         this.renderer.setClearColor("#000000");
         this.renderer.shadowMap.enabled = true;
@@ -176,6 +225,26 @@ class MyApp {
         this.controls = new OrbitControls(this.activeCamera, this.renderer.domElement);
         this.controls.target.set(0, 0, 0);
         this.controls.update();
+
+        // Frame/video capture of the canvas
+        this.recorder = new MyRecorder(this);
+        this.screenshotRenderer = new MyScreenshotRenderer(this);
+
+        // Cinematic camera paths for the Free-Fly camera
+        this.cameraPath = new MyCameraPath(this);
+
+        // Chase camera for selected creatures
+        this.followCamera = new MyFollowCamera(this, this.cameras[MyFollowCamera.CAMERA_NAME]);
+
+        // Post-processing passes shared by every viewport's pipeline
+        this.postProcessing = new MyPostProcessing(this);
+        this.autoFocus = new MyAutoFocus(this);
+
+        // Multi-view rendering, a single full-window view by default
+        this.viewports = new MyViewportLayout(this);
+
+        // Quality presets and frame-time driven budgets
+        this.quality = new MyQualityManager(this);
     }
 
     /**
@@ -212,6 +281,11 @@ class MyApp {
         fixedView.position.set(200, 50, 0);
         fixedView.lookAt(new THREE.Vector3(0, 1.5, 0));
         this.cameras['Fixed aquarium view'] = fixedView;
+
+        // Chase camera, driven by MyFollowCamera while a creature is selected
+        const followView = new THREE.PerspectiveCamera(75, aspect, 0.1, 1000);
+        followView.position.set(50, 30, 50);
+        this.cameras[MyFollowCamera.CAMERA_NAME] = followView;
     }
 
     /**
@@ -256,6 +330,11 @@ class MyApp {
             } else if (this.activeCameraName === 'Submarine view') {
                 this.controls.enablePan = false;
                 this.controls.enableZoom = false;
+            } else if (this.activeCameraName === MyFollowCamera.CAMERA_NAME) {
+                // The chase camera moves itself; the orbit target tracks the creature
+                this.controls.enableRotate = false;
+                this.controls.enablePan = false;
+                this.controls.enableZoom = false;
             } else {
                 // Swim view or other cameras
                 this.controls.target.set(0, 85, 0);
@@ -263,78 +342,35 @@ class MyApp {
                 this.controls.enablePan = false;
                 this.controls.enableZoom = false;
             }
-            
-            // Update post-processing for camera changes
-            if (this.postprocessing.composer) {
-                this.postprocessing.bokehPass.camera = this.activeCamera;
-                
-                if (this.postprocessing.renderPass) {
-                    this.postprocessing.renderPass.camera = this.activeCamera;
-                }
-            }
         }
     }
     
     /**
-     * Initializes the depth of field post-processing system.
-     * Creates render passes and effect composer for bokeh effects.
-     */
-    initDepthOfField() {
-        // Create render passes
-        this.postprocessing.renderPass = new RenderPass(this.scene, this.activeCamera);
-        
-        this.postprocessing.bokehPass = new BokehPass(this.scene, this.activeCamera, {
-            focus: 1.0,
-            aperture: 0.025,
-            maxblur: 0.01
-        });
-        
-        const outputPass = new OutputPass();
-        
-        // Create and configure effect composer
-        this.postprocessing.composer = new EffectComposer(this.renderer);
-        this.postprocessing.composer.addPass(this.postprocessing.renderPass);
-        this.postprocessing.composer.addPass(this.postprocessing.bokehPass);
-        this.postprocessing.composer.addPass(outputPass);
-        
-        // Apply initial parameters
-        this.updateBokehParameters();
-    }
-
-    /**
-     * Updates the depth of field effect parameters.
-     * Applies current DOF settings to the bokeh pass uniforms.
+     * Handles window resize events.
+     * Updates camera aspect ratios, renderer size, and post-processing systems.
      */
-    updateBokehParameters() {
-        if (this.postprocessing.bokehPass) {
-            this.postprocessing.bokehPass.uniforms['focus'].value = this.dofParameters.focus;
-            this.postprocessing.bokehPass.uniforms['aperture'].value = this.dofParameters.aperture * 0.00001;
-            this.postprocessing.bokehPass.uniforms['maxblur'].value = this.dofParameters.maxblur;
-        }
+    onResize() {
+        // A recording keeps its own resolution until it ends
+        if (this.recorder && this.recorder.recording) return;
+        this.setRenderSize(window.innerWidth, window.innerHeight);
     }
 
     /**
-     * Handles window resize events.
-     * Updates camera aspect ratios, renderer size, and post-processing systems.
+     * Resizes the rendered image and everything depending on its size.
+     * @param {number} width - Width in CSS pixels.
+     * @param {number} height - Height in CSS pixels.
      */
-    onResize() {
+    setRenderSize(width, height) {
         if (this.activeCamera !== undefined && this.activeCamera !== null) {
             // Update camera projection
-            this.activeCamera.aspect = window.innerWidth / window.innerHeight;
+            this.activeCamera.aspect = width / height;
             this.activeCamera.updateProjectionMatrix();
             
             // Update renderer size
-            this.renderer.setSize(window.innerWidth, window.innerHeight);
-            
-            // Update post-processing systems
-            if (this.postprocessing.composer) {
-                this.postprocessing.composer.setSize(window.innerWidth, window.innerHeight);
-            }
+            this.renderer.setSize(width, height);
             
-            // Update HUD display
-            if (this.periscopeHUD) {
-                this.periscopeHUD.resize(window.innerWidth, window.innerHeight);
-            }
+            // Post-processing composers and the HUD follow the size of their viewports
+            this.viewports.resize();
         }
     }
     
@@ -345,9 +381,6 @@ class MyApp {
     setContents(contents) {
         this.contents = contents;
 
-        // Initialize depth of field effects
-        this.initDepthOfField();
-        
         // Initialize periscope HUD if submarine exists
         if (this.contents && this.contents.submarine) {
             if (this.cameras['Submarine view']) {
@@ -359,10 +392,27 @@ class MyApp {
                 );
                 
                 if (this.periscopeHUD) {
-                    this.periscopeHUD.setEnabled(this.effectsEnabled.periscopeHUD);
+                    this.periscopeHUD.setEnabled(this.viewports.usesPeriscopeHUD());
                 }
             }
         }
+
+        this.viewports.resize();
+
+        // The chase camera follows the selection, and the periscope flags hull contacts
+        this.contents.events.on('entitySelected', ({ entity }) => this.followCamera.onSelectionChanged(entity));
+        this.contents.events.on('submarineCollision', () => {
+            if (this.periscopeHUD) this.periscopeHUD.showContactWarning(this.simClock.elapsed);
+        });
+
+        // Apply the quality budgets to the freshly built scene
+        this.quality.applyAll();
+
+        // Every texture of the scene has been requested by now
+        platform.assets.whenReady().then(() => {
+            this.assetsReady = true;
+            this.loadingScreen.finish();
+        });
     }
 
     /**
@@ -379,30 +429,57 @@ class MyApp {
      * Updates scene, applies effects, and renders the view.
      */
     render() {
+        const frameStart = performance.now();
+        const realDelta = this.frameClock.getDelta();
+
+        // While recording, each captured frame advances the simulation by exactly one frame duration,
+        // in whole fixed steps, whatever the pause state and time scale
+        let frameDelta = realDelta;
+        if (this.recorder.recording) {
+            if (!this.recorder.isFrameDue()) {
+                requestAnimationFrame(this.render.bind(this));
+                return;
+            }
+            frameDelta = this.recorder.frameDuration;
+        }
+
         this.stats.begin();
         this.updateCameraIfRequired();
 
         if (this.activeCamera !== undefined && this.activeCamera !== null) {
-            // Update scene contents
-            this.contents.update();
+            // Advance the simulation by whole fixed steps (once the assets are in), then refresh camera-dependent state
+            if (this.assetsReady) {
+                const step = (delta, elapsed) => this.contents.update(delta, elapsed);
+                if (this.recorder.recording) {
+                    this.simClock.advance(this.recorder.stepsPerFrame, step);
+                } else {
+                    this.simClock.tick(frameDelta, step);
+                }
+            }
+            this.contents.updateView(this.activeCamera);
         
-            // Update visual effects
-            const time = performance.now() * 0.001;
-            if (this.periscopeHUD && this.effectsEnabled.periscopeHUD) {
+            // Update visual effects on simulation time, so they pause and slow down with the scene
+            const time = this.simClock.elapsed;
+            if (this.periscopeHUD) {
+                // The HUD runs whenever a viewport shows it, not only in the primary view
+                this.periscopeHUD.setEnabled(this.viewports.usesPeriscopeHUD());
                 this.periscopeHUD.update(time);
             }
         }
 
-        // Update camera controls
+        // Play camera tours and chase the selected creature on the frame clock (fixed while recording), then update controls
+        this.cameraPath.update(frameDelta);
+        this.followCamera.update(frameDelta);
+        this.autoFocus.update(frameDelta);
         this.controls.update();
 
-        if (this.effectsEnabled.depthOfField && this.postprocessing.composer) {
-            this.postprocessing.composer.render();
-        } else {
-            this.renderer.render(this.scene, this.activeCamera);
-        }
-        if (this.activeCameraName === 'Submarine view' && this.periscopeHUD && this.periscopeHUD.enabled) {
-            this.periscopeHUD.render();
+        // Draw each viewport with its own camera and effects
+        this.viewports.render();
+        this.recorder.captureFrame();
+
+        // Feed the quality governor with the real frame interval and this frame's own cost (loading frames say nothing about it)
+        if (this.assetsReady) {
+            this.quality.update(realDelta, (performance.now() - frameStart) / 1000);
         }
 
         // Continue render loop
@@ -411,6 +488,16 @@ class MyApp {
         this.stats.end();
     }
 
+    /**
+     * Saves the active camera's view as a PNG of any size (8K and beyond), rendered in tiles.
+     * Settings not given are taken from the screenshot renderer (and its GUI folder).
+     * @param {MyScreenshotOptions} [options] - Size, tile size, transparency, HUD and file name.
+     * @returns {Promise<Blob>} The PNG image, once encoded and downloaded.
+     */
+    screenshot(options = {}) {
+        return this.screenshotRenderer.capture(options);
+    }
+
     /**
      * Enables or disables the depth of field effect.
      * @param {boolean} enabled - Whether to enable the depth of field effect.
@@ -424,8 +511,7 @@ class MyApp {
      * @param {number} aperture - Aperture size (affects blur strength).
      */
     setDepthOfFieldAperture(aperture) {
-        this.dofParameters.aperture = aperture;
-        this.updateBokehParameters();
+        this.postProcessing.settings.depthOfField.aperture = aperture;
     }
 
     /**
@@ -433,8 +519,7 @@ class MyApp {
      * @param {number} focus - Focus distance in world units.
      */
     setDepthOfFieldFocus(focus) {
-        this.dofParameters.focus = focus;
-        this.updateBokehParameters();
+        this.postProcessing.settings.depthOfField.focus = focus;
     }
 
     /**
@@ -442,8 +527,7 @@ class MyApp {
      * @param {number} maxblur - Maximum blur intensity.
      */
     setDepthOfFieldMaxBlur(maxblur) {
-        this.dofParameters.maxblur = maxblur;
-        this.updateBokehParameters();
+        this.postProcessing.settings.depthOfField.maxblur = maxblur;
     }
 
     /**
@@ -453,7 +537,7 @@ class MyApp {
     setPeriscopeHUDEnabled(enabled) {
         this.effectsEnabled.periscopeHUD = enabled;
         if (this.periscopeHUD) {
-            this.periscopeHUD.setEnabled(enabled);
+            this.periscopeHUD.setEnabled(this.viewports.usesPeriscopeHUD());
         }
     }
 
@@ -0,0 +1,274 @@
+// MyAssetCache.js
+// Reference-counted cache of textures and geometries shared between scene entities, plus disposal helpers.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * @typedef {Object} MyTextureOptions
+ * @property {number} [wrap] - Wrapping mode applied to both axes (e.g. THREE.RepeatWrapping).
+ * @property {number} [wrapS] - Horizontal wrapping mode, overriding wrap.
+ * @property {number} [wrapT] - Vertical wrapping mode, overriding wrap.
+ * @property {number[]} [repeat] - Texture repeat [x, y].
+ * @property {number[]} [offset] - Texture offset [x, y].
+ * @property {string} [colorSpace] - Color space of the image.
+ */
+
+/**
+ * MyAssetCache
+ * Hands out shared textures and geometries and counts who uses them. Each image file is
+ * loaded once; texture variants with different wrapping or repeat are clones sharing that
+ * image. A resource is disposed when its last user releases it.
+ *
+ * Acquisitions can name an owner object; disposeObject() then releases everything the
+ * objects of a subtree acquired and disposes the resources they created themselves.
+ */
+class MyAssetCache {
+    /**
+     * Constructs a new MyAssetCache instance.
+     * @param {MyPlatform} platform - Platform whose asset provider loads the images.
+     */
+    constructor(platform) {
+        /**
+         * Platform providing the asset loader.
+         * @type {MyPlatform}
+         */
+        this.platform = platform;
+
+        this._entries = new Map();
+        this._keys = new Map();
+        this._images = new Map();
+        this._owned = new WeakMap();
+    }
+
+    /**
+     * Acquires a shared texture for an image file. Identical url and options return the same texture.
+     * @param {string} url - Path of the image file.
+     * @param {MyTextureOptions} [options={}] - Sampling settings of this variant.
+     * @param {THREE.Object3D|null} [owner=null] - Object releasing the texture when disposed.
+     * @param {function(THREE.Texture): void} [onLoad] - Called once the image is available.
+     * @returns {THREE.Texture} The shared texture.
+     */
+    acquireTexture(url, options = {}, owner = null, onLoad = null) {
+        const key = `texture:${url}|${JSON.stringify(options)}`;
+        let entry = this._entries.get(key);
+
+        if (!entry) {
+            const image = this._acquireImage(url);
+            const texture = image.texture.clone();
+            // Nothing to upload until the shared image arrives
+            if (!image.loaded) texture.version = 0;
+            if (options.wrap !== undefined) texture.wrapS = texture.wrapT = options.wrap;
+            if (options.wrapS !== undefined) texture.wrapS = options.wrapS;
+            if (options.wrapT !== undefined) texture.wrapT = options.wrapT;
+            if (options.repeat) texture.repeat.fromArray(options.repeat);
+            if (options.offset) texture.offset.fromArray(options.offset);
+            if (options.colorSpace) texture.colorSpace = options.colorSpace;
+            image.variants.add(texture);
+
+            entry = { resource: texture, refs: 0, url };
+            this._add(key, entry);
+        }
+
+        entry.refs++;
+        this._own(owner, entry.resource);
+        if (onLoad) this._whenLoaded(url, entry.resource, onLoad);
+        return entry.resource;
+    }
+
+    /**
+     * Acquires a shared geometry, building it the first time the key is used.
+     * Shared geometries must not be modified by their users.
+     * @param {string} key - Unique description of the geometry (type and parameters).
+     * @param {function(): THREE.BufferGeometry} create - Builds the geometry.
+     * @param {THREE.Object3D|null} [owner=null] - Object releasing the geometry when disposed.
+     * @returns {THREE.BufferGeometry} The shared geometry.
+     */
+    acquireGeometry(key, create, owner = null) {
+        const cacheKey = `geometry:${key}`;
+        let entry = this._entries.get(cacheKey);
+        if (!entry) {
+            entry = { resource: create(), refs: 0 };
+            this._add(cacheKey, entry);
+        }
+        entry.refs++;
+        this._own(owner, entry.resource);
+        return entry.resource;
+    }
+
+    /**
+     * Checks whether a resource is currently held by the cache.
+     * @param {Object} resource - Texture or geometry.
+     * @returns {boolean} True if cached.
+     */
+    has(resource) {
+        return this._keys.has(resource);
+    }
+
+    /**
+     * Releases one reference to a cached resource, disposing it when unused.
+     * @param {Object} resource - Texture or geometry returned by an acquire method.
+     * @returns {boolean} True if the resource came from the cache.
+     */
+    release(resource) {
+        const key = this._keys.get(resource);
+        if (key === undefined) return false;
+
+        const entry = this._entries.get(key);
+        if (--entry.refs > 0) return true;
+
+        this._entries.delete(key);
+        this._keys.delete(resource);
+        resource.dispose();
+        if (entry.url !== undefined) this._releaseImage(entry.url, resource);
+        return true;
+    }
+
+    /**
+     * Releases everything an owner acquired.
+     * @param {Object} owner - Owner passed to the acquire methods.
+     */
+    releaseOwned(owner) {
+        const resources = this._owned.get(owner);
+        if (!resources) return;
+        this._owned.delete(owner);
+        resources.forEach(resource => this.release(resource));
+    }
+
+    /**
+     * Frees the GPU resources of a subtree: cached resources acquired by its objects are
+     * released, and geometries, materials and textures the subtree created itself are disposed.
+     * @param {THREE.Object3D} root - Root of the subtree (it stays in the scene graph).
+     */
+    disposeObject(root) {
+        const geometries = new Set();
+        const materials = new Set();
+
+        root.traverse(object => {
+            this.releaseOwned(object);
+            if (object.geometry) geometries.add(object.geometry);
+            if (Array.isArray(object.material)) {
+                object.material.forEach(material => materials.add(material));
+            } else if (object.material) {
+                materials.add(object.material);
+            }
+            if (object.isSkinnedMesh && object.skeleton) object.skeleton.dispose();
+            if (object.isInstancedMesh) object.dispose();
+            if (object.isLight) object.dispose();
+        });
+
+        const textures = new Set();
+        materials.forEach(material => {
+            for (const value of Object.values(material)) {
+                if (value && value.isTexture) textures.add(value);
+            }
+            for (const uniform of Object.values(material.uniforms ?? {})) {
+                if (uniform.value && uniform.value.isTexture) textures.add(uniform.value);
+            }
+            material.dispose();
+        });
+
+        // Resources still cached are in use elsewhere
+        geometries.forEach(geometry => {
+            if (!this.has(geometry)) geometry.dispose();
+        });
+        textures.forEach(texture => {
+            if (!this.has(texture)) texture.dispose();
+        });
+    }
+
+    /**
+     * Counts the cached resources, for debugging leaks.
+     * @returns {{textures: number, geometries: number, images: number}} Resource counts.
+     */
+    stats() {
+        let textures = 0;
+        let geometries = 0;
+        for (const key of this._entries.keys()) {
+            if (key.startsWith('texture:')) textures++;
+            else geometries++;
+        }
+        return { textures, geometries, images: this._images.size };
+    }
+
+    /**
+     * Returns the shared image entry of a file, loading it on first use.
+     * @param {string} url - Path of the image file.
+     * @returns {{texture: THREE.Texture, loaded: boolean, variants: Set<THREE.Texture>, callbacks: Function[]}} The entry.
+     * @private
+     */
+    _acquireImage(url) {
+        let image = this._images.get(url);
+        if (!image) {
+            image = { texture: null, loaded: false, variants: new Set(), callbacks: [] };
+            image.texture = this.platform.assets.loadTexture(url, () => {
+                image.loaded = true;
+                // Variants share the image, so each one needs its own upload
+                image.variants.forEach(variant => { variant.needsUpdate = true; });
+                image.callbacks.forEach(callback => callback());
+                image.callbacks = [];
+            });
+            this._images.set(url, image);
+        }
+        return image;
+    }
+
+    /**
+     * Drops a texture variant from its image, forgetting the image once no variant uses it.
+     * @param {string} url - Path of the image file.
+     * @param {THREE.Texture} texture - Disposed variant.
+     * @private
+     */
+    _releaseImage(url, texture) {
+        const image = this._images.get(url);
+        if (!image) return;
+        image.variants.delete(texture);
+        if (image.variants.size === 0) {
+            image.texture.dispose();
+            this._images.delete(url);
+        }
+    }
+
+    /**
+     * Calls back once a texture's image is available (immediately if it already is).
+     * @param {string} url - Path of the image file.
+     * @param {THREE.Texture} texture - Texture passed to the callback.
+     * @param {function(THREE.Texture): void} onLoad - Callback.
+     * @private
+     */
+    _whenLoaded(url, texture, onLoad) {
+        const image = this._images.get(url);
+        if (image.loaded) {
+            onLoad(texture);
+        } else {
+            image.callbacks.push(() => onLoad(texture));
+        }
+    }
+
+    /**
+     * Registers a new cache entry.
+     * @param {string} key - Cache key.
+     * @param {{resource: Object, refs: number}} entry - Entry to add.
+     * @private
+     */
+    _add(key, entry) {
+        this._entries.set(key, entry);
+        this._keys.set(entry.resource, key);
+    }
+
+    /**
+     * Records that an owner holds one reference to a resource.
+     * @param {Object|null} owner - Owner, or null when the caller releases by hand.
+     * @param {Object} resource - Acquired resource.
+     * @private
+     */
+    _own(owner, resource) {
+        if (!owner) return;
+        let resources = this._owned.get(owner);
+        if (!resources) {
+            resources = [];
+            this._owned.set(owner, resources);
+        }
+        resources.push(resource);
+    }
+}
+
+export { MyAssetCache };
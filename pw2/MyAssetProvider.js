@@ -0,0 +1,324 @@
+// MyAssetProvider.js
+// Asset sources used by scene classes: image textures, canvas-drawn textures and videos.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * MyAssetProvider
+ * Browser asset provider. Loads image files with THREE.TextureLoader and builds
+ * canvas and video resources through the DOM.
+ *
+ * Every file goes through one THREE.LoadingManager, so a loading screen can follow the
+ * progress. Images are critical: whenReady() waits for them. Videos only count towards
+ * the progress, since they keep streaming while the scene runs. Failed loads are recorded
+ * in failures and replaced by a fallback, so the scene never waits on a missing file.
+ */
+class MyAssetProvider {
+    /**
+     * Constructs a new MyAssetProvider instance.
+     */
+    constructor() {
+        /**
+         * Loading manager tracking every file requested through this provider.
+         * @type {THREE.LoadingManager}
+         */
+        this.manager = new THREE.LoadingManager();
+
+        /**
+         * Shared loader for image textures.
+         * @type {THREE.TextureLoader}
+         */
+        this.textureLoader = new THREE.TextureLoader(this.manager);
+
+        /**
+         * Loader for plain images (bitmap fonts and the like).
+         * @type {THREE.ImageLoader}
+         */
+        this.imageLoader = new THREE.ImageLoader(this.manager);
+
+        /**
+         * Loads that failed so far.
+         * @type {{url: string, reason: string}[]}
+         */
+        this.failures = [];
+
+        /**
+         * Called whenever a load fails or a video cannot play.
+         * @type {function(string, string): void|null}
+         */
+        this.onFailure = null;
+
+        this._criticalPending = 0;
+        this._readyCallbacks = [];
+        this._fallbackImage = null;
+    }
+
+    /**
+     * Loads an image texture. If the file is missing, the texture shows a checker pattern
+     * instead and onLoad is still called, so dependent code carries on.
+     * @param {string} url - Path of the image file.
+     * @param {function(THREE.Texture): void} [onLoad] - Called once the image (or its fallback) is available.
+     * @param {function(THREE.Texture): void} [onError] - Handles a missing file instead of the checker pattern.
+     * @returns {THREE.Texture} The texture, filled in asynchronously.
+     */
+    loadTexture(url, onLoad, onError) {
+        this._criticalPending++;
+        const texture = this.textureLoader.load(url, loaded => {
+            if (onLoad) onLoad(loaded);
+            this._criticalDone();
+        }, undefined, () => {
+            this.reportFailure(url, 'texture could not be loaded');
+            if (onError) {
+                onError(texture);
+            } else {
+                texture.image = this._getFallbackImage();
+                texture.needsUpdate = true;
+                if (onLoad) onLoad(texture);
+            }
+            this._criticalDone();
+        });
+        return texture;
+    }
+
+    /**
+     * Loads a plain image, for textures drawn by hand on a canvas.
+     * @param {string} url - Path of the image file.
+     * @param {function(HTMLImageElement): void} [onLoad] - Called once the image is available (not on failure).
+     * @returns {HTMLImageElement} The image element, filled in asynchronously.
+     */
+    loadImage(url, onLoad) {
+        this._criticalPending++;
+        return this.imageLoader.load(url, image => {
+            if (onLoad) onLoad(image);
+            this._criticalDone();
+        }, undefined, () => {
+            this.reportFailure(url, 'image could not be loaded');
+            this._criticalDone();
+        });
+    }
+
+    /**
+     * Creates a texture drawn on a 2D canvas.
+     * @param {number} width - Canvas width in pixels.
+     * @param {number} height - Canvas height in pixels.
+     * @param {function(CanvasRenderingContext2D, HTMLCanvasElement): void} draw - Paints the canvas.
+     * @returns {THREE.Texture} The canvas texture.
+     */
+    createCanvasTexture(width, height, draw) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        draw(canvas.getContext('2d'), canvas);
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    /**
+     * Creates a hidden, muted, looping video element and starts playing it.
+     * @param {string} src - Path of the video file.
+     * @param {function(HTMLVideoElement): void} [onError] - Called if the video cannot be loaded.
+     * @returns {HTMLVideoElement|null} The video element.
+     */
+    createVideoElement(src, onError) {
+        const video = document.createElement('video');
+        video.loop = true;
+        video.muted = true;
+        video.playsInline = true;
+        video.autoplay = true;
+        video.style.display = 'none';
+        this._trackVideo(video, src, onError);
+        video.src = src;
+        document.body.appendChild(video);
+        this._play(video, src);
+        return video;
+    }
+
+    /**
+     * Returns a video element declared in the page, set to play muted in a loop.
+     * @param {string} id - Element id.
+     * @param {function(HTMLVideoElement): void} [onError] - Called if the video cannot be loaded.
+     * @returns {HTMLVideoElement|null} The video element, or null if the page has none.
+     */
+    getVideoElement(id, onError) {
+        const video = document.getElementById(id);
+        if (!video) return null;
+
+        video.muted = true;
+        video.loop = true;
+        video.playsinline = true;
+        this._trackVideo(video, video.getAttribute('src') ?? id, onError);
+        this._play(video, video.getAttribute('src') ?? id);
+        return video;
+    }
+
+    /**
+     * Resolves once every image requested so far has loaded or failed.
+     * @returns {Promise<void>} Settles immediately when nothing is pending.
+     */
+    whenReady() {
+        if (this._criticalPending === 0) return Promise.resolve();
+        return new Promise(resolve => this._readyCallbacks.push(resolve));
+    }
+
+    /**
+     * Records a failed asset and notifies onFailure.
+     * @param {string} url - Asset that failed.
+     * @param {string} reason - Short description of the problem.
+     */
+    reportFailure(url, reason) {
+        this.failures.push({ url, reason });
+        console.warn(`Asset ${url}: ${reason}`);
+        if (this.onFailure) this.onFailure(url, reason);
+    }
+
+    /**
+     * Marks one critical load as finished, settling whenReady() when none is left.
+     * @private
+     */
+    _criticalDone() {
+        if (--this._criticalPending > 0) return;
+        const callbacks = this._readyCallbacks;
+        this._readyCallbacks = [];
+        callbacks.forEach(resolve => resolve());
+    }
+
+    /**
+     * Reports a video's loading to the manager until its first frame is available.
+     * @param {HTMLVideoElement} video - Video element.
+     * @param {string} src - Path of the video, used as the item name.
+     * @param {function(HTMLVideoElement): void} [onError] - Called if the video cannot be loaded.
+     * @private
+     */
+    _trackVideo(video, src, onError) {
+        const failed = () => {
+            this.reportFailure(src, 'video could not be loaded');
+            if (onError) onError(video);
+        };
+
+        // A page-declared video may have finished (or failed) before the scene was built;
+        // the failure is still reported asynchronously, once the caller has its element
+        if (video.error) {
+            queueMicrotask(failed);
+            return;
+        }
+        if (video.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) return;
+
+        this.manager.itemStart(src);
+        const settle = (error) => {
+            video.removeEventListener('loadeddata', onData);
+            video.removeEventListener('error', onFail);
+            if (error) {
+                this.manager.itemError(src);
+                failed();
+            }
+            this.manager.itemEnd(src);
+        };
+        const onData = () => settle(false);
+        const onFail = () => settle(true);
+        video.addEventListener('loadeddata', onData);
+        video.addEventListener('error', onFail);
+    }
+
+    /**
+     * Starts a video. When the browser blocks autoplay, the failure is reported and
+     * playback is retried on the first click or key press.
+     * @param {HTMLVideoElement} video - Video element.
+     * @param {string} src - Path of the video, for the report.
+     * @private
+     */
+    _play(video, src) {
+        video.play().catch(err => {
+            if (err.name !== 'NotAllowedError') return;
+            this.reportFailure(src, 'autoplay blocked, click the page to start the video');
+            const retry = () => {
+                video.play().catch(() => {});
+                window.removeEventListener('pointerdown', retry);
+                window.removeEventListener('keydown', retry);
+            };
+            window.addEventListener('pointerdown', retry);
+            window.addEventListener('keydown', retry);
+        });
+    }
+
+    /**
+     * Checker pattern shown in place of missing images, shared by all failed textures.
+     * @returns {HTMLCanvasElement} The pattern.
+     * @private
+     */
+    _getFallbackImage() {
+        if (!this._fallbackImage) {
+            const canvas = document.createElement('canvas');
+            canvas.width = canvas.height = 64;
+            const ctx = canvas.getContext('2d');
+            for (let y = 0; y < 8; y++) {
+                for (let x = 0; x < 8; x++) {
+                    ctx.fillStyle = (x + y) % 2 === 0 ? '#ff00ff' : '#202020';
+                    ctx.fillRect(x * 8, y * 8, 8, 8);
+                }
+            }
+            this._fallbackImage = canvas;
+        }
+        return this._fallbackImage;
+    }
+}
+
+/**
+ * MyHeadlessAssetProvider
+ * Asset provider for plain Node runs: every texture is an empty placeholder and
+ * there are no videos, so geometry and simulation can be built without a DOM.
+ * Load callbacks are never called, as no image ever arrives.
+ */
+class MyHeadlessAssetProvider {
+    /**
+     * Returns an empty texture in place of an image file.
+     * @param {string} url - Path of the image file (unused).
+     * @returns {THREE.Texture} Placeholder texture.
+     */
+    loadTexture(url) {
+        const texture = new THREE.Texture();
+        texture.name = url;
+        return texture;
+    }
+
+    /**
+     * Images are not available headless.
+     * @returns {null}
+     */
+    loadImage() {
+        return null;
+    }
+
+    /**
+     * Returns an empty texture without drawing anything.
+     * @returns {THREE.Texture} Placeholder texture.
+     */
+    createCanvasTexture() {
+        return new THREE.Texture();
+    }
+
+    /**
+     * Videos are not available headless.
+     * @returns {null}
+     */
+    createVideoElement() {
+        return null;
+    }
+
+    /**
+     * Videos are not available headless.
+     * @returns {null}
+     */
+    getVideoElement() {
+        return null;
+    }
+
+    /**
+     * Nothing is ever pending headless.
+     * @returns {Promise<void>} An already settled promise.
+     */
+    whenReady() {
+        return Promise.resolve();
+    }
+}
+
+export { MyAssetProvider, MyHeadlessAssetProvider };
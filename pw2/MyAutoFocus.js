@@ -0,0 +1,178 @@
+// MyAutoFocus.js
+// Auto-focus of the depth of field: follows what is under the crosshair or the selected entity.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * What the auto-focus measures its distance to.
+ * 'Screen center' casts a ray through the middle of the view (the periscope crosshair);
+ * 'Selection' follows the selected entity, and falls back to the ray while nothing is selected.
+ * @type {string[]}
+ */
+const AUTO_FOCUS_MODES = ['Screen center', 'Selection'];
+
+/**
+ * MyAutoFocus
+ * Drives the focus distance of the depth of field pass. Every frame it measures the depth
+ * (along the view axis, as the bokeh shader does) of the target in the active camera and
+ * eases the focus toward it. Small changes of the measured depth are ignored, so the lens
+ * does not hunt back and forth over fins, slopes or passing particles. When nothing is hit
+ * the focus stays on the last valid target. Runs only while some viewport uses the depth
+ * of field, and takes over from manual focus and camera path keyframes while enabled.
+ */
+class MyAutoFocus {
+    /**
+     * Constructs a new MyAutoFocus instance, disabled.
+     * @param {MyApp} app - Application owning the cameras, the contents and the post-processing stack.
+     */
+    constructor(app) {
+        /**
+         * Application whose depth of field is focused.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Whether the focus is driven automatically.
+         * @type {boolean}
+         */
+        this.enabled = false;
+
+        /**
+         * What the focus follows, one of AUTO_FOCUS_MODES.
+         * @type {string}
+         */
+        this.mode = 'Screen center';
+
+        /**
+         * How quickly the focus reaches a new target (per second; higher is snappier).
+         * @type {number}
+         */
+        this.focusSpeed = 4;
+
+        /**
+         * Resistance to hunting, 0 to 1: a new depth within this fraction of 25% of the
+         * current target is ignored. 0 follows every change.
+         * @type {number}
+         */
+        this.huntingDamping = 0.3;
+
+        /**
+         * Depth the focus is easing toward: the last valid measurement.
+         * @type {number}
+         */
+        this.lastValidFocus = app.postProcessing ? app.postProcessing.settings.depthOfField.focus : 50;
+
+        this.raycaster = new THREE.Raycaster();
+        this._center = new THREE.Vector2(0, 0);
+        this._forward = new THREE.Vector3();
+        this._position = new THREE.Vector3();
+    }
+
+    /**
+     * Measures the target and eases the focus toward it. Called once per rendered frame,
+     * after the cameras have moved.
+     * @param {number} delta - Frame duration in seconds.
+     */
+    update(delta) {
+        const app = this.app;
+        if (!this.enabled || !app.contents || !app.activeCamera || !this._depthOfFieldInUse()) return;
+
+        const camera = app.activeCamera;
+        const depth = this.measure(camera);
+        if (depth !== null) {
+            const threshold = this.huntingDamping * 0.25 * this.lastValidFocus;
+            if (Math.abs(depth - this.lastValidFocus) > threshold) this.lastValidFocus = depth;
+        }
+
+        const settings = app.postProcessing.settings.depthOfField;
+        const blend = 1 - Math.exp(-Math.max(this.focusSpeed, 0) * delta);
+        const focus = THREE.MathUtils.lerp(settings.focus, this.lastValidFocus, blend);
+        app.setDepthOfFieldFocus(THREE.MathUtils.clamp(focus, camera.near, camera.far));
+    }
+
+    /**
+     * Measures the depth of the current target in a camera.
+     * @param {THREE.Camera} camera - Camera looking at the target.
+     * @returns {number|null} Depth along the view axis, or null if there is no valid target.
+     */
+    measure(camera) {
+        const selected = this.mode === 'Selection' ? this.app.contents.selectedEntity : null;
+        if (selected && selected.parent) {
+            return this._depthOf(selected.getWorldPosition(this._position), camera);
+        }
+        return this._castCenterRay(camera);
+    }
+
+    /**
+     * Casts a ray through the middle of the view and measures the first visible mesh it hits.
+     * @param {THREE.Camera} camera - Camera casting the ray.
+     * @returns {number|null} Depth of the hit, or null if the ray hits nothing.
+     * @private
+     */
+    _castCenterRay(camera) {
+        this.raycaster.setFromCamera(this._center, camera);
+        this.raycaster.near = camera.near;
+        this.raycaster.far = camera.far;
+
+        const hits = this.raycaster.intersectObjects(this.app.contents.objects, true);
+        const hit = hits.find(h => h.object.isMesh && this._isVisible(h.object) && !this._carriesCamera(h.object, camera));
+        return hit ? this._depthOf(hit.point, camera) : null;
+    }
+
+    /**
+     * Computes the depth of a point along a camera's view axis.
+     * @param {THREE.Vector3} point - World position.
+     * @param {THREE.Camera} camera - Camera measuring it.
+     * @returns {number|null} Depth, or null if the point is not in front of the camera.
+     * @private
+     */
+    _depthOf(point, camera) {
+        camera.getWorldDirection(this._forward);
+        const depth = this._position.subVectors(point, camera.position).dot(this._forward);
+        return depth > camera.near ? depth : null;
+    }
+
+    /**
+     * Checks whether an object and all its ancestors are visible (hidden LOD levels are not).
+     * @param {THREE.Object3D} object - Object hit by the ray.
+     * @returns {boolean} True if it is drawn.
+     * @private
+     */
+    _isVisible(object) {
+        for (let current = object; current; current = current.parent) {
+            if (!current.visible) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Checks whether an object belongs to the submarine the camera rides on (its hull and
+     * shield surround the periscope camera).
+     * @param {THREE.Object3D} object - Object hit by the ray.
+     * @param {THREE.Camera} camera - Camera casting the ray.
+     * @returns {boolean} True for parts of the camera's own submarine.
+     * @private
+     */
+    _carriesCamera(object, camera) {
+        const submarine = this.app.contents.submarine;
+        if (!submarine || submarine.camera !== camera) return false;
+        for (let current = object; current; current = current.parent) {
+            if (current === submarine) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Checks whether any viewport currently shows the depth of field.
+     * @returns {boolean} True if the focus matters.
+     * @private
+     */
+    _depthOfFieldInUse() {
+        const viewports = this.app.viewports;
+        return !!viewports && viewports.viewports.some(viewport => viewport.effects.depthOfField);
+    }
+}
+
+export { MyAutoFocus, AUTO_FOCUS_MODES };
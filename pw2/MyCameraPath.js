@@ -0,0 +1,383 @@
+// MyCameraPath.js
+// Keyframed cinematic flythroughs for the Free-Fly camera: recording, timing, spline playback and JSON files.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * Version of the camera path file format.
+ * @type {number}
+ */
+const CAMERA_PATH_VERSION = 1;
+
+/**
+ * Easing curves applied to playback time.
+ * 'easeInOut' eases the whole tour, 'smoothstep' slows down at every keyframe.
+ * @type {Object<string, function(number): number>}
+ */
+const CAMERA_PATH_EASINGS = {
+    linear: t => t,
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    smoothstep: t => t * t * (3 - 2 * t)
+};
+
+/**
+ * MyCameraPath
+ * Stores camera keyframes (time, position, target, FOV, depth of field focus) and plays them back
+ * on the Free-Fly camera along Catmull-Rom splines. The path can be shown in the scene as a helper line.
+ */
+class MyCameraPath {
+    /**
+     * Constructs a new MyCameraPath instance.
+     * @param {MyApp} app - Application owning the Free-Fly camera, its controls and the depth of field settings.
+     */
+    constructor(app) {
+        /**
+         * Application whose Free-Fly camera is driven.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Keyframes sorted by time.
+         * @type {{time: number, position: THREE.Vector3, target: THREE.Vector3, fov: number, focus: number}[]}
+         */
+        this.keyframes = [];
+
+        /**
+         * Name of the easing curve (a key of CAMERA_PATH_EASINGS).
+         * @type {string}
+         */
+        this.easing = 'easeInOut';
+
+        /**
+         * Whether playback restarts at the end.
+         * @type {boolean}
+         */
+        this.loop = false;
+
+        /**
+         * Whether the path is being played.
+         * @type {boolean}
+         */
+        this.playing = false;
+
+        /**
+         * Current playback time in seconds.
+         * @type {number}
+         */
+        this.time = 0;
+
+        /**
+         * Helper drawing the path and its keyframes.
+         * @type {THREE.Group}
+         */
+        this.helper = new THREE.Group();
+        this.helper.visible = false;
+        app.scene.add(this.helper);
+
+        this._positionCurve = null;
+        this._targetCurve = null;
+    }
+
+    /**
+     * Total length of the path in seconds.
+     * @type {number}
+     */
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+
+    /**
+     * Records the current Free-Fly camera pose as a keyframe.
+     * @param {number|null} time - Keyframe time in seconds; defaults to spacing seconds after the last keyframe.
+     * @param {number} spacing - Gap used when no time is given.
+     * @returns {Object} The new keyframe.
+     */
+    addKeyframe(time = null, spacing = 3) {
+        const camera = this.app.cameras['Free-Fly'];
+        const keyframe = {
+            time: time ?? (this.keyframes.length > 0 ? this.duration + spacing : 0),
+            position: camera.position.clone(),
+            target: this.app.controls.target.clone(),
+            fov: camera.fov,
+            focus: this.app.postProcessing.settings.depthOfField.focus
+        };
+        this.keyframes.push(keyframe);
+        this._changed();
+        return keyframe;
+    }
+
+    /**
+     * Removes a keyframe.
+     * @param {number} index - Index of the keyframe.
+     */
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+        this._changed();
+    }
+
+    /**
+     * Removes every keyframe and stops playback.
+     */
+    clear() {
+        this.stop();
+        this.keyframes = [];
+        this._changed();
+    }
+
+    /**
+     * Changes when a keyframe happens. Keyframes are re-sorted, so indices may change.
+     * @param {number} index - Index of the keyframe.
+     * @param {number} time - New time in seconds.
+     */
+    setKeyframeTime(index, time) {
+        this.keyframes[index].time = Math.max(0, time);
+        this._changed();
+    }
+
+    /**
+     * Moves the Free-Fly camera to a keyframe's pose.
+     * @param {number} index - Index of the keyframe.
+     */
+    goToKeyframe(index) {
+        this.app.activeCameraName = 'Free-Fly';
+        this.app.updateCameraIfRequired();
+        this._apply(this.keyframes[index].time);
+    }
+
+    /**
+     * Starts playback from the beginning on the Free-Fly camera. User camera controls are disabled meanwhile.
+     */
+    play() {
+        if (this.keyframes.length < 2) {
+            console.warn('A camera path needs at least two keyframes to play.');
+            return;
+        }
+        this.app.activeCameraName = 'Free-Fly';
+        // Switch now, so the camera change does not reset the orbit target mid-tour
+        this.app.updateCameraIfRequired();
+        this.time = 0;
+        this.playing = true;
+        this.app.controls.enabled = false;
+    }
+
+    /**
+     * Stops playback and gives the camera back to the user.
+     */
+    stop() {
+        if (!this.playing) return;
+        this.playing = false;
+        this.app.controls.enabled = true;
+    }
+
+    /**
+     * Advances playback. Called once per rendered frame with the frame duration,
+     * which is fixed while recording so tours are captured frame-exact.
+     * @param {number} delta - Frame duration in seconds.
+     */
+    update(delta) {
+        if (!this.playing) return;
+        // Switching to another camera ends the tour
+        if (this.app.activeCameraName !== 'Free-Fly') {
+            this.stop();
+            return;
+        }
+
+        this.time += delta;
+        if (this.time >= this.duration) {
+            if (this.loop) {
+                this.time %= this.duration;
+            } else {
+                this._apply(this.duration);
+                this.stop();
+                return;
+            }
+        }
+        this._apply(this.time);
+    }
+
+    /**
+     * Serializes the path to plain data.
+     * @returns {Object} JSON-serializable camera path.
+     */
+    toJSON() {
+        return {
+            version: CAMERA_PATH_VERSION,
+            easing: this.easing,
+            loop: this.loop,
+            keyframes: this.keyframes.map(k => ({
+                time: k.time,
+                position: k.position.toArray(),
+                target: k.target.toArray(),
+                fov: k.fov,
+                focus: k.focus
+            }))
+        };
+    }
+
+    /**
+     * Replaces the path with data produced by toJSON().
+     * @param {Object} data - Serialized camera path.
+     */
+    fromJSON(data) {
+        if (!data || data.version !== CAMERA_PATH_VERSION) {
+            throw new Error(`Unsupported camera path version: ${data?.version}`);
+        }
+        this.stop();
+        this.easing = CAMERA_PATH_EASINGS[data.easing] ? data.easing : 'linear';
+        this.loop = !!data.loop;
+        this.keyframes = data.keyframes.map(k => ({
+            time: k.time,
+            position: new THREE.Vector3().fromArray(k.position),
+            target: new THREE.Vector3().fromArray(k.target),
+            fov: k.fov ?? 75,
+            focus: k.focus ?? this.app.postProcessing.settings.depthOfField.focus
+        }));
+        this._changed();
+    }
+
+    /**
+     * Saves the path as a JSON file through the browser.
+     * @param {string} [filename='camera-path.json'] - Name of the downloaded file.
+     */
+    download(filename = 'camera-path.json') {
+        const json = JSON.stringify(this.toJSON(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reads a path from a JSON file.
+     * @param {File} file - File chosen by the user.
+     * @returns {Promise<Object>} Resolves with the loaded data.
+     */
+    async loadFile(file) {
+        const data = JSON.parse(await file.text());
+        this.fromJSON(data);
+        return data;
+    }
+
+    /**
+     * Poses the Free-Fly camera at a given path time.
+     * @param {number} time - Path time in seconds.
+     * @private
+     */
+    _apply(time) {
+        const pose = this._sample(time);
+        if (!pose) return;
+
+        const camera = this.app.cameras['Free-Fly'];
+        camera.position.copy(pose.position);
+        this.app.controls.target.copy(pose.target);
+        camera.lookAt(pose.target);
+        if (camera.fov !== pose.fov) {
+            camera.fov = pose.fov;
+            camera.updateProjectionMatrix();
+        }
+        // Keyframed focus only while the auto-focus is not driving the lens
+        if (!this.app.autoFocus || !this.app.autoFocus.enabled) {
+            this.app.setDepthOfFieldFocus(pose.focus);
+        }
+    }
+
+    /**
+     * Interpolates the camera pose at a given path time.
+     * Keyframe times map to spline control points; easing reshapes the time before sampling.
+     * @param {number} time - Path time in seconds.
+     * @returns {{position: THREE.Vector3, target: THREE.Vector3, fov: number, focus: number}|null} The pose.
+     * @private
+     */
+    _sample(time) {
+        const keys = this.keyframes;
+        if (keys.length === 0) return null;
+        if (keys.length === 1) {
+            return { position: keys[0].position.clone(), target: keys[0].target.clone(), fov: keys[0].fov, focus: keys[0].focus };
+        }
+
+        const ease = CAMERA_PATH_EASINGS[this.easing] ?? CAMERA_PATH_EASINGS.linear;
+        const start = keys[0].time;
+        const duration = this.duration - start;
+        let t = THREE.MathUtils.clamp(time, start, this.duration);
+
+        // Whole-tour easing remaps time; per-keyframe easing is applied inside the segment
+        if (this.easing !== 'smoothstep' && duration > 0) {
+            t = start + ease((t - start) / duration) * duration;
+        }
+
+        let i = 0;
+        while (i < keys.length - 2 && t > keys[i + 1].time) i++;
+        const a = keys[i];
+        const b = keys[i + 1];
+        const span = b.time - a.time;
+        let u = span > 0 ? THREE.MathUtils.clamp((t - a.time) / span, 0, 1) : 1;
+        if (this.easing === 'smoothstep') u = ease(u);
+
+        const curveT = (i + u) / (keys.length - 1);
+        return {
+            position: this._positionCurve.getPoint(curveT),
+            target: this._targetCurve.getPoint(curveT),
+            fov: THREE.MathUtils.lerp(a.fov, b.fov, u),
+            focus: THREE.MathUtils.lerp(a.focus, b.focus, u)
+        };
+    }
+
+    /**
+     * Re-sorts keyframes and rebuilds the splines and the helper after any edit.
+     * @private
+     */
+    _changed() {
+        this.keyframes.sort((a, b) => a.time - b.time);
+
+        if (this.keyframes.length >= 2) {
+            this._positionCurve = new THREE.CatmullRomCurve3(this.keyframes.map(k => k.position), false, 'centripetal');
+            this._targetCurve = new THREE.CatmullRomCurve3(this.keyframes.map(k => k.target), false, 'centripetal');
+        } else {
+            this._positionCurve = null;
+            this._targetCurve = null;
+        }
+        this._rebuildHelper();
+    }
+
+    /**
+     * Redraws the helper: the camera spline, the target spline and a marker per keyframe.
+     * @private
+     */
+    _rebuildHelper() {
+        this.helper.children.slice().forEach(child => {
+            this.helper.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+
+        if (this._positionCurve) {
+            const samples = Math.max(32, this.keyframes.length * 24);
+            const pathLine = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(this._positionCurve.getPoints(samples)),
+                new THREE.LineBasicMaterial({ color: 0xffcc00 })
+            );
+            const targetLine = new THREE.Line(
+                new THREE.BufferGeometry().setFromPoints(this._targetCurve.getPoints(samples)),
+                new THREE.LineDashedMaterial({ color: 0x00ccff, dashSize: 1, gapSize: 1 })
+            );
+            targetLine.computeLineDistances();
+            this.helper.add(pathLine, targetLine);
+        }
+
+        for (const keyframe of this.keyframes) {
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(0.6, 8, 6),
+                new THREE.MeshBasicMaterial({ color: 0xff6600 })
+            );
+            marker.position.copy(keyframe.position);
+            this.helper.add(marker);
+        }
+    }
+}
+
+export { MyCameraPath, CAMERA_PATH_EASINGS };
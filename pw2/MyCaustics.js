@@ -0,0 +1,219 @@
+// MyCaustics.js
+// Animated water caustics projected by the sun onto every surface receiving its shadows.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * Uniforms of the caustics, added to the built-in lit materials. As with the fog, the values
+ * are typed arrays shared by every material instead of being copied.
+ * causticsParams: time, intensity and pattern scale (world units).
+ * causticsDepth: height of the water surface, and the fade distance below it.
+ * @type {Object<string, {value: Float32Array}>}
+ */
+const CAUSTICS_UNIFORMS = {
+    causticsParams: { value: new Float32Array([0, 1, 3]) },
+    causticsDepth: { value: new Float32Array([95, 150]) }
+};
+
+/**
+ * Chunk code declaring and computing the world position read by the caustics. It only exists
+ * when the directional light casts shadows, which is the only place the caustics are applied.
+ * @type {Object<string, string>}
+ */
+const CAUSTICS_VERTEX = {
+    shadowmap_pars_vertex: /* glsl */ `
+        #if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS > 0
+            varying vec3 vCausticsPosition;
+        #endif
+    `,
+    shadowmap_vertex: /* glsl */ `
+        #if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS > 0
+            vCausticsPosition = worldPosition.xyz;
+        #endif
+    `
+};
+
+/**
+ * Fragment code of the caustics pattern, appended to shadowmap_pars_fragment.
+ * @type {string}
+ */
+const CAUSTICS_PARS_FRAGMENT = /* glsl */ `
+    #if defined( USE_SHADOWMAP ) && NUM_DIR_LIGHT_SHADOWS > 0
+        uniform vec3 causticsParams;
+        uniform vec2 causticsDepth;
+        varying vec3 vCausticsPosition;
+
+        // Interfering waves over a warped plane; light focuses where they cancel out
+        float causticsLayer( vec2 p, float t ) {
+            p += 0.5 * vec2( sin( p.y * 1.7 + t ), cos( p.x * 1.3 - t * 0.8 ) );
+            float waves = sin( p.x + t ) + sin( p.y * 1.2 - t * 0.7 )
+                + sin( ( p.x + p.y ) * 0.8 + t * 1.1 ) + sin( ( p.x - p.y ) * 0.6 - t * 0.9 );
+            return pow( max( 1.0 - abs( waves ) * 0.5, 0.0 ), 5.0 );
+        }
+
+        // Light multiplier at a world position: the pattern widens and fades with depth
+        float waterCaustics( vec3 position ) {
+            if ( causticsParams.y <= 0.0 ) return 1.0;
+            float depth = max( causticsDepth.x - position.y, 0.0 );
+            float spread = 1.0 + depth / causticsDepth.y;
+            vec2 p = position.xz / ( causticsParams.z * spread );
+            float t = causticsParams.x;
+            float pattern = 0.5 * ( causticsLayer( p, t ) + causticsLayer( p * 1.3 + 7.1, - t * 0.9 ) );
+            return 1.0 + causticsParams.y * exp( - depth / causticsDepth.y ) * pattern;
+        }
+    #endif
+`;
+
+/**
+ * Line of lights_fragment_begin applying the directional light shadow; the caustics are
+ * multiplied in right after it, so shadowed fragments get none.
+ * @type {string}
+ */
+const DIRECTIONAL_SHADOW_LINE = 'vDirectionalShadowCoord[ i ] ) : 1.0;';
+
+/**
+ * Whether installCausticsChunks() already ran.
+ * @type {boolean}
+ */
+let causticsChunksInstalled = false;
+
+/**
+ * Extends the shadow and light chunks of three.js with the caustics and adds their uniforms
+ * to the built-in lit materials. Runs once; later calls do nothing.
+ */
+function installCausticsChunks() {
+    if (causticsChunksInstalled) return;
+
+    const chunks = THREE.ShaderChunk;
+    if (!chunks.lights_fragment_begin.includes(DIRECTIONAL_SHADOW_LINE)) {
+        throw new Error('Caustics: unsupported three.js lights_fragment_begin chunk');
+    }
+    causticsChunksInstalled = true;
+
+    chunks.shadowmap_pars_vertex += CAUSTICS_VERTEX.shadowmap_pars_vertex;
+    chunks.shadowmap_vertex += CAUSTICS_VERTEX.shadowmap_vertex;
+    chunks.shadowmap_pars_fragment += CAUSTICS_PARS_FRAGMENT;
+    chunks.lights_fragment_begin = chunks.lights_fragment_begin.replace(
+        DIRECTIONAL_SHADOW_LINE,
+        DIRECTIONAL_SHADOW_LINE + '\n\t\tdirectLight.color *= receiveShadow ? waterCaustics( vCausticsPosition ) : 1.0;'
+    );
+    for (const shader of Object.values(THREE.ShaderLib)) {
+        if (shader.uniforms.directionalShadowMap) Object.assign(shader.uniforms, CAUSTICS_UNIFORMS);
+    }
+}
+
+/**
+ * MyCaustics
+ * Animated caustics in the sunlight: the shadow-casting directional light is modulated by a
+ * scrolling pattern on every surface with receiveShadow (terrain, rocks, temple, shipwreck,
+ * corals...). Deeper surfaces get a wider, fainter pattern, and shadowed areas none. Works
+ * on the built-in lit materials (Lambert, Phong, Standard, Toon).
+ */
+class MyCaustics {
+    /**
+     * Constructs a new MyCaustics, installing its shader chunks.
+     * Must be created before the materials it applies to are first rendered.
+     * @param {Object} [options] - Caustics settings.
+     * @param {number} [options.surfaceY=95] - Height of the water surface.
+     */
+    constructor(options = {}) {
+        installCausticsChunks();
+
+        /**
+         * Whether the caustics are shown.
+         * @type {boolean}
+         */
+        this.enabled = true;
+
+        /**
+         * Extra sunlight at the brightest caustic lines, just below the surface.
+         * @type {number}
+         */
+        this.intensity = 1;
+
+        /**
+         * Size of the pattern just below the surface, in world units.
+         * @type {number}
+         */
+        this.scale = 3;
+
+        /**
+         * Speed of the pattern animation.
+         * @type {number}
+         */
+        this.speed = 1;
+
+        /**
+         * Depth below the surface over which the caustics fade to about a third and double in size.
+         * @type {number}
+         */
+        this.fadeDistance = 150;
+
+        /**
+         * Height of the water surface.
+         * @type {number}
+         */
+        this.surfaceY = options.surfaceY ?? 95;
+
+        /**
+         * Animation time, advanced with the simulation at the current speed.
+         * @type {number}
+         */
+        this.time = 0;
+
+        this.updateUniforms();
+    }
+
+    /**
+     * Advances the animation.
+     * @param {number} deltaTime - Duration of the simulation step in seconds.
+     */
+    update(deltaTime) {
+        this.time += deltaTime * this.speed;
+        CAUSTICS_UNIFORMS.causticsParams.value[0] = this.time;
+    }
+
+    /**
+     * Pushes the settings to the shared shader uniforms.
+     * Call after changing the fields directly.
+     */
+    updateUniforms() {
+        const params = CAUSTICS_UNIFORMS.causticsParams.value;
+        params[0] = this.time;
+        params[1] = this.enabled ? this.intensity : 0;
+        params[2] = Math.max(this.scale, 0.01);
+        const depth = CAUSTICS_UNIFORMS.causticsDepth.value;
+        depth[0] = this.surfaceY;
+        depth[1] = Math.max(this.fadeDistance, 1);
+    }
+
+    /**
+     * Captures the caustics settings as plain data.
+     * @returns {Object} Serializable settings.
+     */
+    serialize() {
+        return {
+            enabled: this.enabled,
+            intensity: this.intensity,
+            scale: this.scale,
+            speed: this.speed,
+            fadeDistance: this.fadeDistance
+        };
+    }
+
+    /**
+     * Restores settings captured by serialize(); missing ones keep their value.
+     * @param {Object} data - Data produced by serialize().
+     */
+    restore(data) {
+        this.enabled = data.enabled ?? this.enabled;
+        this.intensity = data.intensity ?? this.intensity;
+        this.scale = data.scale ?? this.scale;
+        this.speed = data.speed ?? this.speed;
+        this.fadeDistance = data.fadeDistance ?? this.fadeDistance;
+        this.updateUniforms();
+    }
+}
+
+export { MyCaustics };
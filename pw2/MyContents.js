@@ -1,19 +1,19 @@
 import * as THREE from 'three';
 import { MyAxis } from './MyAxis.js';
 import { MyTerrain } from './seabed/MyTerrain.js';
-import { MyCoralGroup } from './corals/MyCoralGroup.js';
-import { MyBubbleParticles } from './seabed/MyBubbleParticles.js';
 import { MyMarineSnow } from './seabed/MyMarineSnow.js';
 import { MySandPuff } from './seabed/MySandPuff.js';
-import { MyTurtle } from './animals/MyTurtle.js';
-import { MyRock } from './seabed/MyRock.js';
-import { MyAlgaGroup } from './seabed/MyAlgaGroup.js';
-import { MyCrab } from './animals/MyCrab.js';
 import { MyShark } from './animals/MyShark.js';
-import { MyStarFish } from './animals/MyStarFish.js';
 import { MyShoal } from './animals/MyShoal.js';
 import { MyBreamFish } from './animals/MyBreamFish.js';
 import { MySlimFish } from './animals/MySlimFish.js';
+import { MyTurtle } from './animals/MyTurtle.js';
+import { MyJellyfish } from './animals/MyJellyfish.js';
+import { MyCrab } from './animals/MyCrab.js';
+import { MyStarFish } from './animals/MyStarFish.js';
+import { MyRock } from './seabed/MyRock.js';
+import { MyAlga } from './seabed/MyAlga.js';
+import { MyCoralGroup } from './corals/MyCoralGroup.js';
 import { MySubmarine } from './MySubmarine.js';
 import { MeshBVH, acceleratedRaycast, MeshBVHHelper } from 'three-mesh-bvh';
 import { MyHorizon } from './seabed/MyHorizon.js';
@@ -21,6 +21,25 @@ import { MyShipwreck } from './MyShipwreck.js';
 import { MyTemple } from './mainScene/MyTemple.js';
 import { MyJellyfishGroup } from './animals/MyJellyfishGroup.js';
 import { MyWaterCeiling } from './seabed/MyWaterCeiling.js';
+import { MySceneSnapshot } from './MySceneSnapshot.js';
+import { sceneRandom } from './MyRandom.js';
+import { platform } from './MyPlatform.js';
+import { terrainEntityTypes } from './MyEntityRegistry.js';
+import { MyEventBus } from './MyEventBus.js';
+import { SHOAL_TYPES } from './MyShoalTypes.js';
+import { MyDayCycle } from './MyDayCycle.js';
+import { MyUnderwaterFog } from './MyUnderwaterFog.js';
+import { MyCaustics } from './MyCaustics.js';
+
+/**
+ * Entity classes that can be selected or hovered with the pointer. A pick resolves to the
+ * closest ancestor of the hit mesh that is an instance of one of them.
+ * @type {Function[]}
+ */
+const SELECTABLE_TYPES = [
+    MyBreamFish, MySlimFish, MyTurtle, MyJellyfish, MyShark, MyCrab, MyStarFish,
+    MyRock, MyAlga, MyCoralGroup, MyShipwreck, MyTemple, MySubmarine
+];
 
 /**
  * MyContents
@@ -33,71 +52,80 @@ class MyContents  {
     /**
      * Set the number of a given terrain entity type.
      * Dynamically adjusts the count of various scene entities like bubbles, crabs, algae, etc.
-     * @param {string} type - Entity type: 'bubbles', 'crabs', 'algae', 'starfish', 'rocks', 'coral0', 'coral1'.
+     * @param {string} type - Name of a type registered in terrainEntityTypes (e.g. 'bubbles', 'coral0').
      * @param {number} count - Target number of entities.
      */
     setTerrainEntityCount(type, count) {
-        let group, ObjectType, options = {}, rotate = false, filterFn = null;
-        switch(type) {
-            case 'bubbles':
-                group = this.bubbleGroup;
-                ObjectType = MyBubbleParticles;
-                break;
-            case 'crabs':
-                group = this.crabGroup;
-                ObjectType = MyCrab;
-                rotate = true;
-                break;
-            case 'algae':
-                group = this.algaGroups;
-                ObjectType = MyAlgaGroup;
-                break;
-            case 'starfish':
-                group = this.starFishGroup;
-                ObjectType = MyStarFish;
-                rotate = true;
-                break;
-            case 'rocks':
-                group = this.rockGroup;
-                ObjectType = MyRock;
-                break;
-            case 'coral0':
-                group = this.coralGroups;
-                ObjectType = MyCoralGroup;
-                options = {type: 0};
-                filterFn = obj => obj.type === 0;
-                rotate = true;
-                break;
-            case 'coral1':
-                group = this.coralGroups;
-                ObjectType = MyCoralGroup;
-                options = {type: 1};
-                filterFn = obj => obj.type === 1;
-                rotate = true;
-                break;
-            default:
-                return;
-        }
+        const entityType = terrainEntityTypes.get(type);
+        if (!entityType) return;
+
+        const group = this[entityType.group];
 
         // Remove all objects of this type from group and terrain.objects
-        let toRemove = [];
-        if (filterFn) {
-            toRemove = group.children.filter(filterFn);
-        } else {
-            toRemove = [...group.children];
+        this.removeTerrainEntities(group, entityType.filter);
+
+        // Add new objects up to count
+        this.Terrain.addSpreadedObj(entityType, group, count);
+
+        this.refreshSelectableObjects();
+        this.events.emit('entityCountChanged', { type, source: group, count: this.getTerrainEntities(type).length });
+    }
+
+    /**
+     * Rebuilds a terrain entity in place from its serialized options with some of them
+     * changed, keeping its position and orientation.
+     * @param {THREE.Object3D} entity - Placed instance of a registered terrain entity type.
+     * @param {Object} changes - Constructor options to override.
+     * @returns {THREE.Object3D} The replacement, already in the scene.
+     */
+    replaceTerrainEntity(entity, changes) {
+        const group = entity.parent;
+        const entityType = terrainEntityTypes.list().find(type =>
+            this[type.group] === group && (!type.filter || type.filter(entity)));
+        if (!entityType) {
+            throw new Error(`Not a terrain entity: ${entity.constructor.name}`);
         }
+
+        const { x, z } = entity.position;
+        const quaternion = entity.quaternion.clone();
+        const options = { ...entity.serialize(), ...changes };
+
+        this.removeTerrainEntities(group, obj => obj === entity);
+        const replacement = this.Terrain.placeObj(entityType.ObjectType, options, group, x, z, quaternion);
+        this.refreshSelectableObjects();
+        return replacement;
+    }
+
+    /**
+     * Returns the placed instances of a terrain entity type.
+     * @param {string} type - Name of a registered entity type.
+     * @returns {THREE.Object3D[]} The instances (empty for unknown types).
+     */
+    getTerrainEntities(type) {
+        const entityType = terrainEntityTypes.get(type);
+        const group = entityType && this[entityType.group];
+        if (!group) return [];
+        return entityType.filter ? group.children.filter(entityType.filter) : [...group.children];
+    }
+
+    /**
+     * Removes terrain entities from a group and from the terrain's placed-object list, disposing them.
+     * Clears the selection and the hover if they belong to a removed entity.
+     * @param {THREE.Group} group - Group holding the entities.
+     * @param {Function|null} filterFn - Optional predicate selecting which children to remove.
+     */
+    removeTerrainEntities(group, filterFn = null) {
+        const toRemove = filterFn ? group.children.filter(filterFn) : [...group.children];
+        this.deselectWithin(toRemove);
         toRemove.forEach(obj => {
             group.remove(obj);
+            // Frees GPU memory; shared textures and geometries survive while other entities use them
+            if (typeof obj.dispose === 'function') obj.dispose();
             if (this.Terrain && this.Terrain.objects) {
                 const idx = this.Terrain.objects.indexOf(obj);
                 if (idx !== -1) this.Terrain.objects.splice(idx, 1);
             }
         });
-
-        // Add new objects up to count
-        for (let i = 0; i < count; i++) {
-            this.Terrain.addSpreadedObj(ObjectType, {...options}, group, 1, rotate);
-        }
     }
 
     /**
@@ -108,26 +136,68 @@ class MyContents  {
         this.app = app
         this.axis = null
         this.marineSnow = null;
+        // Camera distance beyond which bubble emitters show fewer bubbles (a quality budget)
+        this.bubbleLodDistance = 60;
         this.sandPuffs = [];
+        // Own stream for click-spawned puffs, so clicks do not shift later world spawns (set by init())
+        this.sandPuffRandom = null;
         this.objects = [];
         this.submarine = null;
+
+        /**
+         * Every fish shoal of the scene: the three built-in ones (also reachable as
+         * breamFishShoal, slimFishShoal and turtleShoal) followed by those added at runtime.
+         * @type {MyShoal[]}
+         */
+        this.shoals = [];
         this.diffusePlaneColor = "#00ffff"
         this.specularPlaneColor = "#777777"
         this.planeShininess = 30
         this.planeMaterial = new THREE.MeshPhongMaterial({ color: this.diffusePlaneColor, 
             specular: this.specularPlaneColor, emissive: "#000000", shininess: this.planeShininess })
 
-        this.clock = new THREE.Clock();
-        this.clock.start(); // Explicitly start the clock
-
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this._selectedEntity = null;
+        this._hoveredEntity = null;
+        // Last pointer position over the canvas, picked again on the next rendered frame
+        this._hoverPointer = null;
+        this._hoverPending = false;
 
         this.bvhHelpers = new THREE.Group();
         this.bvhHelpers.visible = false;
         this._bvhHelpersDepth = 10;
         this._bvhEnabled = false;
+
+        /**
+         * Exporter/loader for JSON scene snapshots.
+         * @type {MySceneSnapshot}
+         */
+        this.snapshot = new MySceneSnapshot(this);
+
+        /**
+         * Scene event bus: selection, submarine collisions, shoal panic, sand puffs and entity counts.
+         * @type {MyEventBus}
+         */
+        this.events = new MyEventBus();
+
+        /**
+         * Underwater fog of the scene, set up by init().
+         * @type {MyUnderwaterFog|null}
+         */
+        this.waterFog = null;
+
+        /**
+         * Caustics projected by the sun on the surfaces receiving shadows, set up by init().
+         * @type {MyCaustics|null}
+         */
+        this.caustics = null;
+
+        /**
+         * Time of day driving the sun, the water colors and the night behavior.
+         * @type {MyDayCycle|null}
+         */
+        this.dayCycle = null;
     }
 
     /**
@@ -154,16 +224,7 @@ class MyContents  {
                 }
             }
         });
-        this.breamFishShoal.traverse(child => {
-            if (child.isMesh && child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(mat => mat.wireframe = enabled);
-                } else {
-                    child.material.wireframe = enabled;
-                }
-            }
-        });
-        this.slimFishShoal.traverse(child => {
+        this.shoals.forEach(shoal => shoal.traverse(child => {
             if (child.isMesh && child.material) {
                 if (Array.isArray(child.material)) {
                     child.material.forEach(mat => mat.wireframe = enabled);
@@ -171,16 +232,7 @@ class MyContents  {
                     child.material.wireframe = enabled;
                 }
             }
-        });
-        this.turtleShoal.traverse(child => {
-            if (child.isMesh && child.material) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(mat => mat.wireframe = enabled);
-                } else {
-                    child.material.wireframe = enabled;
-                }
-            }
-        });
+        }));
         this.algaGroups.traverse(child => {
             if (child.isMesh && child.material) {
                 if (Array.isArray(child.material)) {
@@ -265,6 +317,11 @@ class MyContents  {
         // Water ceiling with video texture
         this.waterCeiling = new MyWaterCeiling(175, 0.5, 95, './textures/ceiling.mp4');
         this.app.scene.add(this.waterCeiling);
+
+        // Water absorbs red first, then green, with distance and with depth below the ceiling
+        this.waterFog = new MyUnderwaterFog({ surfaceY: this.waterCeiling.position.y });
+        this.waterFog.applyTo(this.app.scene);
+        this.caustics = new MyCaustics({ surfaceY: this.waterCeiling.position.y });
     
         if (this.axis === null) {
             this.axis = new MyAxis(this)
@@ -288,66 +345,16 @@ class MyContents  {
         sunLight.shadow.camera.bottom = -150;
 
         this.app.scene.add(sunLight);
+        this.sunLight = sunLight;
 
         this.Terrain = new MyTerrain();
 
         this.temple = new MyTemple();
         this.app.scene.add(this.temple);
         
-        this.breamFishShoal = new MyShoal(MyBreamFish, {
-            separationDistance: 15.0,
-            alignmentDistance: 40.0,
-            cohesionDistance: 60.0,
-            separationWeight: 3.0,
-            alignmentWeight: 3.0,
-            cohesionWeight: 5.0,
-            fishCount: 50,
-            areaSize: 1000,
-            height: 200,
-            boundaryMargin: 80,
-            boundaryForce: 2.0,
-            dangerDistance: 30,
-            panicDistance: 15,
-            color: '#506f6c',
-            terrain: this.Terrain,
-            temple: this.temple,
-        });
-        this.breamFishShoal.position.set(0, 25, 0);
-        this.app.scene.add(this.breamFishShoal);
-        
-        this.slimFishShoal = new MyShoal(MySlimFish, {
-            fishCount: 40,
-            areaSize: 1000,
-            height: 200,
-            boundaryMargin: 80,
-            boundaryForce: 2.0,
-            dangerDistance: 30,
-            panicDistance: 15,
-            color: '#8dcec7',
-            terrain: this.Terrain,
-            temple: this.temple,
-            fishScale: 3.5,
-        });
-        this.slimFishShoal.position.set(0, 25, 0);
-        this.app.scene.add(this.slimFishShoal);
-        
-        this.turtleShoal = new MyShoal(MyTurtle, {
-            fishCount: 12,
-            areaSize: 1000,
-            height: 200,
-            boundaryMargin: 80,
-            boundaryForce: 2.0,
-            dangerDistance: 30,
-            panicDistance: 15,
-            color: '#20622a',
-            terrain: this.Terrain,
-            temple: this.temple,
-            fishScale: 5,
-        });
-        this.turtleShoal.position.set(0, 25, 0);
-        this.app.scene.add(this.turtleShoal);
-
-        this.turtleShoal.setFishScale(10);
+        this.breamFishShoal = this._createShoal('breamFish');
+        this.slimFishShoal = this._createShoal('slimFish');
+        this.turtleShoal = this._createShoal('turtle');
 
         // Fewer particles to keep GPU usage moderate
         this.marineSnow = new MyMarineSnow(700, 350, 95, 0);
@@ -356,49 +363,30 @@ class MyContents  {
         this.shark = new MyShark();
         this.shark.scale.set(0.8,0.8,0.8);
         this.app.scene.add(this.shark);
-        this.breamFishShoal.addDangerousEntity(this.shark);
-        this.slimFishShoal.addDangerousEntity(this.shark);
-        this.turtleShoal.addDangerousEntity(this.shark);
+        this.shoals.forEach(shoal => shoal.addDangerousEntity(this.shark));
 
-        this.starFishGroup = new THREE.Group();
-        this.algaGroups = new THREE.Group();
-        this.rockGroup = new THREE.Group();
-        this.coralGroups = new THREE.Group();
-        this.crabGroup = new THREE.Group();
-        this.bubbleGroup = new THREE.Group();
+        // One group per registered terrain entity group (types may share a group, e.g. corals)
+        for (const entityType of terrainEntityTypes.list()) {
+            if (!this[entityType.group]) {
+                this[entityType.group] = new THREE.Group();
+                this.app.scene.add(this[entityType.group]);
+            }
+        }
 
         this.Terrain = new MyTerrain();
         // Slightly fewer spawned instances per group to reduce draw/CPU load
-        this.Terrain.addSpreadedObj(MyBubbleParticles, {}, this.bubbleGroup, 10, false);
-        this.Terrain.addSpreadedObj(MyCrab, {}, this.crabGroup, 7, true);
-        this.Terrain.addSpreadedObj(MyAlgaGroup, {}, this.algaGroups, 14, false);
-        this.Terrain.addSpreadedObj(MyStarFish, {}, this.starFishGroup, 10, true);
-        this.Terrain.addSpreadedObj(MyRock, {}, this.rockGroup, 10, false);
-        this.Terrain.addSpreadedObj(MyCoralGroup, {type:0}, this.coralGroups, 7, true);
-        this.Terrain.addSpreadedObj(MyCoralGroup, {type:1}, this.coralGroups, 7, true);
-        
-        this.app.scene.add(this.bubbleGroup);
-        this.app.scene.add(this.algaGroups);
-        this.app.scene.add(this.rockGroup);
-        this.app.scene.add(this.starFishGroup);
-        this.app.scene.add(this.coralGroups);
-        this.app.scene.add(this.crabGroup);
+        for (const entityType of terrainEntityTypes.list()) {
+            this.Terrain.addSpreadedObj(entityType, this[entityType.group], entityType.count);
+        }
 
         this.submarine = new MySubmarine(this.app.cameras['Submarine view'], this.app.controls, -75, 30, 0, 4, this.app.cameras['Free-Fly'], this.Terrain, this.temple);
+        this.submarine.events = this.events;
         this.app.scene.add(this.submarine);
-        this.breamFishShoal.addDangerousEntity(this.submarine);
-        this.slimFishShoal.addDangerousEntity(this.submarine);
-        this.turtleShoal.addDangerousEntity(this.submarine);
+        this.shoals.forEach(shoal => shoal.addDangerousEntity(this.submarine));
 
         this.app.scene.add(this.Terrain);
         
-        const video = document.getElementById('horizon');
-        video.muted = true;
-        video.loop = true;
-        video.playsinline = true;
-        video.play().catch(err => {
-            console.warn("Video failed to play automatically:", err);
-        });
+        const video = platform.assets.getVideoElement('horizon', () => this.horizon.useFallbackMaterial());
         this.horizon = new MyHorizon(175, 50, 100, video);
         this.horizon.position.setY(-5)
         this.app.scene.add(this.horizon);
@@ -412,14 +400,37 @@ class MyContents  {
         this.jellyfishGroups = [];
         for (let i = 0; i < 3; i++) {
             const group = new MyJellyfishGroup();
-            const x = (Math.random() - 0.5) * 80; 
-            const y = 50 + Math.random() * 10;
-            const z = (Math.random() - 0.5) * 80;
+            const x = (sceneRandom.next() - 0.5) * 80; 
+            const y = 50 + sceneRandom.next() * 10;
+            const z = (sceneRandom.next() - 0.5) * 80;
             group.position.set(x, y, z);
             this.app.scene.add(group);
             this.jellyfishGroups.push(group);
         }
 
+        this.refreshSelectableObjects();
+
+        // Point the shoals at the terrain that was actually populated
+        this.shoals.forEach(shoal => shoal.terrain = this.Terrain);
+
+        this.toggleBVH();
+
+        // Sun, water colors and night lights, starting at noon (the look set up above)
+        this.dayCycle = new MyDayCycle(this, sunLight);
+
+        this.sandPuffRandom = sceneRandom.fork();
+
+        // Pointer selection needs a canvas; headless runs have no renderer
+        if (this.app.renderer) {
+            this._initSelectionHandlers();
+        }
+    }
+
+    /**
+     * Rebuilds the list of objects that can be picked with the pointer.
+     * Must be called whenever entities are added to or removed from the scene.
+     */
+    refreshSelectableObjects() {
         this.objects = [
             ...this.starFishGroup.children,
             ...this.algaGroups.children,
@@ -428,61 +439,109 @@ class MyContents  {
             ...this.crabGroup.children,
             ...this.jellyfishGroups,
             this.shark,
-            this.breamFishShoal,
-            this.slimFishShoal,
-            this.turtleShoal,
+            ...this.shoals,
             this.submarine,
             this.temple,
             this.Terrain,
             this.shipwreck
         ].filter(obj => obj);
+    }
 
-        // Set terrain reference for both shoals
-        this.breamFishShoal.terrain = this.Terrain;
-        this.slimFishShoal.terrain = this.Terrain;
-        this.turtleShoal.terrain = this.Terrain;
+    /**
+     * Adds a shoal to the running scene. It avoids the terrain and the temple and flees
+     * the shark and the submarine, like the built-in shoals.
+     * @param {string} typeName - Key of SHOAL_TYPES (e.g. 'breamFish').
+     * @param {Object} [options={}] - MyShoal options overriding the type's defaults.
+     * @returns {MyShoal} The new shoal.
+     */
+    addShoal(typeName, options = {}) {
+        const shoal = this._createShoal(typeName, options);
+        shoal.addDangerousEntity(this.shark);
+        shoal.addDangerousEntity(this.submarine);
+        this.refreshSelectableObjects();
+        this.events.emit('entityCountChanged', { type: 'shoal', source: shoal, count: shoal.fishes.length });
+        return shoal;
+    }
 
-        this.breamFishShoal.temple = this.temple;
-        this.slimFishShoal.temple = this.temple;
-        this.turtleShoal.temple = this.temple;
+    /**
+     * Removes a shoal added with addShoal() and disposes its fish. The built-in shoals stay.
+     * @param {MyShoal} shoal - Shoal to remove.
+     */
+    removeShoal(shoal) {
+        const index = this.shoals.indexOf(shoal);
+        if (index === -1 || [this.breamFishShoal, this.slimFishShoal, this.turtleShoal].includes(shoal)) return;
+
+        this.deselectWithin([shoal]);
+        this.shoals.splice(index, 1);
+        this.app.scene.remove(shoal);
+        shoal.dispose();
+        this.refreshSelectableObjects();
+        this.events.emit('entityCountChanged', { type: 'shoal', source: shoal, count: 0 });
+    }
 
-        this.toggleBVH();
+    /**
+     * Lists the shoals added at runtime, in the order they were added.
+     * @returns {MyShoal[]} Shoals other than the three built-in ones.
+     */
+    getAddedShoals() {
+        const builtIn = [this.breamFishShoal, this.slimFishShoal, this.turtleShoal];
+        return this.shoals.filter(shoal => !builtIn.includes(shoal));
+    }
 
-        this._initSelectionHandlers();
+    /**
+     * Creates a shoal of a registered type, wires it to the event bus, the terrain and
+     * the temple, and adds it to the scene and to the shoal list.
+     * @param {string} typeName - Key of SHOAL_TYPES.
+     * @param {Object} [options={}] - Options overriding the type's defaults.
+     * @returns {MyShoal} The new shoal.
+     * @private
+     */
+    _createShoal(typeName, options = {}) {
+        const shoalType = SHOAL_TYPES[typeName];
+        if (!shoalType) {
+            throw new Error(`Unknown shoal type: ${typeName}`);
+        }
 
+        const shoal = new MyShoal(shoalType.FishClass, {
+            ...shoalType.options,
+            ...options,
+            terrain: this.Terrain,
+            temple: this.temple
+        });
+        shoal.userData.shoalType = typeName;
+        shoal.events = this.events;
+        shoal.position.set(0, 25, 0);
+        this.app.scene.add(shoal);
+        this.shoals.push(shoal);
+        return shoal;
     }
 
     /**
-     * Updates all dynamic scene elements each frame.
+     * Advances all dynamic scene elements by one simulation step.
      * Handles animations, physics, particle systems, and entity behaviors.
+     * Called by the application's simulation clock, never directly from the render loop.
+     * @param {number} deltaTime - Duration of the step in seconds.
+     * @param {number} elapsedTime - Simulation time elapsed since start, in seconds.
      */
-    update() {
-        this.shark.update();
-        const elapsedTime = this.clock.getElapsedTime(); 
-        const deltaTime = this.clock.getDelta();
-        const safeDeltaTime = Math.max(deltaTime, 0.016);
-        this.shark.swimAnimation(); 
+    update(deltaTime, elapsedTime) {
+        // Sample the controls once per step, so button presses are seen by exactly one step
+        platform.actions.update();
+
+        this.dayCycle.update(deltaTime);
+        this.caustics.update(deltaTime);
+        this.shark.update(elapsedTime);
         if (this.jellyfishGroups) {
-            const camera = this.app.activeCamera || this.app.camera;
             for (const group of this.jellyfishGroups) {
                 if (typeof group.animate === 'function') {
                     group.animate(elapsedTime);
                 }
-                // Update LOD for each jellyfish in the group
-                if (group.jellyfishList) {
-                    for (const jelly of group.jellyfishList) {
-                        if (typeof jelly.update === 'function') {
-                            jelly.update(camera);
-                        }
-                    }
-                }
             }
         }
         
         this.algaGroups.children.forEach(algaGroup => {
             algaGroup.children.forEach(child => {
                 if (typeof child.update === 'function') {
-                    child.update();
+                    child.update(elapsedTime);
                 }
             });
         });
@@ -494,28 +553,22 @@ class MyContents  {
             });
         });
 
-        const camera = this.app.activeCamera;
         this.bubbleGroup.children.forEach(bubbleParticle => {
-            if (typeof bubbleParticle.updateLOD === 'function') {
-                bubbleParticle.updateLOD(camera);
-            }
             if (typeof bubbleParticle.update === 'function') {
-                bubbleParticle.update(safeDeltaTime);
+                bubbleParticle.update(deltaTime);
             }
         });
    
-        this.breamFishShoal.update(elapsedTime);
-        this.slimFishShoal.update(elapsedTime);
-        this.turtleShoal.update(elapsedTime);
+        this.shoals.forEach(shoal => shoal.update(deltaTime));
         this.submarine.update(this.app.activeCamera);
         
         if (this.marineSnow) {
-            this.marineSnow.update(safeDeltaTime);
+            this.marineSnow.update(deltaTime);
         }
         
         // Update sand puffs and remove inactive ones
         for (let i = this.sandPuffs.length - 1; i >= 0; i--) {
-            this.sandPuffs[i].update(safeDeltaTime);
+            this.sandPuffs[i].update(deltaTime);
             if (!this.sandPuffs[i].isActive()) {
                 this.app.scene.remove(this.sandPuffs[i]);
                 this.sandPuffs[i].dispose();
@@ -524,6 +577,37 @@ class MyContents  {
         }
     }
 
+    /**
+     * Refreshes camera-dependent state (levels of detail, the entity under the pointer)
+     * once per rendered frame, so the view stays correct while the simulation is paused.
+     * @param {THREE.Camera} camera - The camera the frame is rendered from.
+     */
+    updateView(camera) {
+        if (this._hoverPending) {
+            this._hoverPending = false;
+            this._updateHover();
+        }
+
+        if (this.jellyfishGroups) {
+            for (const group of this.jellyfishGroups) {
+                // Update LOD for each jellyfish in the group
+                if (group.jellyfishList) {
+                    for (const jelly of group.jellyfishList) {
+                        if (typeof jelly.update === 'function') {
+                            jelly.update(camera);
+                        }
+                    }
+                }
+            }
+        }
+
+        this.bubbleGroup.children.forEach(bubbleParticle => {
+            if (typeof bubbleParticle.updateLOD === 'function') {
+                bubbleParticle.updateLOD(camera, this.bubbleLodDistance);
+            }
+        });
+    }
+
     /**
      * Toggles BVH visualization helpers on/off.
      * @param {boolean} visible - Whether to show BVH debug visualization.
@@ -545,9 +629,7 @@ class MyContents  {
         THREE.Mesh.prototype.raycast = enable ? acceleratedRaycast : THREE.Mesh.prototype.raycast;
 
         const bvhTargets = [
-            this.breamFishShoal,
-            this.slimFishShoal,
-            this.turtleShoal,
+            ...this.shoals,
             this.Terrain,
             this.temple,
             this.shark,
@@ -608,12 +690,14 @@ class MyContents  {
 
     /**
      * Initializes mouse/touch selection handlers for interactive scene elements.
-     * Sets up pointer event listeners for entity selection.
+     * Sets up pointer event listeners for entity selection and hovering.
      * @private
      */
     _initSelectionHandlers() {
         const dom = this.app.renderer.domElement;
         dom.addEventListener('pointerdown', this._onPointerDown.bind(this));
+        dom.addEventListener('pointermove', this._onPointerMove.bind(this));
+        dom.addEventListener('pointerleave', this._onPointerLeave.bind(this));
     }
 
     /**
@@ -623,37 +707,75 @@ class MyContents  {
      * @private
      */
     _onPointerDown(event) {
-        const rect = this.app.renderer.domElement.getBoundingClientRect();
-        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        const hit = this._pick(event.clientX, event.clientY);
+        // Check if we hit the terrain (seabed)
+        if (hit && this._isSeabedHit(hit.object)) {
+            this._spawnSandPuff(hit.point);
+        }
+        this.select(hit ? this._resolveEntity(hit.object) : null);
+    }
+
+    /**
+     * Remembers where the pointer is; the entity under it is picked on the next frame,
+     * so fast mouse moves cost at most one raycast per frame.
+     * @param {PointerEvent} event - Pointer event data.
+     * @private
+     */
+    _onPointerMove(event) {
+        // Touch has no hover; a drag ends with a pointerdown somewhere else anyway
+        if (event.pointerType === 'touch') return;
+        this._hoverPointer = { x: event.clientX, y: event.clientY };
+        this._hoverPending = true;
+    }
+
+    /**
+     * Clears the hover when the pointer leaves the canvas.
+     * @private
+     */
+    _onPointerLeave() {
+        this._hoverPointer = null;
+        this._hoverPending = false;
+        this.hover(null);
+    }
 
-        const camera = this.app.activeCamera || this.app.camera;
+    /**
+     * Picks the entity under the last known pointer position.
+     * @private
+     */
+    _updateHover() {
+        if (!this._hoverPointer) return;
+        const hit = this._pick(this._hoverPointer.x, this._hoverPointer.y);
+        this.hover(hit ? this._resolveEntity(hit.object) : null);
+    }
+
+    /**
+     * Casts a ray through the camera of the viewport under a screen position.
+     * @param {number} clientX - Horizontal position in CSS pixels.
+     * @param {number} clientY - Vertical position in CSS pixels.
+     * @returns {Object|null} Closest mesh intersection that can be selected, or null.
+     * @private
+     */
+    _pick(clientX, clientY) {
+        // Pick through the camera of the viewport under the pointer
+        const camera = this.app.viewports.pick(clientX, clientY, this.mouse);
+        if (!camera) return null;
         this.raycaster.setFromCamera(this.mouse, camera);
 
         const intersects = this.raycaster.intersectObjects(this.objects, true);
+        return intersects.find(i => i.object && i.object.isMesh && !this._isIgnored(i.object)) ?? null;
+    }
 
-        const filtered = intersects.filter(i => {
-            let obj = i.object;
-            while (obj) {
-                if (obj.userData.ignoreSelection) return false;
-                obj = obj.parent;
-            }
-            return true;
-        });
-
-        if (filtered.length > 0) {
-            const hit = filtered.find(i => i.object && i.object.isMesh);
-            if (hit) {
-                // Check if we hit the terrain (seabed)
-                if (this._isSeabedHit(hit.object)) {
-                    this._spawnSandPuff(hit.point);
-                } 
-                this._handleSelection(hit.object);
-                return;
-            }
+    /**
+     * Checks whether an object or one of its ancestors is excluded from selection.
+     * @param {THREE.Object3D} object - Object hit by the ray.
+     * @returns {boolean} True if it cannot be picked.
+     * @private
+     */
+    _isIgnored(object) {
+        for (let current = object; current; current = current.parent) {
+            if (current.userData.ignoreSelection) return true;
         }
-
-        this._handleSelection(null);
+        return false;
     }
     
     /**
@@ -674,6 +796,20 @@ class MyContents  {
         return false;
     }
     
+    /**
+     * Checks whether an object is a root or one of its descendants.
+     * @param {THREE.Object3D} object - Object to check.
+     * @param {THREE.Object3D} root - Root of the hierarchy.
+     * @returns {boolean} True if root is the object or one of its ancestors.
+     * @private
+     */
+    _isDescendant(object, root) {
+        for (let current = object; current; current = current.parent) {
+            if (current === root) return true;
+        }
+        return false;
+    }
+
     /**
      * Spawns a sand puff particle effect at the specified position.
      * Creates visual feedback for interactions with the seabed.
@@ -681,47 +817,76 @@ class MyContents  {
      * @private
      */
     _spawnSandPuff(position) {
-        const sandPuff = new MySandPuff(position, 100);
+        const sandPuff = new MySandPuff(position, 100, this.sandPuffRandom);
         this.app.scene.add(sandPuff);
         this.sandPuffs.push(sandPuff);
+        this.events.emit('sandPuffSpawned', { puff: sandPuff, position: position.clone() });
     }
 
     /**
-     * Handles entity selection logic when an object is clicked.
-     * Manages selection highlighting and triggers appropriate callbacks.
-     * @param {THREE.Object3D} object - The selected object (or null for deselection).
+     * Finds the entity a picked mesh belongs to.
+     * @param {THREE.Object3D} object - Mesh hit by the ray.
+     * @returns {THREE.Object3D|null} Closest ancestor (or the mesh itself) of a SELECTABLE_TYPES
+     *     class, or null for the terrain and other scenery.
      * @private
      */
-    _handleSelection(object) {
-        if (this._selectedEntity && this._selectedEntity.onSelect) {
-            this._selectedEntity.onSelect(false);
+    _resolveEntity(object) {
+        for (let entity = object; entity; entity = entity.parent) {
+            if (SELECTABLE_TYPES.some(type => entity instanceof type)) return entity;
         }
-        this._selectedEntity = null;
+        return null;
+    }
 
-        if (!object) return;
+    /**
+     * Makes an entity the current selection and emits 'entitySelected'. The entity is
+     * outlined by the 'selectionOutline' post-processing pass; its materials are left alone.
+     * @param {THREE.Object3D|null} entity - Entity to select, or null to clear the selection.
+     */
+    select(entity) {
+        const previous = this._selectedEntity;
+        this._selectedEntity = entity;
+        this.events.emit('entitySelected', { entity, previous });
+    }
 
-        let entity = object;
-        while (entity) {
-            if (entity.userData.ignoreSelection) {
-                entity = entity.parent;
-                continue;
-            }
-            if (entity.isMyBreamFish || entity.isMyJellyfish) {
-                this._selectedEntity = entity;
-                break;
-            }
-            if (entity.onSelect && typeof entity.onSelect === 'function' && entity !== object && entity !== this.app.scene) {
-                this._selectedEntity = entity;
-                break;
-            }
-            entity = entity.parent;
+    /**
+     * Clears the selection and the hover if they belong to entities about to be removed,
+     * so neither keeps pointing at a disposed object.
+     * @param {THREE.Object3D[]} roots - Entities (or groups of entities) being removed.
+     */
+    deselectWithin(roots) {
+        const isRemoved = entity => roots.some(root => this._isDescendant(entity, root));
+        if (this._selectedEntity && isRemoved(this._selectedEntity)) {
+            this.select(null);
         }
-
-        if (this._selectedEntity && this._selectedEntity.onSelect) {
-            this._selectedEntity.onSelect(true);
+        if (this._hoveredEntity && isRemoved(this._hoveredEntity)) {
+            this.hover(null);
         }
     }
 
+    /**
+     * Sets the entity under the pointer, drawn with the 'hoverGlow' pass.
+     * @param {THREE.Object3D|null} entity - Hovered entity, or null.
+     */
+    hover(entity) {
+        this._hoveredEntity = entity;
+    }
+
+    /**
+     * Currently selected entity, or null.
+     * @type {THREE.Object3D|null}
+     */
+    get selectedEntity() {
+        return this._selectedEntity;
+    }
+
+    /**
+     * Entity under the pointer, or null.
+     * @type {THREE.Object3D|null}
+     */
+    get hoveredEntity() {
+        return this._hoveredEntity;
+    }
+
 }
 
 export { MyContents };
\ No newline at end of file
@@ -0,0 +1,228 @@
+// MyDayCycle.js
+// Time of day of the underwater scene: sun and moon light, water colors and night-time behavior.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * @typedef {Object} MyTimeOfDayKey
+ * @property {number} hour - Hour of the key, 0 to 24.
+ * @property {number} light - Color of the directional light (sun by day, moon by night).
+ * @property {number} intensity - Intensity of the directional light.
+ * @property {number} background - Scene background color.
+ * @property {number} horizon - Tint of the horizon cylinder.
+ * @property {number} ceiling - Brightness of the water ceiling (1 is its daylight color).
+ * @property {number} night - How much of the night look applies, 0 (day) to 1 (night).
+ */
+
+/**
+ * Looks of the scene through the day, interpolated in between. Noon matches the scene's
+ * original static lighting; the last key wraps around to the first.
+ * @type {MyTimeOfDayKey[]}
+ */
+const TIME_OF_DAY_KEYS = [
+    { hour: 0, light: 0x3a5a99, intensity: 0.15, background: 0x020308, horizon: 0x0c1a24, ceiling: 0.12, night: 1 },
+    { hour: 5, light: 0x3a5a99, intensity: 0.12, background: 0x03050a, horizon: 0x10222c, ceiling: 0.15, night: 1 },
+    { hour: 7, light: 0xff9f70, intensity: 0.6, background: 0x0b0b10, horizon: 0x3b5a62, ceiling: 0.55, night: 0 },
+    { hour: 9, light: 0x9fc0e8, intensity: 0.95, background: 0x0e0e12, horizon: 0x4c7a7c, ceiling: 0.85, night: 0 },
+    { hour: 12, light: 0x66bbff, intensity: 1.2, background: 0x101010, horizon: 0x578e8b, ceiling: 1, night: 0 },
+    { hour: 17, light: 0x7fb8f0, intensity: 1.0, background: 0x0e0e10, horizon: 0x4f7f80, ceiling: 0.85, night: 0 },
+    { hour: 19, light: 0xff8060, intensity: 0.45, background: 0x0a0808, horizon: 0x3a4f58, ceiling: 0.45, night: 0.3 },
+    { hour: 21, light: 0x3a5a99, intensity: 0.15, background: 0x020308, horizon: 0x0c1a24, ceiling: 0.12, night: 1 }
+];
+
+/**
+ * MyDayCycle
+ * Advances a clock on simulation time and applies the look of the hour: the directional
+ * light follows the sun across the sky by day and the moon (opposite the sun) by night,
+ * while the background, the horizon tint, the water ceiling and the fog darken. At night the
+ * jellyfish glow and the submarine lamps are turned up so they become the main lights,
+ * and the shoals switch to their slower night mode.
+ */
+class MyDayCycle {
+    /**
+     * Constructs a new MyDayCycle instance, starting at noon.
+     * @param {MyContents} contents - Initialized contents manager owning the lit entities.
+     * @param {THREE.DirectionalLight} light - Light moved and tinted along the day.
+     */
+    constructor(contents, light) {
+        /**
+         * Contents manager owning the horizon, water ceiling, jellyfish, submarine and shoals.
+         * @type {MyContents}
+         */
+        this.contents = contents;
+
+        /**
+         * Directional light playing the sun and the moon.
+         * @type {THREE.DirectionalLight}
+         */
+        this.light = light;
+
+        /**
+         * Current hour, 0 (midnight) to 24.
+         * @type {number}
+         */
+        this.time = 12;
+
+        /**
+         * Seconds of simulated time one full day lasts at speed 1.
+         * @type {number}
+         */
+        this.dayLength = 600;
+
+        /**
+         * Multiplier of the clock speed; 0 holds the current hour.
+         * @type {number}
+         */
+        this.speed = 1;
+
+        /**
+         * Whether the shoals slow down at night.
+         * @type {boolean}
+         */
+        this.nightBehavior = true;
+
+        /**
+         * Brightness boost of the jellyfish and submarine lights at full night.
+         * @type {number}
+         */
+        this.nightLightBoost = 2.5;
+
+        /**
+         * How much of the night look currently applies, 0 to 1.
+         * @type {number}
+         */
+        this.nightAmount = 0;
+
+        // The noon position sets the distance of the light and the highest point of the sun
+        const noon = light.position.clone();
+        this._distance = noon.length();
+        this._maxElevation = Math.atan2(noon.y, Math.hypot(noon.x, noon.z));
+        this._noonAzimuth = Math.atan2(noon.z, noon.x);
+
+        this._color = new THREE.Color();
+        this._colorTo = new THREE.Color();
+
+        this.apply();
+    }
+
+    /**
+     * Advances the clock and applies the new hour.
+     * @param {number} deltaTime - Duration of the simulation step in seconds.
+     */
+    update(deltaTime) {
+        if (this.speed > 0 && this.dayLength > 0) {
+            this.time = (this.time + deltaTime * this.speed * 24 / this.dayLength) % 24;
+        }
+        this.apply();
+    }
+
+    /**
+     * Jumps to an hour and applies it.
+     * @param {number} hour - Hour of the day, wrapped into 0 to 24.
+     */
+    setTime(hour) {
+        this.time = ((hour % 24) + 24) % 24;
+        this.apply();
+    }
+
+    /**
+     * Describes the current hour for display.
+     * @returns {string} Time as "HH:MM".
+     */
+    get clock() {
+        const minutes = Math.floor(this.time * 60) % (24 * 60);
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Applies the look of the current hour to the light, the water and the creatures.
+     */
+    apply() {
+        const contents = this.contents;
+        const [from, to, t] = this._findKeys(this.time);
+
+        this.light.color.set(from.light).lerp(this._colorTo.set(to.light), t);
+        this.light.intensity = THREE.MathUtils.lerp(from.intensity, to.intensity, t);
+        this._placeLight();
+
+        const background = contents.app.scene.background;
+        if (background && background.isColor) {
+            background.set(from.background).lerp(this._colorTo.set(to.background), t);
+        }
+        if (contents.horizon) {
+            contents.horizon.setTint(this._color.set(from.horizon).lerp(this._colorTo.set(to.horizon), t));
+        }
+        const daylight = THREE.MathUtils.lerp(from.ceiling, to.ceiling, t);
+        if (contents.waterCeiling) contents.waterCeiling.setBrightness(daylight);
+        if (contents.waterFog) contents.waterFog.setBrightness(daylight);
+
+        this.nightAmount = THREE.MathUtils.lerp(from.night, to.night, t);
+        const boost = 1 + (this.nightLightBoost - 1) * this.nightAmount;
+        for (const group of contents.jellyfishGroups ?? []) {
+            group.jellyfishList.forEach(jelly => jelly.setLightBoost(boost));
+        }
+        if (contents.submarine) contents.submarine.setLightBoost(boost);
+
+        const nightMode = this.nightBehavior && this.nightAmount > 0.5;
+        contents.shoals.forEach(shoal => shoal.nightMode = nightMode);
+    }
+
+    /**
+     * Captures the clock settings as plain data.
+     * @returns {{time: number, dayLength: number, speed: number, nightBehavior: boolean}} Serializable state.
+     */
+    serialize() {
+        return { time: this.time, dayLength: this.dayLength, speed: this.speed, nightBehavior: this.nightBehavior };
+    }
+
+    /**
+     * Restores the clock from serialize() data and applies it.
+     * @param {Object} data - Data produced by serialize().
+     */
+    restore(data) {
+        this.dayLength = data.dayLength ?? this.dayLength;
+        this.speed = data.speed ?? this.speed;
+        this.nightBehavior = data.nightBehavior ?? this.nightBehavior;
+        this.setTime(data.time ?? this.time);
+    }
+
+    /**
+     * Finds the keys around an hour.
+     * @param {number} hour - Hour of the day.
+     * @returns {[MyTimeOfDayKey, MyTimeOfDayKey, number]} Previous key, next key and the blend between them.
+     * @private
+     */
+    _findKeys(hour) {
+        const keys = TIME_OF_DAY_KEYS;
+        for (let i = 0; i < keys.length; i++) {
+            const from = keys[i];
+            const to = keys[(i + 1) % keys.length];
+            const end = to.hour > from.hour ? to.hour : to.hour + 24;
+            const h = hour < from.hour ? hour + 24 : hour;
+            if (h >= from.hour && h < end) {
+                return [from, to, (h - from.hour) / (end - from.hour)];
+            }
+        }
+        return [keys[0], keys[0], 0];
+    }
+
+    /**
+     * Moves the light along the sun's arc: rising at 6, highest at noon, setting at 18.
+     * Below the horizon the light switches to the opposite point, where the moon is.
+     * @private
+     */
+    _placeLight() {
+        const angle = (this.time - 12) / 24 * Math.PI * 2;
+        const elevation = this._maxElevation * Math.cos(angle);
+        const azimuth = this._noonAzimuth + angle;
+        const position = this.light.position.set(
+            Math.cos(elevation) * Math.cos(azimuth),
+            Math.sin(elevation),
+            Math.cos(elevation) * Math.sin(azimuth)
+        ).multiplyScalar(this._distance);
+        if (elevation < 0) position.negate();
+    }
+}
+
+export { MyDayCycle, TIME_OF_DAY_KEYS };
@@ -0,0 +1,119 @@
+// MyEntityRegistry.js
+// Registry of the entity types scattered over the terrain (bubbles, crabs, algae, starfish, rocks, corals).
+// All methods and classes are documented for clarity and maintainability.
+
+import { MyBubbleParticles } from './seabed/MyBubbleParticles.js';
+import { MyCrab } from './animals/MyCrab.js';
+import { MyAlgaGroup } from './seabed/MyAlgaGroup.js';
+import { MyStarFish } from './animals/MyStarFish.js';
+import { MyRock } from './seabed/MyRock.js';
+import { MyCoralGroup } from './corals/MyCoralGroup.js';
+
+/**
+ * @typedef {Object} MyEntityType
+ * @property {string} name - Unique key, used by the GUI, the count setter and snapshots.
+ * @property {string} label - Display name in the GUI.
+ * @property {Function} ObjectType - Constructor called with the options (plus pos and terrain).
+ * @property {string} group - Name of the MyContents group holding the instances.
+ * @property {Object} options - Default constructor options.
+ * @property {boolean} alignToSurface - Whether instances are rotated to the terrain normal.
+ * @property {Function|null} filter - Picks this type's instances when the group is shared with other types.
+ * @property {number} count - Number of instances created with the scene.
+ * @property {{min: number, max: number, step: number}} gui - Limits of the GUI count slider.
+ */
+
+/**
+ * MyEntityRegistry
+ * Keeps the scatterable entity types in registration order, which is also the
+ * order the scene populates them in (and so the order random seeds are drawn).
+ */
+class MyEntityRegistry {
+    /**
+     * Constructs an empty registry.
+     */
+    constructor() {
+        /**
+         * Registered types by name.
+         * @type {Map<string, MyEntityType>}
+         */
+        this.types = new Map();
+    }
+
+    /**
+     * Registers an entity type. Omitted fields get defaults.
+     * @param {string} name - Unique key of the type.
+     * @param {Object} definition - Type definition (see MyEntityType); ObjectType and group are required.
+     * @returns {MyEntityType} The registered type.
+     */
+    register(name, definition) {
+        if (this.types.has(name)) {
+            throw new Error(`Entity type already registered: ${name}`);
+        }
+        if (!definition.ObjectType || !definition.group) {
+            throw new Error(`Entity type ${name} needs an ObjectType and a group`);
+        }
+
+        const entityType = {
+            name,
+            label: definition.label ?? name,
+            ObjectType: definition.ObjectType,
+            group: definition.group,
+            options: definition.options ?? {},
+            alignToSurface: definition.alignToSurface ?? false,
+            filter: definition.filter ?? null,
+            count: definition.count ?? 0,
+            gui: { min: 0, max: 30, step: 1, ...definition.gui }
+        };
+        this.types.set(name, entityType);
+        return entityType;
+    }
+
+    /**
+     * Looks up a type by name.
+     * @param {string} name - Key of the type.
+     * @returns {MyEntityType|undefined} The type, if registered.
+     */
+    get(name) {
+        return this.types.get(name);
+    }
+
+    /**
+     * Lists every registered type in registration order.
+     * @returns {MyEntityType[]} The types.
+     */
+    list() {
+        return [...this.types.values()];
+    }
+}
+
+/**
+ * Entity types scattered over the seabed.
+ * @type {MyEntityRegistry}
+ */
+const terrainEntityTypes = new MyEntityRegistry();
+
+terrainEntityTypes.register('bubbles', {
+    label: 'Bubbles', ObjectType: MyBubbleParticles, group: 'bubbleGroup', count: 10
+});
+terrainEntityTypes.register('crabs', {
+    label: 'Crabs', ObjectType: MyCrab, group: 'crabGroup', alignToSurface: true, count: 7
+});
+terrainEntityTypes.register('algae', {
+    label: 'Algae', ObjectType: MyAlgaGroup, group: 'algaGroups', count: 14
+});
+terrainEntityTypes.register('starfish', {
+    label: 'Starfish', ObjectType: MyStarFish, group: 'starFishGroup', alignToSurface: true, count: 10
+});
+terrainEntityTypes.register('rocks', {
+    label: 'Rocks', ObjectType: MyRock, group: 'rockGroup', count: 10
+});
+terrainEntityTypes.register('coral0', {
+    label: 'Coral Type 0', ObjectType: MyCoralGroup, group: 'coralGroups', options: { type: 0 },
+    filter: obj => obj.type === 0, alignToSurface: true, count: 7
+});
+terrainEntityTypes.register('coral1', {
+    label: 'Coral Type 1', ObjectType: MyCoralGroup, group: 'coralGroups', options: { type: 1 },
+    filter: obj => obj.type === 1, alignToSurface: true, count: 7
+});
+
+export { MyEntityRegistry, terrainEntityTypes };
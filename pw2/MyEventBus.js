@@ -0,0 +1,138 @@
+// MyEventBus.js
+// Typed publish/subscribe bus letting scene subsystems react to each other's events.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * @typedef {Object} MyEntitySelectedEvent
+ * @property {THREE.Object3D|null} entity - Newly selected entity, or null when the selection was cleared.
+ * @property {THREE.Object3D|null} previous - Entity selected before.
+ */
+
+/**
+ * @typedef {Object} MySubmarineCollisionEvent
+ * @property {MySubmarine} submarine - The submarine.
+ * @property {THREE.Vector3} point - Contact point on the obstacle, in world space.
+ * @property {THREE.Mesh} mesh - Obstacle mesh that was hit (terrain or a temple part).
+ */
+
+/**
+ * @typedef {Object} MyShoalPanicEvent
+ * @property {MyShoal} shoal - Shoal whose panic started or ended.
+ * @property {THREE.Object3D|null} threat - Entity that scared the first fish (null when the panic ends).
+ */
+
+/**
+ * @typedef {Object} MySandPuffSpawnedEvent
+ * @property {MySandPuff} puff - The new particle effect.
+ * @property {THREE.Vector3} position - Where it was spawned, in world space.
+ */
+
+/**
+ * @typedef {Object} MyEntityCountChangedEvent
+ * @property {string} type - Terrain entity type name (see MyEntityRegistry) or 'shoal'.
+ * @property {THREE.Object3D} source - Group or shoal whose population changed.
+ * @property {number} count - New number of entities.
+ */
+
+/**
+ * Events the scene emits, with a description of when. Emitting or subscribing to any
+ * other name is an error, so typos surface immediately.
+ * @type {Object<string, string>}
+ */
+const SCENE_EVENTS = {
+    entitySelected: 'An entity was clicked, or the selection was cleared (MyEntitySelectedEvent)',
+    submarineCollision: 'The submarine came into contact with the terrain or the temple (MySubmarineCollisionEvent)',
+    shoalPanicStarted: 'A fish of a calm shoal panicked (MyShoalPanicEvent)',
+    shoalPanicEnded: 'The last panicking fish of a shoal calmed down (MyShoalPanicEvent)',
+    sandPuffSpawned: 'A puff of sand rose from the seabed (MySandPuffSpawnedEvent)',
+    entityCountChanged: 'Entities of a terrain type or fish of a shoal were added or removed (MyEntityCountChangedEvent)'
+};
+
+/**
+ * MyEventBus
+ * Synchronous event bus restricted to a fixed set of event names. Listeners run in
+ * subscription order; an exception in one is logged and does not stop the others or
+ * the emitter, since emitters sit inside the simulation step.
+ */
+class MyEventBus {
+    /**
+     * Constructs a new MyEventBus instance.
+     * @param {Object<string, string>} [events=SCENE_EVENTS] - Allowed event names.
+     */
+    constructor(events = SCENE_EVENTS) {
+        this._events = events;
+        this._listeners = new Map();
+    }
+
+    /**
+     * Subscribes to an event.
+     * @param {string} type - Event name (a key of the allowed events).
+     * @param {function(Object): void} listener - Called with the event payload.
+     * @returns {function(): void} Function removing the subscription.
+     */
+    on(type, listener) {
+        this._check(type);
+        if (!this._listeners.has(type)) this._listeners.set(type, []);
+        this._listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Subscribes to the next occurrence of an event only.
+     * @param {string} type - Event name.
+     * @param {function(Object): void} listener - Called with the event payload.
+     * @returns {function(): void} Function removing the subscription before it fires.
+     */
+    once(type, listener) {
+        const off = this.on(type, payload => {
+            off();
+            listener(payload);
+        });
+        return off;
+    }
+
+    /**
+     * Removes a listener added with on().
+     * @param {string} type - Event name.
+     * @param {function(Object): void} listener - Listener to remove.
+     */
+    off(type, listener) {
+        const listeners = this._listeners.get(type);
+        if (!listeners) return;
+        const index = listeners.indexOf(listener);
+        if (index !== -1) listeners.splice(index, 1);
+    }
+
+    /**
+     * Emits an event to its current listeners.
+     * @param {string} type - Event name.
+     * @param {Object} payload - Event data (see the typedef of the event).
+     */
+    emit(type, payload) {
+        this._check(type);
+        const listeners = this._listeners.get(type);
+        if (!listeners || listeners.length === 0) return;
+
+        // Copy, so listeners may unsubscribe while the event is dispatched
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Listener of '${type}' failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Throws for event names outside the allowed set.
+     * @param {string} type - Event name.
+     * @private
+     */
+    _check(type) {
+        if (!Object.prototype.hasOwnProperty.call(this._events, type)) {
+            throw new Error(`Unknown scene event: ${type}`);
+        }
+    }
+}
+
+export { MyEventBus, SCENE_EVENTS };
@@ -0,0 +1,221 @@
+// MyFollowCamera.js
+// Damped chase camera that tracks the selected creature (shoal fish, turtle, jellyfish or shark).
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { MyShoal } from './animals/MyShoal.js';
+import { MyShark } from './animals/MyShark.js';
+
+/**
+ * MyFollowCamera
+ * Drives the 'Follow selected' camera: it stays behind and slightly above the followed
+ * creature, turns with its heading and never sinks into the terrain. The heading is taken
+ * from the creature's motion, so flocking fish, the path-following shark and drifting
+ * jellyfish are all handled the same way.
+ */
+class MyFollowCamera {
+    /**
+     * Constructs a new MyFollowCamera instance.
+     * @param {MyApp} app - Application owning the cameras and controls.
+     * @param {THREE.PerspectiveCamera} camera - Camera registered as 'Follow selected'.
+     */
+    constructor(app, camera) {
+        /**
+         * Application whose active camera is switched.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * The chase camera.
+         * @type {THREE.PerspectiveCamera}
+         */
+        this.camera = camera;
+
+        /**
+         * Whether selecting a creature switches to the chase camera.
+         * @type {boolean}
+         */
+        this.enabled = false;
+
+        /**
+         * How quickly the camera catches up with its desired pose (higher is stiffer).
+         * @type {number}
+         */
+        this.stiffness = 3;
+
+        /**
+         * Minimum height kept above the terrain surface.
+         * @type {number}
+         */
+        this.terrainClearance = 2;
+
+        /**
+         * Creature being followed.
+         * @type {THREE.Object3D|null}
+         */
+        this.target = null;
+
+        /**
+         * Camera active before following started, restored afterwards.
+         * @type {string|null}
+         */
+        this.previousCameraName = null;
+
+        this._distance = 10;
+        this._height = 3;
+        this._heading = new THREE.Vector3(0, 0, 1);
+        this._lastPosition = new THREE.Vector3();
+        this._targetPosition = new THREE.Vector3();
+        this._desiredPosition = new THREE.Vector3();
+        this._lookAt = new THREE.Vector3();
+        this._motion = new THREE.Vector3();
+    }
+
+    /**
+     * Name of the camera in MyApp.cameras.
+     * @type {string}
+     */
+    static get CAMERA_NAME() {
+        return 'Follow selected';
+    }
+
+    /**
+     * Checks whether an entity is a creature the camera can follow.
+     * @param {THREE.Object3D|null} entity - Selected entity.
+     * @returns {boolean} True for shoal members, jellyfish and the shark.
+     */
+    canFollow(entity) {
+        if (!entity) return false;
+        return entity instanceof MyShark || entity.isMyJellyfish === true || entity.parent instanceof MyShoal;
+    }
+
+    /**
+     * Reacts to a selection change: follows a selected creature, or returns to the
+     * previous camera when the selection is cleared or is not a creature.
+     * @param {THREE.Object3D|null} entity - Newly selected entity.
+     */
+    onSelectionChanged(entity) {
+        if (this.enabled && this.canFollow(entity)) {
+            this.follow(entity);
+        } else {
+            this.release();
+        }
+    }
+
+    /**
+     * Enables or disables follow mode. Disabling while following returns to the previous camera.
+     * @param {boolean} enabled - New state.
+     * @param {THREE.Object3D|null} selected - Current selection, followed right away when enabling.
+     */
+    setEnabled(enabled, selected = null) {
+        this.enabled = enabled;
+        this.onSelectionChanged(enabled ? selected : null);
+    }
+
+    /**
+     * Starts following a creature, switching to the chase camera.
+     * @param {THREE.Object3D} entity - Creature to follow.
+     */
+    follow(entity) {
+        if (this.app.activeCameraName !== MyFollowCamera.CAMERA_NAME) {
+            this.previousCameraName = this.app.activeCameraName;
+        }
+        this.target = entity;
+
+        // Frame the creature according to its size
+        const sphere = new THREE.Box3().setFromObject(entity).getBoundingSphere(new THREE.Sphere());
+        const radius = Number.isFinite(sphere.radius) && sphere.radius > 0 ? sphere.radius : 1;
+        this._distance = THREE.MathUtils.clamp(radius * 6, 3, 40);
+        this._height = this._distance * 0.35;
+
+        entity.getWorldPosition(this._lastPosition);
+        entity.getWorldDirection(this._heading);
+        this._heading.y = 0;
+        if (this._heading.lengthSq() < 1e-6) this._heading.set(0, 0, 1);
+        this._heading.normalize();
+
+        // Start in place rather than flying in from the previous view
+        this._computeDesiredPose();
+        this.camera.position.copy(this._desiredPosition);
+        this._lookAt.copy(this._targetPosition);
+        this.camera.lookAt(this._lookAt);
+
+        this.app.activeCameraName = MyFollowCamera.CAMERA_NAME;
+    }
+
+    /**
+     * Stops following and restores the camera used before.
+     */
+    release() {
+        if (!this.target) return;
+        this.target = null;
+        if (this.app.activeCameraName === MyFollowCamera.CAMERA_NAME) {
+            this.app.activeCameraName = this.previousCameraName ?? 'Free-Fly';
+        }
+        this.previousCameraName = null;
+    }
+
+    /**
+     * Moves the chase camera towards its desired pose. Called once per rendered frame,
+     * also while the chase view is only shown in a secondary viewport.
+     * @param {number} delta - Frame duration in seconds.
+     */
+    update(delta) {
+        if (!this.target) return;
+        // The creature may have been removed from the scene (e.g. a smaller shoal)
+        if (!this.target.parent) {
+            this.release();
+            return;
+        }
+        this.target.getWorldPosition(this._targetPosition);
+
+        // Heading follows the horizontal motion; hovering creatures keep the last heading
+        this._motion.subVectors(this._targetPosition, this._lastPosition);
+        this._motion.y = 0;
+        this._lastPosition.copy(this._targetPosition);
+        if (this._motion.lengthSq() > 1e-8) {
+            this._motion.normalize();
+            this._heading.lerp(this._motion, 1 - Math.exp(-this.stiffness * 2 * delta)).normalize();
+        }
+
+        this._computeDesiredPose();
+
+        const blend = 1 - Math.exp(-this.stiffness * delta);
+        this.camera.position.lerp(this._desiredPosition, blend);
+        this._keepAboveTerrain(this.camera.position);
+        this._lookAt.lerp(this._targetPosition, Math.min(1, blend * 2));
+        this.camera.lookAt(this._lookAt);
+
+        // Keep OrbitControls consistent with the chase view while it is the active one
+        if (this.app.activeCameraName === MyFollowCamera.CAMERA_NAME) {
+            this.app.controls.target.copy(this._lookAt);
+        }
+    }
+
+    /**
+     * Computes the point behind and above the creature the camera aims for.
+     * @private
+     */
+    _computeDesiredPose() {
+        this.target.getWorldPosition(this._targetPosition);
+        this._desiredPosition.copy(this._targetPosition)
+            .addScaledVector(this._heading, -this._distance);
+        this._desiredPosition.y += this._height;
+        this._keepAboveTerrain(this._desiredPosition);
+    }
+
+    /**
+     * Lifts a position so it stays above the terrain surface.
+     * @param {THREE.Vector3} position - Position to adjust in place.
+     * @private
+     */
+    _keepAboveTerrain(position) {
+        const terrain = this.app.contents?.Terrain;
+        if (!terrain) return;
+        const ground = terrain.getHeightAt(position.x, position.z).y + this.terrainClearance;
+        if (position.y < ground) position.y = ground;
+    }
+}
+
+export { MyFollowCamera };
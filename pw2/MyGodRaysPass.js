@@ -0,0 +1,387 @@
+// MyGodRaysPass.js
+// Post-processing pass drawing light shafts that fall from the water surface through the scene.
+// The scattering and combine shaders are local: those of three/addons/shaders/GodRaysShader.js
+// sample at the quad's own UVs, so a screenshot tile cannot pick its part of the full-view mask
+// (screenRect); their radial blur has a step size but no decay; and their rays cannot point away
+// from the sun when it is behind the camera.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+
+/**
+ * Samples taken along each ray by the scattering shader.
+ * @type {number}
+ */
+const GOD_RAY_SAMPLES = 64;
+
+/**
+ * Longest distance a ray is marched, in screen UV units, however far off-screen the sun is.
+ * @type {number}
+ */
+const MAX_RAY_LENGTH = 1.5;
+
+/**
+ * Radial light scattering over the occlusion mask (the "volumetric light scattering as a
+ * post-process" approach of GPU Gems 3): each pixel gathers the light of the mask towards
+ * the sun, every sample weaker than the previous one.
+ * @type {Object}
+ */
+const MyGodRaysScatterShader = {
+    uniforms: {
+        tMask: { value: null },
+        source: { value: new THREE.Vector3(0.5, 2, 1) },
+        screenRect: { value: new THREE.Vector4(0, 0, 1, 1) },
+        density: { value: 0.5 },
+        decay: { value: 0.96 },
+        weight: { value: 0.04 },
+        maxLength: { value: MAX_RAY_LENGTH }
+    },
+    vertexShader: /* glsl */ `
+        varying vec2 vUv;
+
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+        }
+    `,
+    fragmentShader: /* glsl */ `
+        #define GOD_RAY_SAMPLES ${GOD_RAY_SAMPLES}
+
+        uniform sampler2D tMask;
+        uniform vec3 source;
+        uniform vec4 screenRect;
+        uniform float density;
+        uniform float decay;
+        uniform float weight;
+        uniform float maxLength;
+
+        varying vec2 vUv;
+
+        void main() {
+            // The mask covers the whole screen, of which this pass may only render a part
+            vec2 uv = screenRect.xy + vUv * screenRect.zw;
+
+            // Towards the sun, or away from the opposite point when the sun is behind the camera
+            vec2 toSource = ( source.xy - uv ) * source.z;
+            float rayLength = min( length( toSource ) * density, maxLength );
+            vec2 stepUv = toSource / max( length( toSource ), 1e-5 ) * rayLength / float( GOD_RAY_SAMPLES );
+
+            float illumination = 1.0;
+            float rays = 0.0;
+            for ( int i = 0; i < GOD_RAY_SAMPLES; i ++ ) {
+                rays += dot( texture2D( tMask, uv ).rgb, vec3( 0.299, 0.587, 0.114 ) ) * illumination;
+                illumination *= decay;
+                uv += stepUv;
+            }
+            gl_FragColor = vec4( vec3( rays * weight ), 1.0 );
+        }
+    `
+};
+
+/**
+ * Adds the tinted light shafts to the rendered image.
+ * @type {Object}
+ */
+const MyGodRaysCombineShader = {
+    uniforms: {
+        tDiffuse: { value: null },
+        tRays: { value: null },
+        color: { value: new THREE.Color() },
+        intensity: { value: 1 }
+    },
+    vertexShader: MyGodRaysScatterShader.vertexShader,
+    fragmentShader: /* glsl */ `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tRays;
+        uniform vec3 color;
+        uniform float intensity;
+
+        varying vec2 vUv;
+
+        void main() {
+            gl_FragColor = texture2D( tDiffuse, vUv );
+            gl_FragColor.rgb += color * intensity * texture2D( tRays, vUv ).r;
+        }
+    `
+};
+
+/**
+ * @typedef {Object} MyGodRaysParameters
+ * @property {number} density - Fraction of the way to the sun each ray gathers light over, 0 to 1.
+ * @property {number} decay - Falloff of each sample along the ray, just below 1 for long shafts.
+ * @property {number} intensity - Brightness of the shafts.
+ * @property {THREE.Color} color - Tint of the shafts.
+ */
+
+/**
+ * MyGodRaysPass
+ * Light shafts coming down from the water surface. The surface is drawn into a small mask with
+ * its animated texture, everything else in the scene in black, so the temple, the wreck, the
+ * shark or the submarine cut the shafts. The mask is then blurred radially towards the sun
+ * (the shadow-casting directional light) and added to the image. Transparent objects and
+ * particles do not block the light. Reads its settings from a shared parameters object, so
+ * every pipeline using one of these passes follows the same GUI controls.
+ */
+class MyGodRaysPass extends Pass {
+    /**
+     * Constructs a new MyGodRaysPass instance.
+     * @param {THREE.Scene} scene - Scene whose objects block the light.
+     * @param {THREE.Camera} camera - Camera the image is rendered with.
+     * @param {Object} options - Light sources and settings.
+     * @param {THREE.Mesh} options.surface - Water surface the shafts come from.
+     * @param {THREE.DirectionalLight} options.light - Light giving the direction of the sun.
+     * @param {MyGodRaysParameters} options.parameters - Settings, read on every render.
+     * @param {number} [options.resolutionScale=0.5] - Size of the mask relative to the image.
+     */
+    constructor(scene, camera, options) {
+        super();
+
+        /**
+         * Scene whose objects block the light.
+         * @type {THREE.Scene}
+         */
+        this.scene = scene;
+
+        /**
+         * Camera the image is rendered with.
+         * @type {THREE.Camera}
+         */
+        this.camera = camera;
+
+        /**
+         * Water surface the shafts come from.
+         * @type {THREE.Mesh}
+         */
+        this.surface = options.surface;
+
+        /**
+         * Light giving the direction of the sun.
+         * @type {THREE.DirectionalLight}
+         */
+        this.light = options.light;
+
+        /**
+         * Shared settings of the shafts.
+         * @type {MyGodRaysParameters}
+         */
+        this.parameters = options.parameters;
+
+        /**
+         * Size of the mask and the shafts relative to the image.
+         * @type {number}
+         */
+        this.resolutionScale = options.resolutionScale ?? 0.5;
+
+        this._maskTarget = new THREE.WebGLRenderTarget(1, 1);
+        this._raysTarget = new THREE.WebGLRenderTarget(1, 1);
+
+        // Everything but the surface is drawn in black into the mask
+        this._occluderMaterial = new THREE.MeshBasicMaterial({ color: 0x000000, fog: false });
+        this._surfaceMaterial = new THREE.MeshBasicMaterial({ fog: false });
+
+        this._scatterMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(MyGodRaysScatterShader.uniforms),
+            vertexShader: MyGodRaysScatterShader.vertexShader,
+            fragmentShader: MyGodRaysScatterShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this._combineMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(MyGodRaysCombineShader.uniforms),
+            vertexShader: MyGodRaysCombineShader.vertexShader,
+            fragmentShader: MyGodRaysCombineShader.fragmentShader,
+            depthTest: false,
+            depthWrite: false
+        });
+        this._fsQuad = new FullScreenQuad(null);
+
+        this._hidden = [];
+        this._clearColor = new THREE.Color();
+        this._sunDirection = new THREE.Vector3();
+        this._clip = new THREE.Vector4();
+        this._cameraPosition = new THREE.Vector3();
+    }
+
+    /**
+     * Resizes the mask and shaft buffers with the image.
+     * @param {number} width - Image width in pixels.
+     * @param {number} height - Image height in pixels.
+     */
+    setSize(width, height) {
+        const maskWidth = Math.max(1, Math.round(width * this.resolutionScale));
+        const maskHeight = Math.max(1, Math.round(height * this.resolutionScale));
+        this._maskTarget.setSize(maskWidth, maskHeight);
+        this._raysTarget.setSize(maskWidth, maskHeight);
+    }
+
+    /**
+     * Renders the mask and the shafts, then adds them to the image read from readBuffer.
+     * @param {THREE.WebGLRenderer} renderer - Renderer of the composer.
+     * @param {THREE.WebGLRenderTarget} writeBuffer - Target of the result (unless rendering to screen).
+     * @param {THREE.WebGLRenderTarget} readBuffer - Image rendered by the previous passes.
+     */
+    render(renderer, writeBuffer, readBuffer) {
+        const parameters = this.parameters;
+        const scatter = this._scatterMaterial.uniforms;
+        const combine = this._combineMaterial.uniforms;
+
+        const oldAutoClear = renderer.autoClear;
+        renderer.autoClear = false;
+
+        // A screenshot tile only renders part of the view; the mask is drawn for the whole of it
+        const view = this.camera.view;
+        const offset = !!(view && view.enabled);
+        if (offset) {
+            scatter.screenRect.value.set(
+                view.offsetX / view.fullWidth,
+                1 - (view.offsetY + view.height) / view.fullHeight,
+                view.width / view.fullWidth,
+                view.height / view.fullHeight
+            );
+            view.enabled = false;
+            this.camera.updateProjectionMatrix();
+        } else {
+            scatter.screenRect.value.set(0, 0, 1, 1);
+        }
+
+        const visibility = this._updateSource(scatter.source.value);
+        if (visibility > 0) this._renderMask(renderer);
+
+        if (offset) {
+            view.enabled = true;
+            this.camera.updateProjectionMatrix();
+        }
+
+        // Radial blur of the mask towards the sun, normalized so a fully lit ray gives 1
+        const decay = THREE.MathUtils.clamp(parameters.decay, 0, 1);
+        const total = decay < 1 ? (1 - Math.pow(decay, GOD_RAY_SAMPLES)) / (1 - decay) : GOD_RAY_SAMPLES;
+        scatter.tMask.value = this._maskTarget.texture;
+        scatter.density.value = parameters.density;
+        scatter.decay.value = decay;
+        scatter.weight.value = visibility / Math.max(total, 1e-5);
+        this._fsQuad.material = this._scatterMaterial;
+        renderer.setRenderTarget(this._raysTarget);
+        this._fsQuad.render(renderer);
+
+        combine.tDiffuse.value = readBuffer.texture;
+        combine.tRays.value = this._raysTarget.texture;
+        combine.color.value.copy(parameters.color);
+        combine.intensity.value = parameters.intensity;
+        this._fsQuad.material = this._combineMaterial;
+        if (this.renderToScreen) {
+            renderer.setRenderTarget(null);
+        } else {
+            renderer.setRenderTarget(writeBuffer);
+            if (this.clear) renderer.clear();
+        }
+        this._fsQuad.render(renderer);
+
+        renderer.autoClear = oldAutoClear;
+    }
+
+    /**
+     * Frees the render targets and materials of the pass.
+     */
+    dispose() {
+        this._maskTarget.dispose();
+        this._raysTarget.dispose();
+        this._occluderMaterial.dispose();
+        this._surfaceMaterial.dispose();
+        this._scatterMaterial.dispose();
+        this._combineMaterial.dispose();
+        this._fsQuad.dispose();
+    }
+
+    /**
+     * Projects the sun direction on the screen.
+     * @param {THREE.Vector3} source - Receives the screen UV the rays point at, and +1 when it is
+     *     the sun or -1 when it is the opposite point (sun behind the camera).
+     * @returns {number} How visible the shafts are, 0 (camera above the surface or no sun) to 1.
+     * @private
+     */
+    _updateSource(source) {
+        const camera = this.camera;
+        const light = this.light;
+        if (!light || !this.surface || !this.surface.visible) return 0;
+
+        camera.getWorldPosition(this._cameraPosition);
+        if (this._cameraPosition.y > this.surface.position.y) return 0;
+
+        // The sun is infinitely far away: project its direction (w = 0) rather than a point
+        const direction = this._sunDirection.copy(light.position).sub(light.target.position).normalize();
+        if (direction.y <= 0) return 0;
+        const clip = this._clip.set(direction.x, direction.y, direction.z, 0)
+            .applyMatrix4(camera.matrixWorldInverse)
+            .applyMatrix4(camera.projectionMatrix);
+
+        // Orthographic cameras give w = 0 (parallel shafts): the source is then far along the sun direction
+        const w = Math.abs(clip.w) < 1e-4 ? (clip.w < 0 ? -1e-4 : 1e-4) : clip.w;
+        source.set(clip.x / w * 0.5 + 0.5, clip.y / w * 0.5 + 0.5, Math.sign(w));
+        return Math.min(1, direction.y * 4);
+    }
+
+    /**
+     * Draws the occlusion mask: the surface with its texture, every other opaque object in black.
+     * @param {THREE.WebGLRenderer} renderer - Renderer of the composer.
+     * @private
+     */
+    _renderMask(renderer) {
+        const scene = this.scene;
+        const surface = this.surface;
+        const oldBackground = scene.background;
+        const oldMaterial = surface.material;
+        const oldShadowUpdate = renderer.shadowMap.autoUpdate;
+        renderer.getClearColor(this._clearColor);
+        const oldClearAlpha = renderer.getClearAlpha();
+
+        // Particles and transparent objects (shield, bubbles...) let the light through
+        this._hidden.length = 0;
+        scene.traverseVisible(object => {
+            if (object === surface || object.isPoints || object.isSprite || object.isLine || this._isTransparent(object)) {
+                this._hidden.push(object);
+            }
+        });
+        this._hidden.forEach(object => object.visible = false);
+
+        scene.background = null;
+        scene.overrideMaterial = this._occluderMaterial;
+        // The shadow maps are already up to date for this frame
+        renderer.shadowMap.autoUpdate = false;
+        renderer.setRenderTarget(this._maskTarget);
+        renderer.setClearColor(0x000000, 1);
+        renderer.clear();
+        renderer.render(scene, this.camera);
+        scene.overrideMaterial = null;
+
+        // The surface is drawn last, only where nothing stands in front of it
+        this._hidden.forEach(object => object.visible = true);
+        const map = oldMaterial.map ?? null;
+        if (this._surfaceMaterial.map !== map) {
+            this._surfaceMaterial.map = map;
+            this._surfaceMaterial.needsUpdate = true;
+        }
+        this._surfaceMaterial.color.copy(oldMaterial.color);
+        surface.material = this._surfaceMaterial;
+        renderer.render(surface, this.camera);
+        surface.material = oldMaterial;
+
+        scene.background = oldBackground;
+        renderer.shadowMap.autoUpdate = oldShadowUpdate;
+        renderer.setClearColor(this._clearColor, oldClearAlpha);
+    }
+
+    /**
+     * Checks whether an object is drawn with a transparent material.
+     * @param {THREE.Object3D} object - Object to check.
+     * @returns {boolean} True if one of its materials is transparent.
+     * @private
+     */
+    _isTransparent(object) {
+        const material = object.material;
+        if (!material) return false;
+        return Array.isArray(material) ? material.some(m => m.transparent) : material.transparent;
+    }
+}
+
+export { MyGodRaysPass };
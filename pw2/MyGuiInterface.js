@@ -2,6 +2,22 @@ import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
 import { MyApp } from './MyApp.js';
 import { MyContents } from './MyContents.js';
 import * as THREE from 'three';
+import { sceneRandom } from './MyRandom.js';
+import { terrainEntityTypes } from './MyEntityRegistry.js';
+import { RECORDING_RESOLUTIONS, RECORDING_FRAME_RATES } from './MyRecorder.js';
+import { SCREENSHOT_RESOLUTIONS } from './MyScreenshotRenderer.js';
+import { CAMERA_PATH_EASINGS } from './MyCameraPath.js';
+import { MyFollowCamera } from './MyFollowCamera.js';
+import { VIEWPORT_LAYOUTS, ACTIVE_CAMERA } from './MyViewports.js';
+import { postPassTypes } from './MyPostProcessing.js';
+import { AUTO_FOCUS_MODES } from './MyAutoFocus.js';
+import { QUALITY_KNOBS, QUALITY_PRESETS } from './MyQualityManager.js';
+import { platform } from './MyPlatform.js';
+import { MyInputActions, INPUT_ACTIONS } from './MyInputActions.js';
+import { SHOAL_PARAMETERS } from './animals/MyShoal.js';
+import { SHOAL_TYPES } from './MyShoalTypes.js';
+import { MyGuiPresets } from './MyGuiPresets.js';
+import { MyInspector } from './MyInspector.js';
 
 /**
  * MyGuiInterface
@@ -49,11 +65,95 @@ class MyGuiInterface  {
      * submarine controls, fish shoals, particle systems, and terrain entities.
      */
     init() {
+
+        // Inspector of the entity selected with the pointer, first so it is in view when it opens
+        if (this.contents) {
+            this.inspector = new MyInspector(this.datgui.addFolder('Inspector'), this.contents);
+            this.inspector.folder.close();
+        }
  
         // adds a folder to the gui interface for the camera
         const cameraFolder = this.datgui.addFolder('Camera')
-        cameraFolder.add(this.app, 'activeCameraName', [ 'Free-Fly', 'Submarine view', 'Swim view', 'Fixed aquarium view' ] ).name("active camera");
+        cameraFolder.add(this.app, 'activeCameraName', [ 'Free-Fly', 'Submarine view', 'Swim view', 'Fixed aquarium view', MyFollowCamera.CAMERA_NAME ] ).name("active camera").listen();
+
+        // Chase camera: selecting a fish, turtle, jellyfish or the shark switches to it
+        const followCamera = this.app.followCamera;
+        cameraFolder.add(followCamera, 'enabled').name('Follow Selected').onChange((value) => {
+            followCamera.setEnabled(value, this.contents.selectedEntity);
+        });
+        cameraFolder.add(followCamera, 'stiffness', 0.5, 10, 0.1).name('Chase Stiffness');
         cameraFolder.close()
+
+        // Simulation clock: freezes, slows down or steps the whole ecosystem together
+        const simClock = this.app.simClock;
+        const simulationFolder = this.datgui.addFolder('Simulation');
+        const simulationSettings = {
+            paused: simClock.paused,
+            step: () => {
+                simClock.setPaused(true);
+                simulationSettings.paused = true;
+                simulationFolder.controllers.forEach(c => c.updateDisplay());
+                simClock.step();
+            }
+        };
+        simulationFolder.add(simulationSettings, 'paused').name('Paused').onChange((value) => {
+            simClock.setPaused(value);
+        });
+        simulationFolder.add(simClock, 'timeScale', 0.05, 4, 0.05).name('Time Scale');
+        simulationFolder.add(simulationSettings, 'step').name('Step Frame');
+        simulationFolder.close();
+
+        // Time of day: sun and moon, water colors and night-time lights and behavior
+        const dayCycle = this.contents && this.contents.dayCycle;
+        if (dayCycle) {
+            const dayCycleFolder = this.datgui.addFolder('Time of Day');
+            dayCycleFolder.add(dayCycle, 'time', 0, 24, 0.05).name('Hour').listen()
+                .onChange((value) => dayCycle.setTime(value));
+            dayCycleFolder.add(dayCycle, 'clock').name('Clock').listen().disable();
+            dayCycleFolder.add(dayCycle, 'speed', 0, 20, 0.1).name('Speed');
+            dayCycleFolder.add(dayCycle, 'dayLength', 30, 3600, 30).name('Day Length (s)');
+            dayCycleFolder.add(dayCycle, 'nightLightBoost', 1, 5, 0.1).name('Night Light Boost')
+                .onChange(() => dayCycle.apply());
+            dayCycleFolder.add(dayCycle, 'nightBehavior').name('Night Behavior')
+                .onChange(() => dayCycle.apply());
+            dayCycleFolder.close();
+        }
+
+        // Recording: captures the canvas at a fixed simulated frame rate
+        const recorder = this.app.recorder;
+        if (recorder) {
+            const recordingFolder = this.datgui.addFolder('Recording');
+            const recordingSettings = {
+                start: () => recorder.start(),
+                stop: () => recorder.stop()
+            };
+            recordingFolder.add(recorder, 'format', { 'PNG sequence (zip)': 'png', 'WebM video': 'webm' }).name('Format');
+            recordingFolder.add(recorder, 'resolution', Object.keys(RECORDING_RESOLUTIONS)).name('Resolution');
+            recordingFolder.add(recorder, 'fps', RECORDING_FRAME_RATES).name('Frame Rate');
+            recordingFolder.add(recorder, 'duration', 1, 60, 1).name('Duration (s)');
+            recordingFolder.add(recorder, 'filename').name('File Name');
+            recordingFolder.add(recordingSettings, 'start').name('Start Recording');
+            recordingFolder.add(recordingSettings, 'stop').name('Stop Recording');
+            recordingFolder.add(recorder, 'status').name('Status').listen().disable();
+            recordingFolder.close();
+        }
+
+        // Screenshot: renders the active camera in tiles, at sizes beyond the window's
+        const screenshots = this.app.screenshotRenderer;
+        if (screenshots) {
+            const screenshotFolder = this.datgui.addFolder('Screenshot');
+            const screenshotSettings = {
+                take: () => this.app.screenshot().catch(err => console.error('Screenshot failed:', err))
+            };
+            screenshotFolder.add(screenshots, 'resolution', Object.keys(SCREENSHOT_RESOLUTIONS)).name('Resolution');
+            screenshotFolder.add(screenshots, 'tileSize', [512, 1024, 2048]).name('Tile Size');
+            screenshotFolder.add(screenshots, 'transparent').name('Transparent Background');
+            screenshotFolder.add(screenshots, 'includeHUD').name('Include Periscope HUD');
+            screenshotFolder.add(screenshots, 'filename').name('File Name');
+            screenshotFolder.add(screenshotSettings, 'take').name('Take Screenshot');
+            screenshotFolder.add(screenshots, 'status').name('Status').listen().disable();
+            screenshotFolder.close();
+        }
         
         const sceneFolder = this.datgui.addFolder('Scene Display');
         const displaySettings = {
@@ -87,97 +187,69 @@ class MyGuiInterface  {
         });
         axisFolder.close();
 
-        const dofFolder = this.datgui.addFolder('Depth of Field');
-        const dofSettings = {
-            enabled: false,
-            aperture: 5.0,
-            focus: 250.0,
-            maxBlur: 0.01
-        };
-
-        dofFolder.add(dofSettings, 'enabled')
-            .name('Enabled')
-            .onChange((value) => {
-                if (this.app) {
-                    this.app.setDepthOfFieldEnabled(value);
-                }
-            });
-
-        dofFolder.add(dofSettings, 'aperture', 0, 10, 0.1)
-            .name('Aperture')
-            .onChange((value) => {
-                if (this.app) {
-                    this.app.setDepthOfFieldAperture(value);
-                }
-            });
+        // Post-processing: one subfolder per registered pass, in chain order
+        if (this.app && this.app.postProcessing) {
+            const postFolder = this.addPostProcessingFolder(this.app.postProcessing);
+
+            // Auto-focus sits with the depth of field settings it drives
+            const autoFocus = this.app.autoFocus;
+            const dofFolder = postFolder.folders.find(folder => folder._title === postPassTypes.get('depthOfField').label);
+            if (autoFocus && dofFolder) {
+                const autoFocusFolder = dofFolder.addFolder('Auto Focus');
+                autoFocusFolder.add(autoFocus, 'enabled').name('Enabled');
+                autoFocusFolder.add(autoFocus, 'mode', AUTO_FOCUS_MODES).name('Mode');
+                autoFocusFolder.add(autoFocus, 'focusSpeed', 0.5, 20, 0.5).name('Focus Speed');
+                autoFocusFolder.add(autoFocus, 'huntingDamping', 0, 1, 0.05).name('Hunting Damping');
+                autoFocusFolder.add(autoFocus, 'lastValidFocus').name('Target Distance').listen().disable();
+                autoFocusFolder.close();
+            }
+        }
+
+        // Underwater fog: per-channel absorption with distance and depth below the surface
+        const waterFog = this.contents && this.contents.waterFog;
+        if (waterFog) {
+            const fogFolder = this.datgui.addFolder('Underwater Fog');
+            const updateFog = () => waterFog.updateUniforms();
+            fogFolder.add(waterFog, 'enabled').name('Enabled').onChange(() => waterFog.applyTo(this.app.scene));
+            fogFolder.addColor(waterFog, 'waterColor').name('Water Color').onChange(updateFog);
+            fogFolder.add(waterFog, 'density', 0, 0.03, 0.0005).name('Density');
+            fogFolder.add(waterFog.absorption, 'red', 0, 2, 0.01).name('Red Absorption').onChange(updateFog);
+            fogFolder.add(waterFog.absorption, 'green', 0, 2, 0.01).name('Green Absorption').onChange(updateFog);
+            fogFolder.add(waterFog.absorption, 'blue', 0, 2, 0.01).name('Blue Absorption').onChange(updateFog);
+            fogFolder.add(waterFog, 'depthAbsorption', 0, 2, 0.05).name('Depth Absorption').onChange(updateFog);
+            fogFolder.close();
+        }
+
+        // Caustics: animated sunlight pattern on the surfaces receiving shadows
+        const caustics = this.contents && this.contents.caustics;
+        if (caustics) {
+            const causticsFolder = this.datgui.addFolder('Caustics');
+            const updateCaustics = () => caustics.updateUniforms();
+            causticsFolder.add(caustics, 'enabled').name('Enabled').onChange(updateCaustics);
+            causticsFolder.add(caustics, 'intensity', 0, 3, 0.05).name('Intensity').onChange(updateCaustics);
+            causticsFolder.add(caustics, 'scale', 0.5, 12, 0.1).name('Scale').onChange(updateCaustics);
+            causticsFolder.add(caustics, 'speed', 0, 4, 0.05).name('Speed');
+            causticsFolder.add(caustics, 'fadeDistance', 20, 400, 5).name('Fade Distance').onChange(updateCaustics);
+            causticsFolder.close();
+        }
 
-        dofFolder.add(dofSettings, 'focus', 1.0, 200.0, 10)
-            .name('Focus Distance')
-            .onChange((value) => {
-                if (this.app) {
-                    this.app.setDepthOfFieldFocus(value);
-                }
-            });
+        const terrainFolder = this.datgui.addFolder('Terrain Entities');
+        const terrainSettings = {};
 
-        dofFolder.add(dofSettings, 'maxBlur', 0.0, 0.01, 0.001)
-            .name('Max Blur')
-            .onChange((value) => {
-                if (this.app) {
-                    this.app.setDepthOfFieldMaxBlur(value);
+        // One count slider per registered seabed entity type
+        for (const entityType of terrainEntityTypes.list()) {
+            terrainSettings[entityType.name] = this.contents?.getTerrainEntities(entityType.name).length ?? entityType.count;
+            const { min, max, step } = entityType.gui;
+            terrainFolder.add(terrainSettings, entityType.name, min, max, step).name(entityType.label).onChange((value) => {
+                if (this.contents && this.contents.setTerrainEntityCount) {
+                    this.contents.setTerrainEntityCount(entityType.name, value);
                 }
             });
-
-        dofFolder.close();
-
-        const terrainFolder = this.datgui.addFolder('Terrain Entities');
-        const terrainSettings = {
-            bubbles: this.contents?.bubbleGroup?.children.length || 10,
-            crabs: this.contents?.crabGroup?.children.length || 7,
-            algae: this.contents?.algaGroups?.children.length || 14,
-            starfish: this.contents?.starFishGroup?.children.length || 10,
-            rocks: this.contents?.rockGroup?.children.length || 10,
-            coral0: (this.contents?.coralGroups?.children?.filter(c => c.type === 0)?.length) || 7,
-            coral1: (this.contents?.coralGroups?.children?.filter(c => c.type === 1)?.length) || 7
-        };
-
-        terrainFolder.add(terrainSettings, 'bubbles', 0, 30, 1).name('Bubbles').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('bubbles', value);
-            }
-        });
-        terrainFolder.add(terrainSettings, 'crabs', 0, 30, 1).name('Crabs').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('crabs', value);
-            }
-        });
-        terrainFolder.add(terrainSettings, 'algae', 0, 30, 1).name('Algae').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('algae', value);
-            }
-        });
-        terrainFolder.add(terrainSettings, 'starfish', 0, 30, 1).name('Starfish').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('starfish', value);
-            }
-        });
-        terrainFolder.add(terrainSettings, 'rocks', 0, 30, 1).name('Rocks').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('rocks', value);
-            }
-        });
-        terrainFolder.add(terrainSettings, 'coral0', 0, 30, 1).name('Coral Type 0').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('coral0', value);
-            }
-        });
-        terrainFolder.add(terrainSettings, 'coral1', 0, 30, 1).name('Coral Type 1').onChange((value) => {
-            if (this.contents && this.contents.setTerrainEntityCount) {
-                this.contents.setTerrainEntityCount('coral1', value);
-            }
-        });
+        }
         terrainFolder.close();
 
-
+        // Store reference so the counts can be refreshed after loading a snapshot
+        this.terrainSettings = terrainSettings;
 
         const bvhFolder = this.datgui.addFolder('BVH Optimization');
         const bvhSettings = {
@@ -209,18 +281,13 @@ class MyGuiInterface  {
         // Submarine folder with all submarine-related controls
         const submarineFolder = this.datgui.addFolder('Submarine');
 
-        // Periscope HUD control directly in submarine folder
-        const submarineSettings = {
-            periscopeHUD: false
-        };
-
-        submarineFolder.add(submarineSettings, 'periscopeHUD')
-            .name('Periscope HUD')
-            .onChange((value) => {
-                if (this.app) {
-                    this.app.setPeriscopeHUDEnabled(value);
-                }
-            });
+        // Periscope HUD control directly in submarine folder (the same toggle as in Post-Processing)
+        if (this.app) {
+            submarineFolder.add(this.app.effectsEnabled, 'periscopeHUD')
+                .name('Periscope HUD')
+                .listen()
+                .onChange((value) => this.app.setPeriscopeHUDEnabled(value));
+        }
 
         // Submarine Lights subfolder
         const submarineLightsFolder = submarineFolder.addFolder('Lights');
@@ -292,20 +359,24 @@ class MyGuiInterface  {
 
         // Submarine Shield subfolder
         const shieldFolder = submarineFolder.addFolder('Shield');
+        const app = this.app;
+        const contents = this.contents;
         const shieldSettings = {
             color: '#66ccff',
             c: 1.0,
             p: 1.4,
-            toggleSubmarineShield: false
+            // Accessor, so toggles made with the keyboard or a gamepad show up here too
+            get toggleSubmarineShield() {
+                return contents.submarine.shieldActive;
+            },
+            set toggleSubmarineShield(value) {
+                app.toggleSubmarineShield(value);
+            }
         };
 
         shieldFolder.add(shieldSettings, 'toggleSubmarineShield')
             .name('Toggle Shield')
-            .onChange((value) => {
-                if (this.app) {
-                    this.app.toggleSubmarineShield(value);
-                }
-            });
+            .listen();
 
         shieldFolder.addColor(shieldSettings, 'color').name("Shield Color").onChange((value) => {
             this.contents.submarine.shieldMaterial.uniforms.glowColor.value.set(value);
@@ -318,653 +389,495 @@ class MyGuiInterface  {
         });
         shieldFolder.close();
 
+        // Submarine Controls subfolder: key bindings, gamepad dead zone and status
+        if (platform.input.captureNextKey) {
+            this.inputFolder = submarineFolder.addFolder('Controls');
+            this._rebuildInputFolder();
+            this.inputFolder.close();
+        }
+
         submarineFolder.close();
 
-        // Bream Fish Shoal folder
-        const breamShoalFolder = this.datgui.addFolder('Bream Fish Shoal');
-        const breamShoalSettings = {
-            fishCount: 50,
-            separationDistance: 15.0,
-            alignmentDistance: 40.0,
-            cohesionDistance: 50.0,
-            separationWeight: 3.0,
-            alignmentWeight: 1.0,
-            cohesionWeight: 3.0,
-            maxSpeed: 80,
-            maxForce: 5,
-            areaSize: 1000,
-            height: 200,
-            boundaryMargin: 80,
-            boundaryForce: 2.0,
-            dangerDistance: 30,
-            panicDistance: 25,
-            color: '#506f6c',
-            
-            applySettings: () => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    const shoal = this.contents.breamFishShoal;
-                    
-                    // Handle fish count changes
-                    const currentFishCount = shoal.fishes.length;
-                    const targetFishCount = breamShoalSettings.fishCount;
-                    if (targetFishCount > currentFishCount) {
-                        const fishToAdd = targetFishCount - currentFishCount;
-                        if (shoal.addFish) shoal.addFish(fishToAdd);
-                    } else if (targetFishCount < currentFishCount) {
-                        const fishToRemove = currentFishCount - targetFishCount;
-                        if (shoal.removeFish) shoal.removeFish(fishToRemove);
-                    }
-                    
-                    shoal.options.separationDistance = breamShoalSettings.separationDistance;
-                    shoal.options.alignmentDistance = breamShoalSettings.alignmentDistance;
-                    shoal.options.cohesionDistance = breamShoalSettings.cohesionDistance;
-                    shoal.options.separationWeight = breamShoalSettings.separationWeight;
-                    shoal.options.alignmentWeight = breamShoalSettings.alignmentWeight;
-                    shoal.options.cohesionWeight = breamShoalSettings.cohesionWeight;
-                    shoal.options.maxSpeed = breamShoalSettings.maxSpeed;
-                    shoal.options.maxForce = breamShoalSettings.maxForce;
-                    shoal.options.areaSize = breamShoalSettings.areaSize;
-                    shoal.options.height = breamShoalSettings.height;
-                    shoal.options.boundsMargin = breamShoalSettings.boundaryMargin;
-                    shoal.options.boundsWeight = breamShoalSettings.boundaryForce;
-                    shoal.options.dangerDetectionDistance = breamShoalSettings.dangerDistance;
-                    shoal.options.dangerEvasionDistance = breamShoalSettings.panicDistance;
-                    
-                    // Update color for all fish
-                    shoal.fishMaterial.color.set(breamShoalSettings.color);
-                    shoal.fishes.forEach(fish => {
-                        fish.traverse((child) => {
-                            if (child.isMesh && child.material) {
-                                child.material.color.set(breamShoalSettings.color);
-                            }
-                        });
-                    });
-                    
-                }
+        // Fish shoals: one folder per shoal generated from SHOAL_PARAMETERS, plus runtime additions
+        this.shoalFolder = this.datgui.addFolder('Fish Shoals');
+        const newShoalSettings = {
+            type: Object.keys(SHOAL_TYPES)[0],
+            add: () => {
+                if (!this.contents) return;
+                this.contents.addShoal(newShoalSettings.type);
+                this._rebuildShoalFolders();
             }
         };
+        const shoalTypeOptions = Object.fromEntries(
+            Object.entries(SHOAL_TYPES).map(([name, shoalType]) => [shoalType.label, name])
+        );
+        this.shoalFolder.add(newShoalSettings, 'type', shoalTypeOptions).name('New Shoal Fish');
+        this.shoalFolder.add(newShoalSettings, 'add').name('Add New Shoal');
+        this._rebuildShoalFolders();
+        this.shoalFolder.close();
 
-        const breamSeparationFolder = breamShoalFolder.addFolder('Separation');
-        breamSeparationFolder.add(breamShoalSettings, 'separationDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.separationDistance = value;
-                    // Force immediate recalculation
-                    if (this.contents.breamFishShoal.bvhEnabled && this.contents.breamFishShoal.updateBVHGeometry) {
-                        this.contents.breamFishShoal.updateBVHGeometry();
-                    }
-                }
-            });
-        breamSeparationFolder.add(breamShoalSettings, 'separationWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.separationWeight = value;
-                }
-            });
-        breamSeparationFolder.close();
-
-        const breamAlignmentFolder = breamShoalFolder.addFolder('Alignment');
-        breamAlignmentFolder.add(breamShoalSettings, 'alignmentDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.alignmentDistance = value;
-                }
-            });
-        breamAlignmentFolder.add(breamShoalSettings, 'alignmentWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.alignmentWeight = value;
-                }
-            });
-        breamAlignmentFolder.close();
-
-        const breamCohesionFolder = breamShoalFolder.addFolder('Cohesion');
-        breamCohesionFolder.add(breamShoalSettings, 'cohesionDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.cohesionDistance = value;
-                }
-            });
-        breamCohesionFolder.add(breamShoalSettings, 'cohesionWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.cohesionWeight = value;
-                }
-            });
-        breamCohesionFolder.close();
+        // Particle Systems folder
+        const particleSystemsFolder = this.datgui.addFolder('Particle Systems');
+        const particleSettings = {
+            marineSnowEnabled: true,
 
-        const breamMovementFolder = breamShoalFolder.addFolder('Movement');
-        breamMovementFolder.add(breamShoalSettings, 'maxSpeed', 40, 100).name('Max Speed').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.maxSpeed = value;
-                }
-            });
-        breamMovementFolder.add(breamShoalSettings, 'maxForce', 0.1, 10).name('Max Force').step(0.01)
+        };
+        
+        particleSystemsFolder.add(particleSettings, 'marineSnowEnabled')
+            .name('Marine Snow')
             .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.maxForce = value;
+                if (this.contents && this.contents.marineSnow) {
+                    this.contents.marineSnow.visible = value;
                 }
             });
-        breamMovementFolder.close();
+        
+        particleSystemsFolder.close();
+        
+        // Store reference to update LOD status dynamically
+        this.particleSettings = particleSettings;
 
-        const breamBoundaryFolder = breamShoalFolder.addFolder('Boundaries');
-        breamBoundaryFolder.add(breamShoalSettings, 'areaSize', 200, 2000).name('Area Size').step(50)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.areaSize = value;
-                }
-            });
-        breamBoundaryFolder.add(breamShoalSettings, 'height', 50, 400).name('Height').step(10)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.height = value;
-                }
-            });
-        breamBoundaryFolder.add(breamShoalSettings, 'boundaryMargin', 20, 150).name('Margin').step(5)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.boundsMargin = value;
-                }
-            });
-        breamBoundaryFolder.add(breamShoalSettings, 'boundaryForce', 0.5, 10).name('Force').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.boundsWeight = value;
-                }
-            });
-        breamBoundaryFolder.close();
+        // Scene snapshot folder for saving and restoring the whole scene
+        const snapshotFolder = this.datgui.addFolder('Scene Snapshot');
+        const snapshotSettings = {
+            filename: 'underwater-scene.json',
+            save: () => {
+                if (this.contents) {
+                    this.contents.snapshot.download(snapshotSettings.filename);
+                }
+            },
+            load: () => {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = 'application/json,.json';
+                input.onchange = () => {
+                    const file = input.files[0];
+                    if (!file || !this.contents) return;
+                    this.contents.snapshot.loadFile(file)
+                        .then(() => this.refresh())
+                        .catch(err => console.error('Failed to load scene snapshot:', err));
+                };
+                input.click();
+            }
+        };
+        snapshotFolder.add(snapshotSettings, 'filename').name('File Name');
+        snapshotFolder.add(snapshotSettings, 'save').name('Save Snapshot');
+        snapshotFolder.add(snapshotSettings, 'load').name('Load Snapshot');
+        snapshotFolder.close();
+
+        // Camera path folder: keyframed Free-Fly tours
+        const cameraPath = this.app.cameraPath;
+        if (cameraPath) {
+            const pathFolder = this.datgui.addFolder('Camera Path');
+            const pathSettings = {
+                spacing: 3,
+                filename: 'camera-path.json',
+                showPath: cameraPath.helper.visible,
+                add: () => {
+                    cameraPath.addKeyframe(null, pathSettings.spacing);
+                    this._rebuildKeyframeFolder();
+                },
+                removeLast: () => {
+                    if (cameraPath.keyframes.length === 0) return;
+                    cameraPath.removeKeyframe(cameraPath.keyframes.length - 1);
+                    this._rebuildKeyframeFolder();
+                },
+                clear: () => {
+                    cameraPath.clear();
+                    this._rebuildKeyframeFolder();
+                },
+                play: () => cameraPath.play(),
+                stop: () => cameraPath.stop(),
+                save: () => cameraPath.download(pathSettings.filename),
+                load: () => {
+                    const input = document.createElement('input');
+                    input.type = 'file';
+                    input.accept = 'application/json,.json';
+                    input.onchange = () => {
+                        const file = input.files[0];
+                        if (!file) return;
+                        cameraPath.loadFile(file)
+                            .then(() => {
+                                this._rebuildKeyframeFolder();
+                                pathFolder.controllers.forEach(c => c.updateDisplay());
+                            })
+                            .catch(err => console.error('Failed to load camera path:', err));
+                    };
+                    input.click();
+                }
+            };
+            pathFolder.add(pathSettings, 'add').name('Add Keyframe (current view)');
+            pathFolder.add(pathSettings, 'spacing', 0.5, 20, 0.5).name('Keyframe Spacing (s)');
+            pathFolder.add(pathSettings, 'removeLast').name('Remove Last Keyframe');
+            pathFolder.add(pathSettings, 'clear').name('Clear Keyframes');
+            pathFolder.add(cameraPath, 'easing', Object.keys(CAMERA_PATH_EASINGS)).name('Easing');
+            pathFolder.add(cameraPath, 'loop').name('Loop');
+            pathFolder.add(pathSettings, 'showPath').name('Show Path').onChange((value) => {
+                cameraPath.helper.visible = value;
+            });
+            pathFolder.add(pathSettings, 'play').name('Play');
+            pathFolder.add(pathSettings, 'stop').name('Stop');
+            pathFolder.add(pathSettings, 'filename').name('File Name');
+            pathFolder.add(pathSettings, 'save').name('Save Path');
+            pathFolder.add(pathSettings, 'load').name('Load Path');
+
+            // Per-keyframe timing, rebuilt whenever keyframes change
+            this.keyframeFolder = pathFolder.addFolder('Keyframe Timing');
+            this._rebuildKeyframeFolder();
+            pathFolder.close();
+        }
+
+        // Quality folder: presets and the frame-time driven governor
+        const quality = this.app.quality;
+        if (quality) {
+            const qualityFolder = this.datgui.addFolder('Quality');
+            qualityFolder.add(quality, 'preset', Object.keys(QUALITY_PRESETS)).name('Preset')
+                .onChange((value) => quality.setPreset(value));
+            qualityFolder.add(quality, 'adaptive').name('Adaptive');
+            qualityFolder.add(quality, 'targetFps', 20, 144, 1).name('Target FPS');
+            qualityFolder.add(quality.status, 'fps').name('Measured FPS').listen().disable();
+            qualityFolder.add({ reset: () => quality.setPreset(quality.preset) }, 'reset').name('Reset to Preset');
+
+            // Current value of every budget; knobs the governor moved show their preset value too
+            const budgetsFolder = qualityFolder.addFolder('Current Budgets');
+            QUALITY_KNOBS.forEach(knob => {
+                budgetsFolder.add(quality.status, knob.name).name(knob.label).listen().disable();
+            });
+            qualityFolder.close();
+        }
+
+        // Viewports folder: picture-in-picture and split-screen layouts
+        const viewportLayout = this.app.viewports;
+        if (viewportLayout) {
+            this.viewportFolder = this.datgui.addFolder('Viewports');
+            this.viewportFolder.add(viewportLayout, 'layoutName', Object.keys(VIEWPORT_LAYOUTS)).name('Layout')
+                .onChange((value) => {
+                    viewportLayout.setLayout(value);
+                    this._rebuildViewportFolders();
+                });
+            this.viewportFolder.add(viewportLayout, 'borderWidth', 0, 8, 1).name('Frame Width');
+            this._rebuildViewportFolders();
+            this.viewportFolder.close();
+        }
+
+        // World generation folder: the seed reproduces the same procedural world on reload
+        const worldFolder = this.datgui.addFolder('World Generation');
+        const worldSettings = {
+            seed: sceneRandom.seed,
+            regenerate: () => {
+                const url = new URL(window.location.href);
+                url.searchParams.set('seed', String(worldSettings.seed >>> 0));
+                window.location.href = url.toString();
+            },
+            randomSeed: () => {
+                worldSettings.seed = Math.floor(Math.random() * 4294967296);
+                worldSettings.regenerate();
+            }
+        };
+        worldFolder.add(worldSettings, 'seed', 0, 4294967295, 1).name('Seed');
+        worldFolder.add(worldSettings, 'regenerate').name('Regenerate');
+        worldFolder.add(worldSettings, 'randomSeed').name('Random Seed');
+        worldFolder.close();
+
+        // Presets folder: named looks kept in the browser, in JSON files or in a shared link
+        this.presets = new MyGuiPresets(this.datgui);
+        this.presetFolder = this.datgui.addFolder('Presets');
+        this.presetSettings = {
+            name: this.presets.names()[0],
+            newName: 'My Preset'
+        };
+        this._rebuildPresetFolder();
+        this.presetFolder.close();
 
-        const breamDangerFolder = breamShoalFolder.addFolder('Danger Settings');
-        breamDangerFolder.add(breamShoalSettings, 'dangerDistance', 10, 60).name('Detection Distance').step(2)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.dangerDetectionDistance = value;
-                }
-            });
-        breamDangerFolder.add(breamShoalSettings, 'panicDistance', 5, 30).name('Panic Distance').step(1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    this.contents.breamFishShoal.options.dangerEvasionDistance = value;
-                }
-            });
-        breamDangerFolder.close();
+        // A link opened with #preset=... starts with that look
+        this.presets.applyFromHash();
+        window.addEventListener('hashchange', () => this.presets.applyFromHash());
+    }
 
-        const breamVisualFolder = breamShoalFolder.addFolder('Visual');
-        breamVisualFolder.addColor(breamShoalSettings, 'color').name('Color')
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    const shoal = this.contents.breamFishShoal;
-                    shoal.fishMaterial.color.set(value);
-                    shoal.fishes.forEach(fish => {
-                        fish.traverse((child) => {
-                            if (child.isMesh && child.material) {
-                                child.material.color.set(value);
-                            }
-                        });
-                    });
-                }
-            });
-        breamVisualFolder.add(breamShoalSettings, 'fishCount', 1, 300).name('Fish Count').step(1)
-            .onChange((value) => {
-                if (this.contents && this.contents.breamFishShoal) {
-                    const shoal = this.contents.breamFishShoal;
-                    const currentFishCount = shoal.fishes.length;
-                    if (value > currentFishCount) {
-                        const fishToAdd = value - currentFishCount;
-                        if (shoal.addFish) shoal.addFish(fishToAdd);
-                    } else if (value < currentFishCount) {
-                        const fishToRemove = currentFishCount - value;
-                        if (shoal.removeFish) shoal.removeFish(fishToRemove);
-                    }
-                }
-            });
-        breamVisualFolder.close();
-
-        breamShoalFolder.close();
-
-        // Slim Fish Shoal folder
-        const slimShoalFolder = this.datgui.addFolder('Slim Fish Shoal');
-        const slimShoalSettings = {
-            fishCount: 40,
-            separationDistance: 15.0,
-            alignmentDistance: 40.0,
-            cohesionDistance: 50.0,
-            separationWeight: 3,
-            alignmentWeight: 1,
-            cohesionWeight: 3.0,
-            maxSpeed: 80,
-            maxForce: 5,
-            areaSize: 1000,
-            height: 200,
-            boundaryMargin: 50,
-            boundaryForce: 5.0,
-            dangerDistance: 30,
-            panicDistance: 35,
-            scale: 3.5,
-            color: '#8dcec7',
-            
-            applySettings: () => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    const shoal = this.contents.slimFishShoal;
-                    
-                    // Handle fish count changes
-                    const currentFishCount = shoal.fishes.length;
-                    const targetFishCount = slimShoalSettings.fishCount;
-                    if (targetFishCount > currentFishCount) {
-                        const fishToAdd = targetFishCount - currentFishCount;
-                        if (shoal.addFish) shoal.addFish(fishToAdd);
-                    } else if (targetFishCount < currentFishCount) {
-                        const fishToRemove = currentFishCount - targetFishCount;
-                        if (shoal.removeFish) shoal.removeFish(fishToRemove);
-                    }
-                    
-                    shoal.options.separationDistance = slimShoalSettings.separationDistance;
-                    shoal.options.alignmentDistance = slimShoalSettings.alignmentDistance;
-                    shoal.options.cohesionDistance = slimShoalSettings.cohesionDistance;
-                    shoal.options.separationWeight = slimShoalSettings.separationWeight;
-                    shoal.options.alignmentWeight = slimShoalSettings.alignmentWeight;
-                    shoal.options.cohesionWeight = slimShoalSettings.cohesionWeight;
-                    shoal.options.maxSpeed = slimShoalSettings.maxSpeed;
-                    shoal.options.maxForce = slimShoalSettings.maxForce;
-                    shoal.options.areaSize = slimShoalSettings.areaSize;
-                    shoal.options.height = slimShoalSettings.height;
-                    shoal.options.boundsMargin = slimShoalSettings.boundaryMargin;
-                    shoal.options.boundsWeight = slimShoalSettings.boundaryForce;
-                    shoal.options.dangerDetectionDistance = slimShoalSettings.dangerDistance;
-                    shoal.options.dangerEvasionDistance = slimShoalSettings.panicDistance;
-                    
-                    // Update color for all fish
-                    shoal.fishMaterial.color.set(slimShoalSettings.color);
-                    shoal.fishes.forEach(fish => {
-                        fish.traverse((child) => {
-                            if (child.isMesh && child.material) {
-                                child.material.color.set(slimShoalSettings.color);
-                            }
-                        });
-                    });
-                    
-                }
+    /**
+     * Rebuilds the presets folder, whose preset list changes when presets are saved,
+     * imported or deleted.
+     * @private
+     */
+    _rebuildPresetFolder() {
+        const folder = this.presetFolder;
+        const presets = this.presets;
+        const settings = this.presetSettings;
+        if (!folder || !presets) return;
+
+        folder.controllers.slice().forEach(controller => controller.destroy());
+
+        const actions = {
+            apply: () => presets.apply(settings.name),
+            save: () => {
+                try {
+                    presets.save(settings.newName);
+                    settings.name = settings.newName;
+                    this._rebuildPresetFolder();
+                } catch (err) {
+                    console.warn(err.message);
+                }
+            },
+            remove: () => {
+                if (presets.isBuiltIn(settings.name)) return;
+                presets.remove(settings.name);
+                settings.name = presets.names()[0];
+                this._rebuildPresetFolder();
+            },
+            exportJson: () => presets.download(settings.name),
+            importJson: () => {
+                const input = document.createElement('input');
+                input.type = 'file';
+                input.accept = 'application/json,.json';
+                input.onchange = () => {
+                    const file = input.files[0];
+                    if (!file) return;
+                    presets.loadFile(file)
+                        .then((name) => {
+                            settings.name = name;
+                            this._rebuildPresetFolder();
+                        })
+                        .catch(err => console.error('Failed to import GUI preset:', err));
+                };
+                input.click();
+            },
+            share: () => {
+                const url = presets.shareUrl();
+                // Update the address bar without triggering hashchange
+                window.history.replaceState(null, '', url);
+                navigator.clipboard?.writeText(url)
+                    .catch(err => console.warn('Could not copy the preset link:', err));
             }
         };
 
-        const slimSeparationFolder = slimShoalFolder.addFolder('Separation');
-        slimSeparationFolder.add(slimShoalSettings, 'separationDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.separationDistance = value;
-                    // Force immediate recalculation
-                    if (this.contents.slimFishShoal.bvhEnabled && this.contents.slimFishShoal.updateBVHGeometry) {
-                        this.contents.slimFishShoal.updateBVHGeometry();
-                    }
-                }
-            });
-        slimSeparationFolder.add(slimShoalSettings, 'separationWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.separationWeight = value;
-                }
-            });
-        slimSeparationFolder.close();
-
-        const slimAlignmentFolder = slimShoalFolder.addFolder('Alignment');
-        slimAlignmentFolder.add(slimShoalSettings, 'alignmentDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.alignmentDistance = value;
-                }
-            });
-        slimAlignmentFolder.add(slimShoalSettings, 'alignmentWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.alignmentWeight = value;
-                }
-            });
-        slimAlignmentFolder.close();
+        folder.add(settings, 'name', presets.names()).name('Preset');
+        folder.add(actions, 'apply').name('Apply Preset');
+        folder.add(settings, 'newName').name('New Preset Name');
+        folder.add(actions, 'save').name('Save Current As');
+        folder.add(actions, 'remove').name('Delete Preset');
+        folder.add(actions, 'exportJson').name('Export JSON');
+        folder.add(actions, 'importJson').name('Import JSON');
+        folder.add(actions, 'share').name('Copy Share Link');
+    }
 
-        const slimCohesionFolder = slimShoalFolder.addFolder('Cohesion');
-        slimCohesionFolder.add(slimShoalSettings, 'cohesionDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.cohesionDistance = value;
-                }
-            });
-        slimCohesionFolder.add(slimShoalSettings, 'cohesionWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.cohesionWeight = value;
-                }
-            });
-        slimCohesionFolder.close();
+    /**
+     * Rebuilds the camera path timing folder: one time slider and one "go to" button per keyframe.
+     * @private
+     */
+    _rebuildKeyframeFolder() {
+        const folder = this.keyframeFolder;
+        const cameraPath = this.app.cameraPath;
+        if (!folder || !cameraPath) return;
+
+        folder.controllers.slice().forEach(controller => controller.destroy());
+
+        cameraPath.keyframes.forEach((keyframe, index) => {
+            folder.add(keyframe, 'time', 0, Math.max(60, Math.ceil(cameraPath.duration) + 20), 0.1)
+                .name(`Keyframe ${index + 1} (s)`)
+                .onFinishChange((value) => {
+                    cameraPath.setKeyframeTime(index, value);
+                    this._rebuildKeyframeFolder();
+                });
+            folder.add({ go: () => cameraPath.goToKeyframe(index) }, 'go').name(`Go to Keyframe ${index + 1}`);
+        });
+    }
 
-        const slimMovementFolder = slimShoalFolder.addFolder('Movement');
-        slimMovementFolder.add(slimShoalSettings, 'maxSpeed', 40, 100).name('Max Speed').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.maxSpeed = value;
-                }
-            });
-        slimMovementFolder.add(slimShoalSettings, 'maxForce', 0.1, 10).name('Max Force').step(0.01)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.maxForce = value;
-                }
-            });
-        slimMovementFolder.close();
+    /**
+     * Rebuilds one subfolder per viewport of the current layout: camera, rectangle and effects.
+     * @private
+     */
+    _rebuildViewportFolders() {
+        const parent = this.viewportFolder;
+        const viewportLayout = this.app.viewports;
+        if (!parent || !viewportLayout) return;
+
+        parent.folders.slice().forEach(folder => folder.destroy());
+
+        const cameraNames = [ACTIVE_CAMERA, ...Object.keys(this.app.cameras)];
+        const resize = () => viewportLayout.resize();
+        viewportLayout.viewports.forEach((viewport, index) => {
+            const folder = parent.addFolder(index === 0 ? 'Viewport 1 (primary)' : `Viewport ${index + 1}`);
+            folder.add(viewport, 'cameraName', cameraNames).name('Camera').onChange(resize);
+            folder.add(viewport, 'left', 0, 1, 0.01).name('Left').onChange(resize);
+            folder.add(viewport, 'top', 0, 1, 0.01).name('Top').onChange(resize);
+            folder.add(viewport, 'width', 0.05, 1, 0.01).name('Width').onChange(resize);
+            folder.add(viewport, 'height', 0.05, 1, 0.01).name('Height').onChange(resize);
+            for (const passType of postPassTypes.list()) {
+                if (!passType.toggleable) continue;
+                folder.add(viewport.effects, passType.name).name(passType.label).listen();
+            }
+            folder.close();
+        });
+    }
 
-        const slimBoundaryFolder = slimShoalFolder.addFolder('Boundaries');
-        slimBoundaryFolder.add(slimShoalSettings, 'areaSize', 200, 2000).name('Area Size').step(50)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.areaSize = value;
-                }
-            });
-        slimBoundaryFolder.add(slimShoalSettings, 'height', 50, 400).name('Height').step(10)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.height = value;
-                }
-            });
-        slimBoundaryFolder.add(slimShoalSettings, 'boundaryMargin', 20, 150).name('Margin').step(5)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.boundsMargin = value;
-                }
-            });
-        slimBoundaryFolder.add(slimShoalSettings, 'boundaryForce', 0.5, 5).name('Force').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.boundsWeight = value;
-                }
-            });
-        slimBoundaryFolder.close();
+    /**
+     * Generates the 'Post-Processing' folder from the pass registry: per pass, its toggle in
+     * the primary viewport, its settings and the cameras it runs for. The settings are shared
+     * by every viewport; the other viewports have their own toggles in the Viewports folder.
+     * @param {MyPostProcessing} stack - Post-processing stack of the application.
+     * @returns {GUI} The new folder.
+     */
+    addPostProcessingFolder(stack) {
+        const folder = this.datgui.addFolder('Post-Processing');
+        for (const passType of stack.registry.list()) {
+            const passFolder = folder.addFolder(passType.label);
+            if (passType.toggleable) {
+                passFolder.add(this.app.effectsEnabled, passType.name).name('Enabled').listen();
+            }
 
-        const slimDangerFolder = slimShoalFolder.addFolder('Danger Settings');
-        slimDangerFolder.add(slimShoalSettings, 'dangerDistance', 10, 60).name('Detection Distance').step(2)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.dangerDetectionDistance = value;
-                }
-            });
-        slimDangerFolder.add(slimShoalSettings, 'panicDistance', 5, 30).name('Panic Distance').step(1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    this.contents.slimFishShoal.options.dangerEvasionDistance = value;
-                }
-            });
-        slimDangerFolder.close();
+            const settings = stack.settings[passType.name];
+            for (const { name, label, min, max, step, listen } of passType.parameters) {
+                const controller = min === undefined
+                    ? passFolder.addColor(settings, name).name(label)
+                    : passFolder.add(settings, name, min, max, step).name(label);
+                if (listen) controller.listen();
+            }
 
-        const slimVisualFolder = slimShoalFolder.addFolder('Visual');
-        slimVisualFolder.addColor(slimShoalSettings, 'color').name('Color')
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    const shoal = this.contents.slimFishShoal;
-                    shoal.fishMaterial.color.set(value);
-                    shoal.fishes.forEach(fish => {
-                        fish.traverse((child) => {
-                            if (child.isMesh && child.material) {
-                                child.material.color.set(value);
-                            }
-                        });
-                    });
-                }
-            });
-        slimVisualFolder.add(slimShoalSettings, 'fishCount', 1, 300).name('Fish Count').step(1)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    const shoal = this.contents.slimFishShoal;
-                    const currentFishCount = shoal.fishes.length;
-                    if (value > currentFishCount) {
-                        const fishToAdd = value - currentFishCount;
-                        if (shoal.addFish) shoal.addFish(fishToAdd);
-                    } else if (value < currentFishCount) {
-                        const fishToRemove = currentFishCount - value;
-                        if (shoal.removeFish) shoal.removeFish(fishToRemove);
-                    }
-                }
+            const camerasFolder = passFolder.addFolder('Cameras');
+            Object.keys(stack.cameras[passType.name]).forEach(cameraName => {
+                camerasFolder.add(stack.cameras[passType.name], cameraName);
             });
-        slimVisualFolder.add(slimShoalSettings, 'scale', 1, 7).name('Scale').step(0.05)
-            .onChange((value) => {
-                if (this.contents && this.contents.slimFishShoal) {
-                    if (this.contents.slimFishShoal.setFishScale) {
-                        this.contents.slimFishShoal.setFishScale(value);
-                    }
-                }
-            });
-        slimVisualFolder.close();
+            camerasFolder.close();
+            passFolder.close();
+        }
+        folder.close();
+        return folder;
+    }
 
-        slimShoalFolder.close();
-        
-        // Turtle Shoal folder
-        const turtleShoalFolder = this.datgui.addFolder('Turtle Shoal');
-        const turtleShoalSettings = {
-            fishCount: 12,
-            separationDistance: 15.0,
-            alignmentDistance: 40.0,
-            cohesionDistance: 50.0,
-            separationWeight: 3,
-            alignmentWeight: 1.5,
-            cohesionWeight: 3.0,
-            maxSpeed: 80,
-            maxForce: 5,
-            areaSize: 1000,
-            height: 200,
-            boundaryMargin: 50,
-            boundaryForce: 5.0,
-            dangerDistance: 30,
-            panicDistance: 25,
-            scale: 10.0,
-            color: '#20622a',
-            
-            applySettings: () => {
-                if (this.contents && this.contents.turtleShoal) {
-                    const shoal = this.contents.turtleShoal;
-                    
-                    const currentFishCount = shoal.fishes.length;
-                    const targetFishCount = turtleShoalSettings.fishCount;
-                    if (targetFishCount > currentFishCount) {
-                        const fishToAdd = targetFishCount - currentFishCount;
-                        if (shoal.addFish) shoal.addFish(fishToAdd);
-                    } else if (targetFishCount < currentFishCount) {
-                        const fishToRemove = currentFishCount - targetFishCount;
-                        if (shoal.removeFish) shoal.removeFish(fishToRemove);
-                    }
-                    
-                    shoal.options.separationDistance = turtleShoalSettings.separationDistance;
-                    shoal.options.alignmentDistance = turtleShoalSettings.alignmentDistance;
-                    shoal.options.cohesionDistance = turtleShoalSettings.cohesionDistance;
-                    shoal.options.separationWeight = turtleShoalSettings.separationWeight;
-                    shoal.options.alignmentWeight = turtleShoalSettings.alignmentWeight;
-                    shoal.options.cohesionWeight = turtleShoalSettings.cohesionWeight;
-                    shoal.options.maxSpeed = turtleShoalSettings.maxSpeed;
-                    shoal.options.maxForce = turtleShoalSettings.maxForce;
-                    shoal.options.areaSize = turtleShoalSettings.areaSize;
-                    shoal.options.height = turtleShoalSettings.height;
-                    shoal.options.boundsMargin = turtleShoalSettings.boundaryMargin;
-                    shoal.options.boundsWeight = turtleShoalSettings.boundaryForce;
-                    shoal.options.dangerDetectionDistance = turtleShoalSettings.dangerDistance;
-                    shoal.options.dangerEvasionDistance = turtleShoalSettings.panicDistance;
-
-                    if (shoal.setFishScale) {
-                        shoal.setFishScale(turtleShoalSettings.scale);
-                    }
-                    
-                    shoal.fishMaterial.color.set(turtleShoalSettings.color);
-                    shoal.fishes.forEach(fish => {
-                        fish.traverse((child) => {
-                            if (child.isMesh && child.material) {
-                                child.material.color.set(turtleShoalSettings.color);
-                            }
-                        });
-                    });
+    /**
+     * Generates the folder of a shoal from SHOAL_PARAMETERS: one subfolder per group
+     * (flocking, movement, boundaries, danger, visual), with the limits of the shoal's type.
+     * Controllers read the live shoal options, so refresh() shows changes made elsewhere.
+     * @param {GUI} parent - Folder receiving the shoal folder.
+     * @param {MyShoal} shoal - Shoal to control.
+     * @param {string} title - Title of the folder.
+     * @returns {GUI} The new folder.
+     */
+    addShoalFolder(parent, shoal, title) {
+        const folder = parent.addFolder(title);
+        const overrides = SHOAL_TYPES[shoal.userData.shoalType]?.gui ?? {};
+
+        // Accessors over the shoal, so every change goes through setOption()
+        const values = {};
+        SHOAL_PARAMETERS.forEach(group => group.parameters.forEach(({ name }) => {
+            Object.defineProperty(values, name, {
+                enumerable: true,
+                get: () => (name === 'fishCount' ? shoal.fishes.length : shoal.options[name]),
+                set: (value) => shoal.setOption(name, value)
+            });
+        }));
+
+        for (const group of SHOAL_PARAMETERS) {
+            const groupFolder = folder.addFolder(group.folder);
+            for (const parameter of group.parameters) {
+                const { name, label, min, max, step } = { ...parameter, ...overrides[parameter.name] };
+                if (min === undefined) {
+                    groupFolder.addColor(values, name).name(label);
+                } else {
+                    groupFolder.add(values, name, min, max, step).name(label);
                 }
             }
-        };
+            groupFolder.close();
+        }
+        return folder;
+    }
 
-        const turtleSeparationFolder = turtleShoalFolder.addFolder('Separation');
-        turtleSeparationFolder.add(turtleShoalSettings, 'separationDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.separationDistance = value;
-                    if (this.contents.turtleShoal.bvhEnabled && this.contents.turtleShoal.updateBVHGeometry) {
-                        this.contents.turtleShoal.updateBVHGeometry();
+    /**
+     * Rebuilds the folder of every shoal, after shoals were added or removed.
+     * Shoals added at runtime are numbered per fish type and can be removed again.
+     * @private
+     */
+    _rebuildShoalFolders() {
+        const parent = this.shoalFolder;
+        if (!parent || !this.contents || !this.contents.shoals) return;
+
+        parent.folders.slice().forEach(folder => folder.destroy());
+
+        const added = new Set(this.contents.getAddedShoals());
+        const counts = {};
+        for (const shoal of this.contents.shoals) {
+            const typeName = shoal.userData.shoalType;
+            counts[typeName] = (counts[typeName] ?? 0) + 1;
+            const label = SHOAL_TYPES[typeName]?.label ?? 'Fish';
+            const title = counts[typeName] === 1 ? `${label} Shoal` : `${label} Shoal ${counts[typeName]}`;
+
+            const folder = this.addShoalFolder(parent, shoal, title);
+            if (added.has(shoal)) {
+                folder.add({
+                    remove: () => {
+                        this.contents.removeShoal(shoal);
+                        this._rebuildShoalFolders();
                     }
-                }
-            });
-        turtleSeparationFolder.add(turtleShoalSettings, 'separationWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.separationWeight = value;
-                }
-            });
-        turtleSeparationFolder.close();
-
-        const turtleAlignmentFolder = turtleShoalFolder.addFolder('Alignment');
-        turtleAlignmentFolder.add(turtleShoalSettings, 'alignmentDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.alignmentDistance = value;
-                }
-            });
-        turtleAlignmentFolder.add(turtleShoalSettings, 'alignmentWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.alignmentWeight = value;
-                }
-            });
-        turtleAlignmentFolder.close();
-
-        const turtleCohesionFolder = turtleShoalFolder.addFolder('Cohesion');
-        turtleCohesionFolder.add(turtleShoalSettings, 'cohesionDistance', 10, 200).name('Distance').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.cohesionDistance = value;
-                }
-            });
-        turtleCohesionFolder.add(turtleShoalSettings, 'cohesionWeight', 0, 10).name('Weight').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.cohesionWeight = value;
-                }
-            });
-        turtleCohesionFolder.close();
-
-        const turtleMovementFolder = turtleShoalFolder.addFolder('Movement');
-        turtleMovementFolder.add(turtleShoalSettings, 'maxSpeed', 40, 100).name('Max Speed').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.maxSpeed = value;
-                }
-            });
-        turtleMovementFolder.add(turtleShoalSettings, 'maxForce', 0.1, 10).name('Max Force').step(0.01)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.maxForce = value;
-                }
-            });
-        turtleMovementFolder.close();
-
-        const turtleBoundaryFolder = turtleShoalFolder.addFolder('Boundaries');
-        turtleBoundaryFolder.add(turtleShoalSettings, 'areaSize', 200, 2000).name('Area Size').step(50)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.areaSize = value;
-                }
-            });
-        turtleBoundaryFolder.add(turtleShoalSettings, 'height', 50, 400).name('Height').step(10)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.height = value;
-                }
-            });
-        turtleBoundaryFolder.add(turtleShoalSettings, 'boundaryMargin', 20, 150).name('Margin').step(5)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.boundsMargin = value;
-                }
-            });
-        turtleBoundaryFolder.add(turtleShoalSettings, 'boundaryForce', 0.5, 5).name('Force').step(0.1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.boundsWeight = value;
-                }
-            });
-        turtleBoundaryFolder.close();
-
-        const turtleDangerFolder = turtleShoalFolder.addFolder('Danger Settings');
-        turtleDangerFolder.add(turtleShoalSettings, 'dangerDistance', 10, 60).name('Detection Distance').step(2)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.dangerDetectionDistance = value;
-                }
-            });
-        turtleDangerFolder.add(turtleShoalSettings, 'panicDistance', 5, 30).name('Panic Distance').step(1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    this.contents.turtleShoal.options.dangerEvasionDistance = value;
-                }
-            });
-        turtleDangerFolder.close();
+                }, 'remove').name('Remove Shoal');
+            }
+            folder.close();
+        }
+    }
 
-        const turtleVisualFolder = turtleShoalFolder.addFolder('Visual');
-        turtleVisualFolder.addColor(turtleShoalSettings, 'color').name('Color')
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    const shoal = this.contents.turtleShoal;
-                    shoal.fishMaterial.color.set(value);
-                    shoal.fishes.forEach(fish => {
-                        fish.traverse((child) => {
-                            if (child.isMesh && child.material) {
-                                child.material.color.set(value);
-                            }
-                        });
+    /**
+     * Rebuilds the submarine controls folder: one button per key binding (click, then press
+     * the new key; Escape cancels), the gamepad dead zone and the connected gamepad.
+     * @private
+     */
+    _rebuildInputFolder() {
+        const folder = this.inputFolder;
+        if (!folder) return;
+
+        const actions = platform.actions;
+        const input = platform.input;
+        folder.controllers.slice().forEach(controller => controller.destroy());
+
+        const addBinding = (name, slot, label) => {
+            const settings = {
+                rebind: () => {
+                    controller.name(`${label}: press a key...`);
+                    input.captureNextKey().then((key) => {
+                        if (key) actions.bindKey(name, slot, key);
+                        this._rebuildInputFolder();
                     });
                 }
-            });
-        turtleVisualFolder.add(turtleShoalSettings, 'fishCount', 1, 25).name('Turtle Count').step(1)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    const shoal = this.contents.turtleShoal;
-                    const currentFishCount = shoal.fishes.length;
-                    if (value > currentFishCount) {
-                        const fishToAdd = value - currentFishCount;
-                        if (shoal.addFish) shoal.addFish(fishToAdd);
-                    } else if (value < currentFishCount) {
-                        const fishToRemove = currentFishCount - value;
-                        if (shoal.removeFish) shoal.removeFish(fishToRemove);
-                    }
-                }
-            });
-        turtleVisualFolder.add(turtleShoalSettings, 'scale', 3, 20).name('Scale').step(0.5)
-            .onChange((value) => {
-                if (this.contents && this.contents.turtleShoal) {
-                    if (this.contents.turtleShoal.setFishScale) {
-                        this.contents.turtleShoal.setFishScale(value);
-                    }
-                }
-            });
-        turtleVisualFolder.close();
-        turtleShoalFolder.close();
+            };
+            const controller = folder.add(settings, 'rebind')
+                .name(`${label}: ${MyInputActions.keyLabel(actions.bindings[name][slot])}`);
+        };
 
-        // Particle Systems folder
-        const particleSystemsFolder = this.datgui.addFolder('Particle Systems');
-        const particleSettings = {
-            marineSnowEnabled: true,
+        for (const [name, action] of Object.entries(INPUT_ACTIONS)) {
+            if (action.type === 'axis') {
+                addBinding(name, 'positive', `${action.label} +`);
+                addBinding(name, 'negative', `${action.label} -`);
+            } else {
+                addBinding(name, 'positive', action.label);
+            }
+        }
 
+        folder.add(actions, 'deadZone', 0, 0.5, 0.01).name('Gamepad Dead Zone')
+            .onFinishChange(() => actions.save());
+        const status = {
+            get gamepad() {
+                return input.gamepadId ?? 'None';
+            }
         };
-        
-        particleSystemsFolder.add(particleSettings, 'marineSnowEnabled')
-            .name('Marine Snow')
-            .onChange((value) => {
-                if (this.contents && this.contents.marineSnow) {
-                    this.contents.marineSnow.visible = value;
-                }
-            });
-        
-        particleSystemsFolder.close();
-        
-        // Store reference to update LOD status dynamically
-        this.particleSettings = particleSettings;
+        folder.add(status, 'gamepad').name('Gamepad').listen().disable();
+        folder.add({
+            reset: () => {
+                actions.resetBindings();
+                actions.save();
+                this._rebuildInputFolder();
+            }
+        }, 'reset').name('Reset Bindings');
+    }
+
+    /**
+     * Re-synchronizes displayed values with the scene after it changed outside the GUI,
+     * for example after loading a snapshot.
+     */
+    refresh() {
+        this._rebuildShoalFolders();
+        if (this.contents && this.terrainSettings) {
+            for (const entityType of terrainEntityTypes.list()) {
+                this.terrainSettings[entityType.name] = this.contents.getTerrainEntities(entityType.name).length;
+            }
+        }
+        this.datgui.controllersRecursive().forEach(controller => controller.updateDisplay());
     }
     
 }
@@ -0,0 +1,379 @@
+// MyGuiPresets.js
+// Named presets of the GUI settings: built-in looks, browser storage, JSON files and shareable links.
+// All methods and classes are documented for clarity and maintainability.
+
+import { FunctionController } from 'three/addons/libs/lil-gui.module.min.js';
+
+/**
+ * Top-level GUI folders whose settings make up a preset. Camera, simulation, recording,
+ * snapshots and other one-off actions are left out on purpose.
+ * @type {string[]}
+ */
+const PRESET_FOLDERS = ['Scene Display', 'Post-Processing', 'Underwater Fog', 'Caustics', 'Terrain Entities', 'Submarine', 'Fish Shoals', 'Particle Systems'];
+
+/**
+ * Subfolders skipped inside the preset folders (key bindings are saved on their own).
+ * @type {string[]}
+ */
+const PRESET_EXCLUDED_FOLDERS = ['Controls'];
+
+/**
+ * Key under which user presets are saved in localStorage.
+ * @type {string}
+ */
+const PRESETS_STORAGE_KEY = 'pw2.guiPresets';
+
+/**
+ * Name of the URL hash parameter carrying a shared preset.
+ * @type {string}
+ */
+const PRESET_HASH_PARAM = 'preset';
+
+/**
+ * Builds the preset state of the three built-in shoals.
+ * @param {Object} movement - Controller values of the Movement folder.
+ * @param {Object} danger - Controller values of the Danger Settings folder.
+ * @param {number[]} counts - Bream fish, slim fish and turtle counts.
+ * @returns {Object} State of the 'Fish Shoals' folder.
+ */
+function shoalsPreset(movement, danger, counts) {
+    const shoal = (countName, count) => ({
+        folders: {
+            Movement: { controllers: { ...movement } },
+            'Danger Settings': { controllers: { ...danger } },
+            Visual: { controllers: { [countName]: count } }
+        }
+    });
+    return {
+        folders: {
+            'Bream Fish Shoal': shoal('Fish Count', counts[0]),
+            'Slim Fish Shoal': shoal('Fish Count', counts[1]),
+            'Turtle Shoal': shoal('Turtle Count', counts[2])
+        }
+    };
+}
+
+/**
+ * Presets shipped with the scene, in the lil-gui save() format. They all set the same
+ * controllers, so switching between them never leaves values from the previous one.
+ * @type {Object<string, Object>}
+ */
+const BUILT_IN_PRESETS = {
+    'Calm Reef': {
+        folders: {
+            'Scene Display': { controllers: { 'Wireframe Mode': false } },
+            'Post-Processing': {
+                folders: { 'Depth of Field': { controllers: { Enabled: true, Aperture: 2, 'Focus Distance': 120, 'Max Blur': 0.004 } } }
+            },
+            'Terrain Entities': {
+                controllers: { Bubbles: 8, Crabs: 10, Algae: 24, Starfish: 16, Rocks: 10, 'Coral Type 0': 12, 'Coral Type 1': 12 }
+            },
+            Submarine: { folders: { Shield: { controllers: { 'Toggle Shield': false } } } },
+            'Fish Shoals': shoalsPreset(
+                { 'Max Speed': 50, 'Max Force': 2 },
+                { 'Detection Distance': 20, 'Panic Distance': 10 },
+                [50, 40, 12]
+            ),
+            'Particle Systems': { controllers: { 'Marine Snow': true } }
+        }
+    },
+    'Shark Panic': {
+        folders: {
+            'Scene Display': { controllers: { 'Wireframe Mode': false } },
+            'Post-Processing': { folders: { 'Depth of Field': { controllers: { Enabled: false } } } },
+            'Terrain Entities': {
+                controllers: { Bubbles: 10, Crabs: 7, Algae: 14, Starfish: 10, Rocks: 10, 'Coral Type 0': 7, 'Coral Type 1': 7 }
+            },
+            Submarine: { folders: { Shield: { controllers: { 'Toggle Shield': true } } } },
+            'Fish Shoals': shoalsPreset(
+                { 'Max Speed': 100, 'Max Force': 8 },
+                { 'Detection Distance': 60, 'Panic Distance': 30 },
+                [80, 60, 15]
+            ),
+            'Particle Systems': { controllers: { 'Marine Snow': true } }
+        }
+    },
+    Performance: {
+        folders: {
+            'Scene Display': { controllers: { 'Wireframe Mode': false } },
+            'Post-Processing': { folders: { 'Depth of Field': { controllers: { Enabled: false } } } },
+            'Terrain Entities': {
+                controllers: { Bubbles: 4, Crabs: 3, Algae: 6, Starfish: 4, Rocks: 5, 'Coral Type 0': 3, 'Coral Type 1': 3 }
+            },
+            Submarine: { folders: { Shield: { controllers: { 'Toggle Shield': false } } } },
+            'Fish Shoals': shoalsPreset(
+                { 'Max Speed': 80, 'Max Force': 5 },
+                { 'Detection Distance': 30, 'Panic Distance': 25 },
+                [20, 15, 6]
+            ),
+            'Particle Systems': { controllers: { 'Marine Snow': false } }
+        }
+    }
+};
+
+/**
+ * MyGuiPresets
+ * Captures and applies the settings of the preset folders using lil-gui's save()/load()
+ * layout ({controllers, folders} keyed by controller name and folder title). Read-only
+ * readouts and buttons are skipped, and only controllers whose value differs are loaded,
+ * since lil-gui runs onChange even for unchanged values (which would, for example,
+ * scatter the seabed entities again).
+ */
+class MyGuiPresets {
+    /**
+     * Constructs a new MyGuiPresets instance.
+     * @param {GUI} gui - Root lil-gui instance.
+     */
+    constructor(gui) {
+        /**
+         * Root lil-gui instance.
+         * @type {GUI}
+         */
+        this.gui = gui;
+
+        /**
+         * Presets saved by the user, by name.
+         * @type {Object<string, Object>}
+         */
+        this.userPresets = this._loadStorage();
+    }
+
+    /**
+     * Lists the built-in presets followed by the user presets.
+     * @returns {string[]} Preset names.
+     */
+    names() {
+        return [...Object.keys(BUILT_IN_PRESETS), ...Object.keys(this.userPresets)];
+    }
+
+    /**
+     * Looks up a preset.
+     * @param {string} name - Preset name.
+     * @returns {Object|undefined} Preset state, if there is one with that name.
+     */
+    get(name) {
+        return this.userPresets[name] ?? BUILT_IN_PRESETS[name];
+    }
+
+    /**
+     * Checks whether a preset ships with the scene (and so cannot be overwritten or deleted).
+     * @param {string} name - Preset name.
+     * @returns {boolean} True for built-in presets.
+     */
+    isBuiltIn(name) {
+        return Object.prototype.hasOwnProperty.call(BUILT_IN_PRESETS, name);
+    }
+
+    /**
+     * Reads the current settings of the preset folders.
+     * @returns {Object} Preset state.
+     */
+    capture() {
+        const state = { folders: {} };
+        for (const folder of this.gui.folders) {
+            if (PRESET_FOLDERS.includes(folder._title)) {
+                state.folders[folder._title] = this._saveFolder(folder);
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Applies a preset. Settings it does not mention, and folders that do not exist
+     * (e.g. a shoal added at runtime by whoever saved it), are left alone.
+     * @param {Object|string} preset - Preset state, or the name of a preset.
+     */
+    apply(preset) {
+        const state = typeof preset === 'string' ? this.get(preset) : preset;
+        if (!state) {
+            throw new Error(`Unknown GUI preset: ${preset}`);
+        }
+        for (const folder of this.gui.folders) {
+            const folderState = state.folders?.[folder._title];
+            if (folderState && PRESET_FOLDERS.includes(folder._title)) {
+                this._loadFolder(folder, folderState);
+            }
+        }
+    }
+
+    /**
+     * Saves the current settings as a user preset.
+     * @param {string} name - Preset name; an existing user preset with that name is replaced.
+     * @returns {Object} The saved state.
+     */
+    save(name) {
+        if (!name || this.isBuiltIn(name)) {
+            throw new Error(`Invalid preset name: ${name}`);
+        }
+        this.userPresets[name] = this.capture();
+        this._writeStorage();
+        return this.userPresets[name];
+    }
+
+    /**
+     * Deletes a user preset.
+     * @param {string} name - Preset name.
+     */
+    remove(name) {
+        if (!this.userPresets[name]) return;
+        delete this.userPresets[name];
+        this._writeStorage();
+    }
+
+    /**
+     * Saves a preset as a JSON file through the browser.
+     * @param {string} name - Preset name.
+     * @param {string} [filename] - Name of the downloaded file (defaults to the preset name).
+     */
+    download(name, filename = `${name.toLowerCase().replace(/\s+/g, '-')}.json`) {
+        const json = JSON.stringify({ name, preset: this.get(name) }, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reads a preset from a JSON file written by download() and stores it as a user preset.
+     * A name clashing with a built-in preset gets an "(imported)" suffix.
+     * @param {File} file - File chosen by the user.
+     * @returns {Promise<string>} Resolves with the name the preset was stored under.
+     */
+    async loadFile(file) {
+        const data = JSON.parse(await file.text());
+        if (!data || typeof data.preset !== 'object') {
+            throw new Error('Not a GUI preset file');
+        }
+        let name = data.name || file.name.replace(/\.json$/i, '');
+        if (this.isBuiltIn(name)) name = `${name} (imported)`;
+
+        this.userPresets[name] = data.preset;
+        this._writeStorage();
+        return name;
+    }
+
+    /**
+     * Builds a link to the page that applies a preset when opened.
+     * @param {Object} [state=this.capture()] - Preset state to share; the current settings by default.
+     * @returns {string} URL with the preset encoded in its hash.
+     */
+    shareUrl(state = this.capture()) {
+        const url = new URL(window.location.href);
+        url.hash = `${PRESET_HASH_PARAM}=${MyGuiPresets.encode(state)}`;
+        return url.toString();
+    }
+
+    /**
+     * Applies the preset carried by the page URL hash, if any.
+     * @returns {boolean} True when a preset was found and applied.
+     */
+    applyFromHash() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const encoded = params.get(PRESET_HASH_PARAM);
+        if (!encoded) return false;
+
+        try {
+            this.apply(MyGuiPresets.decode(encoded));
+            return true;
+        } catch (err) {
+            console.warn('The preset in the page URL could not be applied:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Encodes a preset state as URL-safe base64 JSON.
+     * @param {Object} state - Preset state.
+     * @returns {string} Encoded state.
+     */
+    static encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Decodes a state produced by encode().
+     * @param {string} encoded - Encoded state.
+     * @returns {Object} Preset state.
+     */
+    static decode(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    /**
+     * Saves the editable controllers of a folder and its subfolders.
+     * @param {GUI} folder - Folder to read.
+     * @returns {Object} Folder state.
+     * @private
+     */
+    _saveFolder(folder) {
+        const state = { controllers: {}, folders: {} };
+        for (const controller of folder.controllers) {
+            if (controller instanceof FunctionController || controller._disabled) continue;
+            state.controllers[controller._name] = controller.save();
+        }
+        for (const subfolder of folder.folders) {
+            if (PRESET_EXCLUDED_FOLDERS.includes(subfolder._title)) continue;
+            state.folders[subfolder._title] = this._saveFolder(subfolder);
+        }
+        return state;
+    }
+
+    /**
+     * Loads a folder state into a folder and its subfolders, touching only changed values.
+     * @param {GUI} folder - Folder to update.
+     * @param {Object} state - Folder state.
+     * @private
+     */
+    _loadFolder(folder, state) {
+        for (const controller of folder.controllers) {
+            if (controller instanceof FunctionController || controller._disabled) continue;
+            if (!state.controllers || !(controller._name in state.controllers)) continue;
+            const value = state.controllers[controller._name];
+            if (controller.save() !== value) controller.load(value);
+        }
+        for (const subfolder of folder.folders) {
+            const subfolderState = state.folders?.[subfolder._title];
+            if (subfolderState && !PRESET_EXCLUDED_FOLDERS.includes(subfolder._title)) {
+                this._loadFolder(subfolder, subfolderState);
+            }
+        }
+    }
+
+    /**
+     * Reads the user presets from localStorage.
+     * @returns {Object<string, Object>} Presets by name (empty when none or unavailable).
+     * @private
+     */
+    _loadStorage() {
+        if (typeof localStorage === 'undefined') return {};
+        try {
+            return JSON.parse(localStorage.getItem(PRESETS_STORAGE_KEY)) ?? {};
+        } catch (err) {
+            console.warn('Saved GUI presets are invalid:', err);
+            return {};
+        }
+    }
+
+    /**
+     * Writes the user presets to localStorage, when available.
+     * @private
+     */
+    _writeStorage() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(this.userPresets));
+        } catch (err) {
+            console.warn('GUI presets could not be saved:', err);
+        }
+    }
+}
+
+export { MyGuiPresets, BUILT_IN_PRESETS, PRESET_FOLDERS };
@@ -0,0 +1,228 @@
+// MyInputActions.js
+// Named input actions (thrust, yaw, shield...) mapped to remappable keys and gamepad controls.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * @typedef {Object} MyActionBinding
+ * @property {string|null} positive - Key driving the action towards +1 (or triggering a button action).
+ * @property {string|null} negative - Key driving an axis action towards -1.
+ * @property {number|null} axis - Gamepad axis index (standard mapping), for axis actions.
+ * @property {boolean} invertAxis - Whether the gamepad axis is read reversed.
+ * @property {number|null} button - Gamepad button index, for button actions.
+ */
+
+/**
+ * Actions of the scene with their default bindings. Axis actions return a value in
+ * [-1, 1]; button actions are pressed or not. The gamepad defaults follow the standard
+ * mapping: left stick for thrust and yaw, right stick for depth, A to toggle the shield.
+ * @type {Object<string, {label: string, type: string, defaults: MyActionBinding}>}
+ */
+const INPUT_ACTIONS = {
+    thrust: {
+        label: 'Thrust',
+        type: 'axis',
+        defaults: { positive: 'w', negative: 's', axis: 1, invertAxis: true, button: null }
+    },
+    vertical: {
+        label: 'Vertical',
+        type: 'axis',
+        defaults: { positive: 'p', negative: 'l', axis: 3, invertAxis: true, button: null }
+    },
+    yaw: {
+        label: 'Yaw',
+        type: 'axis',
+        defaults: { positive: 'a', negative: 'd', axis: 0, invertAxis: true, button: null }
+    },
+    toggleShield: {
+        label: 'Toggle Shield',
+        type: 'button',
+        defaults: { positive: 'f', negative: null, axis: null, invertAxis: false, button: 0 }
+    }
+};
+
+/**
+ * Key under which the bindings are saved in localStorage.
+ * @type {string}
+ */
+const BINDINGS_STORAGE_KEY = 'pw2.inputBindings';
+
+/**
+ * MyInputActions
+ * Turns raw keys and gamepad controls into actions. Keys give full deflection; gamepad
+ * axes are analog, with a dead zone around the rest position so a worn stick does not
+ * drift. Button actions are edge-triggered: justPressed() is true for one simulation
+ * step per press. Everything reads as idle while the input provider is suspended.
+ */
+class MyInputActions {
+    /**
+     * Constructs a new MyInputActions instance, restoring saved bindings when there are any.
+     * @param {MyInputProvider} input - Provider of key and gamepad state.
+     */
+    constructor(input) {
+        /**
+         * Provider of key and gamepad state.
+         * @type {MyInputProvider}
+         */
+        this.input = input;
+
+        /**
+         * Fraction of a gamepad axis' travel ignored around its rest position.
+         * @type {number}
+         */
+        this.deadZone = 0.15;
+
+        /**
+         * Current binding of every action.
+         * @type {Object<string, MyActionBinding>}
+         */
+        this.bindings = {};
+
+        this._held = {};
+        this._pressed = {};
+
+        this.resetBindings();
+        this.load();
+    }
+
+    /**
+     * Polls the devices and updates the edge-triggered button actions.
+     * Called once at the start of every simulation step.
+     */
+    update() {
+        this.input.poll();
+        for (const [name, action] of Object.entries(INPUT_ACTIONS)) {
+            if (action.type !== 'button') continue;
+            const held = this._isHeld(name);
+            this._pressed[name] = held && !this._held[name];
+            this._held[name] = held;
+        }
+    }
+
+    /**
+     * Reads an axis action.
+     * @param {string} name - Action name.
+     * @returns {number} Value in [-1, 1]: the stronger of the keys and the gamepad axis.
+     */
+    value(name) {
+        const binding = this.bindings[name];
+        if (!binding || this.input.suspended) return 0;
+
+        let keys = 0;
+        if (binding.positive && this.input.isDown(binding.positive)) keys += 1;
+        if (binding.negative && this.input.isDown(binding.negative)) keys -= 1;
+
+        let stick = 0;
+        if (binding.axis !== null) {
+            const raw = this.input.getAxis(binding.axis) * (binding.invertAxis ? -1 : 1);
+            stick = this._applyDeadZone(raw);
+        }
+
+        return Math.abs(stick) > Math.abs(keys) ? stick : keys;
+    }
+
+    /**
+     * Checks whether a button action was pressed during this step.
+     * @param {string} name - Action name.
+     * @returns {boolean} True on the step the key or button went down.
+     */
+    justPressed(name) {
+        return !this.input.suspended && !!this._pressed[name];
+    }
+
+    /**
+     * Binds a key to an action. The key is taken away from any other action using it.
+     * @param {string} name - Action name.
+     * @param {string} slot - 'positive' or 'negative'.
+     * @param {string|null} key - Lowercase key name, or null to unbind.
+     */
+    bindKey(name, slot, key) {
+        if (!this.bindings[name]) {
+            throw new Error(`Unknown input action: ${name}`);
+        }
+        if (key) {
+            for (const binding of Object.values(this.bindings)) {
+                if (binding.positive === key) binding.positive = null;
+                if (binding.negative === key) binding.negative = null;
+            }
+        }
+        this.bindings[name][slot] = key;
+        this.save();
+    }
+
+    /**
+     * Restores the default bindings (the saved ones are left until the next save()).
+     */
+    resetBindings() {
+        for (const [name, action] of Object.entries(INPUT_ACTIONS)) {
+            this.bindings[name] = { ...action.defaults };
+        }
+    }
+
+    /**
+     * Saves the bindings and dead zone to localStorage, when available.
+     */
+    save() {
+        if (typeof localStorage === 'undefined') return;
+        try {
+            localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify({ deadZone: this.deadZone, bindings: this.bindings }));
+        } catch (err) {
+            console.warn('Input bindings could not be saved:', err);
+        }
+    }
+
+    /**
+     * Loads bindings saved by save(). Unknown actions are ignored and missing ones keep their current binding.
+     */
+    load() {
+        if (typeof localStorage === 'undefined') return;
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY));
+        } catch (err) {
+            console.warn('Saved input bindings are invalid:', err);
+        }
+        if (!saved) return;
+
+        if (typeof saved.deadZone === 'number') this.deadZone = saved.deadZone;
+        for (const [name, binding] of Object.entries(saved.bindings ?? {})) {
+            if (this.bindings[name]) this.bindings[name] = { ...this.bindings[name], ...binding };
+        }
+    }
+
+    /**
+     * Describes a key for display.
+     * @param {string|null} key - Lowercase key name.
+     * @returns {string} Readable name ('-' when unbound).
+     */
+    static keyLabel(key) {
+        if (!key) return '-';
+        if (key === ' ') return 'Space';
+        return key.length === 1 ? key.toUpperCase() : key.charAt(0).toUpperCase() + key.slice(1);
+    }
+
+    /**
+     * Checks whether the key or gamepad button of a button action is held.
+     * @param {string} name - Action name.
+     * @returns {boolean} True while held.
+     * @private
+     */
+    _isHeld(name) {
+        const binding = this.bindings[name];
+        if (binding.positive && this.input.isDown(binding.positive)) return true;
+        return binding.button !== null && this.input.isButtonDown(binding.button);
+    }
+
+    /**
+     * Zeroes small axis values and rescales the rest so the output still spans [-1, 1].
+     * @param {number} value - Raw axis value.
+     * @returns {number} Filtered value.
+     * @private
+     */
+    _applyDeadZone(value) {
+        const magnitude = Math.abs(value);
+        if (magnitude <= this.deadZone) return 0;
+        return Math.sign(value) * Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone));
+    }
+}
+
+export { MyInputActions, INPUT_ACTIONS };
@@ -0,0 +1,204 @@
+// MyInputProvider.js
+// Key and gamepad state read by controllable entities, fed either by the browser or by a script.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * MyInputProvider
+ * Holds which keys are currently held down and the state of a gamepad. On its own it
+ * is driven by code (press/release, setAxis), which is how headless runs and scripted
+ * tests steer the submarine.
+ */
+class MyInputProvider {
+    /**
+     * Constructs a new MyInputProvider with no keys held.
+     */
+    constructor() {
+        /**
+         * Held state per lowercase key name.
+         * @type {Object<string, boolean>}
+         */
+        this.keys = {};
+
+        /**
+         * Gamepad axis values in [-1, 1], by standard-mapping index.
+         * @type {number[]}
+         */
+        this.axes = [];
+
+        /**
+         * Gamepad button values in [0, 1], by standard-mapping index.
+         * @type {number[]}
+         */
+        this.buttons = [];
+
+        /**
+         * Whether input is ignored, e.g. while a text field has the focus.
+         * @type {boolean}
+         */
+        this.suspended = false;
+    }
+
+    /**
+     * Refreshes polled devices. Scripted input has nothing to poll.
+     */
+    poll() {}
+
+    /**
+     * Sets a gamepad axis, for scripted input.
+     * @param {number} index - Axis index.
+     * @param {number} value - Value in [-1, 1].
+     */
+    setAxis(index, value) {
+        this.axes[index] = value;
+    }
+
+    /**
+     * Reads a gamepad axis.
+     * @param {number} index - Axis index.
+     * @returns {number} Value in [-1, 1], 0 without a gamepad.
+     */
+    getAxis(index) {
+        return this.axes[index] ?? 0;
+    }
+
+    /**
+     * Checks whether a gamepad button is held down.
+     * @param {number} index - Button index.
+     * @returns {boolean} True while the button is held.
+     */
+    isButtonDown(index) {
+        return (this.buttons[index] ?? 0) > 0.5;
+    }
+
+    /**
+     * Marks a key as held down.
+     * @param {string} key - Key name (case-insensitive).
+     */
+    press(key) {
+        this.keys[key.toLowerCase()] = true;
+    }
+
+    /**
+     * Marks a key as released.
+     * @param {string} key - Key name (case-insensitive).
+     */
+    release(key) {
+        this.keys[key.toLowerCase()] = false;
+    }
+
+    /**
+     * Releases every key.
+     */
+    releaseAll() {
+        for (const key of Object.keys(this.keys)) {
+            this.keys[key] = false;
+        }
+    }
+
+    /**
+     * Checks whether a key is held down.
+     * @param {string} key - Key name (case-insensitive).
+     * @returns {boolean} True while the key is held.
+     */
+    isDown(key) {
+        return !!this.keys[key.toLowerCase()];
+    }
+}
+
+/**
+ * MyBrowserInputProvider
+ * Input provider fed by the browser: keyboard events of a target (the window by default)
+ * and the first connected gamepad, polled once per simulation step. Keys typed into text
+ * fields (the GUI's number and text inputs) are ignored, and input is suspended while
+ * such a field has the focus.
+ * Inherits from MyInputProvider.
+ */
+class MyBrowserInputProvider extends MyInputProvider {
+    /**
+     * Constructs a new MyBrowserInputProvider and starts listening for key and focus events.
+     * @param {EventTarget} target - Element receiving the keyboard events.
+     */
+    constructor(target = window) {
+        super();
+
+        /**
+         * Name of the gamepad in use, or null when none is connected.
+         * @type {string|null}
+         */
+        this.gamepadId = null;
+
+        this._capture = null;
+
+        target.addEventListener('keydown', (e) => this._onKeyDown(e));
+        target.addEventListener('keyup', (e) => this.release(e.key));
+        // Keys held when a field takes the focus would otherwise never be released
+        target.addEventListener('focusin', (e) => {
+            if (!MyBrowserInputProvider.isTextField(e.target)) return;
+            this.suspended = true;
+            this.releaseAll();
+        });
+        target.addEventListener('focusout', (e) => {
+            if (MyBrowserInputProvider.isTextField(e.target)) this.suspended = false;
+        });
+    }
+
+    /**
+     * Checks whether an element takes typed text (so its keys are not commands).
+     * @param {EventTarget|null} element - Element to check.
+     * @returns {boolean} True for inputs, text areas, selects and editable content.
+     */
+    static isTextField(element) {
+        if (!element || !element.tagName) return false;
+        const tag = element.tagName.toLowerCase();
+        return tag === 'input' || tag === 'textarea' || tag === 'select' || element.isContentEditable === true;
+    }
+
+    /**
+     * Copies the state of the first connected gamepad.
+     */
+    poll() {
+        const pads = typeof navigator !== 'undefined' && navigator.getGamepads ? navigator.getGamepads() : [];
+        const pad = Array.from(pads).find(p => p && p.connected);
+        if (!pad) {
+            this.gamepadId = null;
+            this.axes = [];
+            this.buttons = [];
+            return;
+        }
+        this.gamepadId = pad.id;
+        this.axes = Array.from(pad.axes);
+        this.buttons = pad.buttons.map(button => button.value);
+    }
+
+    /**
+     * Waits for the next key press and hands it over instead of treating it as input
+     * (used to rebind actions). Escape cancels.
+     * @returns {Promise<string|null>} The lowercase key name, or null when cancelled.
+     */
+    captureNextKey() {
+        if (this._capture) this._capture(null);
+        return new Promise(resolve => {
+            this._capture = (key) => {
+                this._capture = null;
+                resolve(key);
+            };
+        });
+    }
+
+    /**
+     * Handles a key press: feeds a pending capture, or marks the key as held.
+     * @param {KeyboardEvent} e - Key event.
+     * @private
+     */
+    _onKeyDown(e) {
+        if (this._capture) {
+            e.preventDefault();
+            this._capture(e.key === 'Escape' ? null : e.key.toLowerCase());
+            return;
+        }
+        if (this.suspended || MyBrowserInputProvider.isTextField(e.target)) return;
+        this.press(e.key);
+    }
+}
+
+export { MyInputProvider, MyBrowserInputProvider };
@@ -0,0 +1,232 @@
+// MyInspector.js
+// GUI inspector showing and editing the entity selected with the pointer.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { MyCoralGroup } from './corals/MyCoralGroup.js';
+import { MyAlga } from './seabed/MyAlga.js';
+import { MyRock } from './seabed/MyRock.js';
+import { MyShark } from './animals/MyShark.js';
+import { MyJellyfish } from './animals/MyJellyfish.js';
+
+/**
+ * @typedef {Object} MyInspectorField
+ * @property {string} name - Field name; read and written on the entity unless get/set are given.
+ * @property {string} label - Display name.
+ * @property {number} [min] - Slider minimum (fields without limits are colors).
+ * @property {number} [max] - Slider maximum.
+ * @property {number} [step] - Slider step.
+ * @property {boolean} [regenerate] - Whether setting the field rebuilds the entity, which is
+ *     then only done once the slider is released.
+ * @property {function(THREE.Object3D): *} [get] - Reads the value.
+ * @property {function(THREE.Object3D, *, MyContents): (THREE.Object3D|void)} [set] - Applies the
+ *     value; returns the replacement when the entity was rebuilt.
+ */
+
+/**
+ * Tunable fields per entity class. Entities of other classes only show the common readouts.
+ * @type {{type: Function, fields: MyInspectorField[]}[]}
+ */
+const INSPECTOR_FIELDS = [
+    {
+        type: MyCoralGroup,
+        fields: [
+            {
+                name: 'complexity', label: 'Iterations', min: 1, max: 5, step: 1, regenerate: true,
+                set: (coral, value, contents) => contents.replaceTerrainEntity(coral, { complexity: value })
+            },
+            { name: 'color', label: 'Color', set: (coral, value) => coral.setColor(value) }
+        ]
+    },
+    {
+        type: MyAlga,
+        fields: [
+            {
+                name: 'height', label: 'Height', min: 1, max: 10, step: 1, regenerate: true,
+                // The alga is rebuilt with its whole patch, the other algae keep their layout
+                set: (alga, value, contents) => {
+                    const patch = alga.parent;
+                    const index = patch.children.indexOf(alga);
+                    const layout = patch.layout.map((entry, i) => (i === index ? { ...entry, height: value } : { ...entry }));
+                    return contents.replaceTerrainEntity(patch, { layout }).children[index];
+                }
+            }
+        ]
+    },
+    {
+        type: MyRock,
+        fields: [
+            {
+                name: 'clusterCount', label: 'Rocks in Cluster', min: 1, max: 6, step: 1, regenerate: true,
+                get: rock => rock.layout.length,
+                set: (rock, value, contents) => contents.replaceTerrainEntity(rock, { clusterCount: value, layout: null })
+            }
+        ]
+    },
+    {
+        type: MyShark,
+        fields: [
+            { name: 'speed', label: 'Speed', min: 0.002, max: 0.06, step: 0.001 },
+            { name: 'segmentLength', label: 'Segment Length', min: 5, max: 60, step: 1 }
+        ]
+    },
+    {
+        type: MyJellyfish,
+        fields: [
+            { name: 'floatAmplitude', label: 'Float Amplitude', min: 0, max: 0.5, step: 0.01 }
+        ]
+    }
+];
+
+/**
+ * MyInspector
+ * Fills a GUI folder with the selected entity: class, world position, heading and LOD
+ * level (refreshed continuously), then the fields of INSPECTOR_FIELDS matching its class.
+ * Edits apply live; fields that rebuild the entity apply when the slider is released, and
+ * the rebuilt entity becomes the selection so the inspector follows it.
+ */
+class MyInspector {
+    /**
+     * Constructs a new MyInspector and starts following the selection.
+     * @param {GUI} folder - Folder the inspector owns (its content is replaced on every selection).
+     * @param {MyContents} contents - Contents manager emitting 'entitySelected'.
+     */
+    constructor(folder, contents) {
+        /**
+         * Folder showing the inspected entity.
+         * @type {GUI}
+         */
+        this.folder = folder;
+
+        /**
+         * Contents manager of the scene.
+         * @type {MyContents}
+         */
+        this.contents = contents;
+
+        /**
+         * Entity being inspected, or null.
+         * @type {THREE.Object3D|null}
+         */
+        this.entity = null;
+
+        this._position = new THREE.Vector3();
+        this._quaternion = new THREE.Quaternion();
+        this._euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+        // Readouts computed on every GUI refresh from the inspected entity
+        const inspector = this;
+        this._readouts = {
+            get className() {
+                return inspector.entity ? inspector.entity.constructor.name : '-';
+            },
+            get position() {
+                return inspector._describePosition();
+            },
+            get heading() {
+                return inspector._describeHeading();
+            },
+            get lod() {
+                return inspector._describeLod();
+            }
+        };
+
+        contents.events.on('entitySelected', ({ entity }) => this.inspect(entity));
+        this.inspect(contents.selectedEntity);
+    }
+
+    /**
+     * Shows an entity in the folder, replacing the previous one.
+     * @param {THREE.Object3D|null} entity - Entity to inspect, or null to clear the folder.
+     */
+    inspect(entity) {
+        this.entity = entity;
+        const folder = this.folder;
+        folder.controllers.slice().forEach(controller => controller.destroy());
+
+        if (!entity) {
+            folder.add({ hint: 'Click an entity to inspect it' }, 'hint').name('Selection').disable();
+            return;
+        }
+
+        folder.add(this._readouts, 'className').name('Class').disable();
+        folder.add(this._readouts, 'position').name('Position').listen().disable();
+        folder.add(this._readouts, 'heading').name('Heading').listen().disable();
+        folder.add(this._readouts, 'lod').name('LOD Level').listen().disable();
+
+        for (const { type, fields } of INSPECTOR_FIELDS) {
+            if (!(entity instanceof type)) continue;
+            fields.forEach(field => this._addField(entity, field));
+        }
+        folder.open();
+    }
+
+    /**
+     * Adds the controller of one tunable field.
+     * @param {THREE.Object3D} entity - Inspected entity.
+     * @param {MyInspectorField} field - Field description.
+     * @private
+     */
+    _addField(entity, field) {
+        const values = { [field.name]: field.get ? field.get(entity) : entity[field.name] };
+        const apply = (value) => {
+            if (!field.set) {
+                entity[field.name] = value;
+                return;
+            }
+            const replacement = field.set(entity, value, this.contents);
+            if (replacement) this.contents.select(replacement);
+        };
+
+        if (field.min === undefined) {
+            this.folder.addColor(values, field.name).name(field.label).onChange(apply);
+            return;
+        }
+        const controller = this.folder.add(values, field.name, field.min, field.max, field.step).name(field.label);
+        if (field.regenerate) {
+            controller.onFinishChange(apply);
+        } else {
+            controller.onChange(apply);
+        }
+    }
+
+    /**
+     * Formats the world position of the inspected entity.
+     * @returns {string} "x, y, z" with one decimal.
+     * @private
+     */
+    _describePosition() {
+        if (!this.entity) return '-';
+        const p = this.entity.getWorldPosition(this._position);
+        return `${p.x.toFixed(1)}, ${p.y.toFixed(1)}, ${p.z.toFixed(1)}`;
+    }
+
+    /**
+     * Formats the heading (world rotation about the vertical axis) of the inspected entity.
+     * @returns {string} Heading in degrees, 0 to 359.
+     * @private
+     */
+    _describeHeading() {
+        if (!this.entity) return '-';
+        this._euler.setFromQuaternion(this.entity.getWorldQuaternion(this._quaternion));
+        const degrees = THREE.MathUtils.radToDeg(this._euler.y);
+        return `${Math.round((degrees + 360) % 360)}°`;
+    }
+
+    /**
+     * Describes the level shown by the LOD objects of the inspected entity.
+     * @returns {string} Level index (several when the entity has many LODs), or 'none'.
+     * @private
+     */
+    _describeLod() {
+        if (!this.entity) return '-';
+        const levels = new Set();
+        this.entity.traverse(child => {
+            if (child.isLOD) levels.add(child.getCurrentLevel());
+        });
+        if (levels.size === 0) return 'none';
+        return [...levels].sort((a, b) => a - b).join(' / ');
+    }
+}
+
+export { MyInspector, INSPECTOR_FIELDS };
@@ -0,0 +1,118 @@
+// MyLoadingScreen.js
+// On-page overlay showing asset loading progress and reporting assets that failed.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * MyLoadingScreen
+ * Covers the page while the scene's textures and videos load, with a progress bar fed
+ * by the asset provider's LoadingManager. Once the critical assets are in, the overlay
+ * fades out; any failures (missing files, blocked autoplay) stay listed in a small
+ * dismissible panel, including those reported later.
+ */
+class MyLoadingScreen {
+    /**
+     * Constructs a new MyLoadingScreen and shows it.
+     * @param {MyAssetProvider} assets - Provider whose loads are followed.
+     */
+    constructor(assets) {
+        /**
+         * Asset provider being followed.
+         * @type {MyAssetProvider}
+         */
+        this.assets = assets;
+
+        /**
+         * Whether the critical assets finished loading and the overlay was dismissed.
+         * @type {boolean}
+         */
+        this.finished = false;
+
+        /**
+         * Full-page overlay element.
+         * @type {HTMLDivElement}
+         */
+        this.element = document.createElement('div');
+        this.element.id = 'loading-screen';
+        this.element.innerHTML = `
+            <div class="loading-title">Diving in...</div>
+            <div class="loading-bar"><div class="loading-bar-fill"></div></div>
+            <div class="loading-status">Preparing the scene</div>
+        `;
+        document.body.appendChild(this.element);
+
+        this._fill = this.element.querySelector('.loading-bar-fill');
+        this._status = this.element.querySelector('.loading-status');
+        this._panel = null;
+        this._list = null;
+
+        assets.manager.onProgress = (url, loaded, total) => this._onProgress(url, loaded, total);
+        assets.onFailure = (url, reason) => this._onFailure(url, reason);
+        // Failures reported before the screen existed
+        assets.failures.forEach(failure => this._onFailure(failure.url, failure.reason));
+    }
+
+    /**
+     * Hides the overlay. Called once the critical assets are ready.
+     */
+    finish() {
+        if (this.finished) return;
+        this.finished = true;
+        this._fill.style.width = '100%';
+        this.element.classList.add('loading-done');
+        // Remove the overlay once the fade-out transition is over
+        setTimeout(() => this.element.remove(), 600);
+        if (this._panel) this._panel.hidden = false;
+    }
+
+    /**
+     * Updates the progress bar and the name of the last loaded file.
+     * @param {string} url - File that just finished.
+     * @param {number} loaded - Files finished so far.
+     * @param {number} total - Files requested so far.
+     * @private
+     */
+    _onProgress(url, loaded, total) {
+        if (this.finished) return;
+        this._fill.style.width = `${Math.round((loaded / Math.max(total, 1)) * 100)}%`;
+        this._status.textContent = `${loaded} / ${total} - ${url.split('/').pop()}`;
+    }
+
+    /**
+     * Lists a failed asset in the warning panel, creating the panel on first use.
+     * While the overlay is up the panel stays hidden behind it.
+     * @param {string} url - Asset that failed.
+     * @param {string} reason - Short description of the problem.
+     * @private
+     */
+    _onFailure(url, reason) {
+        if (!this._panel) {
+            this._panel = document.createElement('div');
+            this._panel.id = 'asset-warnings';
+            this._panel.hidden = !this.finished;
+            this._panel.innerHTML = `
+                <div class="asset-warnings-header">
+                    <span>Some assets could not be used</span>
+                    <button type="button" title="Dismiss">&times;</button>
+                </div>
+                <ul></ul>
+            `;
+            this._panel.querySelector('button').addEventListener('click', () => {
+                this._panel.hidden = true;
+            });
+            this._list = this._panel.querySelector('ul');
+            document.body.appendChild(this._panel);
+        }
+
+        const item = document.createElement('li');
+        item.textContent = `${url.split('/').pop()}: ${reason}`;
+        this._list.appendChild(item);
+
+        if (this.finished) {
+            this._panel.hidden = false;
+        } else {
+            this._status.textContent = `${url.split('/').pop()} failed (${reason})`;
+        }
+    }
+}
+
+export { MyLoadingScreen };
@@ -1,13 +1,14 @@
 import * as THREE from 'three';
-import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
-import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { MyRandom, sceneRandom } from './MyRandom.js';
+import { platform } from './MyPlatform.js';
 import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 
 /**
  * MyPeriscopeHUD
  * Creates a heads-up display (HUD) effect simulating a submarine periscope view.
  * Includes visual effects like scratches, chromatic aberration, vignette, and data overlays.
- * Uses post-processing shaders and canvas-based text rendering.
+ * Uses post-processing shaders and canvas-based text rendering; the overlay is drawn by
+ * passes of the post-processing stack, which all share the HUD material.
  */
 class MyPeriscopeHUD {
     /**
@@ -43,16 +44,10 @@ class MyPeriscopeHUD {
         this.submarine = submarine;
         
         /**
-         * Effect composer for post-processing.
-         * @type {EffectComposer|null}
+         * Shader material implementing the HUD effects, shared by every HUD pass.
+         * @type {THREE.ShaderMaterial|null}
          */
-        this.composer = null;
-        
-        /**
-         * Shader pass implementing the HUD effects.
-         * @type {ShaderPass|null}
-         */
-        this.hudPass = null;
+        this.material = null;
         
         /**
          * Whether the HUD effect is currently enabled.
@@ -61,10 +56,10 @@ class MyPeriscopeHUD {
         this.enabled = false;
         
         /**
-         * Texture loader for loading external images.
-         * @type {THREE.TextureLoader}
+         * Asset provider loading the overlay and font images (tracked by the loading screen).
+         * @type {MyAssetProvider}
          */
-        this.textureLoader = new THREE.TextureLoader();
+        this.assets = platform.assets;
         
         /**
          * Procedurally generated scratches texture.
@@ -107,6 +102,18 @@ class MyPeriscopeHUD {
          */
         this.fontCharW = 0;
         this.fontCharH = 0;
+
+        /**
+         * Simulation time (in seconds) until which the hull contact warning is shown.
+         * @type {number}
+         */
+        this.contactWarningUntil = 0;
+
+        /**
+         * Simulation time of the last update, in seconds; drives the animation and the warning blink.
+         * @type {number}
+         */
+        this.time = 0;
         
         /** 
          * Row 0: A B C D E F G H I J K L M (13 characters)
@@ -176,18 +183,13 @@ class MyPeriscopeHUD {
     }
 
     /**
-     * Initializes the HUD system, creating textures, shaders, and post-processing passes.
+     * Initializes the HUD system, creating textures and the HUD shader.
      */
     init() {
         this.createScratchesTextures();
         this.createTextCanvas();
         
-        this.composer = new EffectComposer(this.renderer);
-        
-        const renderPass = new RenderPass(this.scene, this.camera);
-        this.composer.addPass(renderPass);
-        
-        this.createHUDPass();
+        this.createHUDMaterial();
         this.loadTextures(); 
     }
 
@@ -196,23 +198,23 @@ class MyPeriscopeHUD {
      */
     loadTextures() {
         // Load crosshair/overlay texture
-        this.crosshairTexture = this.textureLoader.load('textures/hud.png', (texture) => {
+        this.crosshairTexture = this.assets.loadTexture('textures/hud.png', (texture) => {
             texture.colorSpace = THREE.SRGBColorSpace;
             texture.minFilter = THREE.LinearFilter;
             
-            if (this.hudPass) {
-                this.hudPass.uniforms.crosshairTexture.value = texture;
+            if (this.material) {
+                this.material.uniforms.crosshairTexture.value = texture;
             }
+        }, () => {
+            // A checker pattern over the whole view would hide the scene, so the overlay is left empty
         });
 
-        this.fontImage = new Image();
-        this.fontImage.src = 'textures/font.png';
-        this.fontImage.onload = () => {
-            const img = this.fontImage;
+        // Text falls back to the canvas font while the bitmap font is missing
+        this.assets.loadImage('textures/font.png', (img) => {
+            this.fontImage = img;
             this.fontCharW = Math.floor(img.width / 15);
             this.fontCharH = Math.floor(img.height / 6);
-            
-        };
+        });
     }
 
 
@@ -233,12 +235,13 @@ class MyPeriscopeHUD {
         ctx.lineWidth = 1;
         
         // Generate random scratch lines
+        const random = new MyRandom(sceneRandom.seed);
         for (let i = 0; i < 40; i++) {
             ctx.beginPath();
-            const x1 = Math.random() * 512;
-            const y1 = Math.random() * 512;
-            const length = 10 + Math.random() * 80;
-            const angle = Math.random() * Math.PI * 2;
+            const x1 = random.next() * 512;
+            const y1 = random.next() * 512;
+            const length = 10 + random.next() * 80;
+            const angle = random.next() * Math.PI * 2;
             ctx.moveTo(x1, y1);
             ctx.lineTo(x1 + Math.cos(angle) * length, y1 + Math.sin(angle) * length);
             ctx.stroke();
@@ -268,10 +271,10 @@ class MyPeriscopeHUD {
     }
 
     /**
-     * Creates the HUD shader pass with all visual effects.
+     * Creates the HUD shader material with all visual effects.
      * Includes masking, chromatic aberration, vignette, scratches, and overlays.
      */
-    createHUDPass() {
+    createHUDMaterial() {
         const hudShader = {
             uniforms: {
                 tDiffuse: { value: null },
@@ -284,7 +287,8 @@ class MyPeriscopeHUD {
                 colorTint: { value: new THREE.Color(0.8, 1.0, 0.9) },
                 dirtOpacity: { value: 0.2 },
                 crosshairOpacity: { value: 1.0 },
-                clipRadius: { value: 0.98 }
+                clipRadius: { value: 0.98 },
+                screenRect: { value: new THREE.Vector4(0, 0, 1, 1) }
             },
             vertexShader: `
                 varying vec2 vUv;
@@ -305,12 +309,16 @@ class MyPeriscopeHUD {
                 uniform float dirtOpacity;
                 uniform float crosshairOpacity;
                 uniform float clipRadius;
+                uniform vec4 screenRect;
                 
                 varying vec2 vUv;
                 
                 void main() {
+                    // Position on the whole screen; differs from vUv when only a part of it is rendered
+                    vec2 screenUv = screenRect.xy + vUv * screenRect.zw;
+
                     float rightBias = 0.1;
-                    vec2 centeredUv = (vUv - vec2(0.5 - rightBias, 0.5)) * 2.0;
+                    vec2 centeredUv = (screenUv - vec2(0.5 - rightBias, 0.5)) * 2.0;
                     float dist = length(centeredUv);
                     
                     // 1. Masking: Create circular viewport
@@ -320,7 +328,7 @@ class MyPeriscopeHUD {
                     }
                     
                     // 2. Chromatic Aberration: Split RGB channels
-                    float shift = chromaticAberration;
+                    float shift = chromaticAberration / screenRect.z;
                     float r = texture2D(tDiffuse, vUv + vec2(shift, 0.0)).r;
                     float g = texture2D(tDiffuse, vUv).g;
                     float b = texture2D(tDiffuse, vUv - vec2(shift, 0.0)).b;
@@ -330,23 +338,23 @@ class MyPeriscopeHUD {
                     sceneColor *= (1.0 - dist * vignetteStrength);
                     
                     // 4. Scratches: Add moving scratches overlay
-                    vec2 scratchUv = vUv + vec2(sin(time)*0.001, cos(time)*0.001);
+                    vec2 scratchUv = screenUv + vec2(sin(time)*0.001, cos(time)*0.001);
                     vec4 scratchMap = texture2D(scratchesTexture, scratchUv);
                     sceneColor = mix(sceneColor, scratchMap.rgb, scratchMap.a * dirtOpacity);
                     
                     // 5. Full Screen HUD PNG Overlay
-                    vec4 hud = texture2D(crosshairTexture, vUv);
+                    vec4 hud = texture2D(crosshairTexture, screenUv);
                     vec3 finalColor = mix(sceneColor, hud.rgb, hud.a * crosshairOpacity);
 
                     // 6. Text overlay on entire left side
                     // Map left side of screen to text texture
                     vec2 textUv = vec2(
-                        vUv.x * 2.0,  // Double x coordinate to fill texture
-                        1.0 - vUv.y   // Invert y for correct orientation
+                        screenUv.x * 2.0,  // Double x coordinate to fill texture
+                        1.0 - screenUv.y   // Invert y for correct orientation
                     );
 
                     // Only apply text on the left side of the screen
-                    if (vUv.x < 0.5) {
+                    if (screenUv.x < 0.5) {
                         vec4 text = texture2D(textTexture, textUv);
                         finalColor = mix(finalColor, text.rgb, text.a);
                     }
@@ -356,9 +364,16 @@ class MyPeriscopeHUD {
             `
         };
         
-        // Create shader pass and add to composer
-        this.hudPass = new ShaderPass(hudShader);
-        this.composer.addPass(this.hudPass);
+        this.material = new THREE.ShaderMaterial(hudShader);
+    }
+
+    /**
+     * Creates a pass drawing the HUD over the image of a post-processing pipeline.
+     * The pass uses the HUD material itself, so it follows every update of the overlay.
+     * @returns {ShaderPass} The pass.
+     */
+    createPass() {
+        return new ShaderPass(this.material);
     }
 
     /**
@@ -436,9 +451,26 @@ class MyPeriscopeHUD {
             this.drawChar('S', startX + this.fontCharW * scale * 4.8, y, scale);
         }
 
+        // Hull contact warning, blinking for a moment after a collision
+        const now = this.time;
+        if (now < this.contactWarningUntil && Math.floor(now * 4) % 2 === 0) {
+            y -= lineHeight * 2;
+            [...'CONTACT'].forEach((char, i) => {
+                this.drawChar(char, startX + this.fontCharW * scale * 0.8 * i, y, scale);
+            });
+        }
+
         this.textMaterial.map.needsUpdate = true;
     }
 
+    /**
+     * Shows the hull contact warning for a moment. Called when the submarine hits an obstacle.
+     * @param {number} time - Simulation time of the collision, in seconds.
+     */
+    showContactWarning(time) {
+        this.contactWarningUntil = time + 1.5;
+    }
+
     /**
      * Draws a single character from the sprite sheet
      * @param {string} char - Character to draw
@@ -518,45 +550,37 @@ class MyPeriscopeHUD {
 
     /**
      * Updates the HUD with current time and submarine data.
-     * @param {number} time - Current time in seconds for animation effects.
+     * @param {number} time - Simulation time in seconds, so the effects freeze while paused.
      */
     update(time) {
         if (!this.enabled) return;
+        this.time = time;
         
-        if (this.hudPass) {
-            this.hudPass.uniforms.time.value = time;
+        if (this.material) {
+            this.material.uniforms.time.value = time;
         }
         
         if (this.submarine) {
             this.updateText(this.submarine.position);
             
-            if (this.hudPass) {
-                this.hudPass.uniforms.textTexture.value = this.textMaterial.map;
-                this.hudPass.uniforms.textTexture.value.needsUpdate = true;
+            if (this.material) {
+                this.material.uniforms.textTexture.value = this.textMaterial.map;
+                this.material.uniforms.textTexture.value.needsUpdate = true;
             }
         }
     }
 
     /**
-     * Handles window resize events.
-     * @param {number} width - New window width.
-     * @param {number} height - New window height.
-     */
-    resize(width, height) {
-        if (this.composer) {
-            this.composer.setSize(width, height);
-        }
-    }
-
-    /**
-     * Renders the scene with HUD effects if enabled.
-     * Falls back to standard rendering if HUD is disabled.
+     * Restricts the overlay to a part of the screen, for images rendered in tiles:
+     * the next renders only draw that part of the HUD, over the whole output.
+     * @param {number} x - Left edge, as a fraction of the screen width.
+     * @param {number} y - Bottom edge, as a fraction of the screen height.
+     * @param {number} width - Width as a fraction of the screen width.
+     * @param {number} height - Height as a fraction of the screen height.
      */
-    render() {
-        if (this.enabled && this.composer) {
-            this.composer.render();
-        } else {
-            this.renderer.render(this.scene, this.camera);
+    setScreenRect(x, y, width, height) {
+        if (this.material) {
+            this.material.uniforms.screenRect.value.set(x, y, width, height);
         }
     }
 
@@ -565,7 +589,7 @@ class MyPeriscopeHUD {
      * Should be called when the HUD is no longer needed.
      */
     dispose() {
-        if (this.composer) this.composer.dispose();
+        if (this.material) this.material.dispose();
         if (this.scratchesTexture) this.scratchesTexture.dispose();
         if (this.crosshairTexture) this.crosshairTexture.dispose();
         if (this.textMaterial) this.textMaterial.dispose();
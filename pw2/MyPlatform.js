@@ -0,0 +1,84 @@
+// MyPlatform.js
+// Registry of the asset and input providers (plus the shared asset cache and input actions) scene classes draw from.
+// All methods and classes are documented for clarity and maintainability.
+
+import { MyAssetProvider } from './MyAssetProvider.js';
+import { MyBrowserInputProvider } from './MyInputProvider.js';
+import { MyAssetCache } from './MyAssetCache.js';
+import { MyInputActions } from './MyInputActions.js';
+
+/**
+ * MyPlatform
+ * Gives scene classes their asset and input providers. The browser ones are created
+ * on first use, so a headless run can install its own providers before building the scene.
+ */
+class MyPlatform {
+    /**
+     * Constructs a new MyPlatform with no providers created yet.
+     */
+    constructor() {
+        this._assets = null;
+        this._input = null;
+        this._cache = null;
+        this._actions = null;
+    }
+
+    /**
+     * Provider for textures and videos.
+     * @type {MyAssetProvider}
+     */
+    get assets() {
+        if (!this._assets) this._assets = new MyAssetProvider();
+        return this._assets;
+    }
+
+    /**
+     * Reference-counted textures and geometries shared between entities, loaded through the asset provider.
+     * @type {MyAssetCache}
+     */
+    get cache() {
+        if (!this._cache) this._cache = new MyAssetCache(this);
+        return this._cache;
+    }
+
+    /**
+     * Provider for held keys.
+     * @type {MyInputProvider}
+     */
+    get input() {
+        if (!this._input) this._input = new MyBrowserInputProvider();
+        return this._input;
+    }
+
+    /**
+     * Remappable input actions read from the input provider.
+     * @type {MyInputActions}
+     */
+    get actions() {
+        if (!this._actions) this._actions = new MyInputActions(this.input);
+        return this._actions;
+    }
+
+    /**
+     * Installs providers; omitted ones are left unchanged.
+     * Must be called before the scene is built.
+     * @param {Object} providers - Providers to install.
+     * @param {MyAssetProvider} [providers.assets] - Asset provider.
+     * @param {MyInputProvider} [providers.input] - Input provider.
+     */
+    configure({ assets, input } = {}) {
+        if (assets) this._assets = assets;
+        if (input) {
+            this._input = input;
+            this._actions = null;
+        }
+    }
+}
+
+/**
+ * Platform shared by the whole scene.
+ * @type {MyPlatform}
+ */
+const platform = new MyPlatform();
+
+export { MyPlatform, platform };
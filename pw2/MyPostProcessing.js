@@ -0,0 +1,511 @@
+// MyPostProcessing.js
+// Composable post-processing: registered passes, run in order by one composer per viewport.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { BokehPass } from 'three/addons/postprocessing/BokehPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { SAOPass } from 'three/addons/postprocessing/SAOPass.js';
+import { FXAAPass } from 'three/addons/postprocessing/FXAAPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { MyGodRaysPass } from './MyGodRaysPass.js';
+import { MySelectionOutlinePass } from './MySelectionOutlinePass.js';
+
+/**
+ * @typedef {Object} MyPostPassParameter
+ * @property {string} name - Key of the setting.
+ * @property {string} label - Display name in the GUI.
+ * @property {number} [min] - Slider minimum (settings without limits are colors).
+ * @property {number} [max] - Slider maximum.
+ * @property {number} [step] - Slider step.
+ * @property {boolean} [listen] - Whether the GUI follows changes made elsewhere (camera paths...).
+ */
+
+/**
+ * @typedef {Object} MyPostPassType
+ * @property {string} name - Unique key, also the key of the viewport effect toggles.
+ * @property {string} label - Display name in the GUI.
+ * @property {number} order - Position in the chain; lower runs first.
+ * @property {boolean} toggleable - Whether the pass can be switched off (the OutputPass cannot).
+ * @property {boolean} enabled - Initial toggle of the viewports.
+ * @property {string[]|null} cameras - Cameras the pass initially runs for, or null for all.
+ * @property {boolean} cameraBound - Whether the pass bakes its camera in when created (projection
+ *     type, matrices), so a pipeline has to create it again for another camera.
+ * @property {Object} settings - Default settings, copied for every stack.
+ * @property {MyPostPassParameter[]} parameters - Settings tunable from the GUI.
+ * @property {function(Object): (Pass|null)} create - Builds the pass from {app, camera, settings};
+ *     returns null when it cannot exist in this scene.
+ * @property {function(MyApp): boolean} isNeeded - Whether the pass currently has anything to draw
+ *     (an outline needs a selection); passes with nothing to draw are skipped.
+ * @property {function(Pass, Object, MyApp): void} update - Copies the settings into the pass before rendering.
+ */
+
+/**
+ * MyPostPassRegistry
+ * Keeps the post-processing pass types. Registration order does not matter: the chain
+ * is always built by increasing order.
+ */
+class MyPostPassRegistry {
+    /**
+     * Constructs an empty registry.
+     */
+    constructor() {
+        /**
+         * Registered types by name.
+         * @type {Map<string, MyPostPassType>}
+         */
+        this.types = new Map();
+    }
+
+    /**
+     * Registers a pass type. Omitted fields get defaults.
+     * @param {string} name - Unique key of the type.
+     * @param {Object} definition - Type definition (see MyPostPassType); create and order are required.
+     * @returns {MyPostPassType} The registered type.
+     */
+    register(name, definition) {
+        if (this.types.has(name)) {
+            throw new Error(`Post-processing pass already registered: ${name}`);
+        }
+        if (typeof definition.create !== 'function' || typeof definition.order !== 'number') {
+            throw new Error(`Post-processing pass ${name} needs a create function and an order`);
+        }
+
+        const passType = {
+            name,
+            label: definition.label ?? name,
+            order: definition.order,
+            toggleable: definition.toggleable ?? true,
+            enabled: definition.enabled ?? false,
+            cameras: definition.cameras ?? null,
+            cameraBound: definition.cameraBound ?? false,
+            settings: definition.settings ?? {},
+            parameters: definition.parameters ?? [],
+            create: definition.create,
+            isNeeded: definition.isNeeded ?? (() => true),
+            update: definition.update ?? (() => {})
+        };
+        this.types.set(name, passType);
+        return passType;
+    }
+
+    /**
+     * Looks up a type by name.
+     * @param {string} name - Key of the type.
+     * @returns {MyPostPassType|undefined} The type, if registered.
+     */
+    get(name) {
+        return this.types.get(name);
+    }
+
+    /**
+     * Lists every registered type in chain order.
+     * @returns {MyPostPassType[]} The types.
+     */
+    list() {
+        return [...this.types.values()].sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Builds a set of effect toggles, one per pass that can be switched off.
+     * @param {Object<string, boolean>} [values] - Toggles to start from; missing ones take the pass default.
+     * @returns {Object<string, boolean>} Toggles keyed by pass name.
+     */
+    createToggles(values = {}) {
+        const toggles = {};
+        for (const passType of this.list()) {
+            if (passType.toggleable) toggles[passType.name] = values[passType.name] ?? passType.enabled;
+        }
+        return toggles;
+    }
+}
+
+/**
+ * Post-processing passes of the scene.
+ * @type {MyPostPassRegistry}
+ */
+const postPassTypes = new MyPostPassRegistry();
+
+// Screen-space ambient occlusion through SAOPass: the vendored addons lack the noise module SSAOPass needs
+postPassTypes.register('ssao', {
+    label: 'SSAO', order: 10, cameraBound: true,
+    settings: { intensity: 0.18, scale: 1, kernelRadius: 100, bias: 0.5 },
+    parameters: [
+        { name: 'intensity', label: 'Intensity', min: 0, max: 1, step: 0.01 },
+        { name: 'scale', label: 'Scale', min: 0.1, max: 10, step: 0.1 },
+        { name: 'kernelRadius', label: 'Kernel Radius', min: 1, max: 200, step: 1 },
+        { name: 'bias', label: 'Bias', min: -1, max: 1, step: 0.01 }
+    ],
+    create: ({ app, camera }) => new SAOPass(app.scene, camera),
+    update: (pass, settings) => {
+        pass.params.saoIntensity = settings.intensity;
+        pass.params.saoScale = settings.scale;
+        pass.params.saoKernelRadius = settings.kernelRadius;
+        pass.params.saoBias = settings.bias;
+        // Viewports refit the camera's aspect every frame; the pass only copies the inverse on resize
+        pass.saoMaterial.uniforms['cameraInverseProjectionMatrix'].value.copy(pass.camera.projectionMatrixInverse);
+    }
+});
+
+postPassTypes.register('godRays', {
+    label: 'God Rays', order: 20,
+    settings: { density: 0.5, decay: 0.96, intensity: 0.6, color: new THREE.Color(0x9fd8ff) },
+    parameters: [
+        { name: 'density', label: 'Density', min: 0.05, max: 1, step: 0.01 },
+        { name: 'decay', label: 'Decay', min: 0.85, max: 1, step: 0.001 },
+        { name: 'intensity', label: 'Intensity', min: 0, max: 3, step: 0.05 },
+        { name: 'color', label: 'Color' }
+    ],
+    // The pass reads its settings object directly
+    create: ({ app, camera, settings }) => new MyGodRaysPass(app.scene, camera, {
+        surface: app.contents.waterCeiling,
+        light: app.contents.sunLight,
+        parameters: settings
+    })
+});
+
+postPassTypes.register('depthOfField', {
+    label: 'Depth of Field', order: 30,
+    settings: { focus: 50, aperture: 5, maxblur: 0.01 },
+    parameters: [
+        { name: 'aperture', label: 'Aperture', min: 0, max: 10, step: 0.1 },
+        { name: 'focus', label: 'Focus Distance', min: 1, max: 200, step: 1, listen: true },
+        { name: 'maxblur', label: 'Max Blur', min: 0, max: 0.01, step: 0.001 }
+    ],
+    create: ({ app, camera }) => new BokehPass(app.scene, camera, { focus: 1, aperture: 0.025, maxblur: 0.01 }),
+    update: (pass, settings) => {
+        pass.uniforms['focus'].value = settings.focus;
+        pass.uniforms['aperture'].value = settings.aperture * 0.00001;
+        pass.uniforms['maxblur'].value = settings.maxblur;
+    }
+});
+
+/**
+ * GUI schema shared by the outline passes.
+ * @type {MyPostPassParameter[]}
+ */
+const OUTLINE_PARAMETERS = [
+    { name: 'visibleEdgeColor', label: 'Color' },
+    { name: 'hiddenEdgeColor', label: 'Hidden Color' },
+    { name: 'edgeStrength', label: 'Strength', min: 0, max: 10, step: 0.1 },
+    { name: 'edgeThickness', label: 'Thickness', min: 1, max: 4, step: 0.1 },
+    { name: 'edgeGlow', label: 'Glow', min: 0, max: 1, step: 0.01 },
+    { name: 'pulsePeriod', label: 'Pulse Period', min: 0, max: 5, step: 0.1 }
+];
+
+/**
+ * Registers a pass outlining one entity of the scene, on by default in every viewport
+ * and only run while that entity exists.
+ * @param {string} name - Key of the pass type.
+ * @param {Object} definition - Label, order, default settings (see OUTLINE_PARAMETERS), and
+ *     target, a function returning the entity to outline for an application (or null).
+ */
+function registerOutlinePass(name, { label, order, settings, target }) {
+    const findTarget = app => {
+        const entity = app.contents ? target(app.contents) : null;
+        return entity && entity.parent ? entity : null;
+    };
+    postPassTypes.register(name, {
+        label, order, settings, enabled: true, cameraBound: true,
+        parameters: OUTLINE_PARAMETERS,
+        isNeeded: app => !!findTarget(app),
+        create: ({ app, camera }) => new MySelectionOutlinePass(app.scene, camera),
+        update: (pass, passSettings, app) => {
+            pass.setTarget(findTarget(app));
+            pass.visibleEdgeColor.copy(passSettings.visibleEdgeColor);
+            pass.hiddenEdgeColor.copy(passSettings.hiddenEdgeColor);
+            pass.edgeStrength = passSettings.edgeStrength;
+            pass.edgeThickness = passSettings.edgeThickness;
+            pass.edgeGlow = passSettings.edgeGlow;
+            pass.pulsePeriod = passSettings.pulsePeriod;
+        }
+    });
+}
+
+registerOutlinePass('selectionOutline', {
+    label: 'Selection Outline', order: 35,
+    settings: {
+        visibleEdgeColor: new THREE.Color(0xffaa00), hiddenEdgeColor: new THREE.Color(0x553300),
+        edgeStrength: 4, edgeThickness: 1.5, edgeGlow: 0, pulsePeriod: 0
+    },
+    target: contents => contents.selectedEntity
+});
+
+// A softer, glowing outline under the pointer; the selection keeps its own
+registerOutlinePass('hoverGlow', {
+    label: 'Hover Glow', order: 36,
+    settings: {
+        visibleEdgeColor: new THREE.Color(0x88ccff), hiddenEdgeColor: new THREE.Color(0x1a2a33),
+        edgeStrength: 2, edgeThickness: 2, edgeGlow: 1, pulsePeriod: 0
+    },
+    target: contents => (contents.hoveredEntity !== contents.selectedEntity ? contents.hoveredEntity : null)
+});
+
+postPassTypes.register('bloom', {
+    label: 'Bloom', order: 40,
+    settings: { strength: 0.6, radius: 0.4, threshold: 0.8 },
+    parameters: [
+        { name: 'strength', label: 'Strength', min: 0, max: 3, step: 0.05 },
+        { name: 'radius', label: 'Radius', min: 0, max: 1, step: 0.01 },
+        { name: 'threshold', label: 'Threshold', min: 0, max: 1, step: 0.01 }
+    ],
+    create: ({ settings }) => new UnrealBloomPass(new THREE.Vector2(256, 256), settings.strength, settings.radius, settings.threshold),
+    update: (pass, settings) => {
+        pass.strength = settings.strength;
+        pass.radius = settings.radius;
+        pass.threshold = settings.threshold;
+    }
+});
+
+// The overlay is designed in display colors, so it is drawn after the output conversion;
+// its material is shared, so every pipeline's pass shows the same overlay
+postPassTypes.register('periscopeHUD', {
+    label: 'Periscope HUD', order: 65, cameras: ['Submarine view'],
+    create: ({ app }) => (app.periscopeHUD ? app.periscopeHUD.createPass() : null)
+});
+
+// SMAA works on linear colors, before the output conversion
+postPassTypes.register('smaa', {
+    label: 'SMAA', order: 55,
+    create: () => new SMAAPass()
+});
+
+postPassTypes.register('output', {
+    label: 'Output', order: 60, toggleable: false,
+    create: () => new OutputPass()
+});
+
+// FXAA expects display (sRGB) colors, so it runs after the output conversion too
+postPassTypes.register('fxaa', {
+    label: 'FXAA', order: 70,
+    create: () => new FXAAPass()
+});
+
+/**
+ * MyPostProcessing
+ * The post-processing stack of the application: the settings of every registered pass and
+ * the cameras each one runs for. Viewports switch passes on with their effect toggles; a
+ * pass runs when the viewport's toggle is on and its camera is allowed.
+ */
+class MyPostProcessing {
+    /**
+     * Constructs the stack with the registered passes and their default settings.
+     * @param {MyApp} app - Application owning the renderer, scene and cameras.
+     * @param {MyPostPassRegistry} [registry=postPassTypes] - Pass types of the stack.
+     */
+    constructor(app, registry = postPassTypes) {
+        /**
+         * Application being rendered.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Pass types of the stack.
+         * @type {MyPostPassRegistry}
+         */
+        this.registry = registry;
+
+        /**
+         * Settings of each pass, shared by every pipeline.
+         * @type {Object<string, Object>}
+         */
+        this.settings = {};
+
+        /**
+         * Cameras each pass runs for, by pass name then camera name.
+         * @type {Object<string, Object<string, boolean>>}
+         */
+        this.cameras = {};
+
+        const cameraNames = Object.keys(app.cameras);
+        for (const passType of registry.list()) {
+            this.settings[passType.name] = this._copySettings(passType.settings);
+            this.cameras[passType.name] = {};
+            cameraNames.forEach(cameraName => {
+                this.cameras[passType.name][cameraName] = !passType.cameras || passType.cameras.includes(cameraName);
+            });
+        }
+    }
+
+    /**
+     * Checks whether a pass runs for a viewport.
+     * @param {string} name - Pass name.
+     * @param {Object<string, boolean>} effects - Effect toggles of the viewport.
+     * @param {string} cameraName - Camera shown by the viewport.
+     * @returns {boolean} True if the pass is switched on, allowed for the camera and has something to draw.
+     */
+    isActive(name, effects, cameraName) {
+        const passType = this.registry.get(name);
+        if (!passType || (passType.toggleable && !effects[name])) return false;
+        return this.cameras[name][cameraName] !== false && passType.isNeeded(this.app);
+    }
+
+    /**
+     * Checks whether any pass that can be switched off runs for a viewport; without one,
+     * the scene is rendered directly.
+     * @param {Object<string, boolean>} effects - Effect toggles of the viewport.
+     * @param {string} cameraName - Camera shown by the viewport.
+     * @returns {boolean} True if the viewport needs its pipeline.
+     */
+    needsPipeline(effects, cameraName) {
+        return this.registry.list().some(passType => passType.toggleable && this.isActive(passType.name, effects, cameraName));
+    }
+
+    /**
+     * Creates a pipeline rendering through this stack, e.g. for a viewport.
+     * @returns {MyPostProcessingPipeline} The pipeline, sized to the renderer.
+     */
+    createPipeline() {
+        return new MyPostProcessingPipeline(this);
+    }
+
+    /**
+     * Copies default settings, cloning colors so stacks do not share them.
+     * @param {Object} settings - Default settings.
+     * @returns {Object} The copy.
+     * @private
+     */
+    _copySettings(settings) {
+        const copy = {};
+        for (const [key, value] of Object.entries(settings)) {
+            copy[key] = value && value.isColor ? value.clone() : value;
+        }
+        return copy;
+    }
+}
+
+/**
+ * MyPostProcessingPipeline
+ * One EffectComposer running the stack for one viewport: a render pass followed by the
+ * registered passes in order. Passes are created the first time they are switched on,
+ * then only enabled or disabled, and read their settings before every render.
+ */
+class MyPostProcessingPipeline {
+    /**
+     * Constructs a new pipeline with just its render pass.
+     * @param {MyPostProcessing} stack - Stack providing the pass types and settings.
+     */
+    constructor(stack) {
+        /**
+         * Stack providing the pass types and settings.
+         * @type {MyPostProcessing}
+         */
+        this.stack = stack;
+
+        /**
+         * Composer running the chain.
+         * @type {EffectComposer}
+         */
+        this.composer = new EffectComposer(stack.app.renderer);
+
+        /**
+         * First pass, rendering the scene.
+         * @type {RenderPass}
+         */
+        this.renderPass = new RenderPass(stack.app.scene, null);
+        this.composer.addPass(this.renderPass);
+
+        /**
+         * Passes created so far, by name (null for passes that cannot exist in this scene).
+         * @type {Map<string, Pass|null>}
+         */
+        this.passes = new Map();
+    }
+
+    /**
+     * Looks up a created pass.
+     * @param {string} name - Pass name.
+     * @returns {Pass|null} The pass, or null if it was never switched on.
+     */
+    getPass(name) {
+        return this.passes.get(name) ?? null;
+    }
+
+    /**
+     * Points every pass at a camera, enables the ones that run for it and updates their settings.
+     * @param {string} cameraName - Camera to render, a key of the application's cameras.
+     * @param {Object<string, boolean>} effects - Effect toggles of the viewport.
+     */
+    prepare(cameraName, effects) {
+        const stack = this.stack;
+        const camera = stack.app.cameras[cameraName];
+        this.renderPass.camera = camera;
+
+        for (const passType of stack.registry.list()) {
+            const active = stack.isActive(passType.name, effects, cameraName);
+            const pass = active ? this._ensurePass(passType, camera) : this.getPass(passType.name);
+            if (!pass) continue;
+            pass.enabled = active;
+            if (!active) continue;
+            if ('camera' in pass) pass.camera = camera;
+            passType.update(pass, stack.settings[passType.name], stack.app);
+        }
+    }
+
+    /**
+     * Renders a camera through the chain, into the renderer's current viewport.
+     * @param {string} cameraName - Camera to render.
+     * @param {Object<string, boolean>} effects - Effect toggles of the viewport.
+     */
+    render(cameraName, effects) {
+        this.prepare(cameraName, effects);
+        this.composer.render();
+    }
+
+    /**
+     * Resizes the composer and its passes.
+     * @param {number} width - Width in CSS pixels.
+     * @param {number} height - Height in CSS pixels.
+     */
+    setSize(width, height) {
+        this.composer.setSize(width, height);
+    }
+
+    /**
+     * Frees the composer and every created pass.
+     */
+    dispose() {
+        this.passes.forEach(pass => {
+            if (pass && pass.dispose) pass.dispose();
+        });
+        this.composer.dispose();
+    }
+
+    /**
+     * Returns a pass, creating it and inserting it in the chain by order the first time.
+     * Passes bound to their camera are created again when the camera changes.
+     * @param {MyPostPassType} passType - Type of the pass.
+     * @param {THREE.Camera} camera - Camera it is created for.
+     * @returns {Pass|null} The pass, or null if it cannot exist in this scene.
+     * @private
+     */
+    _ensurePass(passType, camera) {
+        if (this.passes.has(passType.name)) {
+            const existing = this.passes.get(passType.name);
+            if (!existing || !passType.cameraBound || existing.camera === camera) return existing;
+            this.composer.removePass(existing);
+            existing.dispose();
+            this.passes.delete(passType.name);
+        }
+
+        const stack = this.stack;
+        const pass = passType.create({ app: stack.app, camera, settings: stack.settings[passType.name] });
+        this.passes.set(passType.name, pass);
+        if (!pass) return null;
+
+        // After the render pass and every created pass that comes earlier in the chain
+        let index = 1;
+        for (const other of stack.registry.list()) {
+            if (other.order >= passType.order) break;
+            if (this.passes.get(other.name)) index++;
+        }
+        this.composer.insertPass(pass, index);
+        return pass;
+    }
+}
+
+export { MyPostProcessing, MyPostProcessingPipeline, MyPostPassRegistry, postPassTypes };
@@ -0,0 +1,305 @@
+// MyQualityManager.js
+// Adaptive quality governor: rendering budgets (LOD distances, shadow maps, particles) tuned to a target frame rate.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * Tunable budgets, in the order the governor lowers them (cheapest visual loss first).
+ * Each knob moves one step at a time along its steps, from lowest to highest quality.
+ * @type {{name: string, label: string, steps: number[], format: function(number): string}[]}
+ */
+const QUALITY_KNOBS = [
+    { name: 'marineSnow', label: 'Marine Snow', steps: [0.25, 0.5, 0.75, 1], format: v => `${Math.round(v * 100)}%` },
+    { name: 'bubbleLodDistance', label: 'Bubble LOD Distance', steps: [20, 40, 60, 90], format: v => `${v}` },
+    { name: 'lodScale', label: 'LOD Distances', steps: [0.4, 0.6, 0.8, 1, 1.25, 1.5], format: v => `${v}x` },
+    { name: 'shadowMapScale', label: 'Shadow Maps', steps: [0.25, 0.5, 1, 2], format: v => `${v}x` }
+];
+
+/**
+ * Quality presets: the value of every knob. 'high' matches the scene's built-in settings.
+ * @type {Object<string, Object<string, number>>}
+ */
+const QUALITY_PRESETS = {
+    low: { marineSnow: 0.25, bubbleLodDistance: 20, lodScale: 0.4, shadowMapScale: 0.25 },
+    medium: { marineSnow: 0.5, bubbleLodDistance: 40, lodScale: 0.6, shadowMapScale: 0.5 },
+    high: { marineSnow: 1, bubbleLodDistance: 60, lodScale: 1, shadowMapScale: 1 },
+    ultra: { marineSnow: 1, bubbleLodDistance: 90, lodScale: 1.5, shadowMapScale: 2 }
+};
+
+/**
+ * MyQualityManager
+ * Measures frame time and, when adaptive, lowers one budget by one step whenever the frame
+ * rate falls below the target, then raises budgets back while there is headroom. The preset
+ * is the ceiling: the governor never goes above it, so the GUI can show what it gave up.
+ *
+ * Headroom is judged from the time spent inside the render loop, because with vertical sync
+ * the frame rate alone never rises above the display refresh rate.
+ */
+class MyQualityManager {
+    /**
+     * Constructs a new MyQualityManager instance with the 'high' preset.
+     * @param {MyApp} app - Application whose scene and contents are tuned.
+     */
+    constructor(app) {
+        /**
+         * Application being tuned.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Name of the current preset (a key of QUALITY_PRESETS).
+         * @type {string}
+         */
+        this.preset = 'high';
+
+        /**
+         * Whether budgets are adjusted automatically to reach the target frame rate.
+         * @type {boolean}
+         */
+        this.adaptive = true;
+
+        /**
+         * Frame rate the governor aims for.
+         * @type {number}
+         */
+        this.targetFps = 60;
+
+        /**
+         * Seconds of frames averaged before each decision.
+         * @type {number}
+         */
+        this.sampleInterval = 1;
+
+        /**
+         * Relative frame rate shortfall tolerated before lowering quality.
+         * @type {number}
+         */
+        this.tolerance = 0.1;
+
+        /**
+         * Consecutive samples with headroom needed before a budget is raised again.
+         * @type {number}
+         */
+        this.raiseAfter = 5;
+
+        /**
+         * Frame rate measured over the last sample.
+         * @type {number}
+         */
+        this.measuredFps = 0;
+
+        /**
+         * Values shown in the GUI: the measured frame rate and each knob against its preset value.
+         * @type {Object<string, string>}
+         */
+        this.status = { fps: '-' };
+
+        this._levels = {};
+        this._presetLevels = {};
+        this._cursor = 0;
+        this._sampleTime = 0;
+        this._sampleWork = 0;
+        this._sampleFrames = 0;
+        this._cooldown = 0;
+        this._goodSamples = 0;
+
+        this.setPreset(this.preset);
+    }
+
+    /**
+     * Current value of a knob.
+     * @param {string} name - Knob name.
+     * @returns {number} The value.
+     */
+    get(name) {
+        const knob = QUALITY_KNOBS.find(k => k.name === name);
+        return knob.steps[this._levels[name]];
+    }
+
+    /**
+     * Switches to a preset and applies every knob.
+     * @param {string} name - Key of QUALITY_PRESETS.
+     */
+    setPreset(name) {
+        const preset = QUALITY_PRESETS[name];
+        if (!preset) {
+            throw new Error(`Unknown quality preset: ${name}`);
+        }
+        this.preset = name;
+        for (const knob of QUALITY_KNOBS) {
+            const level = knob.steps.indexOf(preset[knob.name]);
+            this._presetLevels[knob.name] = level;
+            this._levels[knob.name] = level;
+        }
+        this._resetSample();
+        this._goodSamples = 0;
+        this.applyAll();
+    }
+
+    /**
+     * Applies every knob to the scene. Call after the contents are created or rebuilt.
+     */
+    applyAll() {
+        QUALITY_KNOBS.forEach(knob => this._apply(knob));
+    }
+
+    /**
+     * Feeds one rendered frame to the governor.
+     * @param {number} frameTime - Real time since the previous frame, in seconds.
+     * @param {number} workTime - Time spent rendering this frame, in seconds.
+     */
+    update(frameTime, workTime) {
+        // Recordings run off the frame clock, and long gaps (hidden tab) say nothing about load
+        if ((this.app.recorder && this.app.recorder.recording) || frameTime > 0.5) {
+            this._resetSample();
+            return;
+        }
+
+        this._sampleTime += frameTime;
+        this._sampleWork += workTime;
+        this._sampleFrames++;
+        if (this._sampleTime < this.sampleInterval) return;
+
+        this.measuredFps = this._sampleFrames / this._sampleTime;
+        const averageWork = this._sampleWork / this._sampleFrames;
+        this.status.fps = this.measuredFps.toFixed(1);
+        this._resetSample();
+
+        // Entities spawned since the last sample get the current LOD distances too
+        this._applyLodScale();
+
+        // Let the frame rate settle after a change (shadow maps are reallocated, for instance)
+        if (!this.adaptive || this._cooldown > 0) {
+            this._cooldown = Math.max(0, this._cooldown - 1);
+            return;
+        }
+
+        const budget = 1 / this.targetFps;
+        if (this.measuredFps < this.targetFps * (1 - this.tolerance)) {
+            this._goodSamples = 0;
+            this._step(-1);
+        } else if (this.measuredFps >= this.targetFps * (1 - this.tolerance / 2) && averageWork < budget * 0.6) {
+            // Only raise after a sustained stretch of headroom, to avoid oscillating around the target
+            if (++this._goodSamples >= this.raiseAfter) {
+                this._goodSamples = 0;
+                this._step(1);
+            }
+        } else {
+            this._goodSamples = 0;
+        }
+    }
+
+    /**
+     * Moves the next adjustable knob one step, lowering (-1) or raising (+1) quality.
+     * Knobs are visited in turn so no single budget takes all the cuts.
+     * @param {number} direction - -1 to lower quality, 1 to raise it.
+     * @returns {boolean} True if a knob changed.
+     * @private
+     */
+    _step(direction) {
+        const count = QUALITY_KNOBS.length;
+        for (let i = 0; i < count; i++) {
+            // Lower in priority order; raise in reverse, so the last budget cut is restored first
+            const index = direction < 0 ? (this._cursor + i) % count : (this._cursor - 1 - i + count * 2) % count;
+            const knob = QUALITY_KNOBS[index];
+            const level = this._levels[knob.name] + direction;
+            if (level < 0 || level > this._presetLevels[knob.name]) continue;
+
+            this._levels[knob.name] = level;
+            this._cursor = direction < 0 ? (index + 1) % count : index;
+            this._apply(knob);
+            this._cooldown = 1;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Applies one knob and refreshes its status line.
+     * @param {Object} knob - Entry of QUALITY_KNOBS.
+     * @private
+     */
+    _apply(knob) {
+        const value = this.get(knob.name);
+        const presetValue = knob.steps[this._presetLevels[knob.name]];
+        this.status[knob.name] = value === presetValue
+            ? knob.format(value)
+            : `${knob.format(value)} (preset ${knob.format(presetValue)})`;
+
+        const contents = this.app.contents;
+        switch (knob.name) {
+            case 'marineSnow':
+                if (contents && contents.marineSnow) {
+                    contents.marineSnow.setActiveCount(contents.marineSnow.count * value);
+                }
+                break;
+            case 'bubbleLodDistance':
+                if (contents) contents.bubbleLodDistance = value;
+                break;
+            case 'lodScale':
+                this._applyLodScale();
+                break;
+            case 'shadowMapScale':
+                this._applyShadowMapScale();
+                break;
+        }
+    }
+
+    /**
+     * Scales the switch distances of every THREE.LOD in the scene (fish, rocks, corals,
+     * jellyfish, algae) from the distances they were built with.
+     * @private
+     */
+    _applyLodScale() {
+        if (!this.app.scene) return;
+        const scale = this.get('lodScale');
+        this.app.scene.traverse(object => {
+            if (!object.isLOD || object.userData.lodScale === scale) return;
+            if (!object.userData.baseLodDistances) {
+                object.userData.baseLodDistances = object.levels.map(level => level.distance);
+            }
+            object.levels.forEach((level, i) => {
+                level.distance = object.userData.baseLodDistances[i] * scale;
+            });
+            object.userData.lodScale = scale;
+        });
+    }
+
+    /**
+     * Resizes the shadow maps of every shadow-casting light relative to their original size.
+     * The old maps are released so the renderer allocates new ones at the next frame.
+     * @private
+     */
+    _applyShadowMapScale() {
+        if (!this.app.scene) return;
+        const scale = this.get('shadowMapScale');
+        this.app.scene.traverse(object => {
+            if (!object.isLight || !object.castShadow || !object.shadow) return;
+            const shadow = object.shadow;
+            if (!object.userData.baseShadowMapSize) {
+                object.userData.baseShadowMapSize = shadow.mapSize.clone();
+            }
+            const size = object.userData.baseShadowMapSize.clone().multiplyScalar(scale).roundToZero();
+            size.clampScalar(128, 4096);
+            if (size.equals(shadow.mapSize)) return;
+
+            shadow.mapSize.copy(size);
+            if (shadow.map) {
+                shadow.map.dispose();
+                shadow.map = null;
+            }
+        });
+    }
+
+    /**
+     * Starts a new measurement window.
+     * @private
+     */
+    _resetSample() {
+        this._sampleTime = 0;
+        this._sampleWork = 0;
+        this._sampleFrames = 0;
+    }
+}
+
+export { MyQualityManager, QUALITY_KNOBS, QUALITY_PRESETS };
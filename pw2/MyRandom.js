@@ -0,0 +1,77 @@
+// MyRandom.js
+// Seeded pseudo-random number generator shared by every procedural generator in the scene.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * MyRandom
+ * Small, fast seeded PRNG (mulberry32). The same seed always yields the same sequence,
+ * so worlds built from it can be reproduced exactly.
+ */
+class MyRandom {
+    /**
+     * Constructs a new MyRandom instance.
+     * @param {number} seed - Initial seed (any number; truncated to an unsigned 32-bit integer).
+     */
+    constructor(seed = 12345) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Resets the generator to the start of the sequence for the given seed.
+     * @param {number} seed - New seed.
+     */
+    setSeed(seed) {
+        /**
+         * Seed the current sequence started from.
+         * @type {number}
+         */
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /**
+     * Returns the next number of the sequence, like Math.random().
+     * @returns {number} A float in [0, 1).
+     */
+    next() {
+        let t = (this._state = (this._state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Returns a float in [min, max).
+     * @param {number} min - Lower bound.
+     * @param {number} max - Upper bound.
+     * @returns {number} The random value.
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Returns a new seed drawn from this sequence, used to give sub-generators their own stream.
+     * @returns {number} An unsigned 32-bit integer.
+     */
+    nextSeed() {
+        return Math.floor(this.next() * 4294967296);
+    }
+
+    /**
+     * Creates an independent generator seeded from this sequence.
+     * @returns {MyRandom} The derived generator.
+     */
+    fork() {
+        return new MyRandom(this.nextSeed());
+    }
+}
+
+/**
+ * Scene-level generator. Entities draw their own seed from it at creation time,
+ * so the whole world is determined by its seed and the creation order.
+ * @type {MyRandom}
+ */
+const sceneRandom = new MyRandom();
+
+export { MyRandom, sceneRandom };
@@ -0,0 +1,344 @@
+// MyRecorder.js
+// Records the rendered canvas at a fixed simulated frame rate, as a zipped PNG sequence or a WebM video.
+// All methods and classes are documented for clarity and maintainability.
+
+/**
+ * Output resolutions offered for recording; 'Window' keeps the current canvas size.
+ * @type {Object<string, number[]|null>}
+ */
+const RECORDING_RESOLUTIONS = {
+    'Window': null,
+    '1280x720': [1280, 720],
+    '1920x1080': [1920, 1080],
+    '2560x1440': [2560, 1440],
+    '3840x2160': [3840, 2160]
+};
+
+/**
+ * Frame rates offered for recording. Each frame must span a whole number of 1/60 s
+ * simulation steps, so every captured frame advances the scene by the same amount.
+ * @type {number[]}
+ */
+const RECORDING_FRAME_RATES = [15, 20, 30, 60];
+
+/**
+ * CRC-32 lookup table used by the zip writer.
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of a byte array.
+ * @param {Uint8Array} bytes - Data to checksum.
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed (stored) zip archive. PNG data is already
+ * compressed, so storing keeps the archive small enough without a deflate implementation.
+ * @param {{name: string, data: Uint8Array}[]} files - Files to pack.
+ * @returns {Blob} The zip archive.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+        const size = file.data.length;
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, size, true);
+        entry.setUint32(24, size, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(entry, name);
+
+        offset += 30 + name.length + size;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * MyRecorder
+ * Captures one image per rendered frame while the application advances the simulation
+ * by exactly 1/fps seconds per frame, so the footage is smooth however long each frame
+ * takes to render. PNG sequences are frame-exact on any machine; WebM frames are
+ * time-stamped by the browser, so frames are paced to real time and the video only
+ * plays at the right speed if the machine keeps up with the chosen frame rate.
+ */
+class MyRecorder {
+    /**
+     * Constructs a new MyRecorder instance.
+     * @param {MyApp} app - Application whose renderer canvas is recorded.
+     */
+    constructor(app) {
+        /**
+         * Application owning the renderer and the simulation clock.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Output format: 'png' (zipped PNG sequence) or 'webm'.
+         * @type {string}
+         */
+        this.format = 'png';
+
+        /**
+         * Simulated frames per second of the output, one of RECORDING_FRAME_RATES.
+         * @type {number}
+         */
+        this.fps = 30;
+
+        /**
+         * Output resolution, a key of RECORDING_RESOLUTIONS.
+         * @type {string}
+         */
+        this.resolution = '1280x720';
+
+        /**
+         * Length of the recording in seconds of simulated time.
+         * @type {number}
+         */
+        this.duration = 5;
+
+        /**
+         * Base name of the downloaded file.
+         * @type {string}
+         */
+        this.filename = 'underwater-capture';
+
+        /**
+         * Whether frames are being captured.
+         * @type {boolean}
+         */
+        this.recording = false;
+
+        /**
+         * Human-readable state, shown in the GUI.
+         * @type {string}
+         */
+        this.status = 'Idle';
+
+        this._frame = 0;
+        this._totalFrames = 0;
+        this._pngFrames = [];
+        this._mediaRecorder = null;
+        this._videoTrack = null;
+        this._chunks = [];
+        this._lastCaptureTime = 0;
+        this._savedSize = null;
+    }
+
+    /**
+     * Simulated time covered by one captured frame, in seconds.
+     * @type {number}
+     */
+    get frameDuration() {
+        return 1 / this.fps;
+    }
+
+    /**
+     * Simulation steps run for each captured frame.
+     * @type {number}
+     */
+    get stepsPerFrame() {
+        return Math.round(this.frameDuration / this.app.simClock.fixedStep);
+    }
+
+    /**
+     * Starts recording with the current settings.
+     * @throws {Error} If a frame does not span a whole number of simulation steps.
+     */
+    start() {
+        if (this.recording) return;
+
+        const fixedStep = this.app.simClock.fixedStep;
+        if (this.stepsPerFrame < 1 || Math.abs(this.stepsPerFrame * fixedStep - this.frameDuration) > 1e-9) {
+            throw new Error(`Recording frame rate ${this.fps} is not a whole number of ${1 / fixedStep} Hz simulation steps`);
+        }
+
+        const renderer = this.app.renderer;
+        const size = RECORDING_RESOLUTIONS[this.resolution];
+        this._savedSize = { width: window.innerWidth, height: window.innerHeight, pixelRatio: renderer.getPixelRatio() };
+        if (size) {
+            renderer.setPixelRatio(1);
+            this.app.setRenderSize(size[0], size[1]);
+        }
+
+        this._frame = 0;
+        this._totalFrames = Math.max(1, Math.round(this.duration * this.fps));
+        this._pngFrames = [];
+        this._chunks = [];
+        this._lastCaptureTime = 0;
+
+        if (this.format === 'webm') {
+            this._startMediaRecorder(renderer.domElement);
+        }
+
+        this.recording = true;
+        this.status = `Recording 0/${this._totalFrames}`;
+    }
+
+    /**
+     * Stops recording, restores the canvas size and saves what was captured.
+     */
+    stop() {
+        if (!this.recording) return;
+        this.recording = false;
+
+        if (this._savedSize) {
+            this.app.renderer.setPixelRatio(this._savedSize.pixelRatio);
+            this.app.setRenderSize(this._savedSize.width, this._savedSize.height);
+            this._savedSize = null;
+        }
+
+        this.status = 'Encoding...';
+        if (this.format === 'webm') {
+            this._mediaRecorder.stop();
+        } else {
+            this._savePngSequence();
+        }
+    }
+
+    /**
+     * Tells the render loop whether the next frame should be produced now.
+     * PNG frames are produced as fast as possible; WebM frames are paced to the frame rate.
+     * @returns {boolean} True when a frame is due.
+     */
+    isFrameDue() {
+        if (this.format !== 'webm') return true;
+        return performance.now() - this._lastCaptureTime >= this.frameDuration * 1000 - 1;
+    }
+
+    /**
+     * Captures the frame just rendered. Call right after rendering, in the same task,
+     * so the drawing buffer still holds the image.
+     */
+    captureFrame() {
+        if (!this.recording) return;
+
+        if (this.format === 'webm') {
+            this._videoTrack.requestFrame();
+            this._lastCaptureTime = performance.now();
+        } else {
+            this._pngFrames.push(new Promise(resolve => {
+                this.app.renderer.domElement.toBlob(resolve, 'image/png');
+            }));
+        }
+
+        this._frame++;
+        this.status = `Recording ${this._frame}/${this._totalFrames}`;
+        if (this._frame >= this._totalFrames) {
+            this.stop();
+        }
+    }
+
+    /**
+     * Sets up a MediaRecorder fed one frame at a time from the canvas.
+     * @param {HTMLCanvasElement} canvas - Canvas to record.
+     * @private
+     */
+    _startMediaRecorder(canvas) {
+        const stream = canvas.captureStream(0);
+        this._videoTrack = stream.getVideoTracks()[0];
+
+        const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+            .find(type => MediaRecorder.isTypeSupported(type));
+        this._mediaRecorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 16000000 });
+        this._mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this._chunks.push(event.data);
+        };
+        this._mediaRecorder.onstop = () => {
+            this._download(new Blob(this._chunks, { type: 'video/webm' }), `${this.filename}.webm`);
+            this._videoTrack.stop();
+            this._chunks = [];
+            this.status = 'Idle';
+        };
+        this._mediaRecorder.start();
+    }
+
+    /**
+     * Waits for the captured PNG frames and downloads them as a zip archive.
+     * @private
+     */
+    _savePngSequence() {
+        const frames = this._pngFrames;
+        this._pngFrames = [];
+
+        Promise.all(frames)
+            .then(blobs => Promise.all(blobs.map(blob => blob.arrayBuffer())))
+            .then(buffers => {
+                const files = buffers.map((buffer, i) => ({
+                    name: `frame_${String(i).padStart(5, '0')}.png`,
+                    data: new Uint8Array(buffer)
+                }));
+                this._download(createZip(files), `${this.filename}.zip`);
+                this.status = 'Idle';
+            })
+            .catch(err => {
+                console.error('Failed to save the frame sequence:', err);
+                this.status = 'Failed';
+            });
+    }
+
+    /**
+     * Saves a blob through a temporary download link.
+     * @param {Blob} blob - Data to save.
+     * @param {string} filename - Name of the downloaded file.
+     * @private
+     */
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+export { MyRecorder, RECORDING_RESOLUTIONS, RECORDING_FRAME_RATES };
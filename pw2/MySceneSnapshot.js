@@ -0,0 +1,218 @@
+// MySceneSnapshot.js
+// Captures the state of the underwater scene as plain JSON data and rebuilds MyContents from it.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { MyJellyfishGroup } from './animals/MyJellyfishGroup.js';
+import { sceneRandom } from './MyRandom.js';
+import { terrainEntityTypes } from './MyEntityRegistry.js';
+import { SHOAL_TYPES } from './MyShoalTypes.js';
+
+/**
+ * Version of the snapshot format, bumped whenever the layout changes incompatibly.
+ * @type {number}
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Names of the MyContents shoals stored in a snapshot.
+ * @type {string[]}
+ */
+const SHOAL_NAMES = ['breamFishShoal', 'slimFishShoal', 'turtleShoal'];
+
+/**
+ * MySceneSnapshot
+ * Exports and loads the whole scene: terrain entity placements, shoal options and fish states
+ * (shoals added at runtime included), the submarine pose and lights, the shark path,
+ * jellyfish groups, the time of day, the underwater fog and caustics settings and the active camera.
+ */
+class MySceneSnapshot {
+    /**
+     * Constructs a new MySceneSnapshot bound to a contents manager.
+     * @param {MyContents} contents - The initialized contents manager to capture or rebuild.
+     */
+    constructor(contents) {
+        /**
+         * Contents manager the snapshot reads from and writes to.
+         * @type {MyContents}
+         */
+        this.contents = contents;
+    }
+
+    /**
+     * Captures the current scene state. The world seed is recorded for reference only;
+     * restoring relies on the explicit per-entity data.
+     * @returns {Object} Plain, JSON-serializable snapshot.
+     */
+    capture() {
+        const contents = this.contents;
+        const app = contents.app;
+
+        const entities = [];
+        for (const entityType of terrainEntityTypes.list()) {
+            for (const obj of contents.getTerrainEntities(entityType.name)) {
+                entities.push({
+                    kind: entityType.name,
+                    x: obj.position.x,
+                    z: obj.position.z,
+                    quaternion: obj.quaternion.toArray(),
+                    options: obj.serialize()
+                });
+            }
+        }
+
+        const shoals = {};
+        for (const name of SHOAL_NAMES) {
+            shoals[name] = contents[name].serialize();
+        }
+        const addedShoals = contents.getAddedShoals().map(shoal => ({
+            type: shoal.userData.shoalType,
+            ...shoal.serialize()
+        }));
+
+        const freeFly = app.cameras['Free-Fly'];
+
+        return {
+            version: SNAPSHOT_VERSION,
+            seed: sceneRandom.seed,
+            entities,
+            shoals,
+            addedShoals,
+            submarine: contents.submarine.serialize(),
+            shark: contents.shark.serialize(),
+            dayCycle: contents.dayCycle.serialize(),
+            waterFog: contents.waterFog.serialize(),
+            caustics: contents.caustics.serialize(),
+            jellyfish: contents.jellyfishGroups.map(group => ({
+                seed: group.seed,
+                position: group.position.toArray(),
+                jellies: group.jellyfishList.map(jelly => jelly.position.toArray())
+            })),
+            camera: {
+                active: app.activeCameraName,
+                freeFly: {
+                    position: freeFly.position.toArray(),
+                    target: app.activeCameraName === 'Free-Fly' ? app.controls.target.toArray() : [0, 0, 0]
+                }
+            }
+        };
+    }
+
+    /**
+     * Rebuilds the scene from a snapshot, replacing terrain entities and jellyfish
+     * and restoring shoals, submarine, shark and camera in place.
+     * @param {Object} snapshot - Snapshot produced by capture().
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported scene snapshot version: ${snapshot?.version}`);
+        }
+
+        const contents = this.contents;
+
+        for (const entityType of terrainEntityTypes.list()) {
+            contents.removeTerrainEntities(contents[entityType.group], entityType.filter);
+        }
+        for (const entity of snapshot.entities) {
+            const entityType = terrainEntityTypes.get(entity.kind);
+            if (!entityType) {
+                console.warn(`Skipping unknown terrain entity kind: ${entity.kind}`);
+                continue;
+            }
+            contents.Terrain.placeObj(
+                entityType.ObjectType,
+                { ...entity.options },
+                contents[entityType.group],
+                entity.x,
+                entity.z,
+                new THREE.Quaternion().fromArray(entity.quaternion)
+            );
+        }
+
+        for (const name of SHOAL_NAMES) {
+            contents[name].restore(snapshot.shoals[name]);
+        }
+        // Shoals added at runtime are recreated
+        contents.getAddedShoals().forEach(shoal => contents.removeShoal(shoal));
+        for (const data of snapshot.addedShoals) {
+            if (!SHOAL_TYPES[data.type]) {
+                console.warn(`Skipping shoal of unknown type: ${data.type}`);
+                continue;
+            }
+            contents.addShoal(data.type, data.options).restore(data);
+        }
+
+        contents.submarine.restore(snapshot.submarine);
+        contents.shark.restore(snapshot.shark);
+
+        contents.deselectWithin(contents.jellyfishGroups);
+        for (const group of contents.jellyfishGroups) {
+            contents.app.scene.remove(group);
+            group.dispose();
+        }
+        contents.jellyfishGroups = snapshot.jellyfish.map(data => {
+            const positions = data.jellies.map(p => new THREE.Vector3().fromArray(p));
+            const group = new MyJellyfishGroup(positions.length, { positions, seed: data.seed });
+            group.position.fromArray(data.position);
+            contents.app.scene.add(group);
+            return group;
+        });
+
+        // Also reapplies the hour's colors and night behavior to the new jellyfish
+        contents.dayCycle.restore(snapshot.dayCycle);
+
+        contents.waterFog.restore(snapshot.waterFog);
+        contents.waterFog.applyTo(contents.app.scene);
+        contents.caustics.restore(snapshot.caustics);
+
+        this._restoreCamera(snapshot.camera);
+        contents.refreshSelectableObjects();
+    }
+
+    /**
+     * Activates the saved camera and restores the free-fly camera pose.
+     * @param {Object} camera - Camera section of the snapshot.
+     * @private
+     */
+    _restoreCamera(camera) {
+        const app = this.contents.app;
+
+        app.activeCameraName = camera.active;
+        // Apply the switch now so it does not reset the orbit target afterwards
+        app.updateCameraIfRequired();
+
+        app.cameras['Free-Fly'].position.fromArray(camera.freeFly.position);
+        if (camera.active === 'Free-Fly') {
+            app.controls.target.fromArray(camera.freeFly.target);
+            app.controls.update();
+        }
+    }
+
+    /**
+     * Captures the scene and saves it as a JSON file through the browser.
+     * @param {string} [filename='underwater-scene.json'] - Name of the downloaded file.
+     */
+    download(filename = 'underwater-scene.json') {
+        const json = JSON.stringify(this.capture(), null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reads a snapshot from a JSON file and restores the scene from it.
+     * @param {File} file - File chosen by the user.
+     * @returns {Promise<Object>} Resolves with the loaded snapshot once the scene is rebuilt.
+     */
+    async loadFile(file) {
+        const snapshot = JSON.parse(await file.text());
+        this.restore(snapshot);
+        return snapshot;
+    }
+}
+
+export { MySceneSnapshot, SNAPSHOT_VERSION };
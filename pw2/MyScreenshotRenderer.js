@@ -0,0 +1,382 @@
+// MyScreenshotRenderer.js
+// Renders the active camera at any resolution in tiles and saves the stitched image as a PNG.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * Screenshot resolutions offered in the GUI; 'Window' uses the canvas' drawing buffer size.
+ * @type {Object<string, number[]|null>}
+ */
+const SCREENSHOT_RESOLUTIONS = {
+    'Window': null,
+    '1920x1080': [1920, 1080],
+    '3840x2160 (4K)': [3840, 2160],
+    '7680x4320 (8K)': [7680, 4320]
+};
+
+/**
+ * Largest screenshot side, in pixels. Browsers refuse bigger 2D canvases.
+ * @type {number}
+ */
+const MAX_SCREENSHOT_SIZE = 16384;
+
+/**
+ * Longest offset, relative to the blur size, at which the bokeh shader samples the image.
+ * @type {number}
+ */
+const BOKEH_SAMPLE_REACH = 0.4;
+
+/**
+ * Margin, in pixels, for the passes reading a few neighbouring pixels (SSAO, bloom, FXAA, SMAA).
+ * The widest bloom levels reach further; their glow is cut at this distance from a tile border.
+ * @type {number}
+ */
+const SCREEN_SPACE_GUTTER = 16;
+
+/**
+ * @typedef {Object} MyScreenshotOptions
+ * @property {number} [width] - Image width in pixels (defaults to the selected resolution).
+ * @property {number} [height] - Image height in pixels.
+ * @property {number} [tileSize] - Side of the tiles the image is rendered in.
+ * @property {boolean} [transparent] - Whether the background is left transparent.
+ * @property {boolean} [includeHUD] - Whether the periscope HUD is drawn when the submarine view shows it.
+ * @property {string|null} [filename] - Name of the downloaded file, or null to only return the image.
+ */
+
+/**
+ * MyScreenshotRenderer
+ * Splits the image into tiles and renders each one through a view offset of the active
+ * camera, so the result is the frame the camera would show on a screen of that size,
+ * however large it is. The tiles go through a post-processing pipeline of their own with
+ * the primary viewport's passes. Every tile is rendered with a margin that is cropped away,
+ * wide enough to hold what the depth of field blur, the HUD's chromatic aberration and the
+ * other screen-space passes sample across tile borders; the blur itself is scaled from tile
+ * to image units so its size does not depend on the tiling. All tiles are rendered in one
+ * task, from the same simulation state.
+ */
+class MyScreenshotRenderer {
+    /**
+     * Constructs a new MyScreenshotRenderer instance.
+     * @param {MyApp} app - Application whose renderer, camera and effects are used.
+     */
+    constructor(app) {
+        /**
+         * Application owning the renderer, the active camera and the effects.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Resolution used when none is given, a key of SCREENSHOT_RESOLUTIONS.
+         * @type {string}
+         */
+        this.resolution = '3840x2160 (4K)';
+
+        /**
+         * Side of the rendered tiles, in pixels (reduced if the GPU cannot render that large).
+         * @type {number}
+         */
+        this.tileSize = 1024;
+
+        /**
+         * Whether the scene background is left transparent.
+         * @type {boolean}
+         */
+        this.transparent = false;
+
+        /**
+         * Whether the periscope HUD is drawn when the active camera shows it. The HUD is opaque,
+         * so it covers a transparent background.
+         * @type {boolean}
+         */
+        this.includeHUD = true;
+
+        /**
+         * Base name of the downloaded file.
+         * @type {string}
+         */
+        this.filename = 'underwater-screenshot';
+
+        /**
+         * Human-readable state, shown in the GUI.
+         * @type {string}
+         */
+        this.status = 'Idle';
+
+        this._size = new THREE.Vector2();
+        this._clearColor = new THREE.Color();
+    }
+
+    /**
+     * Renders a screenshot and downloads it.
+     * @param {MyScreenshotOptions} [options] - Overrides of the current settings.
+     * @returns {Promise<Blob>} The PNG image.
+     */
+    capture(options = {}) {
+        const filename = options.filename === undefined ? `${this.filename}.png` : options.filename;
+        let canvas;
+        try {
+            canvas = this.render(options);
+        } catch (err) {
+            this.status = 'Failed';
+            return Promise.reject(err);
+        }
+
+        this.status = 'Encoding...';
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    this.status = 'Failed';
+                    reject(new Error('The screenshot could not be encoded'));
+                    return;
+                }
+                if (filename) this._download(blob, filename);
+                this.status = `Saved ${canvas.width}x${canvas.height}`;
+                resolve(blob);
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * Renders the active camera into a new canvas of the requested size. The renderer,
+     * camera and effects are restored afterwards.
+     * @param {MyScreenshotOptions} [options] - Overrides of the current settings.
+     * @returns {HTMLCanvasElement} Canvas holding the image.
+     */
+    render(options = {}) {
+        const app = this.app;
+        const renderer = app.renderer;
+        const camera = app.activeCamera;
+        if (!camera) {
+            throw new Error('No active camera to take a screenshot with');
+        }
+        if (app.recorder && app.recorder.recording) {
+            throw new Error('Cannot take a screenshot while recording');
+        }
+
+        const { width, height } = this._resolveSize(options);
+        const transparent = options.transparent ?? this.transparent;
+        const stack = app.postProcessing;
+        const cameraName = app.activeCameraName;
+        const effects = { ...app.effectsEnabled };
+        if (!(options.includeHUD ?? this.includeHUD)) effects.periscopeHUD = false;
+        const hud = app.periscopeHUD && stack.isActive('periscopeHUD', effects, cameraName) ? app.periscopeHUD : null;
+        const pipeline = stack.needsPipeline(effects, cameraName) ? stack.createPipeline() : null;
+
+        // Margin holding what the passes read from neighbouring tiles
+        // (the god rays draw their mask for the whole view, so they need none)
+        let gutter = 0;
+        if (pipeline) {
+            if (['ssao', 'bloom', 'fxaa', 'smaa', 'selectionOutline', 'hoverGlow'].some(name => stack.isActive(name, effects, cameraName))) {
+                gutter = SCREEN_SPACE_GUTTER;
+            }
+            if (stack.isActive('depthOfField', effects, cameraName)) {
+                gutter = Math.max(gutter, Math.ceil(BOKEH_SAMPLE_REACH * stack.settings.depthOfField.maxblur * width) + 1);
+            }
+            if (hud) gutter = Math.max(gutter, Math.ceil(hud.material.uniforms.chromaticAberration.value * width) + 1);
+        }
+        const maxTile = Math.min(renderer.capabilities.maxTextureSize, MAX_SCREENSHOT_SIZE) - gutter * 2;
+        const tileSize = Math.max(1, Math.min(options.tileSize ?? this.tileSize, maxTile, Math.max(width, height)));
+        const padded = tileSize + gutter * 2;
+
+        const image = this._createCanvas(width, height);
+        const imageContext = image.getContext('2d');
+        const tile = this._createCanvas(tileSize, tileSize);
+        const tileContext = tile.getContext('2d');
+        // The composer writes an opaque image, so its alpha is taken from a plain render of the tile
+        const mask = transparent && pipeline && !hud ? this._createCanvas(tileSize, tileSize) : null;
+
+        const saved = this._saveState(camera, hud);
+        try {
+            renderer.setPixelRatio(1);
+            renderer.setSize(padded, padded, false);
+            if (transparent) {
+                app.scene.background = null;
+                renderer.setClearColor(saved.clearColor, 0);
+            }
+            this._fitCamera(camera, width / height);
+
+            if (pipeline) {
+                pipeline.setSize(padded, padded);
+                pipeline.prepare(cameraName, effects);
+                // The blur is measured in tile widths; scale it so it spans as many pixels as in the full image
+                const bokehPass = pipeline.getPass('depthOfField');
+                if (bokehPass && bokehPass.enabled) {
+                    bokehPass.uniforms['aperture'].value *= width / padded;
+                    bokehPass.uniforms['maxblur'].value *= width / padded;
+                }
+            }
+            if (hud) hud.setEnabled(true);
+
+            for (let y = 0; y < height; y += tileSize) {
+                for (let x = 0; x < width; x += tileSize) {
+                    const tileWidth = Math.min(tileSize, width - x);
+                    const tileHeight = Math.min(tileSize, height - y);
+                    camera.setViewOffset(width, height, x - gutter, y - gutter, padded, padded);
+
+                    if (hud) {
+                        // The overlay is laid out on the whole image, whose bottom is at screen UV 0
+                        hud.setScreenRect((x - gutter) / width, (height - y + gutter - padded) / height, padded / width, padded / height);
+                    }
+                    if (pipeline) {
+                        if (mask) {
+                            renderer.render(app.scene, camera);
+                            this._copyTile(mask, gutter, tileWidth, tileHeight);
+                        }
+                        pipeline.composer.render();
+                    } else {
+                        renderer.render(app.scene, camera);
+                    }
+
+                    this._copyTile(tile, gutter, tileWidth, tileHeight);
+                    if (mask) {
+                        tileContext.globalCompositeOperation = 'destination-in';
+                        tileContext.drawImage(mask, 0, 0);
+                        tileContext.globalCompositeOperation = 'source-over';
+                    }
+                    imageContext.drawImage(tile, 0, 0, tileWidth, tileHeight, x, y, tileWidth, tileHeight);
+                }
+            }
+        } finally {
+            this._restoreState(camera, hud, pipeline, saved);
+        }
+        return image;
+    }
+
+    /**
+     * Works out the image size from the options or the selected resolution.
+     * @param {MyScreenshotOptions} options - Screenshot options.
+     * @returns {{width: number, height: number}} Size in pixels.
+     * @private
+     */
+    _resolveSize(options) {
+        let size = SCREENSHOT_RESOLUTIONS[this.resolution];
+        if (!size) {
+            this.app.renderer.getDrawingBufferSize(this._size);
+            size = [this._size.x, this._size.y];
+        }
+        const width = Math.round(options.width ?? size[0]);
+        const height = Math.round(options.height ?? size[1]);
+        if (!(width > 0 && height > 0) || width > MAX_SCREENSHOT_SIZE || height > MAX_SCREENSHOT_SIZE) {
+            throw new Error(`Invalid screenshot size ${width}x${height} (1 to ${MAX_SCREENSHOT_SIZE} pixels per side)`);
+        }
+        return { width, height };
+    }
+
+    /**
+     * Sets a camera's projection to the image aspect ratio.
+     * @param {THREE.Camera} camera - Camera to adjust.
+     * @param {number} aspect - Image width divided by height.
+     * @private
+     */
+    _fitCamera(camera, aspect) {
+        if (camera.isPerspectiveCamera) {
+            camera.aspect = aspect;
+        } else if (camera.isOrthographicCamera) {
+            camera.left = -this.app.frustumSize / 2 * aspect;
+            camera.right = this.app.frustumSize / 2 * aspect;
+        }
+    }
+
+    /**
+     * Copies the just rendered tile, without its margin, out of the renderer's canvas.
+     * Must run in the same task as the rendering, while the drawing buffer still holds the image.
+     * @param {HTMLCanvasElement} target - Canvas receiving the tile at its top-left corner.
+     * @param {number} gutter - Margin width in pixels.
+     * @param {number} width - Width of the tile part inside the image.
+     * @param {number} height - Height of the tile part inside the image.
+     * @private
+     */
+    _copyTile(target, gutter, width, height) {
+        const context = target.getContext('2d');
+        context.clearRect(0, 0, target.width, target.height);
+        context.drawImage(this.app.renderer.domElement, gutter, gutter, width, height, 0, 0, width, height);
+    }
+
+    /**
+     * Creates an offscreen canvas.
+     * @param {number} width - Width in pixels.
+     * @param {number} height - Height in pixels.
+     * @returns {HTMLCanvasElement} The canvas.
+     * @private
+     */
+    _createCanvas(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * Records the renderer, camera and HUD settings changed while rendering tiles.
+     * @param {THREE.Camera} camera - Camera being rendered.
+     * @param {MyPeriscopeHUD|null} hud - HUD being drawn, if any.
+     * @returns {Object} Saved settings, for _restoreState().
+     * @private
+     */
+    _saveState(camera, hud) {
+        const renderer = this.app.renderer;
+        renderer.getSize(this._size);
+        return {
+            width: this._size.x,
+            height: this._size.y,
+            pixelRatio: renderer.getPixelRatio(),
+            clearColor: renderer.getClearColor(this._clearColor).clone(),
+            clearAlpha: renderer.getClearAlpha(),
+            background: this.app.scene.background,
+            aspect: camera.aspect,
+            left: camera.left,
+            right: camera.right,
+            hudEnabled: hud ? hud.enabled : false
+        };
+    }
+
+    /**
+     * Puts back what _saveState() recorded and resizes everything to the window again.
+     * @param {THREE.Camera} camera - Camera that was rendered.
+     * @param {MyPeriscopeHUD|null} hud - HUD that was drawn, if any.
+     * @param {MyPostProcessingPipeline|null} pipeline - Screenshot pipeline, disposed here.
+     * @param {Object} saved - Settings returned by _saveState().
+     * @private
+     */
+    _restoreState(camera, hud, pipeline, saved) {
+        const app = this.app;
+        app.scene.background = saved.background;
+        app.renderer.setClearColor(saved.clearColor, saved.clearAlpha);
+
+        if (camera.isPerspectiveCamera) {
+            camera.aspect = saved.aspect;
+        } else if (camera.isOrthographicCamera) {
+            camera.left = saved.left;
+            camera.right = saved.right;
+        }
+        camera.clearViewOffset();
+
+        if (hud) {
+            hud.setScreenRect(0, 0, 1, 1);
+            hud.setEnabled(saved.hudEnabled);
+        }
+        if (pipeline) pipeline.dispose();
+
+        app.renderer.setPixelRatio(saved.pixelRatio);
+        app.setRenderSize(saved.width, saved.height);
+    }
+
+    /**
+     * Saves a blob through a temporary download link.
+     * @param {Blob} blob - Data to save.
+     * @param {string} filename - Name of the downloaded file.
+     * @private
+     */
+    _download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+export { MyScreenshotRenderer, SCREENSHOT_RESOLUTIONS };
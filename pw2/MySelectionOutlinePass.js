@@ -0,0 +1,79 @@
+// MySelectionOutlinePass.js
+// Outline drawn around a whole entity (selection or hover) without touching its materials.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+
+/**
+ * MySelectionOutlinePass
+ * OutlinePass outlining the meshes of one entity hierarchy. The outline is computed from
+ * override materials (depth and mask), so the entity's own materials are never changed, and
+ * skinned meshes are outlined in their animated pose. OutlinePass hides and shows meshes
+ * between its internal renders; automatic LOD updates would undo that and bring back the
+ * hidden levels, so LODs are frozen at the levels of the frame while the pass renders.
+ */
+class MySelectionOutlinePass extends OutlinePass {
+    /**
+     * Constructs a new MySelectionOutlinePass instance, with nothing to outline.
+     * @param {THREE.Scene} scene - Scene the entity belongs to.
+     * @param {THREE.Camera} camera - Camera the outline is drawn for.
+     */
+    constructor(scene, camera) {
+        super(new THREE.Vector2(256, 256), scene, camera);
+
+        this._frozenLODs = [];
+    }
+
+    /**
+     * Camera the outline is drawn for (OutlinePass calls it renderCamera).
+     * @type {THREE.Camera}
+     */
+    get camera() {
+        return this.renderCamera;
+    }
+
+    set camera(camera) {
+        this.renderCamera = camera;
+    }
+
+    /**
+     * Sets the entity to outline.
+     * @param {THREE.Object3D|null} entity - Root of the hierarchy, or null to outline nothing.
+     */
+    setTarget(entity) {
+        this.selectedObjects.length = 0;
+        if (entity) this.selectedObjects.push(entity);
+    }
+
+    /**
+     * Draws the outline over the read buffer, with the LODs of the scene frozen.
+     * @param {THREE.WebGLRenderer} renderer - The renderer.
+     * @param {THREE.WebGLRenderTarget} writeBuffer - Unused (the pass draws over the read buffer).
+     * @param {THREE.WebGLRenderTarget} readBuffer - Image of the previous passes.
+     * @param {number} deltaTime - Time since the last frame.
+     * @param {boolean} maskActive - Whether a stencil mask is active.
+     */
+    render(renderer, writeBuffer, readBuffer, deltaTime, maskActive) {
+        if (this.selectedObjects.length === 0) {
+            super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+            return;
+        }
+
+        const frozen = this._frozenLODs;
+        this.renderScene.traverse(object => {
+            if (object.isLOD && object.autoUpdate) {
+                object.autoUpdate = false;
+                frozen.push(object);
+            }
+        });
+        try {
+            super.render(renderer, writeBuffer, readBuffer, deltaTime, maskActive);
+        } finally {
+            frozen.forEach(lod => lod.autoUpdate = true);
+            frozen.length = 0;
+        }
+    }
+}
+
+export { MySelectionOutlinePass };
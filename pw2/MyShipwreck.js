@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { MyRandom, sceneRandom } from './MyRandom.js';
 
 /**
  * MyShipwreck
@@ -18,6 +19,7 @@ class MyShipwreck extends THREE.Group {
      * @param {number} options.holes - Number of holes in the hull (currently unused).
      * @param {number} options.tilt - Hull tilt angle in radians.
      * @param {boolean} options.hasChains - Whether to include anchor chains.
+     * @param {number} options.seed - Seed for the debris layout; drawn from the scene generator by default.
      */
     constructor(x = 0, y = 0, z = 0, scale = 1, options = {}) {
         super();
@@ -35,8 +37,15 @@ class MyShipwreck extends THREE.Group {
             planks: options.planks ?? 18,
             holes: options.holes ?? 7,
             tilt: options.tilt ?? 0.12,
-            hasChains: options.hasChains ?? true
+            hasChains: options.hasChains ?? true,
+            seed: options.seed ?? sceneRandom.nextSeed()
         };
+
+        /**
+         * Random stream for plank and bolt scattering.
+         * @type {MyRandom}
+         */
+        this.random = new MyRandom(this.options.seed);
         
         // Set position and initialize components
         this.position.set(x, y, z);
@@ -219,25 +228,25 @@ class MyShipwreck extends THREE.Group {
         for (let i = 0; i < this.options.planks; i++) {
             const plank = new THREE.Mesh(
                 new THREE.BoxGeometry(
-                    Math.random() * 2.5 + 0.7,  // Random length
+                    this.random.next() * 2.5 + 0.7,  // Random length
                     0.18,                        // Constant thickness
-                    0.4 + Math.random() * 0.2    // Random width
+                    0.4 + this.random.next() * 0.2    // Random width
                 ),
                 this.woodMaterial
             );
             
             // Random position within area around wreck
             plank.position.set(
-                Math.random() * 14 - 7,
+                this.random.next() * 14 - 7,
                 0.1,
-                Math.random() * 10 - 5
+                this.random.next() * 10 - 5
             );
             
             // Random rotation for natural scattering
             plank.rotation.set(
-                Math.random() * 0.7,
-                Math.random() * 2 * Math.PI,
-                Math.random() * 0.7
+                this.random.next() * 0.7,
+                this.random.next() * 2 * Math.PI,
+                this.random.next() * 0.7
             );
             
             this.add(plank);
@@ -251,12 +260,12 @@ class MyShipwreck extends THREE.Group {
             );
             
             bolt.position.set(
-                Math.random() * 10 - 5,
+                this.random.next() * 10 - 5,
                 0.1,
-                Math.random() * 8 - 4
+                this.random.next() * 8 - 4
             );
             
-            bolt.rotation.x = Math.random() * Math.PI;
+            bolt.rotation.x = this.random.next() * Math.PI;
             this.add(bolt);
         }
     }
@@ -306,21 +315,6 @@ class MyShipwreck extends THREE.Group {
             this.add(link);
         }
     }
-
-    /**
-     * Highlights or unhighlights the shipwreck by setting emissive color.
-     * Can be used for selection feedback in the UI.
-     * @param {boolean} selected - Whether the shipwreck is selected.
-     */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-
-        this.traverse(obj => {
-            if (obj.isMesh && obj.material && obj.material.emissive) {
-                obj.material.emissive.setHex(emissiveColor);
-            }
-        });
-    }
 }
 
 export { MyShipwreck };
\ No newline at end of file
@@ -0,0 +1,85 @@
+// MyShoalTypes.js
+// Kinds of shoals the scene can hold: fish class, starting options and GUI limits.
+// All methods and classes are documented for clarity and maintainability.
+
+import { MyBreamFish } from './animals/MyBreamFish.js';
+import { MySlimFish } from './animals/MySlimFish.js';
+import { MyTurtle } from './animals/MyTurtle.js';
+
+/**
+ * @typedef {Object} MyShoalType
+ * @property {string} label - Display name in the GUI.
+ * @property {Function} FishClass - Constructor of one fish, passed to MyShoal.
+ * @property {Object} options - MyShoal options of a new shoal of this kind.
+ * @property {Object<string, Object>} gui - Per-option overrides of the SHOAL_PARAMETERS limits and labels.
+ */
+
+/**
+ * Shoal kinds by name. The scene starts with one shoal of each; more can be added at runtime.
+ * @type {Object<string, MyShoalType>}
+ */
+const SHOAL_TYPES = {
+    breamFish: {
+        label: 'Bream Fish',
+        FishClass: MyBreamFish,
+        options: {
+            separationDistance: 15.0,
+            alignmentDistance: 40.0,
+            cohesionDistance: 60.0,
+            separationWeight: 3.0,
+            alignmentWeight: 3.0,
+            cohesionWeight: 5.0,
+            fishCount: 50,
+            areaSize: 1000,
+            height: 200,
+            boundaryMargin: 80,
+            boundaryForce: 2.0,
+            dangerDistance: 30,
+            panicDistance: 15,
+            color: '#506f6c'
+        },
+        gui: {}
+    },
+    slimFish: {
+        label: 'Slim Fish',
+        FishClass: MySlimFish,
+        options: {
+            fishCount: 40,
+            areaSize: 1000,
+            height: 200,
+            boundaryMargin: 80,
+            boundaryForce: 2.0,
+            dangerDistance: 30,
+            panicDistance: 15,
+            color: '#8dcec7',
+            fishScale: 3.5
+        },
+        gui: {
+            boundsWeight: { max: 5 },
+            fishScale: { min: 1, max: 7 }
+        }
+    },
+    turtle: {
+        label: 'Turtle',
+        FishClass: MyTurtle,
+        options: {
+            fishCount: 12,
+            areaSize: 1000,
+            height: 200,
+            boundaryMargin: 80,
+            boundaryForce: 2.0,
+            dangerDistance: 30,
+            panicDistance: 15,
+            color: '#20622a',
+            fishScale: 10,
+            nightSpeedFactor: 0.3
+        },
+        gui: {
+            boundsWeight: { max: 5 },
+            fishCount: { label: 'Turtle Count', max: 25 },
+            fishScale: { min: 3, max: 20, step: 0.5 }
+        }
+    }
+};
+
+export { SHOAL_TYPES };
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { platform } from './MyPlatform.js';
+import { UNDERWATER_FOG_UNIFORMS } from './MyUnderwaterFog.js';
 
 /**
  * MySubmarine
@@ -32,9 +34,14 @@ class MySubmarine extends THREE.Group {
         this.terrain = terrain;
         this.temple = temple;
 
-        const loader = new THREE.TextureLoader();
-        
-        this.texture = loader.load("./textures/submarine.png", tex => {
+        /**
+         * Scene event bus receiving 'submarineCollision', set by MyContents.
+         * @type {MyEventBus|null}
+         */
+        this.events = null;
+        this._inContact = false;
+
+        this.texture = platform.assets.loadTexture("./textures/submarine.png", tex => {
             tex.wrapS = THREE.ClampToEdgeWrapping;
             tex.wrapT = THREE.ClampToEdgeWrapping;
             tex.anisotropy = 8;
@@ -74,6 +81,11 @@ class MySubmarine extends THREE.Group {
         // Default flashing frequency for the warning light (scaled by GUI)
         this.flashingFreq = 1.5;
 
+        // Lamp intensities set through the GUI, before the night-time boost
+        this.leftLightIntensity = 50;
+        this.rightLightIntensity = 50;
+        this.lightBoost = 1;
+
         this.createShield();
         this.createSubmarine();
         this._initCollisionShape();
@@ -92,13 +104,20 @@ class MySubmarine extends THREE.Group {
             depthWrite: false,
             side: THREE.FrontSide,
             blending: THREE.AdditiveBlending,
-            uniforms: {
-                c: { type: "f", value: 1.0 },
-                p: { type: "f",value: 1.4 },
-                glowColor: { type: "c", value: new THREE.Color(0x66ccff) },
-                viewVector: { type: "v3", value: new THREE.Vector3(100,20,0) }
-            },
+            // The glow is added to the scene, so the water dims it rather than tinting it
+            fog: true,
+            defines: { WATER_FOG_ADDITIVE: '' },
+            uniforms: THREE.UniformsUtils.merge([
+                UNDERWATER_FOG_UNIFORMS,
+                {
+                    c: { type: "f", value: 1.0 },
+                    p: { type: "f",value: 1.4 },
+                    glowColor: { type: "c", value: new THREE.Color(0x66ccff) },
+                    viewVector: { type: "v3", value: new THREE.Vector3(100,20,0) }
+                }
+            ]),
             vertexShader: `
+                #include <fog_pars_vertex>
                 uniform vec3 viewVector;
                 uniform float c;
                 uniform float p;
@@ -107,15 +126,19 @@ class MySubmarine extends THREE.Group {
                     vec3 vNormal = normalize(normalMatrix * normal);
                     vec3 vNormel = normalize(normalMatrix * viewVector);
                     intensity = pow(c - dot(vNormal, vNormel), p);
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+                    gl_Position = projectionMatrix * mvPosition;
+                    #include <fog_vertex>
                 }
             `,
             fragmentShader: `
+                #include <fog_pars_fragment>
                 uniform vec3 glowColor;
                 varying float intensity;
                 void main() {
                     vec3 glow = glowColor * intensity;
                     gl_FragColor = vec4(glow, 1.0);
+                    #include <fog_fragment>
                 }
             `
         });
@@ -325,13 +348,15 @@ class MySubmarine extends THREE.Group {
     }
 
     /**
-     * Initializes keyboard controls for submarine movement (WASD, PL keys).
-     * Sets up keydown/keyup event listeners.
+     * Initializes controls for submarine movement (thrust, vertical and yaw actions, WASD and P/L by default).
+     * Actions read the platform input provider (keyboard and gamepad in the browser, scripted when headless).
      */
     initControls() {
-        this.keys = {};
-        window.addEventListener('keydown', (e) => { this.keys[e.key.toLowerCase()] = true; });
-        window.addEventListener('keyup', (e) => { this.keys[e.key.toLowerCase()] = false; });
+        /**
+         * Input actions steering the submarine.
+         * @type {MyInputActions}
+         */
+        this.actions = platform.actions;
     }
 
     /**
@@ -340,19 +365,14 @@ class MySubmarine extends THREE.Group {
      * @param {THREE.Camera} activeCamera - Currently active camera for view-dependent effects.
      */
     update(activeCamera) {
-        let moved = false;
-
-        // --- Forward / Backward ---
-        if (this.keys['w']) this.forwardSpeed += this.acceleration; moved = true;
-        if (this.keys['s']) this.forwardSpeed -= this.acceleration; moved = true;
-
-        // --- Vertical ---
-        if (this.keys['p']) this.verticalSpeed += this.verticalAcceleration; moved = true;
-        if (this.keys['l']) this.verticalSpeed -= this.verticalAcceleration; moved = true;
+        // --- Forward / Backward, Vertical, Turning (proportional to analog input) ---
+        this.forwardSpeed += this.acceleration * this.actions.value('thrust');
+        this.verticalSpeed += this.verticalAcceleration * this.actions.value('vertical');
+        this.turnSpeed += this.turnAcceleration * this.actions.value('yaw');
 
-        // --- Turning ---
-        if (this.keys['a']) this.turnSpeed += this.turnAcceleration; moved = true;
-        if (this.keys['d']) this.turnSpeed -= this.turnAcceleration; moved = true;
+        if (this.actions.justPressed('toggleShield')) {
+            this.toggleShield(!this.shieldActive);
+        }
 
         // --- Clamp speeds ---
         this.forwardSpeed = THREE.MathUtils.clamp(this.forwardSpeed, -this.maxSpeed, this.maxSpeed);
@@ -395,6 +415,9 @@ class MySubmarine extends THREE.Group {
         const horizontalCollision = this._checkBVHSphereCollision(horizontalNext);
         const verticalCollision = this._checkBVHSphereCollision(verticalNext);
 
+        // A new contact is only reported after a step without any
+        this._inContact = rotationCollision || horizontalCollision || verticalCollision;
+
         let finalPosition = currentPosition.clone();
 
         if (!horizontalCollision) {
@@ -416,17 +439,17 @@ class MySubmarine extends THREE.Group {
         this.propellerSpeed = this.forwardSpeed * 5;
         this.propeller.rotation.x += this.propellerSpeed;
 
-        if (this.camera === activeCamera) {
+        // The periscope camera always rides along, so it can also be shown in an inset viewport
+        const cameraOffset = new THREE.Vector3(3, 0.5, 0);  
+        const worldCameraPos = cameraOffset.clone().applyMatrix4(this.matrixWorld);
 
-            const cameraOffset = new THREE.Vector3(3, 0.5, 0);  
-            const worldCameraPos = cameraOffset.clone().applyMatrix4(this.matrixWorld);
+        this.camera.position.copy(worldCameraPos);
 
-            this.camera.position.copy(worldCameraPos);
+        const lookAtOffset = new THREE.Vector3(5, 0, 0)
+            .applyMatrix4(this.matrixWorld);
 
-            const lookAtOffset = new THREE.Vector3(5, 0, 0)
-                .applyMatrix4(this.matrixWorld);
-
-            this.camera.lookAt(lookAtOffset);
+        this.camera.lookAt(lookAtOffset);
+        if (this.camera === activeCamera) {
             this.controls.target.copy(lookAtOffset);
         }
 
@@ -453,17 +476,6 @@ class MySubmarine extends THREE.Group {
         }
     }
 
-    /**
-     * Toggles selection highlighting on the submarine.
-     * Changes emissive color to indicate selection state.
-     * @param {boolean} selected - Whether the submarine is selected.
-     */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-
-        this.material.emissive.setHex(emissiveColor);
-    }
-
     /**
      * Calculates target position for submarine spotlights based on angle and distance.
      * @param {THREE.Vector3} lightPosition - Current position of the light.
@@ -497,7 +509,8 @@ class MySubmarine extends THREE.Group {
         // LEFT LIGHT
         if (this.spotLight1) {
             this.spotLight1.color.set(settings.leftLightColor);
-            this.spotLight1.intensity = settings.leftLightIntensity;
+            this.leftLightIntensity = settings.leftLightIntensity;
+            this.spotLight1.intensity = this.leftLightIntensity * this.lightBoost;
 
             this.leftLightAngle = settings.leftLightAngle;
             
@@ -513,7 +526,8 @@ class MySubmarine extends THREE.Group {
         // RIGHT LIGHT
         if (this.spotLight2) {
             this.spotLight2.color.set(settings.rightLightColor);
-            this.spotLight2.intensity = settings.rightLightIntensity;
+            this.rightLightIntensity = settings.rightLightIntensity;
+            this.spotLight2.intensity = this.rightLightIntensity * this.lightBoost;
 
             this.rightLightAngle = settings.rightLightAngle;
             
@@ -533,6 +547,74 @@ class MySubmarine extends THREE.Group {
         this.light2Mesh.rotation.x = this.rightLightAngle;
     }
 
+    /**
+     * Scales both lamps above their set intensity, e.g. to light the way at night.
+     * @param {number} boost - Intensity multiplier (1 for the set intensity).
+     */
+    setLightBoost(boost) {
+        this.lightBoost = boost;
+        this.spotLight1.intensity = this.leftLightIntensity * boost;
+        this.spotLight2.intensity = this.rightLightIntensity * boost;
+    }
+
+    /**
+     * Returns the current light settings in the format accepted by updateLightSettings().
+     * @returns {Object} Current light configuration.
+     */
+    getLightSettings() {
+        return {
+            leftLightColor: '#' + this.spotLight1.color.getHexString(),
+            leftLightIntensity: this.leftLightIntensity,
+            leftLightAngle: this.leftLightAngle,
+            rightLightColor: '#' + this.spotLight2.color.getHexString(),
+            rightLightIntensity: this.rightLightIntensity,
+            rightLightAngle: this.rightLightAngle,
+            flashingFreq: this.flashingFreq
+        };
+    }
+
+    /**
+     * Captures the submarine pose, motion, lights and shield as plain data.
+     * @returns {Object} Serializable submarine state.
+     */
+    serialize() {
+        const uniforms = this.shieldMaterial.uniforms;
+        return {
+            position: this.position.toArray(),
+            rotationY: this.rotation.y,
+            forwardSpeed: this.forwardSpeed,
+            verticalSpeed: this.verticalSpeed,
+            turnSpeed: this.turnSpeed,
+            lights: this.getLightSettings(),
+            shield: {
+                active: this.shieldMesh.visible,
+                color: '#' + uniforms.glowColor.value.getHexString(),
+                c: uniforms.c.value,
+                p: uniforms.p.value
+            }
+        };
+    }
+
+    /**
+     * Restores the submarine from data produced by serialize().
+     * @param {Object} state - Serialized submarine state.
+     */
+    restore(state) {
+        this.position.fromArray(state.position);
+        this.rotation.y = state.rotationY;
+        this.forwardSpeed = state.forwardSpeed;
+        this.verticalSpeed = state.verticalSpeed;
+        this.turnSpeed = state.turnSpeed;
+        this.updateMatrixWorld();
+        this.updateLightSettings(state.lights);
+
+        const uniforms = this.shieldMaterial.uniforms;
+        this.toggleShield(state.shield.active);
+        uniforms.glowColor.value.set(state.shield.color);
+        uniforms.c.value = state.shield.c;
+        uniforms.p.value = state.shield.p;
+    }
+
     /**
      * Toggles the shield visibility on/off.
      * @param {boolean} active - Whether to show the shield.
@@ -543,6 +625,14 @@ class MySubmarine extends THREE.Group {
         }
     }
 
+    /**
+     * Whether the shield is shown.
+     * @type {boolean}
+     */
+    get shieldActive() {
+        return !!this.shieldMesh && this.shieldMesh.visible;
+    }
+
     /**
      * Applies boundary constraints to keep submarine within play area.
      * Restricts vertical movement and maintains circular boundary on X-Z plane.
@@ -620,6 +710,7 @@ class MySubmarine extends THREE.Group {
             });
 
             let hit = false;
+            let contactLocal = null;
 
             mesh.geometry.boundsTree.shapecast({
                 intersectsBounds: (box) => {
@@ -634,6 +725,7 @@ class MySubmarine extends THREE.Group {
                         tri.closestPointToPoint(c, tmpVec);
                         if (tmpVec.distanceToSquared(c) <= radius * radius) {
                             hit = true;
+                            contactLocal = tmpVec.clone();
                             return true; // stop shapecast for this mesh
                         }
                     }
@@ -641,6 +733,7 @@ class MySubmarine extends THREE.Group {
                 }
             });
 
+            if (hit) this._reportContact(mesh.localToWorld(contactLocal), mesh);
             return hit;
         };
 
@@ -664,8 +757,17 @@ class MySubmarine extends THREE.Group {
         return false;
     }
 
-
-  
+    /**
+     * Emits 'submarineCollision' when a contact begins; contacts that last are reported once.
+     * @param {THREE.Vector3} point - Contact point on the obstacle, in world space.
+     * @param {THREE.Mesh} mesh - Obstacle mesh.
+     * @private
+     */
+    _reportContact(point, mesh) {
+        if (this._inContact) return;
+        this._inContact = true;
+        if (this.events) this.events.emit('submarineCollision', { submarine: this, point, mesh });
+    }
 }
 
 export { MySubmarine };
\ No newline at end of file
@@ -0,0 +1,230 @@
+// MyUnderwaterFog.js
+// Underwater fog: colors absorbed per channel with the viewing distance and the depth below the surface.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+
+/**
+ * Uniforms the underwater fog adds to the fog ones. Their values are typed arrays, which
+ * three.js does not copy when it clones uniforms, so every material reads the same values
+ * and a change applies everywhere without recompiling.
+ * waterAbsorption: absorption of red, green and blue, relative to the fog density.
+ * waterDepth: height of the water surface, and the weight of the depth below it.
+ * @type {Object<string, {value: Float32Array}>}
+ */
+const WATER_FOG_UNIFORMS = {
+    waterAbsorption: { value: new Float32Array([1.0, 0.45, 0.2]) },
+    waterDepth: { value: new Float32Array([95, 0.5]) }
+};
+
+/**
+ * Fog uniforms to merge into a ShaderMaterial (created with fog: true) so it takes part in the
+ * underwater fog. The shaders include the fog chunks: fog_pars_vertex and fog_vertex (after
+ * mvPosition is computed), fog_pars_fragment and fog_fragment (after gl_FragColor is written).
+ * Additive materials define WATER_FOG_ADDITIVE so they fade out instead of turning to the fog color.
+ * @type {Object}
+ */
+const UNDERWATER_FOG_UNIFORMS = THREE.UniformsUtils.merge([THREE.UniformsLib.fog, WATER_FOG_UNIFORMS]);
+
+/**
+ * Fog chunks replacing those of three.js. Linear fog (THREE.Fog) keeps its usual formula;
+ * exponential fog becomes the underwater model.
+ * @type {Object<string, string>}
+ */
+const WATER_FOG_CHUNKS = {
+    fog_pars_vertex: /* glsl */ `
+        #ifdef USE_FOG
+            varying float vFogDepth;
+            #ifdef FOG_EXP2
+                varying vec2 vWaterFog;
+            #endif
+        #endif
+    `,
+    fog_vertex: /* glsl */ `
+        #ifdef USE_FOG
+            vFogDepth = - mvPosition.z;
+            #ifdef FOG_EXP2
+                // Distance to the camera, and world height (the transposed view rotation applied to the view position)
+                vWaterFog = vec2( length( mvPosition.xyz ), dot( viewMatrix[ 1 ].xyz, mvPosition.xyz - viewMatrix[ 3 ].xyz ) );
+            #endif
+        #endif
+    `,
+    fog_pars_fragment: /* glsl */ `
+        #ifdef USE_FOG
+            uniform vec3 fogColor;
+            varying float vFogDepth;
+            #ifdef FOG_EXP2
+                uniform float fogDensity;
+                uniform vec3 waterAbsorption;
+                uniform vec2 waterDepth;
+                varying vec2 vWaterFog;
+            #else
+                uniform float fogNear;
+                uniform float fogFar;
+            #endif
+        #endif
+    `,
+    fog_fragment: /* glsl */ `
+        #ifdef USE_FOG
+            #ifdef FOG_EXP2
+                // Sunlight is filtered on its way down from the surface, the reflected light on its way to the camera
+                vec3 waterExtinction = fogDensity * waterAbsorption;
+                vec3 lightReach = exp( - waterExtinction * waterDepth.y * max( waterDepth.x - vWaterFog.y, 0.0 ) );
+                vec3 viewReach = exp( - waterExtinction * vWaterFog.x );
+                #ifdef WATER_FOG_ADDITIVE
+                    gl_FragColor.rgb *= lightReach * viewReach;
+                #else
+                    gl_FragColor.rgb = mix( fogColor, gl_FragColor.rgb * lightReach, viewReach );
+                #endif
+            #else
+                float fogFactor = smoothstep( fogNear, fogFar, vFogDepth );
+                gl_FragColor.rgb = mix( gl_FragColor.rgb, fogColor, fogFactor );
+            #endif
+        #endif
+    `
+};
+
+/**
+ * Whether installWaterFogChunks() already ran.
+ * @type {boolean}
+ */
+let waterFogChunksInstalled = false;
+
+/**
+ * Replaces the fog shader chunks of three.js and adds the underwater uniforms to the
+ * built-in materials that support fog. Runs once; later calls do nothing.
+ */
+function installWaterFogChunks() {
+    if (waterFogChunksInstalled) return;
+    waterFogChunksInstalled = true;
+
+    Object.assign(THREE.ShaderChunk, WATER_FOG_CHUNKS);
+    for (const shader of Object.values(THREE.ShaderLib)) {
+        if (shader.uniforms.fogColor) Object.assign(shader.uniforms, WATER_FOG_UNIFORMS);
+    }
+}
+
+/**
+ * MyUnderwaterFog
+ * Exponential fog where each color channel has its own absorption, so with distance red
+ * fades first, then green, leaving the blue of deep water. Light is also absorbed on its
+ * way down from the surface, so deep objects are darker and bluer even up close. Setting
+ * it as the scene fog applies it to every built-in material (Basic, Phong, Standard,
+ * Points...) through replaced fog shader chunks; custom ShaderMaterials opt in with
+ * UNDERWATER_FOG_UNIFORMS. The fog uniforms are shared, so a single instance is meant
+ * to be used at a time.
+ */
+class MyUnderwaterFog extends THREE.FogExp2 {
+    /**
+     * Constructs a new MyUnderwaterFog, installing the underwater fog shader chunks.
+     * Must be created before the materials it applies to are first rendered.
+     * @param {Object} [options] - Fog settings.
+     * @param {THREE.Color|string|number} [options.color=0x0e3a44] - Color of the water in daylight.
+     * @param {number} [options.density=0.006] - Overall density (extinction per world unit of red light).
+     * @param {number} [options.surfaceY=95] - Height of the water surface.
+     */
+    constructor(options = {}) {
+        super(0x000000, options.density ?? 0.006);
+        installWaterFogChunks();
+
+        /**
+         * Whether the fog is applied (it is removed from the scene while off).
+         * @type {boolean}
+         */
+        this.enabled = true;
+
+        /**
+         * Color of the water in daylight; the fog color is this one times the brightness.
+         * @type {THREE.Color}
+         */
+        this.waterColor = new THREE.Color(options.color ?? 0x0e3a44);
+
+        /**
+         * Daylight factor of the water color, 0 (night) to 1, set by the time of day.
+         * @type {number}
+         */
+        this.brightness = 1;
+
+        /**
+         * Absorption of the red, green and blue channels, relative to the density.
+         * @type {{red: number, green: number, blue: number}}
+         */
+        this.absorption = { red: 1.0, green: 0.45, blue: 0.2 };
+
+        /**
+         * Weight of the depth below the surface against the viewing distance (0 ignores depth).
+         * @type {number}
+         */
+        this.depthAbsorption = 0.5;
+
+        /**
+         * Height of the water surface; depth is measured down from it.
+         * @type {number}
+         */
+        this.surfaceY = options.surfaceY ?? 95;
+
+        this.updateUniforms();
+    }
+
+    /**
+     * Sets the daylight factor of the water color.
+     * @param {number} brightness - 0 (night) to 1 (noon).
+     */
+    setBrightness(brightness) {
+        this.brightness = brightness;
+        this.color.copy(this.waterColor).multiplyScalar(brightness);
+    }
+
+    /**
+     * Pushes the settings to the shared shader uniforms and the fog color.
+     * Call after changing the fields directly.
+     */
+    updateUniforms() {
+        const { waterAbsorption, waterDepth } = WATER_FOG_UNIFORMS;
+        waterAbsorption.value[0] = this.absorption.red;
+        waterAbsorption.value[1] = this.absorption.green;
+        waterAbsorption.value[2] = this.absorption.blue;
+        waterDepth.value[0] = this.surfaceY;
+        waterDepth.value[1] = this.depthAbsorption;
+        this.setBrightness(this.brightness);
+    }
+
+    /**
+     * Adds the fog to a scene, or removes it while disabled. Materials are recompiled
+     * by three.js when the scene fog appears or disappears.
+     * @param {THREE.Scene} scene - Scene the fog belongs to.
+     */
+    applyTo(scene) {
+        scene.fog = this.enabled ? this : null;
+    }
+
+    /**
+     * Captures the fog settings as plain data.
+     * @returns {Object} Serializable settings.
+     */
+    serialize() {
+        return {
+            enabled: this.enabled,
+            color: '#' + this.waterColor.getHexString(),
+            density: this.density,
+            absorption: { ...this.absorption },
+            depthAbsorption: this.depthAbsorption
+        };
+    }
+
+    /**
+     * Restores settings captured by serialize(); missing ones keep their value.
+     * @param {Object} data - Data produced by serialize().
+     */
+    restore(data) {
+        this.enabled = data.enabled ?? this.enabled;
+        if (data.color) this.waterColor.set(data.color);
+        this.density = data.density ?? this.density;
+        this.absorption = { ...this.absorption, ...data.absorption };
+        this.depthAbsorption = data.depthAbsorption ?? this.depthAbsorption;
+        this.updateUniforms();
+    }
+
+}
+
+export { MyUnderwaterFog, UNDERWATER_FOG_UNIFORMS };
@@ -0,0 +1,335 @@
+// MyViewports.js
+// Picture-in-picture and split-screen rendering: several cameras drawn into rectangles of one canvas.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { postPassTypes } from './MyPostProcessing.js';
+
+/**
+ * Camera name of a viewport that always shows the application's active camera.
+ * @type {string}
+ */
+const ACTIVE_CAMERA = 'Active';
+
+/**
+ * Built-in viewport arrangements. Rectangles are fractions of the canvas measured from
+ * its top-left corner; the first viewport is the primary one and shares the global effect toggles.
+ * Other keys of a viewport are the initial toggles of its post-processing passes.
+ * @type {Object<string, Object[]>}
+ */
+const VIEWPORT_LAYOUTS = {
+    'Single': [
+        { cameraName: ACTIVE_CAMERA, left: 0, top: 0, width: 1, height: 1 }
+    ],
+    'Picture-in-picture': [
+        { cameraName: ACTIVE_CAMERA, left: 0, top: 0, width: 1, height: 1 },
+        { cameraName: 'Submarine view', left: 0.7, top: 0.03, width: 0.27, height: 0.27, periscopeHUD: true }
+    ],
+    'Side by side': [
+        { cameraName: ACTIVE_CAMERA, left: 0, top: 0, width: 0.5, height: 1 },
+        { cameraName: 'Submarine view', left: 0.5, top: 0, width: 0.5, height: 1 }
+    ],
+    'Split 2x2': [
+        { cameraName: 'Free-Fly', left: 0, top: 0, width: 0.5, height: 0.5 },
+        { cameraName: 'Submarine view', left: 0.5, top: 0, width: 0.5, height: 0.5 },
+        { cameraName: 'Swim view', left: 0, top: 0.5, width: 0.5, height: 0.5 },
+        { cameraName: 'Fixed aquarium view', left: 0.5, top: 0.5, width: 0.5, height: 0.5 }
+    ]
+};
+
+/**
+ * MyViewport
+ * One rectangle of the canvas showing one camera, with its own post-processing toggles.
+ */
+class MyViewport {
+    /**
+     * Constructs a new MyViewport instance.
+     * @param {Object} options - Viewport settings.
+     * @param {string} [options.cameraName='Active'] - Camera shown, or 'Active' for the active camera.
+     * @param {number} [options.left=0] - Left edge as a fraction of the canvas width.
+     * @param {number} [options.top=0] - Top edge as a fraction of the canvas height.
+     * @param {number} [options.width=1] - Width as a fraction of the canvas width.
+     * @param {number} [options.height=1] - Height as a fraction of the canvas height.
+     * @param {Object} [options.effects] - Effect toggles object to use instead of a private one.
+     * Initial toggles of the post-processing passes are given by pass name (depthOfField, periscopeHUD...).
+     */
+    constructor(options = {}) {
+        /**
+         * Camera shown in this viewport.
+         * @type {string}
+         */
+        this.cameraName = options.cameraName ?? ACTIVE_CAMERA;
+
+        /**
+         * Rectangle as fractions of the canvas, from its top-left corner.
+         * @type {number}
+         */
+        this.left = options.left ?? 0;
+        this.top = options.top ?? 0;
+        this.width = options.width ?? 1;
+        this.height = options.height ?? 1;
+
+        /**
+         * Post-processing toggles, one per registered pass. A pass also has to be allowed for
+         * the camera shown (the periscope HUD only is, by default, for the submarine view).
+         * @type {Object<string, boolean>}
+         */
+        this.effects = options.effects ?? postPassTypes.createToggles(options);
+
+        /**
+         * Post-processing pipeline, created the first time a pass is switched on.
+         * @type {MyPostProcessingPipeline|null}
+         */
+        this.pipeline = null;
+    }
+
+    /**
+     * Computes the viewport rectangle in canvas pixels, with the origin at the bottom-left as WebGL expects.
+     * @param {number} canvasWidth - Canvas width in CSS pixels.
+     * @param {number} canvasHeight - Canvas height in CSS pixels.
+     * @returns {{x: number, y: number, width: number, height: number}} The rectangle.
+     */
+    getRect(canvasWidth, canvasHeight) {
+        const x = Math.round(this.left * canvasWidth);
+        const width = Math.max(1, Math.round(Math.min(this.width, 1 - this.left) * canvasWidth));
+        const height = Math.max(1, Math.round(Math.min(this.height, 1 - this.top) * canvasHeight));
+        const y = Math.round(canvasHeight - this.top * canvasHeight - height);
+        return { x, y, width, height };
+    }
+}
+
+/**
+ * MyViewportLayout
+ * Renders the scene once per viewport using scissored regions of the canvas. Each viewport
+ * adapts its camera's projection to its own aspect ratio, and runs its post-processing
+ * pipeline at its own size. Insets are outlined by a thin frame.
+ */
+class MyViewportLayout {
+    /**
+     * Constructs a new MyViewportLayout instance, starting with the 'Single' layout.
+     * @param {MyApp} app - Application owning the renderer, cameras and effects.
+     */
+    constructor(app) {
+        /**
+         * Application being rendered.
+         * @type {MyApp}
+         */
+        this.app = app;
+
+        /**
+         * Name of the current layout (a key of VIEWPORT_LAYOUTS).
+         * @type {string}
+         */
+        this.layoutName = 'Single';
+
+        /**
+         * Viewports drawn in order; later viewports are drawn on top.
+         * @type {MyViewport[]}
+         */
+        this.viewports = [];
+
+        /**
+         * Width of the frame drawn around viewports that do not fill the canvas, in pixels.
+         * @type {number}
+         */
+        this.borderWidth = 2;
+
+        /**
+         * Color of the viewport frame.
+         * @type {THREE.Color}
+         */
+        this.borderColor = new THREE.Color(0x88ccff);
+
+        this._size = new THREE.Vector2();
+        this._savedClearColor = new THREE.Color();
+
+        this.setLayout('Single');
+    }
+
+    /**
+     * Replaces the viewports with a built-in layout.
+     * @param {string} name - Key of VIEWPORT_LAYOUTS.
+     */
+    setLayout(name) {
+        const layout = VIEWPORT_LAYOUTS[name];
+        if (!layout) {
+            throw new Error(`Unknown viewport layout: ${name}`);
+        }
+        this.dispose();
+        this.layoutName = name;
+        // The primary viewport is driven by the global effect toggles
+        this.viewports = layout.map((options, i) => new MyViewport(
+            i === 0 ? { ...options, effects: this.app.effectsEnabled } : options
+        ));
+        this.resize();
+    }
+
+    /**
+     * Resolves the camera shown by a viewport.
+     * @param {MyViewport} viewport - Viewport to resolve.
+     * @returns {THREE.Camera|undefined} The camera.
+     */
+    getCamera(viewport) {
+        return this.app.cameras[this.getCameraName(viewport)];
+    }
+
+    /**
+     * Resolves the name of the camera shown by a viewport.
+     * @param {MyViewport} viewport - Viewport to resolve.
+     * @returns {string} A key of the application's cameras.
+     */
+    getCameraName(viewport) {
+        return viewport.cameraName === ACTIVE_CAMERA ? this.app.activeCameraName : viewport.cameraName;
+    }
+
+    /**
+     * Checks whether any viewport currently shows the periscope HUD.
+     * @returns {boolean} True if the HUD is needed.
+     */
+    usesPeriscopeHUD() {
+        const stack = this.app.postProcessing;
+        return this.viewports.some(viewport => stack.isActive('periscopeHUD', viewport.effects, this.getCameraName(viewport)));
+    }
+
+    /**
+     * Sizes the post-processing pipelines to their viewports.
+     * Call after the canvas or a viewport changes size.
+     */
+    resize() {
+        const renderer = this.app.renderer;
+        if (!renderer) return;
+        renderer.getSize(this._size);
+
+        this.viewports.forEach(viewport => {
+            if (!viewport.pipeline) return;
+            const rect = viewport.getRect(this._size.x, this._size.y);
+            viewport.pipeline.setSize(rect.width, rect.height);
+        });
+    }
+
+    /**
+     * Draws every viewport, then restores the full-canvas viewport.
+     */
+    render() {
+        const renderer = this.app.renderer;
+        renderer.getSize(this._size);
+        renderer.setScissorTest(true);
+
+        for (const viewport of this.viewports) {
+            const camera = this.getCamera(viewport);
+            if (!camera) continue;
+            const rect = viewport.getRect(this._size.x, this._size.y);
+
+            if (rect.width < this._size.x || rect.height < this._size.y) {
+                this._drawFrame(rect);
+            }
+            renderer.setViewport(rect.x, rect.y, rect.width, rect.height);
+            renderer.setScissor(rect.x, rect.y, rect.width, rect.height);
+            this._fitCamera(camera, rect.width / rect.height);
+
+            const cameraName = this.getCameraName(viewport);
+            if (this.app.postProcessing.needsPipeline(viewport.effects, cameraName)) {
+                this._getPipeline(viewport).render(cameraName, viewport.effects);
+            } else {
+                renderer.render(this.app.scene, camera);
+            }
+        }
+
+        renderer.setScissorTest(false);
+        renderer.setViewport(0, 0, this._size.x, this._size.y);
+        renderer.setScissor(0, 0, this._size.x, this._size.y);
+    }
+
+    /**
+     * Finds the topmost viewport under a screen position.
+     * @param {number} clientX - Pointer x in client coordinates.
+     * @param {number} clientY - Pointer y in client coordinates.
+     * @param {THREE.Vector2} ndc - Receives the position in the viewport's normalized device coordinates.
+     * @returns {THREE.Camera|null} The viewport's camera, or null if no viewport is under the pointer.
+     */
+    pick(clientX, clientY, ndc) {
+        const bounds = this.app.renderer.domElement.getBoundingClientRect();
+        const u = (clientX - bounds.left) / bounds.width;
+        const v = (clientY - bounds.top) / bounds.height;
+
+        for (let i = this.viewports.length - 1; i >= 0; i--) {
+            const viewport = this.viewports[i];
+            const right = Math.min(viewport.left + viewport.width, 1);
+            const bottom = Math.min(viewport.top + viewport.height, 1);
+            if (u < viewport.left || u > right || v < viewport.top || v > bottom) continue;
+
+            const camera = this.getCamera(viewport);
+            if (!camera) return null;
+            ndc.x = ((u - viewport.left) / (right - viewport.left)) * 2 - 1;
+            ndc.y = -((v - viewport.top) / (bottom - viewport.top)) * 2 + 1;
+            this._fitCamera(camera, ((right - viewport.left) * bounds.width) / ((bottom - viewport.top) * bounds.height));
+            return camera;
+        }
+        return null;
+    }
+
+    /**
+     * Frees the pipelines of the viewports.
+     */
+    dispose() {
+        this.viewports.forEach(viewport => {
+            if (viewport.pipeline) viewport.pipeline.dispose();
+            viewport.pipeline = null;
+        });
+    }
+
+    /**
+     * Returns a viewport's pipeline, creating it at the viewport's size the first time.
+     * @param {MyViewport} viewport - Viewport whose pipeline is wanted.
+     * @returns {MyPostProcessingPipeline} The pipeline.
+     * @private
+     */
+    _getPipeline(viewport) {
+        if (!viewport.pipeline) {
+            viewport.pipeline = this.app.postProcessing.createPipeline();
+            const rect = viewport.getRect(this._size.x, this._size.y);
+            viewport.pipeline.setSize(rect.width, rect.height);
+        }
+        return viewport.pipeline;
+    }
+
+    /**
+     * Matches a camera's projection to a viewport aspect ratio.
+     * @param {THREE.Camera} camera - Camera to adjust.
+     * @param {number} aspect - Width divided by height.
+     * @private
+     */
+    _fitCamera(camera, aspect) {
+        if (!camera) return;
+        if (camera.isPerspectiveCamera) {
+            if (camera.aspect === aspect) return;
+            camera.aspect = aspect;
+        } else if (camera.isOrthographicCamera) {
+            const halfWidth = this.app.frustumSize / 2 * aspect;
+            if (camera.right === halfWidth) return;
+            camera.left = -halfWidth;
+            camera.right = halfWidth;
+        }
+        camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Clears a slightly larger rectangle with the frame color, outlining an inset.
+     * @param {{x: number, y: number, width: number, height: number}} rect - Viewport rectangle.
+     * @private
+     */
+    _drawFrame(rect) {
+        const renderer = this.app.renderer;
+        const border = this.borderWidth;
+        if (border <= 0) return;
+
+        renderer.getClearColor(this._savedClearColor);
+        const alpha = renderer.getClearAlpha();
+        renderer.setScissor(rect.x - border, rect.y - border, rect.width + border * 2, rect.height + border * 2);
+        renderer.setClearColor(this.borderColor, 1);
+        renderer.clear(true, true, false);
+        renderer.setClearColor(this._savedClearColor, alpha);
+    }
+}
+
+export { MyViewport, MyViewportLayout, VIEWPORT_LAYOUTS, ACTIVE_CAMERA };
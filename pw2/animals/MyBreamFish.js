@@ -4,6 +4,7 @@
 // All classes and methods are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 
 const FISH_CONSTANTS = {
     BASE_X_OFFSET: 8,
@@ -233,6 +234,7 @@ class FishSkeleton {
         this.options = options;
         this.bones = [];
         this.rootBone = null;
+        this.swimTime = 0; // accumulated simulation time (ms)
         this.createBones();
     }
 
@@ -320,7 +322,8 @@ class FishSkeleton {
      * @param {number} swimAmplitude
      */
     animateSwim(deltaTime, swimSpeed, swimAmplitude) {
-        const time = performance.now();
+        this.swimTime += deltaTime * 1000;
+        const time = this.swimTime;
         const amplitudes = [0.2, 0.4, 0.5, 5];
         const phases = [0, 1, 2, 3];
 
@@ -339,7 +342,7 @@ class FishSkeleton {
 
 /**
  * MyBreamFish
- * Main class for the bream fish, supporting multiple levels of detail (LOD), skinning, animation, and selection highlighting.
+ * Main class for the bream fish, supporting multiple levels of detail (LOD), skinning and animation.
  */
 class MyBreamFish extends THREE.LOD {
     /**
@@ -354,7 +357,6 @@ class MyBreamFish extends THREE.LOD {
         this.skeleton = new FishSkeleton(this.options);
         
         this.isMyBreamFish = true;
-        this.isSelected = false;
 
         this.setupLOD();
         this.applyTransform();
@@ -404,14 +406,13 @@ class MyBreamFish extends THREE.LOD {
         };
 
         if (this.options.textureUrl) {
-            const textureLoader = new THREE.TextureLoader();
-            materialProps.map = textureLoader.load(this.options.textureUrl);
-            if (materialProps.map) {
-                materialProps.map.repeat.set(this.options.textureScale.x, this.options.textureScale.y);
-                materialProps.map.offset.set(this.options.textureOffset.x, this.options.textureOffset.y);
-                materialProps.map.wrapS = this.options.wrapS;
-                materialProps.map.wrapT = this.options.wrapT;
-            }
+            // Fish of a shoal share one texture per url and mapping
+            materialProps.map = platform.cache.acquireTexture(this.options.textureUrl, {
+                wrapS: this.options.wrapS,
+                wrapT: this.options.wrapT,
+                repeat: [this.options.textureScale.x, this.options.textureScale.y],
+                offset: [this.options.textureOffset.x, this.options.textureOffset.y]
+            }, this);
         }
 
         return new THREE.MeshPhongMaterial(materialProps);
@@ -555,62 +556,10 @@ class MyBreamFish extends THREE.LOD {
     }
 
     /**
-     * Handles selection state changes for the fish.
-     * @param {boolean} selected
+     * Disposes the fish's level-of-detail geometries and material and releases its texture.
      */
-    onSelect(selected) {
-        if (selected) this.select();
-        else this.deselect();
-    }
-
-    /**
-     * Highlights the fish to indicate selection.
-     */
-    select() {
-        if (this.isSelected) return;
-        this.isSelected = true;
-
-        const highlightEmissive = 0xffaa00;
-        this.traverse(child => {
-            if (child.isMesh) {
-                const mat = child.material;
-                if (Array.isArray(mat)) {
-                    mat.forEach(m => {
-                        if (m && m.isMeshPhongMaterial && 'emissive' in m) m.emissive.setHex(highlightEmissive);
-                        else if (m && m.color) m.color.setHex(highlightEmissive);
-                    });
-                } else if (mat) {
-                    if (mat.isMeshPhongMaterial && 'emissive' in mat) mat.emissive.setHex(highlightEmissive);
-                    else if (mat.color) mat.color.setHex(highlightEmissive);
-                }
-            }
-        });
-    }
-
-    /**
-     * Removes selection highlight from the fish.
-     */
-    deselect() {
-        if (!this.isSelected) return;
-        this.isSelected = false;
-
-        const defaultColor = new THREE.Color(this.options.color);
-        const defaultEmissive = new THREE.Color(this.options.emissive || "#000000");
-        this.traverse(child => {
-            if (child.isMesh) {
-                const mat = child.material;
-                if (Array.isArray(mat)) {
-                    mat.forEach(m => {
-                        if (!m) return;
-                        if (m.isMeshPhongMaterial && 'emissive' in m) m.emissive.copy(defaultEmissive);
-                        if (m.color) m.color.copy(defaultColor);
-                    });
-                } else if (mat) {
-                    if (mat.isMeshPhongMaterial && 'emissive' in mat) mat.emissive.copy(defaultEmissive);
-                    if (mat.color) mat.color.copy(defaultColor);
-                }
-            }
-        });
+    dispose() {
+        platform.cache.disposeObject(this);
     }
 }
 
@@ -4,12 +4,12 @@
 // All classes and methods are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 
 
 /**
  * MyCrab
  * Procedurally generates a stylized crab with body, legs, arms, and claws.
- * Supports selection highlighting.
  */
 class MyCrab extends THREE.Group {
     /**
@@ -46,7 +46,7 @@ class MyCrab extends THREE.Group {
      * Creates the crab's main body (shell).
      */
     createBody() {
-        const bodyGeometry = new THREE.SphereGeometry(0.5, 6, 6);
+        const bodyGeometry = platform.cache.acquireGeometry('crab-body', () => new THREE.SphereGeometry(0.5, 6, 6), this);
         const bodyMesh = new THREE.Mesh(bodyGeometry, this.material);
         bodyMesh.scale.set(0.8, 0.5, 1);
         bodyMesh.position.set(0, 0.25, 0);
@@ -81,7 +81,7 @@ class MyCrab extends THREE.Group {
             pivot.position.set(0, 0.25, 0);
             this.add(pivot);
 
-            const legGeometry = new THREE.CylinderGeometry(0.05, 0.05, 0.5, 6);
+            const legGeometry = platform.cache.acquireGeometry('crab-leg', () => new THREE.CylinderGeometry(0.05, 0.05, 0.5, 6), this);
             const legMesh = new THREE.Mesh(legGeometry, this.material);
             legMesh.position.set(0, 0.125, zOffset);
             legMesh.rotateX(rotationX);
@@ -106,7 +106,7 @@ class MyCrab extends THREE.Group {
             pivot.position.set(0, 0.25, 0);
             this.add(pivot);
 
-            const armGeometry = new THREE.CylinderGeometry(0.125, 0.075, 0.5, 6);
+            const armGeometry = platform.cache.acquireGeometry('crab-arm', () => new THREE.CylinderGeometry(0.125, 0.075, 0.5, 6), this);
             const armMesh = new THREE.Mesh(armGeometry, this.material);
             armMesh.scale.set(1, 1, 0.75);
             armMesh.position.set(-0.5, 0.125, 0);
@@ -125,7 +125,7 @@ class MyCrab extends THREE.Group {
             pivot.position.set(0, 0.25, 0);
             this.add(pivot);
 
-            const bigArmGeometry = new THREE.CylinderGeometry(0.2, 0.125, 0.5, 6);
+            const bigArmGeometry = platform.cache.acquireGeometry('crab-big-arm', () => new THREE.CylinderGeometry(0.2, 0.125, 0.5, 6), this);
             const bigArmMesh = new THREE.Mesh(bigArmGeometry, this.material);
             bigArmMesh.scale.set(1, 1, 0.75);
             bigArmMesh.position.set(-0.85,0.2,0);
@@ -158,9 +158,10 @@ class MyCrab extends THREE.Group {
      * @returns {THREE.Object3D|null} The pivot for the main claw, or null
      */
     createClawSection(yRotation, xRotation, isMainClaw) {
+        // Every crab has the same parts, so all crabs share one geometry per part
         const geometry = isMainClaw
-            ? this.createMainClawGeometry()
-            : new THREE.CylinderGeometry(0.05, 0.075, 0.25, 6);
+            ? platform.cache.acquireGeometry('crab-main-claw', () => this.createMainClawGeometry(), this)
+            : platform.cache.acquireGeometry('crab-claw', () => new THREE.CylinderGeometry(0.05, 0.075, 0.25, 6), this);
 
         const clawMesh = new THREE.Mesh(geometry, this.material);
         clawMesh.position.set(isMainClaw ? -1.18 : -1.15, isMainClaw ? 0.29 : 0.1, 0);
@@ -192,13 +193,19 @@ class MyCrab extends THREE.Group {
     }
 
     /**
-     * Highlights or unhighlights the crab when selected.
-     * @param {boolean} selected
+     * Releases the shared part geometries and disposes the crab's material.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
 
-        this.material.emissive.setHex(emissiveColor);
+    /**
+     * Returns the options needed to rebuild this crab. Crabs have no random
+     * features, so only their placement (stored by the caller) matters.
+     * @returns {Object} Serializable constructor options.
+     */
+    serialize() {
+        return {};
     }
 }
 
@@ -3,6 +3,8 @@
 // Implements a proper LOD-safe animated jellyfish for Three.js scenes.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
 
 /**
  * MyJellyfish
@@ -12,10 +14,15 @@ import * as THREE from 'three';
 class MyJellyfish extends THREE.Group {
     /**
      * Constructs a new MyJellyfish instance, initializing geometry, materials, LOD, and animation parameters.
+     * @param {number} seed - Seed for the floating and tentacle phases; drawn from the scene generator by default.
      */
-    constructor() {
+    constructor(seed = sceneRandom.nextSeed()) {
         super();
 
+        // Random stream for animation phases
+        this.seed = seed;
+        this.random = new MyRandom(seed);
+
         // High and low detail roots for LOD
         this.highRoot = new THREE.Group(); 
         this.lowRoot = new THREE.Group(); 
@@ -57,9 +64,13 @@ class MyJellyfish extends THREE.Group {
         // Tentacle animation state
         this.tentacles = [];
 
+        // Glow of the internal light before the night-time boost
+        this.lightIntensity = 10;
+        this.light = null;
+
         // Animation parameters for floating
-        this.floatPhase = Math.random() * Math.PI * 2;
-        this.floatAmplitude = 0.08 + Math.random() * 0.08;
+        this.floatPhase = this.random.next() * Math.PI * 2;
+        this.floatAmplitude = 0.08 + this.random.next() * 0.08;
 
         // Build high and low detail models
         this.createHighDetailModel();
@@ -234,8 +245,8 @@ class MyJellyfish extends THREE.Group {
             original,
             angle,
             length,
-            phase: Math.random() * Math.PI * 2,
-            amplitude: 0.3 + Math.random() * 0.2
+            phase: this.random.next() * Math.PI * 2,
+            amplitude: 0.3 + this.random.next() * 0.2
         });
     }
 
@@ -244,9 +255,18 @@ class MyJellyfish extends THREE.Group {
      * Creates an internal spot light for the high-detail model.
      */
     createLight() {
-        const light = new THREE.PointLight(0x7ccbe7, 10, 10, 1);
+        const light = new THREE.PointLight(0x7ccbe7, this.lightIntensity, 10, 1);
         light.position.set(0, 0.2, 0);
         this.add(light);
+        this.light = light;
+    }
+
+    /**
+     * Scales the internal light, brighter when the jellyfish is one of the few lights around.
+     * @param {number} boost - Intensity multiplier (1 for the normal glow).
+     */
+    setLightBoost(boost) {
+        if (this.light) this.light.intensity = this.lightIntensity * boost;
     }
 
 
@@ -323,25 +343,10 @@ class MyJellyfish extends THREE.Group {
     }
 
     /**
-     * Sets the emissive color of the jellyfish when selected or deselected.
-     * @param {boolean} selected - Whether the jellyfish is selected.
+     * Disposes the geometries and materials of both detail levels and the glow light.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        this.traverse(child => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material)
-                    ? child.material
-                    : [child.material];
-
-                materials.forEach(mat => {
-                    if (mat.emissive) {
-                        mat.emissive.setHex(emissiveColor);
-                        mat.needsUpdate = true;
-                    }
-                });
-            }
-        });
+    dispose() {
+        platform.cache.disposeObject(this);
     }
 }
 
@@ -3,7 +3,9 @@
 // All classes and methods are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 import { MyJellyfish } from './MyJellyfish.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
 
 /**
  * MyJellyfishGroup
@@ -13,19 +15,22 @@ class MyJellyfishGroup extends THREE.Group {
     /**
      * Constructs a new jellyfish group, creating and positioning each jellyfish.
      * @param {number} count - Number of jellyfish to create (default: 2-4).
-     * @param {object} [options] - Optional: { positions: [THREE.Vector3, ...] }
+     * @param {object} [options] - Optional: { positions: [THREE.Vector3, ...], seed: number }
      */
-    constructor(count = (2 + Math.ceil(Math.random() * 2)), options = {}) {
+    constructor(count = null, options = {}) {
         super();
+        this.seed = options.seed ?? sceneRandom.nextSeed();
+        this.random = new MyRandom(this.seed);
+        count = count ?? (2 + Math.ceil(this.random.next() * 2));
         this.jellyfishList = [];
         const positions = options.positions || [];
         for (let i = 0; i < count; i++) {
-            const jelly = new MyJellyfish();
+            const jelly = new MyJellyfish(this.random.nextSeed());
             if (positions[i]) {
                 jelly.position.copy(positions[i]);
             } else {
                 const angle = (i / count) * Math.PI * 2;
-                jelly.position.set(Math.cos(angle) * 4, Math.random() * 2, Math.sin(angle) * 4);
+                jelly.position.set(Math.cos(angle) * 4, this.random.next() * 2, Math.sin(angle) * 4);
             }
             this.jellyfishList.push(jelly);
             this.add(jelly);
@@ -44,6 +49,12 @@ class MyJellyfishGroup extends THREE.Group {
         }
     }
 
+    /**
+     * Disposes every jellyfish of the group.
+     */
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
 
 }
 
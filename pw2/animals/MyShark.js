@@ -4,6 +4,8 @@
 // All methods and classes are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
+import { platform } from '../MyPlatform.js';
 
 
 /**
@@ -14,20 +16,32 @@ import * as THREE from 'three';
 class MyShark extends THREE.Group {
     /**
      * Constructs a new MyShark instance, sets up geometry, skeleton, and path-following state.
+     * @param {number} seed - Seed for the wandering path; drawn from the scene generator by default.
      */
-    constructor() {
+    constructor(seed = sceneRandom.nextSeed()) {
         super();
 
+        /**
+         * Seed of the path generator.
+         * @type {number}
+         */
+        this.seed = seed;
+        /**
+         * Random stream used to generate and extend the path.
+         * @type {MyRandom}
+         */
+        this.random = new MyRandom(seed);
+
         /**
          * Array of bones for skeletal animation.
          * @type {THREE.Bone[]}
          */
         this.bones = [];
         /**
-         * Last animation time (ms).
+         * Simulation time of the last update (ms).
          * @type {number}
          */
-        this.lastTime = performance.now();
+        this.lastTime = 0;
 
         /**
          * Material for the shark mesh.
@@ -388,17 +402,17 @@ class MyShark extends THREE.Group {
         
         this.pathPoints.push(startPoint);
         
-        let currentDirection = Math.random() * Math.PI * 2;
+        let currentDirection = this.random.next() * Math.PI * 2;
         
         const numKeyframes = 20;
         
         for (let i = 0; i < numKeyframes; i++) {
             const lastPoint = this.pathPoints[this.pathPoints.length - 1];
             
-            const angleChange = (Math.random() - 0.5) * 2 * this.maxAngleRadians;
+            const angleChange = (this.random.next() - 0.5) * 2 * this.maxAngleRadians;
             currentDirection += angleChange;
             
-            const y = this.baseHeight + Math.sin(i * 0.6) * (this.heightAmplitude * 0.6) + (Math.random() - 0.5) * 1.0;
+            const y = this.baseHeight + Math.sin(i * 0.6) * (this.heightAmplitude * 0.6) + (this.random.next() - 0.5) * 1.0;
             const nextPoint = new THREE.Vector3(
                 lastPoint.x + Math.cos(currentDirection) * this.segmentLength,
                 y,
@@ -460,12 +474,12 @@ class MyShark extends THREE.Group {
         );
         
         for (let i = 0; i < 5; i++) {
-            const angleChange = (Math.random() - 0.5) * 2 * this.maxAngleRadians;
+            const angleChange = (this.random.next() - 0.5) * 2 * this.maxAngleRadians;
             currentDirection += angleChange;
             
             let nextPoint = new THREE.Vector3(
                 lastPoint.x + Math.cos(currentDirection) * this.segmentLength,
-                this.baseHeight + Math.sin((this.pathPoints.length + i) * 0.5) * (this.heightAmplitude * 0.6) + (Math.random() - 0.5) * 1.0,
+                this.baseHeight + Math.sin((this.pathPoints.length + i) * 0.5) * (this.heightAmplitude * 0.6) + (this.random.next() - 0.5) * 1.0,
                 lastPoint.z + Math.sin(currentDirection) * this.segmentLength
             );
             
@@ -502,8 +516,9 @@ class MyShark extends THREE.Group {
 
     /**
      * Updates the shark's position and orientation along the path.
+     * @param {number} elapsedTime - Simulation time in seconds, used for the vertical bobbing.
      */
-    updatePath() {
+    updatePath(elapsedTime = this.lastTime * 0.001) {
         this.segmentProgress += this.speed;
         
         if (this.segmentProgress >= 1.0) {
@@ -543,7 +558,7 @@ class MyShark extends THREE.Group {
         );
 
         this.position.copy(newPosition);
-        const bob = Math.sin(performance.now() * this.heightFrequency) * this.heightAmplitude * 0.5;
+        const bob = Math.sin(elapsedTime * 1000 * this.heightFrequency) * this.heightAmplitude * 0.5;
         this.position.y += bob;
         
         const t = this.segmentProgress;
@@ -569,9 +584,10 @@ class MyShark extends THREE.Group {
 
     /**
      * Animates the shark's bones to create a swimming motion.
+     * @param {number} elapsedTime - Simulation time in seconds.
      */
-    swimAnimation() {
-        const now = performance.now();
+    swimAnimation(elapsedTime = this.lastTime * 0.001) {
+        const now = elapsedTime * 1000;
         this.lastTime = now;
 
         const amplitudes = [0.08, 0.08, 0.08, 0.08];
@@ -582,20 +598,62 @@ class MyShark extends THREE.Group {
     }
 
     /**
-     * Updates the shark's path following and swimming animation. Call this in the render loop.
+     * Updates the shark's path following and swimming animation. Call this once per simulation step.
+     * @param {number} elapsedTime - Simulation time in seconds.
+     */
+    update(elapsedTime) {
+        this.updatePath(elapsedTime);
+        this.swimAnimation(elapsedTime);
+    }
+
+    /**
+     * Captures the shark's path and progress along it as plain data.
+     * @returns {Object} Serializable shark state.
      */
-    update() {
-        this.updatePath();
-        this.swimAnimation();
+    serialize() {
+        return {
+            seed: this.seed,
+            pathPoints: this.pathPoints.map(p => p.toArray()),
+            currentSegmentIndex: this.currentSegmentIndex,
+            segmentProgress: this.segmentProgress,
+            speed: this.speed,
+            radius: this.radius,
+            innerRadius: this.innerRadius,
+            segmentLength: this.segmentLength,
+            maxAngleDegrees: this.maxAngleDegrees,
+            baseHeight: this.baseHeight,
+            heightAmplitude: this.heightAmplitude,
+            heightFrequency: this.heightFrequency,
+            position: this.position.toArray(),
+            rotationY: this.rotation.y,
+            scale: this.scale.x
+        };
     }
 
     /**
-     * Sets the emissive color of the shark when selected or deselected.
-     * @param {boolean} selected - Whether the shark is selected.
+     * Restores the shark's path and progress from data produced by serialize().
+     * @param {Object} state - Serialized shark state.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        this.material.emissive.setHex(emissiveColor);
+    restore(state) {
+        if (state.seed !== undefined) {
+            this.seed = state.seed;
+            this.random = new MyRandom(state.seed);
+        }
+        this.pathPoints = state.pathPoints.map(p => new THREE.Vector3().fromArray(p));
+        this.currentSegmentIndex = state.currentSegmentIndex;
+        this.segmentProgress = state.segmentProgress;
+        this.speed = state.speed;
+        this.radius = state.radius;
+        this.innerRadius = state.innerRadius;
+        this.segmentLength = state.segmentLength;
+        this.maxAngleDegrees = state.maxAngleDegrees;
+        this.maxAngleRadians = (this.maxAngleDegrees * Math.PI) / 180;
+        this.baseHeight = state.baseHeight;
+        this.heightAmplitude = state.heightAmplitude;
+        this.heightFrequency = state.heightFrequency;
+        this.position.fromArray(state.position);
+        this.rotation.y = state.rotationY;
+        this.scale.setScalar(state.scale);
     }
 
     /**
@@ -611,6 +669,13 @@ class MyShark extends THREE.Group {
         scene.add(line);
         return line;
     }
+
+    /**
+     * Disposes the shark's geometries and materials.
+     */
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
 }
 
 
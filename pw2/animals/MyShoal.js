@@ -3,6 +3,69 @@
 
 import * as THREE from 'three';
 import { MeshBVH } from 'https://cdn.jsdelivr.net/npm/three-mesh-bvh@0.6.4/build/index.module.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
+
+/**
+ * Options of a shoal that can be tuned while it runs, grouped as in the GUI. The GUI folder
+ * of every shoal is generated from this list; fish types may override the limits (see MyShoalTypes).
+ * Entries without limits are colors.
+ * @type {{folder: string, parameters: {name: string, label: string, min?: number, max?: number, step?: number}[]}[]}
+ */
+const SHOAL_PARAMETERS = [
+    {
+        folder: 'Separation',
+        parameters: [
+            { name: 'separationDistance', label: 'Distance', min: 10, max: 200, step: 0.5 },
+            { name: 'separationWeight', label: 'Weight', min: 0, max: 10, step: 0.1 }
+        ]
+    },
+    {
+        folder: 'Alignment',
+        parameters: [
+            { name: 'alignmentDistance', label: 'Distance', min: 10, max: 200, step: 0.5 },
+            { name: 'alignmentWeight', label: 'Weight', min: 0, max: 10, step: 0.1 }
+        ]
+    },
+    {
+        folder: 'Cohesion',
+        parameters: [
+            { name: 'cohesionDistance', label: 'Distance', min: 10, max: 200, step: 0.5 },
+            { name: 'cohesionWeight', label: 'Weight', min: 0, max: 10, step: 0.1 }
+        ]
+    },
+    {
+        folder: 'Movement',
+        parameters: [
+            { name: 'maxSpeed', label: 'Max Speed', min: 40, max: 100, step: 0.1 },
+            { name: 'maxForce', label: 'Max Force', min: 0.1, max: 10, step: 0.01 },
+            { name: 'nightSpeedFactor', label: 'Night Speed', min: 0.1, max: 1, step: 0.05 }
+        ]
+    },
+    {
+        folder: 'Boundaries',
+        parameters: [
+            { name: 'areaSize', label: 'Area Size', min: 200, max: 2000, step: 50 },
+            { name: 'height', label: 'Height', min: 50, max: 400, step: 10 },
+            { name: 'boundsMargin', label: 'Margin', min: 20, max: 150, step: 5 },
+            { name: 'boundsWeight', label: 'Force', min: 0.5, max: 10, step: 0.1 }
+        ]
+    },
+    {
+        folder: 'Danger Settings',
+        parameters: [
+            { name: 'dangerDetectionDistance', label: 'Detection Distance', min: 10, max: 60, step: 2 },
+            { name: 'dangerEvasionDistance', label: 'Panic Distance', min: 5, max: 30, step: 1 }
+        ]
+    },
+    {
+        folder: 'Visual',
+        parameters: [
+            { name: 'color', label: 'Color' },
+            { name: 'fishCount', label: 'Fish Count', min: 1, max: 300, step: 1 },
+            { name: 'fishScale', label: 'Scale', min: 0.5, max: 5, step: 0.05 }
+        ]
+    }
+];
 
 /**
  * MyShoal
@@ -23,6 +86,10 @@ class MyShoal extends THREE.Group {
         this.options = this._initializeOptions(options);
         this.terrain = this.options.terrain;
 
+        // Seeded stream for spawn positions, colors and wandering
+        this.options.seed = this.options.seed ?? sceneRandom.nextSeed();
+        this.random = new MyRandom(this.options.seed);
+
         // Visual setup
         this._initializeMaterial();
 
@@ -35,6 +102,20 @@ class MyShoal extends THREE.Group {
         this.panicTimer = [];
         this.dangerousEntities = [];
 
+        /**
+         * Scene event bus receiving panic and fish count events, set by MyContents.
+         * @type {MyEventBus|null}
+         */
+        this.events = null;
+        this._panicking = false;
+
+        /**
+         * Whether the shoal is resting for the night: calm fish swim at nightSpeedFactor
+         * of their maximum speed and wander less. Set by the day cycle.
+         * @type {boolean}
+         */
+        this.nightMode = false;
+
         // Spatial acceleration setup
         this.bvhEnabled = this.options.useBVH;
         this.bvh = null;
@@ -87,6 +168,7 @@ class MyShoal extends THREE.Group {
             maxSpeed: 80.0,
             maxForce: 5,
             wanderStrength: 0.1,
+            nightSpeedFactor: 0.5,
             
             // Danger response parameters
             dangerDetectionDistance: 30.0,
@@ -156,22 +238,24 @@ class MyShoal extends THREE.Group {
 
     /**
      * Creates a single fish and adds it to the shoal.
+     * @param {Object|null} state - Optional saved fish state (see serialize()); random when omitted.
      * @returns {THREE.Object3D} - The created fish mesh.
      * @public
      */
-    createFish() {
-        const fish = this._createFishInstance();
-        const position = this._generateRandomPosition();
-        const velocity = this._generateInitialVelocity();
+    createFish(state = null) {
+        const fish = this._createFishInstance(state);
+        const position = state ? new THREE.Vector3().fromArray(state.position) : this._generateRandomPosition();
+        const velocity = state ? new THREE.Vector3().fromArray(state.velocity) : this._generateInitialVelocity();
         
         fish.position.copy(position);
+        if (state) fish.quaternion.fromArray(state.quaternion);
         
         this.fishes.push(fish);
         this.velocities.push(velocity);
         this.accelerations.push(new THREE.Vector3());
-        this.wanderAngles.push(Math.random() * Math.PI * 2);
-        this.panicMode.push(false);
-        this.panicTimer.push(0);
+        this.wanderAngles.push(state ? state.wanderAngle : this.random.next() * Math.PI * 2);
+        this.panicMode.push(state ? state.panic : false);
+        this.panicTimer.push(state ? state.panicTimer : 0);
         
         this.add(fish);
         return fish;
@@ -179,12 +263,13 @@ class MyShoal extends THREE.Group {
 
     /**
      * Creates a fish instance with random size and color variations.
+     * @param {Object|null} state - Optional saved fish state providing size and color.
      * @returns {THREE.Object3D} - The fish instance.
      * @private
      */
-    _createFishInstance() {
-        const sizeScale = 0.8 + (Math.random() - 0.5) * this.options.sizeVariation;
-        const variedColor = this._generateColorVariation();
+    _createFishInstance(state = null) {
+        const sizeScale = state ? state.sizeScale : 0.8 + (this.random.next() - 0.5) * this.options.sizeVariation;
+        const variedColor = state ? new THREE.Color(state.color) : this._generateColorVariation();
         
         const fish = new this.FishClass();
         
@@ -208,8 +293,8 @@ class MyShoal extends THREE.Group {
      */
     _generateColorVariation() {
         const baseColor = new THREE.Color(this.options.color);
-        const hueVariation = (Math.random() - 0.5) * this.options.colorVariation;
-        const saturationVariation = (Math.random() - 0.5) * 0.4;
+        const hueVariation = (this.random.next() - 0.5) * this.options.colorVariation;
+        const saturationVariation = (this.random.next() - 0.5) * 0.4;
         
         const hsl = baseColor.getHSL({});
         return new THREE.Color().setHSL(
@@ -235,9 +320,9 @@ class MyShoal extends THREE.Group {
         // Keep trying until we find a position outside the dead zone
         do {
             // Generate random position in the entire area
-            const x = (Math.random() - 0.5) * this.options.areaSize;
-            const y = (Math.random() - 0.5) * this.options.height;
-            const z = (Math.random() - 0.5) * this.options.areaSize;
+            const x = (this.random.next() - 0.5) * this.options.areaSize;
+            const y = (this.random.next() - 0.5) * this.options.height;
+            const z = (this.random.next() - 0.5) * this.options.areaSize;
             
             position = new THREE.Vector3(x, y, z);
             
@@ -262,8 +347,8 @@ class MyShoal extends THREE.Group {
      * @private
      */
     _generateInitialVelocity() {
-        const angle = Math.random() * Math.PI * 2;
-        const verticalAngle = (Math.random() - 0.5) * Math.PI * 0.3; 
+        const angle = this.random.next() * Math.PI * 2;
+        const verticalAngle = (this.random.next() - 0.5) * Math.PI * 0.3; 
         
         return new THREE.Vector3(
             Math.cos(angle) * this.options.maxSpeed * 0.3,
@@ -533,7 +618,7 @@ class MyShoal extends THREE.Group {
      */
     wander(fishIndex) {
         const wanderForce = new THREE.Vector3();
-        this.wanderAngles[fishIndex] += (Math.random() - 0.5) * 0.3;
+        this.wanderAngles[fishIndex] += (this.random.next() - 0.5) * 0.3;
         
         const circleCenter = this.velocities[fishIndex].clone().normalize().multiplyScalar(2);
         const circleOffset = new THREE.Vector3(
@@ -717,6 +802,10 @@ class MyShoal extends THREE.Group {
                     if (distance < this.options.dangerEvasionDistance * 0.5) {
                         this.panicMode[fishIndex] = true;
                         this.panicTimer[fishIndex] = this.options.panicDuration;
+                        if (!this._panicking) {
+                            this._panicking = true;
+                            if (this.events) this.events.emit('shoalPanicStarted', { shoal: this, threat: entity });
+                        }
                     }
                 }
             }
@@ -783,7 +872,7 @@ class MyShoal extends THREE.Group {
             const dangerForce = this.dangerEvasion(i);
             
             // 4. Scale forces by their weights
-            wanderForce.multiplyScalar(this.options.wanderStrength);
+            wanderForce.multiplyScalar(this.options.wanderStrength * (this.nightMode ? this.options.nightSpeedFactor : 1));
             dangerForce.multiplyScalar(this.options.dangerEvasionWeight);
             
             // 5. Add all forces to acceleration
@@ -804,6 +893,8 @@ class MyShoal extends THREE.Group {
             let maxSpeed = this.options.maxSpeed;
             if (this.panicMode[i]) {
                 maxSpeed *= this.options.panicSpeedMultiplier;
+            } else if (this.nightMode) {
+                maxSpeed *= this.options.nightSpeedFactor;
             }
             
             const currentSpeed = this.velocities[i].length();
@@ -876,6 +967,12 @@ class MyShoal extends THREE.Group {
             // 13. Update rotation
             this._updateRotation(i);
         }
+
+        // The panic ends when its last fish calms down
+        if (this._panicking && !this.panicMode.includes(true)) {
+            this._panicking = false;
+            if (this.events) this.events.emit('shoalPanicEnded', { shoal: this, threat: null });
+        }
     }
 
     /**
@@ -957,6 +1054,7 @@ class MyShoal extends THREE.Group {
         for (let i = 0; i < count; i++) {
             this.createFish();
         }
+        this._emitCountChanged();
     }
 
     /**
@@ -965,6 +1063,16 @@ class MyShoal extends THREE.Group {
      * @public
      */
     removeFish(count = 1) {
+        this._removeFish(count);
+        this._emitCountChanged();
+    }
+
+    /**
+     * Removes and disposes fish from the end of the shoal without notifying anyone.
+     * @param {number} count - Number of fish to remove.
+     * @private
+     */
+    _removeFish(count) {
         const removeCount = Math.min(count, this.fishes.length);
         for (let i = 0; i < removeCount; i++) {
             const fish = this.fishes.pop();
@@ -973,7 +1081,10 @@ class MyShoal extends THREE.Group {
             this.wanderAngles.pop();
             this.panicMode.pop();
             this.panicTimer.pop();
-            if (fish) this.remove(fish);
+            if (fish) {
+                this.remove(fish);
+                fish.dispose();
+            }
         }
     }
 
@@ -986,6 +1097,50 @@ class MyShoal extends THREE.Group {
         this.options = { ...this.options, ...parameters };
     }
 
+    /**
+     * Changes one of the options listed in SHOAL_PARAMETERS, applying it to the existing fish:
+     * the fish count adds or removes fish, the scale and color are applied to every fish.
+     * @param {string} name - Option name.
+     * @param {number|string} value - New value.
+     * @public
+     */
+    setOption(name, value) {
+        switch (name) {
+            case 'fishCount':
+                if (value > this.fishes.length) this.addFish(value - this.fishes.length);
+                else if (value < this.fishes.length) this.removeFish(this.fishes.length - value);
+                this.options.fishCount = this.fishes.length;
+                break;
+            case 'fishScale':
+                this.setFishScale(value);
+                break;
+            case 'color':
+                this.setColor(value);
+                break;
+            default:
+                this.options[name] = value;
+                // Neighbour queries use the BVH, refresh it right away
+                if (name === 'separationDistance' && this.bvhEnabled) this.updateBVHGeometry();
+        }
+    }
+
+    /**
+     * Paints every fish with a single color, dropping the per-fish variation.
+     * @param {string|THREE.Color} color - New base color.
+     * @public
+     */
+    setColor(color) {
+        this.options.color = typeof color === 'string' ? color : '#' + color.getHexString();
+        this.fishMaterial.color.set(color);
+        this.fishes.forEach(fish => {
+            fish.traverse((child) => {
+                if (child.isMesh && child.material) {
+                    child.material.color.set(color);
+                }
+            });
+        });
+    }
+
     /**
      * Sets the scale of all fish in the shoal.
      * @param {number} scale - New scale factor for fish.
@@ -999,6 +1154,59 @@ class MyShoal extends THREE.Group {
         });
     }
 
+    /**
+     * Captures the shoal options and the state of every fish as plain data.
+     * Object references (terrain, temple) are left out; they are restored by the owner.
+     * @returns {Object} - Serializable shoal state.
+     * @public
+     */
+    serialize() {
+        const { terrain, temple, ...options } = this.options;
+
+        return {
+            options: { ...options, position: { ...options.position } },
+            position: this.position.toArray(),
+            fishes: this.fishes.map((fish, i) => {
+                let color = this.options.color;
+                fish.traverse((child) => {
+                    if (child.isMesh && child.material && child.material.color) {
+                        color = '#' + child.material.color.getHexString();
+                    }
+                });
+
+                return {
+                    position: fish.position.toArray(),
+                    quaternion: fish.quaternion.toArray(),
+                    velocity: this.velocities[i].toArray(),
+                    wanderAngle: this.wanderAngles[i],
+                    panic: this.panicMode[i],
+                    panicTimer: this.panicTimer[i],
+                    sizeScale: fish.userData.baseSizeScale,
+                    color
+                };
+            })
+        };
+    }
+
+    /**
+     * Restores the shoal from data produced by serialize(), replacing all current fish.
+     * @param {Object} state - Serialized shoal state.
+     * @public
+     */
+    restore(state) {
+        this.setFlockingParameters(state.options);
+        this.fishMaterial.color.set(this.options.color);
+        this.position.fromArray(state.position);
+
+        this._removeFish(this.fishes.length);
+        state.fishes.forEach(fishState => this.createFish(fishState));
+        this.options.fishCount = this.fishes.length;
+        this._panicking = this.panicMode.includes(true);
+        this._emitCountChanged();
+
+        if (this.bvhEnabled) this.updateBVHGeometry();
+    }
+
     /**
      * Gets statistics about the shoal's current state.
      * @returns {Object} - Statistics object with shoal metrics.
@@ -1033,6 +1241,22 @@ class MyShoal extends THREE.Group {
             performance: this.fishes.length > 50 ? (this.bvhEnabled ? 'Optimized' : 'Needs BVH') : 'Good'
         };
     }
+
+    /**
+     * Removes and disposes every fish of the shoal.
+     * @public
+     */
+    dispose() {
+        this._removeFish(this.fishes.length);
+    }
+
+    /**
+     * Emits 'entityCountChanged' with the current number of fish.
+     * @private
+     */
+    _emitCountChanged() {
+        if (this.events) this.events.emit('entityCountChanged', { type: 'shoal', source: this, count: this.fishes.length });
+    }
 }
 
-export { MyShoal };
\ No newline at end of file
+export { MyShoal, SHOAL_PARAMETERS };
\ No newline at end of file
@@ -4,6 +4,7 @@
 // All methods and classes are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 
 
 /**
@@ -35,6 +36,12 @@ class MySlimFish extends THREE.Group {
          */
         this.swimSpeed = 0.01;
 
+        /**
+         * Accumulated swimming time in milliseconds, advanced by animate().
+         * @type {number}
+         */
+        this.swimTime = 0;
+
         /**
          * Amplitude of the swimming animation.
          * @type {number}
@@ -418,12 +425,13 @@ class MySlimFish extends THREE.Group {
     /**
      * Animates the fish by applying a wave motion to the bones from head to tail.
      * Call this in the render loop to update the swimming animation.
-     * @param {number} deltaTime - Time since last frame (not used, but kept for compatibility).
+     * @param {number} deltaTime - Simulation time step in seconds.
      */
     animate(deltaTime) {
         if (!this.bones) return;
 
-        const time = performance.now();
+        this.swimTime += deltaTime * 1000;
+        const time = this.swimTime;
 
         // Animate bones with wave motion from head to tail
         const amplitudes = [0.05, 0.15, 0.25, 0.35, 0.45, 0.8]; // Increasing amplitude towards tail
@@ -449,26 +457,12 @@ class MySlimFish extends THREE.Group {
     update(camera) {
         this.lod.update(camera);
     }
+
     /**
-     * Sets the emissive color of the starfish when selected or deselected.
-     * @param {boolean} selected - Whether the starfish is selected.
+     * Disposes the skinned body geometries, skeleton and material of the fish.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        this.traverse(child => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material)
-                    ? child.material
-                    : [child.material];
-
-                materials.forEach(mat => {
-                    if (mat.emissive) {
-                        mat.emissive.setHex(emissiveColor);
-                        mat.needsUpdate = true;
-                    }
-                });
-            }
-        });
+    dispose() {
+        platform.cache.disposeObject(this);
     }
 }
 
@@ -5,6 +5,8 @@
 
 import * as THREE from 'three';
 import { createStarShaderMaterial } from './MyStarFishShader.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
+import { platform } from '../MyPlatform.js';
 
 
 /**
@@ -30,6 +32,8 @@ class MyStarFish extends THREE.Group {
             randomColor: true,
             colorVariation: 0.3,
             randomRotation: true,
+            patternSeed: null,
+            seed: null,
             pos: new THREE.Vector3(0, 0, 0),
             terrain: null
         };
@@ -45,9 +49,16 @@ class MyStarFish extends THREE.Group {
          */
         this.rotatesItself = true;
 
+        this.options.seed = this.options.seed ?? sceneRandom.nextSeed();
+        /**
+         * Random stream for size, color, pattern and arm variation.
+         * @type {MyRandom}
+         */
+        this.random = new MyRandom(this.options.seed);
+
         // Randomize size
         if (this.options.randomSize) {
-            this.options.size = this.options.minSize + Math.random() * (this.options.maxSize - this.options.minSize);
+            this.options.size = this.options.minSize + this.random.next() * (this.options.maxSize - this.options.minSize);
         }
 
         // Randomize base color
@@ -59,7 +70,8 @@ class MyStarFish extends THREE.Group {
          * Shader material for procedural starfish patterns.
          * @type {THREE.ShaderMaterial}
          */
-        this.material = createStarShaderMaterial(this.options.color, Math.random() * 1000);
+        this.options.patternSeed = this.options.patternSeed ?? this.random.next() * 1000;
+        this.material = createStarShaderMaterial(this.options.color, this.options.patternSeed);
 
         /**
          * Pivot object for scaling and arm placement.
@@ -72,7 +84,7 @@ class MyStarFish extends THREE.Group {
 
         // Random rotation around Y-axis
         if (this.options.randomRotation) {
-            this.rotation.y = Math.random() * Math.PI * 2;
+            this.rotation.y = this.random.next() * Math.PI * 2;
         }
 
         // Set position and align to terrain if provided
@@ -90,12 +102,12 @@ class MyStarFish extends THREE.Group {
             0xff8866, 0xdd6655
         ];
 
-        const baseColor = starfishColors[Math.floor(Math.random() * starfishColors.length)];
+        const baseColor = starfishColors[Math.floor(this.random.next() * starfishColors.length)];
         const color = new THREE.Color(baseColor);
         const hsl = color.getHSL({});
-        hsl.h += (Math.random() - 0.5) * this.options.colorVariation * 0.1;
-        hsl.s += (Math.random() - 0.5) * this.options.colorVariation;
-        hsl.l += (Math.random() - 0.5) * this.options.colorVariation * 0.5;
+        hsl.h += (this.random.next() - 0.5) * this.options.colorVariation * 0.1;
+        hsl.s += (this.random.next() - 0.5) * this.options.colorVariation;
+        hsl.l += (this.random.next() - 0.5) * this.options.colorVariation * 0.5;
         hsl.h = (hsl.h + 1) % 1;
         hsl.s = Math.max(0.3, Math.min(0.9, hsl.s));
         hsl.l = Math.max(0.3, Math.min(0.8, hsl.l));
@@ -111,10 +123,10 @@ class MyStarFish extends THREE.Group {
 
         for (let i = 0; i < 5; i++) {
             let armScale = 1;
-            if (this.options.randomArms) armScale = 0.8 + Math.random() * 0.4;
+            if (this.options.randomArms) armScale = 0.8 + this.random.next() * 0.4;
 
             const arm = new THREE.Mesh(
-                new THREE.CylinderGeometry(0.12, 0.25, 1.0, 8),
+                platform.cache.acquireGeometry('starfish-arm', () => new THREE.CylinderGeometry(0.12, 0.25, 1.0, 8), this),
                 this.material
             );
 
@@ -131,12 +143,27 @@ class MyStarFish extends THREE.Group {
     }
 
     /**
-     * Sets the emissive color of the starfish when selected or deselected.
-     * @param {boolean} selected - Whether the starfish is selected.
+     * Returns the options needed to rebuild this starfish with the same look.
+     * Randomization is turned off so the stored values are used as-is.
+     * @returns {Object} Serializable constructor options.
+     */
+    serialize() {
+        return {
+            size: this.options.size,
+            color: this.options.color,
+            patternSeed: this.options.patternSeed,
+            seed: this.options.seed,
+            randomSize: false,
+            randomColor: false,
+            randomRotation: false
+        };
+    }
+
+    /**
+     * Disposes the pattern shader and releases the arm geometry shared by all starfish.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        this.material.uniforms.uEmissive.value.setHex(emissiveColor);
+    dispose() {
+        platform.cache.disposeObject(this);
     }
 }
 
@@ -4,6 +4,8 @@
 // All functions are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { sceneRandom } from '../MyRandom.js';
+import { UNDERWATER_FOG_UNIFORMS } from '../MyUnderwaterFog.js';
 
 /**
  * Creates a custom ShaderMaterial for starfish, with procedural color and pattern.
@@ -11,11 +13,12 @@ import * as THREE from 'three';
  * @param {number} seed - Seed for randomization of pattern and color.
  * @returns {THREE.ShaderMaterial} The configured shader material.
  */
-function createStarShaderMaterial(baseColor = 0xff9966, seed = Math.random() * 1000) {
+function createStarShaderMaterial(baseColor = 0xff9966, seed = sceneRandom.next() * 1000) {
     return new THREE.ShaderMaterial({
         vertexShader: /* glsl */ `
             #include <common>
             #include <shadowmap_pars_vertex>
+            #include <fog_pars_vertex>
             
             varying vec2 vUv;
             varying vec3 vPos;
@@ -33,6 +36,7 @@ function createStarShaderMaterial(baseColor = 0xff9966, seed = Math.random() * 1
                 vec4 worldPosition = modelMatrix * vec4(position, 1.0);
                 
                 #include <shadowmap_vertex>
+                #include <fog_vertex>
             }
         `,
         fragmentShader: /* glsl */ `
@@ -41,6 +45,7 @@ function createStarShaderMaterial(baseColor = 0xff9966, seed = Math.random() * 1
             #include <common>
             #include <packing>
             #include <shadowmap_pars_fragment>
+            #include <fog_pars_fragment>
 
             uniform vec3 uBaseColor;
             uniform float uSeed;
@@ -123,10 +128,14 @@ function createStarShaderMaterial(baseColor = 0xff9966, seed = Math.random() * 1
                 finalColor = pow(clamp(finalColor, 0.0, 1.0), vec3(1.2));
 
                 gl_FragColor = vec4(clamp(finalColor, 0.0, 1.0), 1.0);
+
+                // Underwater absorption, like the built-in materials
+                #include <fog_fragment>
             }
         `,
         uniforms: THREE.UniformsUtils.merge([
             THREE.UniformsLib.lights,
+            UNDERWATER_FOG_UNIFORMS,
             {
                 uBaseColor: { value: new THREE.Color(baseColor) },
                 uSeed: { value: seed },
@@ -134,6 +143,7 @@ function createStarShaderMaterial(baseColor = 0xff9966, seed = Math.random() * 1
             }
         ]),
         lights: true,
+        fog: true,
         side: THREE.DoubleSide
     });
 }
@@ -4,6 +4,7 @@
 // All classes and methods are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 
 
 /**
@@ -184,25 +185,10 @@ class MyTurtle extends THREE.Group {
     }
 
     /**
-     * Highlights or unhighlights the turtle when selected.
-     * @param {boolean} selected
+     * Disposes the turtle's geometries and materials.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        this.traverse(child => {
-            if (child.isMesh && child.material) {
-                const materials = Array.isArray(child.material)
-                    ? child.material
-                    : [child.material];
-
-                materials.forEach(mat => {
-                    if (mat.emissive) {
-                        mat.emissive.setHex(emissiveColor);
-                        mat.needsUpdate = true;
-                    }
-                });
-            }
-        });
+    dispose() {
+        platform.cache.disposeObject(this);
     }
 }
 
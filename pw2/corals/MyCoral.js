@@ -1,5 +1,7 @@
 // MyCoral.js
 import * as THREE from 'three';
+import { sceneRandom } from '../MyRandom.js';
+import { platform } from '../MyPlatform.js';
 
 class MyCoral extends THREE.LOD {
     constructor(options) {
@@ -17,13 +19,16 @@ class MyCoral extends THREE.LOD {
         this.waveIntensity = options.waveIntensity || 0.3;
         this.waveFrequency = options.waveFrequency || 0.006;
 
+        // Random stream for angle jitter and sway phases
+        this.random = options.random || sceneRandom.fork();
+
         this.animationTime = 0;
         this.originalBranchData = [];
 
         // L-system generation
         const baseAngle = 50 * THREE.MathUtils.DEG2RAD;
         const variableAngle = 15 * THREE.MathUtils.DEG2RAD;
-        const randomAngle = (base) => base + (Math.random() * 2 - 1) * variableAngle;
+        const randomAngle = (base) => base + (this.random.next() * 2 - 1) * variableAngle;
         const axiom = 'X';
         let currentString = axiom;
 
@@ -64,8 +69,8 @@ class MyCoral extends THREE.LOD {
                     const scale = new THREE.Vector3(1, branchLength, 1);
 
                     // High-detail mesh
-                    const geoHigh = new THREE.CylinderGeometry(1, 0.5, branchLength, 6);
-                    geoHigh.translate(0, branchLength / 2, 0);
+                    // Branch geometries are identical for a given length, so they are shared
+                    const geoHigh = this._acquireBranchGeometry(branchLength, 6);
                     const meshHigh = new THREE.Mesh(geoHigh, this.highMaterial);
                     meshHigh.position.copy(startPosition);
                     meshHigh.quaternion.copy(orientation);
@@ -74,8 +79,7 @@ class MyCoral extends THREE.LOD {
                     highDetailGroup.add(meshHigh);
 
                     // Low-detail mesh
-                    const geoLow = new THREE.CylinderGeometry(1, 0.5, branchLength, 3);
-                    geoLow.translate(0, branchLength / 2, 0);
+                    const geoLow = this._acquireBranchGeometry(branchLength, 3);
                     const meshLow = new THREE.Mesh(geoLow, this.lowMaterial);
                     meshLow.position.copy(startPosition);
                     meshLow.quaternion.copy(orientation);
@@ -89,7 +93,7 @@ class MyCoral extends THREE.LOD {
                         orientation: orientation.clone(),
                         scale: scale.clone(),
                         height: startPosition.y,
-                        phaseOffset: Math.random() * Math.PI * 2,
+                        phaseOffset: this.random.next() * Math.PI * 2,
                         highMesh: meshHigh,
                         lowMesh: meshLow
                     });
@@ -142,6 +146,20 @@ class MyCoral extends THREE.LOD {
         this.position.setY(options.pos.y);
     }
 
+    /**
+     * Returns the shared cylinder used for branches of a given length, with its base at the origin.
+     * @param {number} length - Branch length.
+     * @param {number} segments - Radial segments.
+     * @returns {THREE.CylinderGeometry} Cached geometry owned by this coral.
+     */
+    _acquireBranchGeometry(length, segments) {
+        return platform.cache.acquireGeometry(`coral-branch:${length}:${segments}`, () => {
+            const geometry = new THREE.CylinderGeometry(1, 0.5, length, segments);
+            geometry.translate(0, length / 2, 0);
+            return geometry;
+        }, this);
+    }
+
     animate(deltaTime) {
         if (this.getCurrentLevel() === 1) return;
         const amp = this.waveIntensity;
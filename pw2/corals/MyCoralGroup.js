@@ -1,6 +1,8 @@
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 import { MyCoral } from './MyCoral.js';
 import { MyCoralStochastic } from './MyCoralStochastic.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
 
 
 /**
@@ -12,6 +14,9 @@ export class MyCoralGroup extends THREE.Group {
     /**
      * Constructs a new MyCoralGroup, creates coral(s) based on type and sets up materials.
      * @param {Object} options - Configuration for coral type and position.
+     * @param {string} [options.color] - Base coral color; a random vivid color is used when omitted.
+     * @param {number} [options.seed] - Seed for color and branch jitter; drawn from the scene generator when omitted.
+     * @param {number} [options.complexity] - Number of L-system iterations (3 for type 0, 4 for type 1 by default).
      */
     constructor(options) {
         super();
@@ -19,14 +24,31 @@ export class MyCoralGroup extends THREE.Group {
         // Store the coral type for filtering purposes
         this.type = options.type;
 
+        /**
+         * Number of L-system iterations the coral is grown with.
+         * @type {number}
+         */
+        this.complexity = options.complexity ?? (options.type === 1 ? 4 : 3);
+
+        /**
+         * Seed of the random stream shared by this group and its coral.
+         * @type {number}
+         */
+        this.seed = options.seed ?? sceneRandom.nextSeed();
+        this.random = new MyRandom(this.seed);
+
         // Load textures for coral materials
-        const textureLoader = new THREE.TextureLoader();
-        const normalMap = textureLoader.load('textures/coralTexture/coral1_normal-ogl.jpg');
-        const roughnessMap = textureLoader.load('textures/coralTexture/coral1_roughness.jpg');
-        const aoMap = textureLoader.load('textures/coralTexture/coral1_ao.jpg');
+        const cache = platform.cache;
+        const normalMap = cache.acquireTexture('textures/coralTexture/coral1_normal-ogl.jpg', {}, this);
+        const roughnessMap = cache.acquireTexture('textures/coralTexture/coral1_roughness.jpg', {}, this);
+        const aoMap = cache.acquireTexture('textures/coralTexture/coral1_ao.jpg', {}, this);
 
-        // Generate a random vivid color for the coral
-        const coralColor = new THREE.Color(this.getRandomVividColor());
+        /**
+         * Base color of the coral, before shading is applied to the materials.
+         * @type {string}
+         */
+        this.color = options.color ?? this.getRandomVividColor();
+        const coralColor = new THREE.Color(this.color);
 
         /**
          * High detail material for coral branches.
@@ -89,14 +111,14 @@ export class MyCoralGroup extends THREE.Group {
         switch (options.type) {
             case 0: 
                 this.coral = new MyCoral(
-                    { complexity: 3, rules: this.rules, pos: options.pos, highMaterial: this.highMaterial, lowMaterial: this.lowMaterial }, 
+                    { complexity: this.complexity, rules: this.rules, pos: options.pos, highMaterial: this.highMaterial, lowMaterial: this.lowMaterial, random: this.random }, 
                 );
                 this.coral.scale.setScalar(0.2);
                 this.add(this.coral);
                 break;
             case 1: 
                 this.coral = new MyCoralStochastic(
-                    { complexity: 4, rules: this.rules, stochasticRules: this.stochasticRules, pos: options.pos, highMaterial: this.highMaterial, lowMaterial: this.lowMaterial  }, 
+                    { complexity: this.complexity, rules: this.rules, stochasticRules: this.stochasticRules, pos: options.pos, highMaterial: this.highMaterial, lowMaterial: this.lowMaterial, random: this.random }, 
                 );
                 this.coral.scale.setScalar(0.2);
                 this.add(this.coral);
@@ -147,23 +169,30 @@ export class MyCoralGroup extends THREE.Group {
     }
 
     /**
-     * Sets the emissive color of all coral meshes when selected or deselected.
-     * @param {boolean} selected - Whether the coral group is selected.
+     * Changes the base color of the coral.
+     * @param {string} color - New base color.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
+    setColor(color) {
+        this.color = color;
+        // Same shading as the constructor: the low detail material is darker still
+        const shaded = new THREE.Color(color).multiplyScalar(0.75);
+        this.highMaterial.color.copy(shaded);
+        this.lowMaterial.color.copy(shaded.multiplyScalar(0.75));
+    }
 
-        this.traverse(child => {
-            if (child.isMesh) {
-                if (Array.isArray(child.material)) {
-                    child.material.forEach(mat => {
-                        if (mat.emissive) mat.emissive.setHex(emissiveColor);
-                    });
-                } else if (child.material && child.material.emissive) {
-                    child.material.emissive.setHex(emissiveColor);
-                }
-            }
-        });
+    /**
+     * Releases the coral's shared textures and branch geometries and disposes its materials.
+     */
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
+
+    /**
+     * Returns the options needed to rebuild this coral group with the same look.
+     * @returns {Object} Serializable constructor options.
+     */
+    serialize() {
+        return { type: this.type, color: this.color, seed: this.seed, complexity: this.complexity };
     }
 
     /**
@@ -171,9 +200,9 @@ export class MyCoralGroup extends THREE.Group {
      * @returns {string} Hex color string.
      */
     getRandomVividColor() {
-        const hue = Math.random() * 360;
-        const saturation = 70 + Math.random() * 30;
-        const lightness = 50 + Math.random() * 20;
+        const hue = this.random.next() * 360;
+        const saturation = 70 + this.random.next() * 30;
+        const lightness = 50 + this.random.next() * 20;
 
         function hslToRgb(h, s, l) {
             s /= 100;
@@ -4,6 +4,8 @@
 // All methods and classes are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { sceneRandom } from '../MyRandom.js';
+import { platform } from '../MyPlatform.js';
 
 /**
  * MyCoralStochastic
@@ -28,6 +30,11 @@ class MyCoralStochastic extends THREE.LOD {
          * @type {Object}
          */
         this.stochasticRules = options.stochasticRules;
+        /**
+         * Random stream for rule choice, angle jitter and sway phases.
+         * @type {MyRandom}
+         */
+        this.random = options.random || sceneRandom.fork();
         /**
          * Number of L-system iterations (complexity).
          * @type {number}
@@ -106,7 +113,7 @@ class MyCoralStochastic extends THREE.LOD {
         const axisY = new THREE.Vector3(0, 1, 0);
         const axisZ = new THREE.Vector3(0, 0, 1);
         const q = new THREE.Quaternion();
-        const randomAngle = (base) => base + (Math.random() * 2 - 1) * (10 * THREE.MathUtils.DEG2RAD);
+        const randomAngle = (base) => base + (this.random.next() * 2 - 1) * (10 * THREE.MathUtils.DEG2RAD);
 
         const highDetailGroup = new THREE.Group();
         const lowDetailGroup = new THREE.Group();
@@ -121,8 +128,7 @@ class MyCoralStochastic extends THREE.LOD {
                     turtle.position.add(forward);
 
                     // High-detail mesh
-                    const branchGeo = new THREE.CylinderGeometry(0.5, 0.4, branchLength, 8);
-                    branchGeo.translate(0, branchLength / 2, 0);
+                    const branchGeo = this._acquireBranchGeometry(branchLength, 8);
                     const orientation = new THREE.Quaternion().setFromUnitVectors(axisY, forward.clone().normalize());
                     const branchMesh = new THREE.Mesh(branchGeo, this.highMaterial);
                     branchMesh.position.copy(startPosition);
@@ -130,8 +136,7 @@ class MyCoralStochastic extends THREE.LOD {
                     highDetailGroup.add(branchMesh);
 
                     // Low-detail mesh
-                    const branchGeoLow = new THREE.CylinderGeometry(0.5, 0.4, branchLength, 3);
-                    branchGeoLow.translate(0, branchLength / 2, 0);
+                    const branchGeoLow = this._acquireBranchGeometry(branchLength, 3);
                     const branchMeshLow = new THREE.Mesh(branchGeoLow, this.lowMaterial);
                     branchMeshLow.position.copy(startPosition);
                     branchMeshLow.quaternion.copy(orientation);
@@ -143,7 +148,7 @@ class MyCoralStochastic extends THREE.LOD {
                         orientation: orientation.clone(),
                         scale: new THREE.Vector3(1, 1, 1),
                         height: startPosition.y,
-                        phaseOffset: Math.random() * Math.PI * 2,
+                        phaseOffset: this.random.next() * Math.PI * 2,
                     });
 
                     break;
@@ -218,6 +223,22 @@ class MyCoralStochastic extends THREE.LOD {
         this.rotation.x = Math.sin(deltaTime * 0.3) * 0.03;
     }
 
+    /**
+     * Gets the branch cylinder for a length and level of detail from the shared cache.
+     * Lengths only take a few values per coral, so most branches reuse the same geometry.
+     * @param {number} length - Branch length.
+     * @param {number} segments - Radial segments (8 for high detail, 3 for low).
+     * @returns {THREE.CylinderGeometry} Geometry translated so the branch grows from its base.
+     * @private
+     */
+    _acquireBranchGeometry(length, segments) {
+        return platform.cache.acquireGeometry(`coral-stochastic-branch:${length}:${segments}`, () => {
+            const geometry = new THREE.CylinderGeometry(0.5, 0.4, length, segments);
+            geometry.translate(0, length / 2, 0);
+            return geometry;
+        }, this);
+    }
+
     /**
      * Chooses the next rule for stochastic L-system expansion based on probabilities.
      * @param {Array} options - Array of rule objects with 'prob' and 'rule' properties.
@@ -225,7 +246,7 @@ class MyCoralStochastic extends THREE.LOD {
      */
     chooseNextRule(options) {
         const total = options.reduce((sum, o) => sum + o.prob, 0);
-        let randomValue = Math.random() * total;
+        let randomValue = this.random.next() * total;
         for (const opt of options) {
             randomValue -= opt.prob;
             if (randomValue <= 0) return opt.rule;
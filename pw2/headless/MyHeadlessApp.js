@@ -0,0 +1,109 @@
+// MyHeadlessApp.js
+// Stand-in for MyApp that runs the simulation without a renderer, DOM or animation frame loop.
+// All methods and classes are documented for clarity and maintainability.
+
+import * as THREE from 'three';
+import { MyContents } from '../MyContents.js';
+import { MySimClock } from '../MySimClock.js';
+import { MyHeadlessAssetProvider } from '../MyAssetProvider.js';
+import { MyInputProvider } from '../MyInputProvider.js';
+import { platform } from '../MyPlatform.js';
+import { sceneRandom } from '../MyRandom.js';
+
+/**
+ * MyHeadlessApp
+ * Exposes the parts of MyApp that MyContents relies on (scene, cameras, controls, clock)
+ * and advances the world one fixed step at a time. Installs headless asset and
+ * scripted input providers, so the submarine is steered through this.input.
+ */
+class MyHeadlessApp {
+    /**
+     * Constructs a new MyHeadlessApp instance.
+     * @param {Object} options - Run configuration.
+     * @param {number} options.seed - World seed (default: 12345).
+     * @param {number} options.fixedStep - Duration of one simulation step in seconds (default: 1/60).
+     */
+    constructor(options = {}) {
+        /**
+         * Scene holding every simulated entity; never rendered.
+         * @type {THREE.Scene}
+         */
+        this.scene = new THREE.Scene();
+
+        /**
+         * Cameras with the names MyApp uses, needed by the submarine and snapshots.
+         * @type {Object<string, THREE.Camera>}
+         */
+        this.cameras = {
+            'Free-Fly': new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000),
+            'Submarine view': new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000),
+            'Swim view': new THREE.PerspectiveCamera(75, 16 / 9, 0.1, 1000),
+            'Fixed aquarium view': new THREE.OrthographicCamera(-60, 60, 60, -60, 1, 1000)
+        };
+        this.cameras['Free-Fly'].position.set(50, 30, 50);
+        this.activeCameraName = 'Free-Fly';
+        this.activeCamera = this.cameras[this.activeCameraName];
+
+        /**
+         * Minimal replacement for OrbitControls: only the target is tracked.
+         * @type {Object}
+         */
+        this.controls = { target: new THREE.Vector3(), enabled: true, update() {} };
+
+        /**
+         * No renderer: features needing a canvas are skipped.
+         * @type {null}
+         */
+        this.renderer = null;
+
+        /**
+         * Simulation clock, advanced only by explicit calls to step().
+         * @type {MySimClock}
+         */
+        this.simClock = new MySimClock({ fixedStep: options.fixedStep ?? 1 / 60 });
+
+        /**
+         * Scripted input steering the submarine.
+         * @type {MyInputProvider}
+         */
+        this.input = new MyInputProvider();
+
+        platform.configure({ assets: new MyHeadlessAssetProvider(), input: this.input });
+        sceneRandom.setSeed(options.seed ?? 12345);
+
+        /**
+         * Scene contents, built the same way as in the browser.
+         * @type {MyContents}
+         */
+        this.contents = new MyContents(this);
+        this.contents.init();
+        this.scene.updateMatrixWorld(true);
+    }
+
+    /**
+     * Switches the active camera immediately (MyApp defers this to the next frame).
+     */
+    updateCameraIfRequired() {
+        this.activeCamera = this.cameras[this.activeCameraName];
+    }
+
+    /**
+     * Advances the world by a number of fixed steps.
+     * @param {number} [count=1] - Number of steps.
+     * @param {function(number): void} [onStep] - Called after each step with the step number.
+     */
+    step(count = 1, onStep = null) {
+        for (let i = 0; i < count; i++) {
+            this.simClock.step();
+            this.simClock.tick(0, (delta, elapsed) => {
+                this.contents.update(delta, elapsed);
+            });
+            this.contents.updateView(this.activeCamera);
+            // The renderer normally refreshes world matrices; world-space queries need them
+            this.scene.updateMatrixWorld();
+            if (onStep) onStep(this.simClock.frame);
+        }
+    }
+}
+
+export { MyHeadlessApp };
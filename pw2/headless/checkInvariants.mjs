@@ -0,0 +1,97 @@
+// checkInvariants.mjs
+// Steps the underwater world headless for many frames and checks simulation invariants.
+//
+// Usage (from the repository root):
+//   node --import ./pw2/headless/register.mjs pw2/headless/checkInvariants.mjs [--frames 3000] [--seed 12345]
+//
+// Exits with status 1 when an invariant is broken.
+
+import * as THREE from 'three';
+import { MyHeadlessApp } from './MyHeadlessApp.js';
+
+/**
+ * Reads a numeric command line option.
+ * @param {string} name - Option name without dashes.
+ * @param {number} fallback - Value used when the option is missing.
+ * @returns {number} The option value.
+ */
+function numberArg(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index >= 0 ? Number(process.argv[index + 1]) : fallback;
+}
+
+const frames = numberArg('frames', 3000);
+const seed = numberArg('seed', 12345);
+// Fish avoid the terrain with a soft steering force, so allow a shallow dip
+const TERRAIN_TOLERANCE = 0.5;
+// Keys held by the submarine in turn, one phase every 240 steps
+const DRIVE_PHASES = [['w'], ['w', 'a'], ['w', 'p'], ['s', 'd'], ['w', 'l'], []];
+
+const app = new MyHeadlessApp({ seed });
+const contents = app.contents;
+const terrain = contents.Terrain;
+const shoals = {
+    breamFish: contents.breamFishShoal,
+    slimFish: contents.slimFishShoal,
+    turtles: contents.turtleShoal
+};
+
+const violations = [];
+const worldPos = new THREE.Vector3();
+
+/**
+ * Records a broken invariant, keeping the report short.
+ * @param {number} frame - Step at which it was detected.
+ * @param {string} message - Description.
+ */
+function fail(frame, message) {
+    if (violations.length < 20) console.error(`[step ${frame}] ${message}`);
+    violations.push(message);
+}
+
+/**
+ * Checks that an object has a finite position above the terrain.
+ * @param {number} frame - Current step.
+ * @param {string} label - Name used in the report.
+ * @param {THREE.Object3D} object - Object to check.
+ * @param {number} tolerance - Allowed depth below the terrain surface.
+ */
+function checkAboveTerrain(frame, label, object, tolerance) {
+    object.getWorldPosition(worldPos);
+    if (!Number.isFinite(worldPos.x) || !Number.isFinite(worldPos.y) || !Number.isFinite(worldPos.z)) {
+        fail(frame, `${label} has a non-finite position`);
+        return;
+    }
+    const ground = terrain.getHeightAt(worldPos.x, worldPos.z).y;
+    if (worldPos.y < ground - tolerance) {
+        fail(frame, `${label} is ${(ground - worldPos.y).toFixed(2)} below the terrain`);
+    }
+}
+
+const start = performance.now();
+
+app.step(frames, (frame) => {
+    const phase = DRIVE_PHASES[Math.floor(frame / 240) % DRIVE_PHASES.length];
+    app.input.releaseAll();
+    phase.forEach(key => app.input.press(key));
+
+    for (const [name, shoal] of Object.entries(shoals)) {
+        shoal.fishes.forEach((fish, i) => checkAboveTerrain(frame, `${name} #${i}`, fish, TERRAIN_TOLERANCE));
+        shoal.velocities.forEach((velocity, i) => {
+            if (velocity.length() > shoal.options.maxSpeed * shoal.options.panicSpeedMultiplier + 1e-6) {
+                fail(frame, `${name} #${i} exceeds its maximum speed`);
+            }
+        });
+    }
+    checkAboveTerrain(frame, 'submarine', contents.submarine, 0);
+    checkAboveTerrain(frame, 'shark', contents.shark, 0);
+});
+
+const seconds = ((performance.now() - start) / 1000).toFixed(1);
+console.log(`Simulated ${frames} steps (${app.simClock.elapsed.toFixed(1)}s of world time, seed ${seed}) in ${seconds}s.`);
+
+if (violations.length > 0) {
+    console.error(`${violations.length} invariant violation(s).`);
+    process.exit(1);
+}
+console.log('All invariants hold.');
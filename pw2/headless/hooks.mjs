@@ -0,0 +1,32 @@
+// hooks.mjs
+// Node module resolution hooks mirroring the import map of index.html,
+// so the scene modules load in plain Node from the vendored copies in lib/.
+
+const LIB = new URL('../../lib/', import.meta.url);
+const ROOT = new URL('../../', import.meta.url).href;
+
+/**
+ * Maps the bare and CDN specifiers used by the scene to files in lib/.
+ */
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier === 'three') {
+        return { url: new URL('three.module.min.js', LIB).href, shortCircuit: true };
+    }
+    if (specifier.startsWith('three/addons/')) {
+        return { url: new URL('jsm/' + specifier.slice('three/addons/'.length), LIB).href, shortCircuit: true };
+    }
+    if (specifier === 'three-mesh-bvh' || specifier.startsWith('https://cdn.jsdelivr.net/npm/three-mesh-bvh')) {
+        return { url: new URL('three-mesh-bvh/index.module.js', LIB).href, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
+
+/**
+ * Loads the repository's .js files as ES modules (there is no package.json to say so).
+ */
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(ROOT) && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+}
@@ -0,0 +1,6 @@
+// register.mjs
+// Preload with `node --import ./pw2/headless/register.mjs <script>` to run scene modules in Node.
+
+import { register } from 'node:module';
+
+register('./hooks.mjs', import.meta.url);
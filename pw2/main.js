@@ -2,6 +2,12 @@ import * as THREE from 'three';
 import { MyApp } from './MyApp.js';
 import { MyGuiInterface } from './MyGuiInterface.js';
 import { MyContents } from './MyContents.js';
+import { sceneRandom } from './MyRandom.js';
+
+// seeds every procedural generator: ?seed=<n> reproduces a world, otherwise a new one is rolled
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+const seed = seedParam !== null && !isNaN(Number(seedParam)) ? Number(seedParam) : Math.floor(Math.random() * 4294967296);
+sceneRandom.setSeed(seed);
 
 // create the application object
 let app = new MyApp()
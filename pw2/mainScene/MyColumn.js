@@ -4,6 +4,7 @@
 // All methods and classes are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 
 /**
  * MyColumn
@@ -18,10 +19,10 @@ class MyColumn extends THREE.Group {
         super();
 
         /**
-         * Texture loader for column textures.
-         * @type {THREE.TextureLoader}
+         * Shared asset cache for column textures.
+         * @type {MyAssetCache}
          */
-        this.textureLoader = new THREE.TextureLoader();
+        this.assets = platform.cache;
 
         // Column parameters
         const radius = 1;
@@ -72,10 +73,7 @@ class MyColumn extends THREE.Group {
         geom.computeVertexNormals();
 
         // Load and configure the column texture
-        const texture = this.textureLoader.load('textures/greek.png', (tex) => {
-            tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-            tex.needsUpdate = true;
-        });
+        const texture = this.assets.acquireTexture('textures/greek.png', { wrap: THREE.RepeatWrapping }, this);
 
         /**
          * Material for the column meshes.
@@ -118,6 +116,13 @@ class MyColumn extends THREE.Group {
         botMesh.receiveShadow = true;
         this.add(botMesh);
     }
+
+    /**
+     * Disposes the column geometries and material and releases its texture.
+     */
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
 }
 
 // Export the MyColumn class for use in other modules.
@@ -4,6 +4,7 @@
 // All methods and classes are documented for clarity and maintainability.
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 import { MyColumn } from './MyColumn.js';
 
 
@@ -19,23 +20,14 @@ class MyTemple extends THREE.Group {
     constructor() {
         super();
         /**
-         * Texture loader for temple textures.
-         * @type {THREE.TextureLoader}
+         * Shared asset cache for temple textures.
+         * @type {MyAssetCache}
          */
-        this.textureLoader = new THREE.TextureLoader();
-        // Load and configure textures for temple materials
-        const texture = this.textureLoader.load('textures/greek.png', (tex) => {
-            tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-            tex.repeat.set(8, 8);
-            tex.needsUpdate = true;
-        });
-        const topTexture = this.textureLoader.load('textures/greek.png');
-        topTexture.wrapS = topTexture.wrapT = THREE.RepeatWrapping;
-        topTexture.repeat.set(8, 8);
-
-        const sideTexture = this.textureLoader.load('textures/greek.png');
-        sideTexture.wrapS = sideTexture.wrapT = THREE.RepeatWrapping;
-        sideTexture.repeat.set(8, 1);
+        this.assets = platform.cache;
+        // Top faces and the main material tile the same way, so they get the same texture
+        const texture = this.assets.acquireTexture('textures/greek.png', { wrap: THREE.RepeatWrapping, repeat: [8, 8] }, this);
+        const topTexture = this.assets.acquireTexture('textures/greek.png', { wrap: THREE.RepeatWrapping, repeat: [8, 8] }, this);
+        const sideTexture = this.assets.acquireTexture('textures/greek.png', { wrap: THREE.RepeatWrapping, repeat: [8, 1] }, this);
 
         /**
          * Array of materials for different temple faces.
@@ -174,32 +166,11 @@ class MyTemple extends THREE.Group {
     }
 
     /**
-     * Sets the emissive color of all temple meshes when selected or deselected.
-     * @param {boolean} selected - Whether the temple is selected.
+     * Disposes the temple materials and geometries, columns included, and releases the shared textures.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        
-        this.traverse(child => {
-            if (child.isMesh) {
-                // Handle single material
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        // Handle material array (for BoxGeometry faces)
-                        child.material.forEach(mat => {
-                            if (mat.emissive) mat.emissive.setHex(emissiveColor);
-                        });
-                    } else {
-                        // Handle single material
-                        if (child.material.emissive) {
-                            child.material.emissive.setHex(emissiveColor);
-                        }
-                    }
-                }
-            }
-        });
+    dispose() {
+        platform.cache.disposeObject(this);
     }
-
 }
 
 export { MyTemple };
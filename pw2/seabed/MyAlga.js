@@ -7,19 +7,22 @@
  */
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
+import { sceneRandom } from '../MyRandom.js';
 
 class MyAlga extends THREE.Group {
     /**
      * Constructs a new MyAlga instance.
      * @param {THREE.Material|null} material - Optional material to use for the alga.
+     * @param {number|null} height - Optional stalk height; random when omitted.
      */
-    constructor(material = null) {
+    constructor(material = null, height = null) {
         super();
         /**
-         * Texture loader for alga textures.
-         * @type {THREE.TextureLoader}
+         * Shared asset cache for alga textures.
+         * @type {MyAssetCache}
          */
-        this.textureLoader = new THREE.TextureLoader();
+        this.assets = platform.cache;
         const lod = new THREE.LOD();
         this.add(lod); 
 
@@ -34,8 +37,8 @@ class MyAlga extends THREE.Group {
             shininess: 90
         });
 
-        // Random height for the alga
-        const height = Math.ceil(Math.random() * 10);
+        // Random height for the alga unless one is given
+        height = height ?? Math.ceil(sceneRandom.next() * 10);
         this.height = height;
 
         // High detail: stalk geometry
@@ -86,11 +89,10 @@ class MyAlga extends THREE.Group {
         lod.addLevel(this.highDetailGroup, 0); 
 
         // Low detail: textured plane
-        const texture = this.textureLoader.load('textures/alga.png', (tex) => {
-          tex.wrapS = tex.wrapT = THREE.RepeatWrapping;
-          tex.repeat.set(1, height/2);
-          tex.needsUpdate = true;
-        });
+        const texture = this.assets.acquireTexture('textures/alga.png', {
+            wrap: THREE.RepeatWrapping,
+            repeat: [1, height / 2]
+        }, this);
         this.lowDetailMaterial = new THREE.MeshBasicMaterial({
             map: texture,
             color: 0x668866,
@@ -101,7 +103,6 @@ class MyAlga extends THREE.Group {
         const lowDetailGeometry = new THREE.PlaneGeometry(0.75, height); 
         this.lowDetailMesh = new THREE.Mesh(lowDetailGeometry, this.lowDetailMaterial);
         this.lowDetailMesh.position.set(0, height / 2, 0); 
-        this.lowDetailMesh.lowDetailMaterial = this.lowDetailMaterial;
         lod.addLevel(this.lowDetailMesh, 30);
 
         this.lod = lod;
@@ -120,9 +121,9 @@ class MyAlga extends THREE.Group {
     /**
      * Animates the alga geometry if in high detail mode (close to camera).
      * Wobbles the stalk and leaves using sine waves.
+     * @param {number} time - Simulation time in seconds.
      */
-    update() { 
-        const time = performance.now() * 0.001;
+    update(time) { 
 
         if (this.lod.getCurrentLevel() === 0) { 
             const pos = this.algaPosition;
@@ -166,21 +167,10 @@ class MyAlga extends THREE.Group {
     }
 
     /**
-     * Highlights the alga when selected by changing emissive color.
-     * @param {boolean} selected - Whether the alga is selected.
+     * Frees the stalk and leaf geometries, the materials and the shared alga texture.
      */
-    onSelect(selected) {
-        const emissiveColor = selected ? 0xffaa00 : 0x000000;
-        this.traverse(child => {
-            if (child.isMesh && child.material?.emissive) {
-                child.material.emissive.setHex(emissiveColor);
-            }
-            if (child.isMesh && child.lowDetailMaterial) {
-                child.lowDetailMaterial.color.setHex(
-                    selected ? 0xffaa00 : 0x668866
-                );
-            }
-        });
+    dispose() {
+        this.assets.disposeObject(this);
     }
 }
 
@@ -7,6 +7,7 @@
 
 import * as THREE from 'three';
 import { MyAlga } from './MyAlga.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
 
 class MyAlgaGroup extends THREE.Group {
     /**
@@ -14,6 +15,8 @@ class MyAlgaGroup extends THREE.Group {
      * @param {Object} options - Options for group placement and terrain.
      * @param {Object} options.pos - Position object with x and z coordinates.
      * @param {Object} options.terrain - Terrain object with getHeightAt(x, z) method.
+     * @param {Array<Object>} [options.layout] - Stored alga layout; a random one is generated when omitted.
+     * @param {number} [options.seed] - Seed for the random layout; drawn from the scene generator when omitted.
      */
     constructor(options) {
         super();
@@ -35,28 +38,70 @@ class MyAlgaGroup extends THREE.Group {
         });
         this.materials.push(this.algaMaterial);
 
-        // Create a random number of algas and distribute them in the patch
-        for (let i = 0; i < Math.ceil(Math.random() * 4 + 8); i++) {
+        /**
+         * Seed used to generate the patch layout.
+         * @type {number}
+         */
+        this.seed = options.seed ?? sceneRandom.nextSeed();
+        this.random = new MyRandom(this.seed);
+
+        /**
+         * Placement of every alga in the patch, relative to the group origin.
+         * @type {Array<{x: number, z: number, height: number, scale: number, rotation: number}>}
+         */
+        this.layout = options.layout || this._generateLayout();
+
+        for (const entry of this.layout) {
             const material = this.algaMaterial.clone();
-            const alga = new MyAlga(material);
+            const alga = new MyAlga(material, entry.height);
 
-            // Random offset within patch
-            const offsetX = (Math.random() - 0.5) * Math.ceil(Math.random() * 2 + 2.5);
-            const offsetZ = (Math.random() - 0.5) * Math.ceil(Math.random() * 2 + 2.5);
-            const worldX = offsetX + options.pos.x;
-            const worldZ = offsetZ + options.pos.z;
+            const worldX = entry.x + options.pos.x;
+            const worldZ = entry.z + options.pos.z;
             let y = options.terrain.getHeightAt(worldX, worldZ).y; 
 
-            alga.position.set(offsetX, y, offsetZ);
-
-            // Random scale and rotation for natural look
-            const scale = 0.8 + Math.random() * 0.4;
-            alga.scale.set(scale, scale, scale);
-            alga.rotation.y = Math.random() * Math.PI * 2;
+            alga.position.set(entry.x, y, entry.z);
+            alga.scale.set(entry.scale, entry.scale, entry.scale);
+            alga.rotation.y = entry.rotation;
 
             this.add(alga);
         }
     }
+
+    /**
+     * Generates a random layout for the patch: a random number of algas with
+     * random offsets, heights, scales and rotations for a natural look.
+     * @returns {Array<Object>} Layout entries consumed by the constructor.
+     * @private
+     */
+    _generateLayout() {
+        const layout = [];
+        for (let i = 0; i < Math.ceil(this.random.next() * 4 + 8); i++) {
+            layout.push({
+                x: (this.random.next() - 0.5) * Math.ceil(this.random.next() * 2 + 2.5),
+                z: (this.random.next() - 0.5) * Math.ceil(this.random.next() * 2 + 2.5),
+                height: Math.ceil(this.random.next() * 10),
+                scale: 0.8 + this.random.next() * 0.4,
+                rotation: this.random.next() * Math.PI * 2
+            });
+        }
+        return layout;
+    }
+
+    /**
+     * Returns the options needed to rebuild this patch with the same algas.
+     * @returns {Object} Serializable constructor options.
+     */
+    serialize() {
+        return { seed: this.seed, layout: this.layout.map(entry => ({ ...entry })) };
+    }
+
+    /**
+     * Disposes every alga of the patch and the base material they were cloned from.
+     */
+    dispose() {
+        this.children.forEach(alga => alga.dispose());
+        this.materials.forEach(material => material.dispose());
+    }
 }
 
 export { MyAlgaGroup };
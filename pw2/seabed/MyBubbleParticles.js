@@ -6,6 +6,8 @@
  */
 
 import * as THREE from 'three';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
+import { platform } from '../MyPlatform.js';
 
 class MyBubbleParticles extends THREE.Group {
     /**
@@ -14,6 +16,7 @@ class MyBubbleParticles extends THREE.Group {
      * @param {Object} options.pos - Position object (THREE.Vector3 or {x, y, z}).
      * @param {number} [options.count=50] - Number of bubbles.
      * @param {number} [options.maxHeight=50] - Maximum height before bubble resets.
+     * @param {number} [options.seed] - Seed for bubble spawning; drawn from the scene generator when omitted.
      */
     constructor(options = {}) {
         super();
@@ -33,6 +36,12 @@ class MyBubbleParticles extends THREE.Group {
          * @type {number}
          */
         this.maxHeight = options.maxHeight || 50;
+        /**
+         * Seed of the random stream used to spawn and respawn bubbles.
+         * @type {number}
+         */
+        this.seed = options.seed ?? sceneRandom.nextSeed();
+        this.random = new MyRandom(this.seed);
         /**
          * Internal time accumulator for animation.
          * @type {number}
@@ -55,8 +64,8 @@ class MyBubbleParticles extends THREE.Group {
             opacity: 0.3
         });
 
-        // Geometry for each bubble
-        const bubbleGeometry = new THREE.SphereGeometry(0.3, 8, 8);
+        // Geometry for each bubble, shared by every emitter
+        const bubbleGeometry = platform.cache.acquireGeometry('bubble-sphere', () => new THREE.SphereGeometry(0.3, 8, 8), this);
 
         /**
          * Instanced mesh for all bubbles.
@@ -86,28 +95,28 @@ class MyBubbleParticles extends THREE.Group {
         for (let i = 0; i < this.count; i++) {
             // Position bubbles in LOCAL space relative to the group
             const pos = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
+                (this.random.next() - 0.5) * 2,
                 0,
-                (Math.random() - 0.5) * 2
+                (this.random.next() - 0.5) * 2
             );
             this.positions.push(pos);
 
             const vel = new THREE.Vector3(
                 0,
-                0.5 + Math.random() * 1.0,
+                0.5 + this.random.next() * 1.0,
                 0
             );
             this.velocities.push(vel);
 
-            const maxLife = 5.0 + Math.random() * 5.0;
+            const maxLife = 5.0 + this.random.next() * 5.0;
             this.maxLifetimes.push(maxLife);
-            this.lifetimes.push(Math.random() * maxLife);            
+            this.lifetimes.push(this.random.next() * maxLife);            
 
-            this.sizes.push(0.5 + Math.random() * 0.8);
+            this.sizes.push(0.5 + this.random.next() * 0.8);
 
             this.wobbleOffsets.push({
-                x: Math.random() * 1000,
-                z: Math.random() * 1000
+                x: this.random.next() * 1000,
+                z: this.random.next() * 1000
             });
 
             matrix.makeScale(this.sizes[i], this.sizes[i], this.sizes[i]);
@@ -133,11 +142,11 @@ class MyBubbleParticles extends THREE.Group {
             if (this.lifetimes[i] >= this.maxLifetimes[i] || heightAboveSource >= this.maxHeight) {
                 // Reset bubble at local origin with small random offset
                 this.positions[i].set(
-                    (Math.random() - 0.5) * 2,
+                    (this.random.next() - 0.5) * 2,
                     0,
-                    (Math.random() - 0.5) * 2
+                    (this.random.next() - 0.5) * 2
                 );
-                this.velocities[i].y = 0.5 + Math.random() * 1.0;
+                this.velocities[i].y = 0.5 + this.random.next() * 1.0;
                 this.lifetimes[i] = 0;
                 scale.set(this.sizes[i], this.sizes[i], this.sizes[i]);
                 matrix.compose(this.positions[i], new THREE.Quaternion(), scale);
@@ -188,6 +197,21 @@ class MyBubbleParticles extends THREE.Group {
         const dist = worldPos.distanceTo(camPos);
         this.setLOD(dist > threshold);
     }
+
+    /**
+     * Returns the options needed to rebuild this bubble source.
+     * @returns {Object} Serializable constructor options.
+     */
+    serialize() {
+        return { count: this.count, maxHeight: this.maxHeight, seed: this.seed };
+    }
+
+    /**
+     * Releases the instanced bubbles, their material and the shared sphere geometry.
+     */
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
 }
 
 export { MyBubbleParticles };
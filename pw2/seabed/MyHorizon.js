@@ -42,6 +42,11 @@ class MyHorizon extends THREE.Group {
          * @type {HTMLVideoElement|null}
          */
         this.videoElement = videoElement;
+        /**
+         * Color the horizon is tinted with; follows the time of day.
+         * @type {THREE.Color}
+         */
+        this.tint = new THREE.Color(0x578E8B);
         this._createInvertedCylinder();
     }
 
@@ -69,17 +74,12 @@ class MyHorizon extends THREE.Group {
             videoTexture.wrapT = THREE.RepeatWrapping;
             videoTexture.repeat.set(3, 1);
             material = new THREE.MeshBasicMaterial({
-                color: 0x578E8B,
+                color: this.tint,
                 map: videoTexture,
                 side: THREE.BackSide
             });
         } else {
-            material = new THREE.MeshBasicMaterial({
-                color: 0x578E8B,
-                side: THREE.BackSide,
-                transparent: true,
-                opacity: 0.8
-            });
+            material = this._createPlainMaterial();
         }
         /**
          * The mesh representing the horizon cylinder.
@@ -89,6 +89,39 @@ class MyHorizon extends THREE.Group {
         this.cylinder.position.y = this.height / 2;
         this.add(this.cylinder);
     }
+
+    /**
+     * Switches to the untextured material, used when the video cannot be loaded.
+     */
+    useFallbackMaterial() {
+        const material = this.cylinder.material;
+        if (material.map) material.map.dispose();
+        material.dispose();
+        this.cylinder.material = this._createPlainMaterial();
+    }
+
+    /**
+     * Tints the horizon, with or without its video.
+     * @param {THREE.Color|string|number} color - New tint.
+     */
+    setTint(color) {
+        this.tint.set(color);
+        this.cylinder.material.color.copy(this.tint);
+    }
+
+    /**
+     * Creates the translucent material shown without a video.
+     * @returns {THREE.MeshBasicMaterial} The material.
+     * @private
+     */
+    _createPlainMaterial() {
+        return new THREE.MeshBasicMaterial({
+            color: this.tint,
+            side: THREE.BackSide,
+            transparent: true,
+            opacity: 0.8
+        });
+    }
 }
 
 export { MyHorizon };
@@ -7,6 +7,8 @@
  */
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
 
 class MyMarineSnow extends THREE.Points {
     /**
@@ -15,8 +17,10 @@ class MyMarineSnow extends THREE.Points {
      * @param {number} regionSize - Size of the region (diameter) for snow distribution.
      * @param {number} height - Height of the snow region.
      * @param {number} seabedY - Y coordinate of the seabed.
+     * @param {number} seed - Seed for particle placement; drawn from the scene generator by default.
      */
-    constructor(count = 1000, regionSize = 400, height = 100, seabedY = 0) {
+    constructor(count = 1000, regionSize = 400, height = 100, seabedY = 0, seed = sceneRandom.nextSeed()) {
+        const random = new MyRandom(seed);
         // Create geometry and per-particle attributes
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(count * 3);
@@ -27,33 +31,30 @@ class MyMarineSnow extends THREE.Points {
             const i3 = i * 3;
             const i2 = i * 2;
             // Random radial distribution
-            const r = Math.sqrt(Math.random()) * radius;
-            const a = Math.random() * Math.PI * 2;
+            const r = Math.sqrt(random.next()) * radius;
+            const a = random.next() * Math.PI * 2;
             positions[i3]     = Math.cos(a) * r;
-            positions[i3 + 1] = Math.random() * height + seabedY;
+            positions[i3 + 1] = random.next() * height + seabedY;
             positions[i3 + 2] = Math.sin(a) * r;
             velocities[i3]     = 0;
-            velocities[i3 + 1] = -(0.5 + Math.random() * 1.5);
+            velocities[i3 + 1] = -(0.5 + random.next() * 1.5);
             velocities[i3 + 2] = 0;
-            noiseOffsets[i2]     = Math.random() * 1000;
-            noiseOffsets[i2 + 1] = Math.random() * 1000;
+            noiseOffsets[i2]     = random.next() * 1000;
+            noiseOffsets[i2 + 1] = random.next() * 1000;
         }
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
         geometry.setAttribute('noiseOffset', new THREE.BufferAttribute(noiseOffsets, 2));
 
         // Create a circular gradient texture for snow particles
-        const canvas = document.createElement('canvas');
-        canvas.width = 32;
-        canvas.height = 32;
-        const ctx = canvas.getContext('2d');
-        const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
-        gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
-        gradient.addColorStop(0.5, 'rgba(180, 200, 255, 0.5)');
-        gradient.addColorStop(1, 'rgba(100, 150, 255, 0)');
-        ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, 32, 32);
-        const texture = new THREE.CanvasTexture(canvas);
+        const texture = platform.assets.createCanvasTexture(32, 32, (ctx) => {
+            const gradient = ctx.createRadialGradient(16, 16, 0, 16, 16, 16);
+            gradient.addColorStop(0, 'rgba(255, 255, 255, 1)');
+            gradient.addColorStop(0.5, 'rgba(180, 200, 255, 0.5)');
+            gradient.addColorStop(1, 'rgba(100, 150, 255, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 32, 32);
+        });
         const material = new THREE.PointsMaterial({
             size: 1.5,
             map: texture,
@@ -64,11 +65,21 @@ class MyMarineSnow extends THREE.Points {
             vertexColors: false
         });
         super(geometry, material);
+        /**
+         * Random stream used to respawn particles at the top of the region.
+         * @type {MyRandom}
+         */
+        this.random = random;
         /**
          * Number of particles.
          * @type {number}
          */
         this.count = count;
+        /**
+         * Number of particles drawn and animated, at most count (lowered by the quality manager).
+         * @type {number}
+         */
+        this.activeCount = count;
         /**
          * Size of the region (diameter) for snow distribution.
          * @type {number}
@@ -117,7 +128,7 @@ class MyMarineSnow extends THREE.Points {
         const positions = this.geometry.attributes.position.array;
         const velocities = this.geometry.attributes.velocity.array;
         const noiseOffsets = this.geometry.attributes.noiseOffset.array;
-        for (let i = 0; i < this.count; i++) {
+        for (let i = 0; i < this.activeCount; i++) {
             const i3 = i * 3;
             const i2 = i * 2;
             // Horizontal drift
@@ -128,8 +139,8 @@ class MyMarineSnow extends THREE.Points {
             positions[i3 + 2] += driftZ * deltaTime;
             // Reset if below seabed
             if (positions[i3 + 1] < this.seabedY) {
-                const r = Math.sqrt(Math.random()) * this.radius;
-                const a = Math.random() * Math.PI * 2;
+                const r = Math.sqrt(this.random.next()) * this.radius;
+                const a = this.random.next() * Math.PI * 2;
                 positions[i3]     = Math.cos(a) * r;
                 positions[i3 + 1] = this.height + this.seabedY;
                 positions[i3 + 2] = Math.sin(a) * r;
@@ -146,6 +157,23 @@ class MyMarineSnow extends THREE.Points {
         }
         this.geometry.attributes.position.needsUpdate = true;
     }
+
+    /**
+     * Limits how many particles are drawn and animated. Particles beyond the limit keep
+     * their positions and resume where they were when the limit is raised again.
+     * @param {number} activeCount - Number of particles to keep, clamped to [0, count].
+     */
+    setActiveCount(activeCount) {
+        this.activeCount = THREE.MathUtils.clamp(Math.round(activeCount), 0, this.count);
+        this.geometry.setDrawRange(0, this.activeCount);
+    }
+
+    /**
+     * Disposes the particle buffers, material and flake texture.
+     */
+    dispose() {
+        platform.cache.disposeObject(this);
+    }
 }
 
 export { MyMarineSnow };
@@ -7,6 +7,8 @@
  */
 
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
+import { MyRandom, sceneRandom } from '../MyRandom.js';
 
 class MyRock extends THREE.Group {
     /**
@@ -17,30 +19,40 @@ class MyRock extends THREE.Group {
      * @param {number} [options.deformation] - Unused, for future geometry deformation.
      * @param {string} [options.texturePath] - Path to the rock textures.
      * @param {Object} [options.pos] - Position of the cluster.
+     * @param {Array<Object>} [options.layout] - Stored rock layout; a random one is generated when omitted.
+     * @param {number} [options.seed] - Seed for the cluster shape; drawn from the scene generator when omitted.
      */
     constructor(options = {}) {
         super();
+        /**
+         * Seed used to generate the cluster.
+         * @type {number}
+         */
+        this.seed = options.seed ?? sceneRandom.nextSeed();
+        this.random = new MyRandom(this.seed);
+
         /**
          * Options for this rock cluster.
          * @type {Object}
          */
         this.options = Object.assign({
-            clusterCount: 2 + Math.floor(Math.random()),
+            clusterCount: 2 + Math.floor(this.random.next()),
             baseSize: 2,
             deformation: 0.25,
             texturePath: './textures/ocean-rock-bl/',
             pos: { x: 0, y: 0, z: 0 }
         }, options);
 
-        // Load all required PBR textures
-        const loader = new THREE.TextureLoader();
+        // Load all required PBR textures, shared by every rock cluster through the asset cache
+        const assets = platform.cache;
+        const path = this.options.texturePath;
         this.textures = {
-            albedo: loader.load(`${this.options.texturePath}ocean-rock_albedo.jpg`),
-            normal: loader.load(`${this.options.texturePath}ocean-rock_normal-ogl.jpg`),
-            ao: loader.load(`${this.options.texturePath}ocean-rock_ao.jpg`),
-            roughness: loader.load(`${this.options.texturePath}ocean-rock_roughness.jpg`),
-            metalness: loader.load(`${this.options.texturePath}ocean-rock_metallic.jpg`),
-            displacement: loader.load(`${this.options.texturePath}ocean-rock_height.jpg`)
+            albedo: assets.acquireTexture(`${path}ocean-rock_albedo.jpg`, {}, this),
+            normal: assets.acquireTexture(`${path}ocean-rock_normal-ogl.jpg`, {}, this),
+            ao: assets.acquireTexture(`${path}ocean-rock_ao.jpg`, {}, this),
+            roughness: assets.acquireTexture(`${path}ocean-rock_roughness.jpg`, {}, this),
+            metalness: assets.acquireTexture(`${path}ocean-rock_metallic.jpg`, {}, this),
+            displacement: assets.acquireTexture(`${path}ocean-rock_height.jpg`, {}, this)
         };
 
         this.createClusterLOD();
@@ -52,9 +64,10 @@ class MyRock extends THREE.Group {
      * @param {number} size - Size of the rock.
      * @param {boolean} lowLOD - If true, use only albedo map for performance.
      * @param {number} segments - Geometry detail level.
+     * @param {Object} [transform] - Stored rotation and scale; random when omitted.
      * @returns {THREE.Mesh} The created rock mesh.
      */
-    createTexturedRock(size = 1.0, lowLOD = false, segments = 1) {
+    createTexturedRock(size = 1.0, lowLOD = false, segments = 1, transform = null) {
         const geometry = new THREE.DodecahedronGeometry(size, segments);
         let material;
         if (lowLOD) {
@@ -74,53 +87,94 @@ class MyRock extends THREE.Group {
             });
         }
         const mesh = new THREE.Mesh(geometry, material);
-        mesh.rotation.set(
-            Math.random() * Math.PI,
-            Math.random() * Math.PI,
-            Math.random() * Math.PI
-        );
-        mesh.scale.setScalar(0.8 + Math.random() * 0.6);
+        transform = transform || this._generateRockTransform();
+        mesh.rotation.set(transform.rotation[0], transform.rotation[1], transform.rotation[2]);
+        mesh.scale.setScalar(transform.scale);
         mesh.receiveShadow = true;
         mesh.castShadow = true;
         return mesh;
     }
 
+    /**
+     * Generates a random rotation and scale for a single rock mesh.
+     * @returns {{rotation: number[], scale: number}} The rock transform.
+     * @private
+     */
+    _generateRockTransform() {
+        return {
+            rotation: [this.random.next() * Math.PI, this.random.next() * Math.PI, this.random.next() * Math.PI],
+            scale: 0.8 + this.random.next() * 0.6
+        };
+    }
+
+    /**
+     * Generates a random layout entry for one rock of the cluster.
+     * @param {number} baseSize - Base size for the rock.
+     * @returns {Object} Layout entry with size, offset and per-LOD transforms.
+     * @private
+     */
+    _generateRockLayout(baseSize) {
+        const size = baseSize * (0.7 + this.random.next() * 0.3);
+        const high = this._generateRockTransform();
+        const low = this._generateRockTransform();
+        const angle = this.random.next() * Math.PI * 2;
+        const dist = this.random.next() * baseSize * 1.5;
+        const height = (this.random.next() - 0.2) * baseSize * 0.5;
+        return {
+            size,
+            position: [Math.cos(angle) * dist, height * 0.3, Math.sin(angle) * dist],
+            high,
+            low
+        };
+    }
+
     /**
      * Creates a cluster of rocks, each with LOD (high and low detail meshes).
      * Adds the cluster to this group.
      */
     createClusterLOD() {
         const { clusterCount, baseSize } = this.options;
-        for (let i = 0; i < clusterCount; i++) {
-            const size = baseSize * (0.7 + Math.random() * 0.3);
+
+        /**
+         * Size, offset and mesh transforms of every rock in the cluster.
+         * @type {Array<Object>}
+         */
+        this.layout = this.options.layout
+            || Array.from({ length: clusterCount }, () => this._generateRockLayout(baseSize));
+
+        for (const entry of this.layout) {
             const lod = new THREE.LOD();
-            const highMesh = this.createTexturedRock(size, false, 7);
+            const highMesh = this.createTexturedRock(entry.size, false, 7, entry.high);
             lod.addLevel(highMesh, 0);
-            const lowMesh = this.createTexturedRock(size, true, 0);
+            const lowMesh = this.createTexturedRock(entry.size, true, 0, entry.low);
             lod.addLevel(lowMesh, 20); 
-            const angle = Math.random() * Math.PI * 2;
-            const dist = Math.random() * baseSize * 1.5;
-            const height = (Math.random() - 0.2) * baseSize * 0.5;
-            lod.position.set(
-                Math.cos(angle) * dist,
-                height * 0.3,
-                Math.sin(angle) * dist
-            );
+            lod.position.fromArray(entry.position);
             this.add(lod);
         }
     }
 
     /**
-     * Highlights the rock cluster when selected by changing emissive color.
-     * @param {boolean} selected - Whether the rock is selected.
+     * Returns the options needed to rebuild this cluster with the same rocks.
+     * @returns {Object} Serializable constructor options.
+     */
+    serialize() {
+        return {
+            seed: this.seed,
+            baseSize: this.options.baseSize,
+            layout: this.layout.map(entry => ({
+                size: entry.size,
+                position: [...entry.position],
+                high: { rotation: [...entry.high.rotation], scale: entry.high.scale },
+                low: { rotation: [...entry.low.rotation], scale: entry.low.scale }
+            }))
+        };
+    }
+
+    /**
+     * Disposes the rock meshes and materials and releases the shared PBR textures.
      */
-    onSelect(selected) {
-        this.traverse((child) => {
-            if (child.isMesh) {
-                const emissiveColor = selected ? 0xffaa00 : 0x000000;
-                child.material.emissive.setHex(emissiveColor);
-            }
-        });
+    dispose() {
+        platform.cache.disposeObject(this);
     }
 }
 
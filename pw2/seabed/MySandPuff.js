@@ -7,14 +7,16 @@
  */
 
 import * as THREE from 'three';
+import { sceneRandom } from '../MyRandom.js';
 
 class MySandPuff extends THREE.Points {
     /**
      * Constructs a new MySandPuff instance.
      * @param {THREE.Vector3} clickPosition - The position where the puff is spawned.
      * @param {number} particleCount - Number of sand particles.
+     * @param {MyRandom} [random] - Generator of the particle spread; defaults to one forked from sceneRandom.
      */
-    constructor(clickPosition, particleCount = 100) {
+    constructor(clickPosition, particleCount = 100, random = sceneRandom.fork()) {
         const geometry = new THREE.BufferGeometry();
         const positions = new Float32Array(particleCount * 3);
         const velocities = new Float32Array(particleCount * 3);
@@ -25,17 +27,17 @@ class MySandPuff extends THREE.Points {
         for (let i = 0; i < particleCount; i++) {
             const i3 = i * 3;
             // Start at click position with slight random offset
-            positions[i3] = spawnPos.x + (Math.random() - 0.5) * 0.5;
+            positions[i3] = spawnPos.x + (random.next() - 0.5) * 0.5;
             positions[i3 + 1] = spawnPos.y + 0.1;
-            positions[i3 + 2] = spawnPos.z + (Math.random() - 0.5) * 0.5;
+            positions[i3 + 2] = spawnPos.z + (random.next() - 0.5) * 0.5;
             // Hemisphere distribution for initial velocity
-            const theta = Math.random() * Math.PI * 2; // Azimuthal angle
-            const phi = Math.random() * Math.PI * 0.5; // Polar angle (0 to PI/2 for hemisphere)
+            const theta = random.next() * Math.PI * 2; // Azimuthal angle
+            const phi = random.next() * Math.PI * 0.5; // Polar angle (0 to PI/2 for hemisphere)
             // Add noise to angles for more natural spread
-            const noisyPhi = phi + (Math.random() - 0.5) * 0.3;
-            const noisyTheta = theta + (Math.random() - 0.5) * 0.3;
+            const noisyPhi = phi + (random.next() - 0.5) * 0.3;
+            const noisyTheta = theta + (random.next() - 0.5) * 0.3;
             // Initial velocity magnitude with variation
-            const speed = 2.0 + Math.random() * 3.0;
+            const speed = 2.0 + random.next() * 3.0;
             // Convert spherical to Cartesian coordinates
             velocities[i3] = speed * Math.sin(noisyPhi) * Math.cos(noisyTheta);
             velocities[i3 + 1] = speed * Math.cos(noisyPhi); // Upward component
@@ -43,7 +45,7 @@ class MySandPuff extends THREE.Points {
             // Lifetime (will fade and despawn)
             lifetimes[i] = 0;
             // Particle size with variation
-            sizes[i] = 0.1 + Math.random() * 0.15;
+            sizes[i] = 0.1 + random.next() * 0.15;
         }
         geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
         geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
+import { sceneRandom } from '../MyRandom.js';
 
 /**
  * MyTerrain
@@ -173,7 +175,7 @@ class MyTerrain extends THREE.Group {
      * @private
      */
     _loadTextures() {
-        const loader = new THREE.TextureLoader();
+        const assets = platform.assets;
 
         /**
          * Collection of terrain textures including albedo, normal, roughness, AO, displacement, and metalness maps.
@@ -186,12 +188,12 @@ class MyTerrain extends THREE.Group {
          * @property {THREE.Texture} metalness - Metalness map texture.
          */
         this.textures = {
-            albedo: loader.load("textures/terrainTexture/wavy-sand_albedo.jpg"),
-            normal: loader.load("textures/terrainTexture/wavy-sand_normal-ogl.jpg"),
-            roughness: loader.load("textures/terrainTexture/wavy-sand_roughness.jpg"),
-            ao: loader.load("textures/terrainTexture/wavy-sand_ao.jpg"),
-            displacement: loader.load("textures/terrainTexture/wavy-sand_height.jpg"),
-            metalness: loader.load("textures/terrainTexture/wavy-sand_metallic.jpg")
+            albedo: assets.loadTexture("textures/terrainTexture/wavy-sand_albedo.jpg"),
+            normal: assets.loadTexture("textures/terrainTexture/wavy-sand_normal-ogl.jpg"),
+            roughness: assets.loadTexture("textures/terrainTexture/wavy-sand_roughness.jpg"),
+            ao: assets.loadTexture("textures/terrainTexture/wavy-sand_ao.jpg"),
+            displacement: assets.loadTexture("textures/terrainTexture/wavy-sand_height.jpg"),
+            metalness: assets.loadTexture("textures/terrainTexture/wavy-sand_metallic.jpg")
         };
 
         // Apply texture settings
@@ -318,15 +320,14 @@ class MyTerrain extends THREE.Group {
     }
 
     /**
-     * Adds multiple instances of an object type to the terrain with spread distribution.
+     * Adds multiple instances of a registered entity type to the terrain with spread distribution.
      * Objects are placed randomly while maintaining minimum distance from each other and avoiding center area.
-     * @param {Function} ObjectType - Constructor function for the object to instantiate.
-     * @param {Object} options - Configuration options passed to the object constructor.
+     * @param {MyEntityType} entityType - Registered type giving the constructor, default options and surface alignment.
      * @param {THREE.Group} group - Parent group to add the objects to.
      * @param {number} count - Number of instances to create.
-     * @param {boolean} rotate - Whether to rotate objects to match terrain surface normal.
      */
-    addSpreadedObj(ObjectType, options, group, count, rotate) {
+    addSpreadedObj(entityType, group, count) {
+        const { ObjectType, options, alignToSurface } = entityType;
         const radius = this.radius * 0.60;
         const minDistance = 5;
 
@@ -339,8 +340,8 @@ class MyTerrain extends THREE.Group {
 
             // Find a valid position that meets distance constraints
             while (!valid) {
-                const r = Math.sqrt(Math.random()) * radius; // Square root for uniform disk distribution
-                const theta = Math.random() * Math.PI * 2;
+                const r = Math.sqrt(sceneRandom.next()) * radius; // Square root for uniform disk distribution
+                const theta = sceneRandom.next() * Math.PI * 2;
                 const x = r * Math.cos(theta);
                 const z = r * Math.sin(theta);
 
@@ -353,25 +354,48 @@ class MyTerrain extends THREE.Group {
                         && Math.abs(z) > 20;
             }
             
-            options.pos = position;
-            options.terrain = this;
-            const newObj = new ObjectType(options);
-            newObj.position.setX(position.x);
-            newObj.position.setZ(position.z);
-            
-            if (rotate) {
+            let quaternion = null;
+            if (alignToSurface) {
                 // Calculate surface normal from inclines and rotate object to match
                 const normal = new THREE.Vector3(-inclineX, 1, -inclineZ).normalize();
                 const up = new THREE.Vector3(0, 1, 0);
-                const quat = new THREE.Quaternion().setFromUnitVectors(up, normal);
-                newObj.quaternion.copy(quat);
-                newObj.rotateY(Math.random() * Math.PI * 2); // Add random rotation around Y axis
+                quaternion = new THREE.Quaternion().setFromUnitVectors(up, normal);
+                // Add random rotation around Y axis
+                quaternion.multiply(new THREE.Quaternion().setFromAxisAngle(up, sceneRandom.next() * Math.PI * 2));
             }
-            
-            group.add(newObj);
-            this.objects.push(newObj);
+
+            this.placeObj(ObjectType, { ...options }, group, position.x, position.z, quaternion);
         }
     }
+
+    /**
+     * Places a single object on the terrain surface at the given X/Z coordinates.
+     * The height is taken from the terrain, so the same coordinates always give the same placement.
+     * @param {Function} ObjectType - Constructor function for the object to instantiate.
+     * @param {Object} options - Configuration options passed to the object constructor.
+     * @param {THREE.Group} group - Parent group to add the object to.
+     * @param {number} x - World X coordinate.
+     * @param {number} z - World Z coordinate.
+     * @param {THREE.Quaternion|null} quaternion - Orientation to apply, or null to keep the object's own.
+     * @returns {THREE.Object3D} The placed object.
+     */
+    placeObj(ObjectType, options, group, x, z, quaternion = null) {
+        const { y } = this.getHeightAt(x, z);
+
+        options.pos = new THREE.Vector3(x, y, z);
+        options.terrain = this;
+        const newObj = new ObjectType(options);
+        newObj.position.setX(x);
+        newObj.position.setZ(z);
+
+        if (quaternion) {
+            newObj.quaternion.copy(quaternion);
+        }
+
+        group.add(newObj);
+        this.objects.push(newObj);
+        return newObj;
+    }
     
     /**
      * Resizes a texture to the specified dimensions using canvas resizing.
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { platform } from '../MyPlatform.js';
 
 /**
  * MyWaterCeiling
@@ -15,21 +16,11 @@ class MyWaterCeiling extends THREE.Mesh {
      * @param {string} videoSrc - Path to the video texture (default: './textures/ceiling.mp4').
      */
     constructor(radius = 175, thickness = 0.5, yPosition = 95, videoSrc = './textures/ceiling.mp4') {
-        // Create video element for texture
-        const video = document.createElement('video');
-        video.src = videoSrc;
-        video.loop = true;
-        video.muted = true;
-        video.playsInline = true;
-        video.autoplay = true;
-        video.style.display = 'none';
-        document.body.appendChild(video);
-        video.play().catch(err => {
-            console.warn('Ceiling video failed to play automatically:', err);
-        });
+        // Create video element for texture (none when running headless); errors arrive after construction
+        const video = platform.assets.createVideoElement(videoSrc, () => this.useFallbackMaterial());
 
         // Create video texture
-        const texture = new THREE.VideoTexture(video);
+        const texture = video ? new THREE.VideoTexture(video) : new THREE.Texture();
         texture.minFilter = THREE.LinearFilter;
         texture.magFilter = THREE.LinearFilter;
         texture.format = THREE.RGBFormat;
@@ -50,7 +41,7 @@ class MyWaterCeiling extends THREE.Mesh {
 
         /**
          * Reference to the video element for cleanup.
-         * @type {HTMLVideoElement}
+         * @type {HTMLVideoElement|null}
          */
         this.video = video;
 
@@ -60,6 +51,12 @@ class MyWaterCeiling extends THREE.Mesh {
          */
         this.texture = texture;
 
+        /**
+         * Surface color in full daylight, dimmed by setBrightness().
+         * @type {THREE.Color}
+         */
+        this.baseColor = material.color.clone();
+
         // Set position and properties
         this.position.y = yPosition;
         this.receiveShadow = false;
@@ -67,25 +64,52 @@ class MyWaterCeiling extends THREE.Mesh {
         this.name = 'WaterCeiling';
     }
 
+    /**
+     * Drops the video texture when the video cannot be loaded, leaving the plain tinted surface.
+     */
+    useFallbackMaterial() {
+        this.material.map = null;
+        this.material.needsUpdate = true;
+        this._releaseVideo();
+    }
+
+    /**
+     * Dims or brightens the surface, e.g. with the time of day.
+     * @param {number} brightness - Fraction of the daylight color, 0 (black) to 1.
+     */
+    setBrightness(brightness) {
+        this.material.color.copy(this.baseColor).multiplyScalar(brightness);
+    }
+
     /**
      * Disposes of the ceiling resources including video element and texture.
      */
     dispose() {
+        this._releaseVideo();
+        if (this.geometry) {
+            this.geometry.dispose();
+        }
+        if (this.material) {
+            this.material.dispose();
+        }
+    }
+
+    /**
+     * Stops and detaches the video element and disposes its texture.
+     * @private
+     */
+    _releaseVideo() {
         if (this.video) {
             this.video.pause();
             this.video.src = '';
             if (this.video.parentNode) {
                 this.video.parentNode.removeChild(this.video);
             }
+            this.video = null;
         }
         if (this.texture) {
             this.texture.dispose();
-        }
-        if (this.geometry) {
-            this.geometry.dispose();
-        }
-        if (this.material) {
-            this.material.dispose();
+            this.texture = null;
         }
     }
 }